@@ -0,0 +1,1040 @@
+'use strict';
+Object.defineProperty(exports, '__esModule', { value: true });
+
+/* eslint-env node */
+const http = require('http');
+const crypto = require('crypto');
+
+function _decodeSegment(segment) {
+    let decoded = decodeURIComponent(segment);
+
+    // martian double-encodes page paths and most filenames, so a second pass is needed for those
+    if (/%[0-9a-f]{2}/i.test(decoded)) {
+        try {
+            decoded = decodeURIComponent(decoded);
+        } catch (e) {
+            // the name contains a literal "%"
+        }
+    }
+    return decoded;
+}
+function _parentPath(path) {
+    const index = path.lastIndexOf('/');
+    return index === -1 ? '' : path.slice(0, index);
+}
+function _titleFromPath(path) {
+    return path === '' ? 'Home' : path.slice(path.lastIndexOf('/') + 1).replace(/_/g, ' ');
+}
+const _xmlEntities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+function _xmlValue(xml, tag) {
+    const match = new RegExp(`<${tag}>([^<]*)</${tag}>`).exec(xml);
+    if (match === null) {
+        return null;
+    }
+    return match[1].replace(/&(#\d+|[a-z]+);/g, (entity, name) =>
+        name[0] === '#' ? String.fromCharCode(Number(name.slice(1))) : _xmlEntities[name] || entity
+    );
+}
+function _createStore() {
+    return {
+        pages: new Map(),
+        drafts: new Map(),
+        files: new Map(),
+        users: new Map(),
+        groups: new Map(),
+        jobs: new Map()
+    };
+}
+function _now() {
+    return new Date().toISOString();
+}
+
+class _HttpError extends Error {
+    constructor(status, title, message) {
+        super(message);
+        this.status = status;
+        this.title = title;
+    }
+}
+function _rangeResult(request, file) {
+    const range = /^bytes=(\d+)-(\d*)$/.exec(request.headers.range || '');
+    if (!range) {
+        return { body: file.contents, type: file.type };
+    }
+    const size = file.contents.length;
+    const start = Number(range[1]);
+    const end = range[2] === '' ? size - 1 : Math.min(Number(range[2]), size - 1);
+    if (start >= size || end < start) {
+        return { status: 416, body: Buffer.alloc(0), type: file.type, headers: { 'Content-Range': `bytes */${size}` } };
+    }
+    return {
+        status: 206,
+        body: file.contents.subarray(start, end + 1),
+        type: file.type,
+        headers: { 'Content-Range': `bytes ${start}-${end}/${size}` }
+    };
+}
+function _notFound(message) {
+    return new _HttpError(404, 'Not Found', message);
+}
+
+/**
+ * A page, or a draft, in the store of a {@link FakeApi}.
+ * @typedef {Object} FakePage
+ * @property {Number} id The page ID.
+ * @property {String} path The page path.
+ * @property {String} title The page title.
+ * @property {String} contents The page contents.
+ * @property {Number} revision The page revision.
+ */
+
+/**
+ * A user in the store of a {@link FakeApi}.
+ * @typedef {Object} FakeUser
+ * @property {Number} id The user ID.
+ * @property {String} username The username.
+ * @property {String} fullname The full name of the user.
+ * @property {String} email The email address of the user.
+ * @property {Boolean} active Whether the user is active.
+ * @property {Boolean} seated Whether the user is seated.
+ * @property {Array.<Number>} groupIds The IDs of the groups that the user is a member of.
+ */
+
+/**
+ * A file attachment in the store of a {@link FakeApi}.
+ * @typedef {Object} FakeFile
+ * @property {Number} id The file ID.
+ * @property {Number} pageId The ID of the page that the file is attached to.
+ * @property {String} name The filename.
+ * @property {Buffer} contents The file contents.
+ * @property {String} type The mime type of the file.
+ * @property {Number} revision The file revision.
+ */
+
+/**
+ * An in-process stand-in for the MindTouch site API (`/@api/deki`) that keeps its state in memory. It serves JSON in the shapes that the martian models parse, for the pages, drafts, files, properties, users, groups, site/query and site/jobs endpoints. This is only available in node.
+ */
+class FakeApi {
+    /**
+     * Construct a FakeApi object. The store is seeded with a home page and an "admin" user, who is the current user.
+     */
+    constructor() {
+        this._server = null;
+        this._host = null;
+        this._nextId = 1;
+        this._requests = [];
+        this._store = _createStore();
+        this._currentUserId = null;
+        this._sessionUserId = null;
+        this.reset();
+    }
+
+    /**
+     * Get the URL to use as the martian `Settings` host. This is only set while the server is started.
+     */
+    get host() {
+        return this._host;
+    }
+
+    /**
+     * Get the in-memory store of the site data, for seeding and asserting on state. The `pages`, `drafts`, `files`, `users`, `groups` and `jobs` collections are Maps keyed by ID.
+     */
+    get store() {
+        return this._store;
+    }
+
+    /**
+     * Get the list of requests the server has received, in order. Each entry has the `method`, `path`, `query`, `headers` and `body` of the request.
+     */
+    get requests() {
+        return this._requests;
+    }
+
+    /**
+     * Get or set the user that the `users/current` endpoint, and authorship of new content, resolves to. A request that carries an auth token from the `users/authenticate` endpoint, in the "X-Authtoken" header or the "authtoken" cookie, resolves to the authenticated user instead. An auth token in the "X-Deki-Token" header is rejected.
+     */
+    get currentUser() {
+        return this._store.users.get(this._sessionUserId !== null ? this._sessionUserId : this._currentUserId);
+    }
+    set currentUser(user) {
+        this._currentUserId = user.id;
+    }
+
+    /**
+     * Start listening for requests.
+     * @param {Number} [port=0] The port to listen on. By default, a free port is chosen.
+     * @returns {Promise.<String>} A Promise that, when resolved, yields the host URL of the server.
+     */
+    start(port = 0) {
+        if (this._server !== null) {
+            return Promise.reject(new Error('The fake API server is already started'));
+        }
+        this._server = http.createServer((req, res) => this._handle(req, res));
+        return new Promise((resolve, reject) => {
+            this._server.once('error', reject);
+            this._server.listen(port, '127.0.0.1', () => {
+                this._host = `http://127.0.0.1:${this._server.address().port}`;
+                resolve(this._host);
+            });
+        });
+    }
+
+    /**
+     * Stop listening for requests.
+     * @returns {Promise} A Promise that, when resolved, indicates the server has stopped.
+     */
+    stop() {
+        if (this._server === null) {
+            return Promise.resolve();
+        }
+        const server = this._server;
+        this._server = null;
+        this._host = null;
+        return new Promise((resolve, reject) => server.close(err => (err ? reject(err) : resolve())));
+    }
+
+    /**
+     * Clear the store and the request log, and seed them again.
+     */
+    reset() {
+        this._nextId = 1;
+        this._requests = [];
+        this._authTokens = new Map();
+        this._store = _createStore();
+        const admin = this.addUser({ username: 'admin', fullname: 'Admin', email: 'admin@example.com' });
+        this._currentUserId = admin.id;
+        this.addPage({ path: '' });
+    }
+
+    /**
+     * Add a published page to the store.
+     * @param {Object} options The page data.
+     * @param {String} options.path The page path. The home page has an empty path.
+     * @param {String} [options.title] The page title. If not supplied, it is derived from the path.
+     * @param {String} [options.contents=''] The page contents.
+     * @returns {FakePage} The stored page.
+     */
+    addPage({ path, title = _titleFromPath(path), contents = '' }) {
+        const page = {
+            id: this._nextId++,
+            guid: crypto.randomBytes(16).toString('hex'),
+            path,
+            title,
+            contents,
+            revision: 1,
+            published: true,
+            tags: [],
+            properties: new Map(),
+            authorId: this.currentUser.id,
+            dateCreated: _now(),
+            dateModified: _now()
+        };
+        this._store.pages.set(page.id, page);
+        return page;
+    }
+
+    /**
+     * Add a user to the store.
+     * @param {Object} options The user data.
+     * @param {String} options.username The username.
+     * @param {String} [options.fullname=''] The full name of the user.
+     * @param {String} [options.email=''] The email address of the user.
+     * @param {String} [options.password=null] The password that the `users/authenticate` endpoint accepts. If not supplied, any password is accepted.
+     * @returns {FakeUser} The stored user.
+     */
+    addUser({ username, fullname = '', email = '', password = null }) {
+        const user = {
+            id: this._nextId++,
+            username,
+            fullname,
+            email,
+            password,
+            active: true,
+            seated: true,
+            groupIds: [],
+            dateCreated: _now()
+        };
+        this._store.users.set(user.id, user);
+        return user;
+    }
+
+    /**
+     * Add a group to the store.
+     * @param {Object} options The group data.
+     * @param {String} options.name The group name.
+     * @param {Array.<FakeUser>} [options.users=[]] The stored users that are members of the group.
+     * @returns {{ id: Number, name: String }} The stored group.
+     */
+    addGroup({ name, users = [] }) {
+        const group = { id: this._nextId++, name };
+        this._store.groups.set(group.id, group);
+        users.forEach(user => user.groupIds.push(group.id));
+        return group;
+    }
+
+    /**
+     * Add a file attachment to a stored page.
+     * @param {FakePage} page The stored page to attach the file to.
+     * @param {Object} options The file data.
+     * @param {String} options.name The filename.
+     * @param {String|Buffer} [options.contents=''] The file contents.
+     * @param {String} [options.type=text/plain] The mime type of the file.
+     * @returns {FakeFile} The stored file.
+     */
+    addFile(page, { name, contents = '', type = 'text/plain' }) {
+        return this._storeFile(page, false, name, Buffer.from(contents), type);
+    }
+    _storeFile(page, isDraft, name, contents, type) {
+        const existing = this._findFile(page, isDraft, name);
+        if (existing) {
+            existing.contents = contents;
+            existing.type = type;
+            existing.revision++;
+            return existing;
+        }
+        const file = {
+            id: this._nextId++,
+            pageId: page.id,
+            draft: isDraft,
+            name,
+            contents,
+            type,
+            description: '',
+            revision: 1,
+            authorId: this.currentUser.id,
+            dateCreated: _now()
+        };
+        this._store.files.set(file.id, file);
+        return file;
+    }
+    _findFile(page, isDraft, name) {
+        return Array.from(this._store.files.values()).find(
+            file => file.pageId === page.id && file.draft === isDraft && file.name === name
+        );
+    }
+    _pageFiles(page, isDraft) {
+        return Array.from(this._store.files.values()).filter(file => file.pageId === page.id && file.draft === isDraft);
+    }
+    _findPage(id) {
+        if (id === 'home') {
+            id = '=';
+        }
+        if (id[0] === '=') {
+            const path = _decodeSegment(id.slice(1));
+            return Array.from(this._store.pages.values()).find(page => page.path === path) || null;
+        }
+        return this._store.pages.get(Number(id)) || null;
+    }
+    _getPage(id, { published = true } = {}) {
+        const page = this._findPage(id);
+        if (page === null || (published && !page.published)) {
+            throw _notFound(`Page ${id} could not be found`);
+        }
+        return page;
+    }
+    _getDraft(id) {
+        const page = this._getPage(id, { published: false });
+        const draft = this._store.drafts.get(page.id);
+        if (!draft) {
+            throw _notFound(`A draft for page ${id} could not be found`);
+        }
+        return { page, draft };
+    }
+    _createDraft(page) {
+        const draft = {
+            pageId: page.id,
+            title: page.title,
+            contents: page.contents,
+            revision: 1,
+            properties: new Map(page.properties),
+            dateModified: _now()
+        };
+        this._store.drafts.set(page.id, draft);
+        return draft;
+    }
+    _getUser(id) {
+        let user;
+        if (id === 'current') {
+            user = this.currentUser;
+        } else if (id[0] === '=') {
+            const username = _decodeSegment(id.slice(1));
+            user = Array.from(this._store.users.values()).find(u => u.username === username);
+        } else {
+            user = this._store.users.get(Number(id));
+        }
+        if (!user) {
+            throw _notFound(`User ${id} could not be found`);
+        }
+        return user;
+    }
+    _getGroup(id) {
+        let group;
+        if (id[0] === '=') {
+            const name = _decodeSegment(id.slice(1));
+            group = Array.from(this._store.groups.values()).find(g => g.name === name);
+        } else {
+            group = this._store.groups.get(Number(id));
+        }
+        if (!group) {
+            throw _notFound(`Group ${id} could not be found`);
+        }
+        return group;
+    }
+    _groupUsers(group) {
+        return Array.from(this._store.users.values()).filter(user => user.groupIds.includes(group.id));
+    }
+
+    // JSON representations, in the shapes that the martian models parse
+    _pageJson(page, { draft = null, parent = true } = {}) {
+        const json = {
+            '@id': String(page.id),
+            '@guid': page.guid,
+            '@href': `${this._host}/@api/deki/pages/${page.id}?redirects=0`,
+            '@revision': String(draft ? draft.revision : page.revision),
+            '@state': page.published ? 'PUBLISH' : 'UNPUBLISH',
+            '@draft.state': this._store.drafts.has(page.id) ? 'ACTIVE' : 'INACTIVE',
+            '@subpages': String(this._subpages(page).length > 0),
+            title: draft ? draft.title : page.title,
+            'uri.ui': `${this._host}/${page.path}`,
+            path: { '#text': page.path, '@type': 'custom' },
+            namespace: 'main',
+            language: 'en-US',
+            'date.created': page.dateCreated,
+            'date.modified': draft ? draft.dateModified : page.dateModified,
+            'user.author': this._userJson(this._store.users.get(page.authorId) || this.currentUser)
+        };
+        if (page.tags.length > 0) {
+            json.tags = { tag: page.tags.map(value => ({ '@value': value, title: value, type: 'text' })) };
+        }
+        if (parent && page.path !== '') {
+            const parentPage = this._findPage(`=${encodeURIComponent(_parentPath(page.path))}`);
+            if (parentPage !== null) {
+                json['page.parent'] = this._pageJson(parentPage, { parent: false });
+            }
+        }
+        return json;
+    }
+    _subpages(page) {
+        return Array.from(this._store.pages.values()).filter(
+            subpage => subpage.path !== '' && subpage.published && _parentPath(subpage.path) === page.path
+        );
+    }
+    _userJson(user) {
+        return {
+            '@id': String(user.id),
+            '@href': `${this._host}/@api/deki/users/${user.id}`,
+            '@anonymous': 'false',
+            username: user.username,
+            fullname: user.fullname,
+            email: user.email,
+            nick: user.username,
+            status: user.active ? 'active' : 'inactive',
+            'date.created': user.dateCreated,
+            'license.seat': { '#text': String(user.seated), '@owner': 'false' },
+            groups: { group: user.groupIds.map(id => this._groupJson(this._store.groups.get(id))) }
+        };
+    }
+    _userListJson(users) {
+        return {
+            '@count': String(users.length),
+            '@querycount': String(users.length),
+            '@totalcount': String(this._store.users.size),
+            '@href': `${this._host}/@api/deki/users`,
+            user: users.map(user => this._userJson(user))
+        };
+    }
+    _groupJson(group) {
+        return {
+            '@id': String(group.id),
+            '@href': `${this._host}/@api/deki/groups/${group.id}`,
+            groupname: group.name,
+            users: {
+                '@count': String(this._groupUsers(group).length),
+                '@href': `${this._host}/@api/deki/groups/${group.id}/users`
+            }
+        };
+    }
+    _fileJson(file) {
+        const href = `${this._host}/@api/deki/files/${file.id}`;
+        return {
+            '@id': String(file.id),
+            '@revision': String(file.revision),
+            '@href': `${href}/info`,
+            '@res-is-head': 'true',
+            '@res-is-deleted': 'false',
+            filename: file.name,
+            description: file.description,
+            'date.created': file.dateCreated,
+            contents: {
+                '@type': file.type,
+                '@size': String(file.contents.length),
+                '@href': `${href}/=${encodeURIComponent(encodeURIComponent(file.name))}`
+            },
+            revisions: { '@count': String(file.revision), '@totalcount': String(file.revision) },
+            'user.createdby': this._userJson(this._store.users.get(file.authorId) || this.currentUser),
+            'page.parent': this._pageJson(this._store.pages.get(file.pageId), { parent: false })
+        };
+    }
+    _filesJson(files, href) {
+        return {
+            '@count': String(files.length),
+            '@offset': '0',
+            '@totalcount': String(files.length),
+            '@href': href,
+            file: files.map(file => this._fileJson(file))
+        };
+    }
+    _propertyJson(key, property, href) {
+        return {
+            '@name': key,
+            '@revision': String(property.revision),
+            '@href': `${href}/${encodeURIComponent(key)}/info`,
+            'date.modified': property.dateModified,
+            contents: {
+                '@type': property.type,
+                '@size': String(Buffer.byteLength(property.text)),
+                '@href': `${href}/${encodeURIComponent(key)}`,
+                '#text': property.text
+            }
+        };
+    }
+    _jobJson(job) {
+        return {
+            '@id': job.id,
+            '@type': job.type,
+            '@status': job.status,
+            submitted: job.submitted,
+            lastmodified: job.lastModified,
+            user: this._userJson(this._store.users.get(job.userId) || this.currentUser),
+            completeditems: String(job.completedItems),
+            totalitems: String(job.totalItems)
+        };
+    }
+
+    // request handling
+    _handle(req, res) {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const url = new URL(req.url, this._host);
+            const request = {
+                method: req.method,
+                path: url.pathname,
+                query: Object.fromEntries(url.searchParams.entries()),
+                headers: req.headers,
+                body: Buffer.concat(chunks)
+            };
+            this._requests.push(request);
+            let result;
+            try {
+                this._sessionUserId = this._authenticatedUserId(request);
+                result = this._route(request);
+            } catch (err) {
+                const status = err instanceof _HttpError ? err.status : 500;
+                const title = err instanceof _HttpError ? err.title : 'Internal Error';
+                result = { status, json: { status: String(status), title, message: err.message } };
+            }
+            this._sessionUserId = null;
+            this._send(res, result);
+        });
+    }
+    _authenticatedUserId(request) {
+        if (this._authTokens.has(request.headers['x-deki-token'])) {
+            throw new _HttpError(401, 'Unauthorized', 'An auth token is not a valid X-Deki-Token');
+        }
+        const token = this._authToken(request);
+        return this._authTokens.has(token) ? this._authTokens.get(token) : null;
+    }
+    _authToken({ headers }) {
+        const cookie = /(?:^|;\s*)authtoken="?([^";]*)"?/.exec(headers.cookie || '');
+        return headers['x-authtoken'] || (cookie ? decodeURIComponent(cookie[1]) : null);
+    }
+    _issueAuthToken(user) {
+        const token = `authtoken_${user.id}_${crypto.randomBytes(8).toString('hex')}`;
+        this._authTokens.set(token, user.id);
+        return token;
+    }
+    _send(res, { status = 200, json, text, body, type, headers = {} }) {
+        if (json !== undefined) {
+            res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify(json));
+        } else if (body !== undefined) {
+            res.writeHead(status, Object.assign({ 'Content-Type': type, 'Content-Length': body.length }, headers));
+            res.end(body);
+        } else {
+            res.writeHead(status, Object.assign({ 'Content-Type': 'text/plain; charset=utf-8' }, headers));
+            res.end(text || '');
+        }
+    }
+    _route(request) {
+        const prefix = '/@api/deki/';
+        if (!request.path.startsWith(prefix)) {
+            throw _notFound(`${request.path} is not an API endpoint`);
+        }
+        const segments = request.path.slice(prefix.length).split('/');
+        const [resource, ...rest] = segments;
+        const routes = {
+            pages: () => this._routePages(request, rest, false),
+            drafts: () => this._routePages(request, rest, true),
+            files: () => this._routeFiles(request, rest),
+            users: () => this._routeUsers(request, rest),
+            groups: () => this._routeGroups(request, rest),
+            site: () => this._routeSite(request, rest)
+        };
+        const result = resource in routes ? routes[resource]() : null;
+        if (result === null) {
+            throw new _HttpError(
+                501,
+                'Not Implemented',
+                `The fake API does not implement ${request.method} ${request.path}`
+            );
+        }
+        return result;
+    }
+    _routePages(request, [id, action, ...rest], isDraft) {
+        const { method } = request;
+        const base = `${this._host}/@api/deki/${isDraft ? 'drafts' : 'pages'}`;
+        if (isDraft && id === undefined && method === 'GET') {
+            const drafts = Array.from(this._store.drafts.values()).map(draft => {
+                const page = this._store.pages.get(draft.pageId);
+                return this._pageJson(page, { draft });
+            });
+            return { json: { pages: { page: drafts } } };
+        }
+        if (id === undefined) {
+            return null;
+        }
+        if (isDraft && action === 'create' && method === 'POST') {
+            if (this._findPage(id) !== null) {
+                throw new _HttpError(409, 'Conflict', `A page already exists at ${id}`);
+            }
+            const page = this.addPage({ path: _decodeSegment(id.slice(1)) });
+            page.published = false;
+            return { json: this._pageJson(page, { draft: this._createDraft(page) }) };
+        }
+        if (action === undefined && method === 'GET') {
+            if (isDraft) {
+                const { page, draft } = this._getDraft(id);
+                return { json: this._pageJson(page, { draft }) };
+            }
+            const page = this._findPage(id);
+            if (page === null && id[0] === '=') {
+                const path = _decodeSegment(id.slice(1));
+                return {
+                    status: 404,
+                    json: { '@virtual': 'true', '@id': '0', title: _titleFromPath(path), path: { '#text': path } }
+                };
+            }
+            return { json: this._pageJson(this._getPage(id)) };
+        }
+        if (action === undefined && method === 'DELETE' && !isDraft) {
+            const page = this._getPage(id);
+            const deleted = [page];
+            if (request.query.recursive === 'true') {
+                deleted.push(...Array.from(this._store.pages.values()).filter(p => p.path.startsWith(`${page.path}/`)));
+            }
+            const json = { '@count': String(deleted.length), page: deleted.map(p => this._pageJson(p)) };
+            deleted.forEach(p => {
+                this._store.pages.delete(p.id);
+                this._store.drafts.delete(p.id);
+                this._pageFiles(p, false).forEach(file => this._store.files.delete(file.id));
+            });
+            return { json };
+        }
+        if (action === 'info' && method === 'GET' && !isDraft) {
+            return { json: this._pageJson(this._getPage(id)) };
+        }
+        if (action === 'contents') {
+            return this._routeContents(request, id, isDraft);
+        }
+        if (action === 'subpages' && method === 'GET' && !isDraft) {
+            const subpages = this._subpages(this._getPage(id));
+            return {
+                json: {
+                    '@totalcount': String(subpages.length),
+                    '@count': String(subpages.length),
+                    '@href': `${base}/${id}/subpages`,
+                    'page.subpage': subpages.map(subpage => this._pageJson(subpage, { parent: false }))
+                }
+            };
+        }
+        if (action === 'tree' && method === 'GET' && !isDraft && request.query.format === 'ids') {
+            const page = this._getPage(id);
+            const ids = [];
+            for (let path = page.path; ; path = _parentPath(path)) {
+                const ancestor = this._findPage(`=${encodeURIComponent(path)}`);
+                if (ancestor !== null) {
+                    ids.unshift(ancestor.id);
+                }
+                if (path === '') {
+                    break;
+                }
+            }
+            return { text: ids.join(',') };
+        }
+        if (action === 'files') {
+            return this._routePageFiles(request, id, rest, isDraft);
+        }
+        if (action === 'properties') {
+            const { properties } = isDraft ? this._getDraft(id).draft : this._getPage(id);
+            return this._routeProperties(request, properties, `${base}/${id}/properties`, rest);
+        }
+        if (isDraft && method === 'POST' && (action === 'deactivate' || action === 'publish')) {
+            const { page, draft } = this._getDraft(id);
+            if (action === 'publish') {
+                page.title = draft.title;
+                page.contents = draft.contents;
+                page.properties = draft.properties;
+                page.published = true;
+                page.revision++;
+                page.dateModified = _now();
+                this._pageFiles(page, true).forEach(file => {
+                    this._pageFiles(page, false)
+                        .filter(published => published.name === file.name)
+                        .forEach(published => this._store.files.delete(published.id));
+                    file.draft = false;
+                });
+            } else {
+                this._pageFiles(page, true).forEach(file => this._store.files.delete(file.id));
+            }
+            this._store.drafts.delete(page.id);
+            return { json: this._pageJson(page) };
+        }
+        if (isDraft && action === 'unpublish' && method === 'POST') {
+            const page = this._getPage(id);
+            const draft = this._store.drafts.get(page.id) || this._createDraft(page);
+            page.published = false;
+            return { json: this._pageJson(page, { draft }) };
+        }
+        if (isDraft && action === 'title' && method === 'PUT') {
+            const { page, draft } = this._getDraft(id);
+            draft.title = request.body.toString();
+            draft.dateModified = _now();
+            return { json: this._pageJson(page, { draft }) };
+        }
+        return null;
+    }
+    _routeContents(request, id, isDraft) {
+        if (request.method === 'GET') {
+            const { page, draft } = isDraft ? this._getDraft(id) : { page: this._getPage(id), draft: null };
+            const source = draft || page;
+            return { json: { '@type': 'application/x.deki0805+xml', '@title': source.title, body: source.contents } };
+        }
+        if (request.method !== 'POST') {
+            return null;
+        }
+        const contents = request.body.toString();
+        if (isDraft) {
+            let page = this._findPage(id);
+            if (page === null) {
+                page = this.addPage({ path: _decodeSegment(id.slice(1)) });
+                page.published = false;
+            }
+            const draft = this._store.drafts.get(page.id) || this._createDraft(page);
+            draft.contents = contents;
+            draft.title = request.query.title || draft.title;
+            draft.revision++;
+            draft.dateModified = _now();
+            return { json: { '@status': 'success', draft: this._pageJson(page, { draft }) } };
+        }
+        let page = this._findPage(id);
+        if (page === null) {
+            if (id[0] !== '=') {
+                throw _notFound(`Page ${id} could not be found`);
+            }
+            const path = _decodeSegment(id.slice(1));
+            page = this.addPage({ path, title: request.query.title || _titleFromPath(path), contents });
+        } else {
+            if (request.query.abort === 'exists') {
+                throw new _HttpError(409, 'Conflict', `A page already exists at ${id}`);
+            }
+            page.contents = contents;
+            page.title = request.query.title || page.title;
+            page.revision++;
+            page.dateModified = _now();
+        }
+        return { json: { '@status': 'success', page: this._pageJson(page) } };
+    }
+    _routePageFiles(request, id, [name, action], isDraft) {
+        const page = isDraft ? this._getDraft(id).page : this._getPage(id);
+        const href = `${this._host}/@api/deki/${isDraft ? 'drafts' : 'pages'}/${id}/files`;
+        if (name === undefined) {
+            return request.method === 'GET' ? { json: this._filesJson(this._pageFiles(page, isDraft), href) } : null;
+        }
+        const filename = _decodeSegment(name[0] === '=' ? name.slice(1) : name);
+        if (action === undefined && request.method === 'PUT') {
+            const type = request.headers['content-type'] || 'application/octet-stream';
+            return { json: this._fileJson(this._storeFile(page, isDraft, filename, request.body, type)) };
+        }
+        const file = this._findFile(page, isDraft, filename);
+        if (!file) {
+            throw _notFound(`File ${filename} could not be found on page ${id}`);
+        }
+        return this._routeFile(request, file, action === undefined ? [] : [action]);
+    }
+    _routeFiles(request, [id, action]) {
+        if (id === undefined) {
+            return null;
+        }
+        const file = this._store.files.get(Number(id));
+        if (!file) {
+            throw _notFound(`File ${id} could not be found`);
+        }
+        if (action !== undefined && action[0] === '=' && request.method === 'PUT') {
+            file.name = _decodeSegment(action.slice(1));
+            file.contents = request.body;
+            file.type = request.headers['content-type'] || file.type;
+            file.revision++;
+            return { json: this._fileJson(file) };
+        }
+        if (action !== undefined && action[0] === '=' && request.method === 'GET') {
+            return this._routeFile(request, file, []);
+        }
+        return this._routeFile(request, file, action === undefined ? [] : [action]);
+    }
+    _routeFile(request, file, [action]) {
+        const { method } = request;
+        if (action === undefined && method === 'GET') {
+            return _rangeResult(request, file);
+        }
+        if (action === undefined && method === 'DELETE') {
+            this._store.files.delete(file.id);
+            return { text: '' };
+        }
+        if (action === 'info' && method === 'GET') {
+            return { json: this._fileJson(file) };
+        }
+        if (action === 'revisions' && method === 'GET') {
+            return { json: { '@count': '1', '@totalcount': String(file.revision), file: [this._fileJson(file)] } };
+        }
+        if (action === 'description') {
+            if (method === 'GET') {
+                return { json: file.description };
+            }
+            if (method === 'PUT' || method === 'DELETE') {
+                file.description = method === 'PUT' ? request.body.toString() : '';
+                return { json: this._fileJson(file) };
+            }
+        }
+        return null;
+    }
+    _routeProperties(request, properties, href, [name, action]) {
+        const { method } = request;
+        if (name === undefined) {
+            if (method !== 'GET') {
+                return null;
+            }
+            const names = request.query.names ? request.query.names.split(',') : null;
+            const keys = Array.from(properties.keys()).filter(key => names === null || names.includes(key));
+            return {
+                json: {
+                    '@count': String(keys.length),
+                    '@href': href,
+                    property: keys.map(key => this._propertyJson(key, properties.get(key), href))
+                }
+            };
+        }
+        const key = decodeURIComponent(name);
+        if (action === undefined && method === 'PUT') {
+            const existing = properties.get(key);
+            const property = {
+                text: request.body.toString(),
+                type: request.headers['content-type'] || 'text/plain',
+                revision: existing ? existing.revision + 1 : 1,
+                dateModified: _now()
+            };
+            properties.set(key, property);
+            return { json: this._propertyJson(key, property, href) };
+        }
+        const property = properties.get(key);
+        if (!property) {
+            throw _notFound(`Property ${key} could not be found`);
+        }
+        if (action === undefined && method === 'GET') {
+            return { body: Buffer.from(property.text), type: property.type };
+        }
+        if (action === undefined && method === 'DELETE') {
+            properties.delete(key);
+            return { text: '' };
+        }
+        if (action === 'info' && method === 'GET') {
+            return { json: this._propertyJson(key, property, href) };
+        }
+        return null;
+    }
+    _routeUsers(request, [id, action]) {
+        const { method, query } = request;
+        const users = Array.from(this._store.users.values());
+        if (id === undefined && method === 'GET') {
+            return { json: this._userListJson(users) };
+        }
+        if (id === 'search' && method === 'GET') {
+            const matches = users.filter(
+                user =>
+                    (!query.username || user.username.startsWith(query.username)) &&
+                    (!query.fullname || user.fullname.startsWith(query.fullname)) &&
+                    (!query.email || user.email.includes(query.email))
+            );
+            return { json: this._userListJson(matches) };
+        }
+        if (id === 'authenticate' && (method === 'GET' || method === 'POST')) {
+            const [scheme, encoded] = (request.headers.authorization || '').split(' ');
+            const [username, password] = Buffer.from(encoded || '', 'base64')
+                .toString()
+                .split(':');
+            const user = users.find(u => u.username === username);
+            if (scheme !== 'Basic' || !user || (user.password !== null && user.password !== password)) {
+                throw new _HttpError(401, 'Unauthorized', 'The username or password is incorrect');
+            }
+            const authToken = this._issueAuthToken(user);
+            return { text: authToken, headers: { 'Set-Cookie': `authtoken="${authToken}"; Path=/` } };
+        }
+        if (id === 'logout' && method === 'POST') {
+            this._authTokens.delete(this._authToken(request));
+            return { text: '', headers: { 'Set-Cookie': 'authtoken=""; Path=/; Max-Age=0' } };
+        }
+        if (id === undefined) {
+            return null;
+        }
+        const user = this._getUser(id);
+        if (action === undefined && method === 'GET') {
+            return { json: this._userJson(user) };
+        }
+        if (action === undefined && method === 'PUT') {
+            const xml = request.body.toString();
+            const status = _xmlValue(xml, 'status');
+            const seat = _xmlValue(xml, 'license.seat');
+            ['username', 'fullname', 'email'].forEach(field => {
+                const value = _xmlValue(xml, field);
+                if (value !== null) {
+                    user[field] = value;
+                }
+            });
+            if (status !== null) {
+                user.active = status === 'active';
+            }
+            if (seat !== null) {
+                user.seated = seat === 'true';
+            }
+            return { json: this._userJson(user) };
+        }
+        if (action === 'password' && method === 'PUT') {
+            user.password = request.body.toString();
+            return { text: this._issueAuthToken(user) };
+        }
+        return null;
+    }
+    _routeGroups(request, [id, action, userId]) {
+        const { method } = request;
+        if (id === undefined && method === 'GET') {
+            const filter = request.query.groupnamefilter;
+            const groups = Array.from(this._store.groups.values()).filter(
+                group => !filter || group.name.includes(filter)
+            );
+            return {
+                json: {
+                    '@count': String(groups.length),
+                    '@querycount': String(groups.length),
+                    '@totalcount': String(this._store.groups.size),
+                    '@href': `${this._host}/@api/deki/groups`,
+                    group: groups.map(group => this._groupJson(group))
+                }
+            };
+        }
+        if (id === undefined) {
+            return null;
+        }
+        const group = this._getGroup(id);
+        if (action === undefined && method === 'GET') {
+            return { json: this._groupJson(group) };
+        }
+        if (action === undefined && method === 'DELETE') {
+            this._store.groups.delete(group.id);
+            this._store.users.forEach(user => {
+                user.groupIds = user.groupIds.filter(groupId => groupId !== group.id);
+            });
+            return { text: '' };
+        }
+        if (action === 'users' && userId === undefined && method === 'GET') {
+            return { json: this._userListJson(this._groupUsers(group)) };
+        }
+        if (action === 'users' && userId !== undefined && method === 'DELETE') {
+            const user = this._getUser(userId);
+            user.groupIds = user.groupIds.filter(groupId => groupId !== group.id);
+            return { json: this._groupJson(group) };
+        }
+        return null;
+    }
+    _routeSite(request, [area, id, action]) {
+        const { method } = request;
+        if ((area === 'query' || area === 'search') && id === undefined && method === 'GET') {
+            const terms = (request.query.q || '')
+                .toLowerCase()
+                .split(/\s+/)
+                .filter(term => term !== '');
+            const matches = Array.from(this._store.pages.values()).filter(page => {
+                const text = `${page.title} ${page.contents}`.toLowerCase();
+                return page.published && terms.every(term => text.includes(term));
+            });
+            const limit = Number(request.query.limit) || matches.length;
+            const offset = Number(request.query.offset) || 0;
+            const results = matches.slice(offset, offset + limit).map((page, index) => ({
+                id: String(page.id),
+                title: page.title,
+                uri: `${this._host}/${page.path}`,
+                type: 'wiki',
+                mime: 'application/x.wiki',
+                rank: String(matches.length - offset - index),
+                content: page.contents,
+                'date.modified': page.dateModified,
+                author: (this._store.users.get(page.authorId) || this.currentUser).username,
+                page: this._pageJson(page, { parent: false })
+            }));
+            return {
+                json: {
+                    '@ranking': 'adaptive',
+                    '@queryid': String(this._requests.length),
+                    '@querycount': String(matches.length),
+                    '@count': String(results.length),
+                    result: results
+                }
+            };
+        }
+        if (area !== 'jobs') {
+            return null;
+        }
+        if ((id === 'export' || id === 'import') && method === 'POST') {
+            const job = {
+                id: crypto.randomUUID(),
+                type: id,
+                status: 'pending',
+                userId: this.currentUser.id,
+                submitted: _now(),
+                lastModified: _now(),
+                completedItems: 0,
+                totalItems: (request.body.toString().match(/<page[ >]/g) || []).length,
+                body: request.body.toString()
+            };
+            this._store.jobs.set(job.id, job);
+            return { json: this._jobJson(job) };
+        }
+        if (id === 'status' && method === 'GET') {
+            return { json: { job: Array.from(this._store.jobs.values()).map(job => this._jobJson(job)) } };
+        }
+        const job = id === undefined ? undefined : this._store.jobs.get(id);
+        if (!job) {
+            throw _notFound(`Job ${id} could not be found`);
+        }
+        if (action === 'status' && method === 'GET') {
+            return { json: this._jobJson(job) };
+        }
+        if (action === 'cancel' && method === 'POST') {
+            job.status = 'cancelled';
+            job.lastModified = _now();
+            return { json: this._jobJson(job) };
+        }
+        return null;
+    }
+}
+
+exports.FakeApi = FakeApi;
@@ -0,0 +1,5757 @@
+// This file is generated by scripts/generateTypings.js from martian.js. Do not edit it.
+export interface contextIdsModel {
+    contextIds: any[];
+}
+export interface contextIdModel {
+    description?: any;
+    id?: any;
+}
+export interface pageRatingModel {
+    date?: Date;
+    count?: number;
+    seatedCount?: number;
+    unseatedCount?: number;
+    anonymousCount?: number;
+    score?: number;
+    seatedScore?: number;
+    unseatedScore?: number;
+    anonymousScore?: number;
+    scoreTrend?: number;
+    seatedScoreTrend?: number;
+    unseatedScoreTrend?: number;
+    userRatedBy?: {
+        id?: number;
+        score?: number;
+        date?: Date;
+        href?: string;
+        seated?: boolean;
+    };
+}
+export interface permissionsModel {
+    operations?: any;
+    role?: any;
+    restriction?: {
+        id?: number;
+        name?: string;
+    };
+}
+export interface groupModel {
+    id?: number;
+    href?: string;
+    groupName?: any;
+    groupPermissions?: permissionsModel;
+    users?: {
+        count?: string;
+        href?: string;
+    };
+}
+export interface userModel {
+    id?: number;
+    anonymous?: boolean;
+    wikiId?: string;
+    href?: string;
+    dateCreated?: Date;
+    lastLoginDate?: Date;
+    email?: any;
+    fullname?: any;
+    language?: any;
+    timeZone?: any;
+    seated?: boolean;
+    siteOwner?: boolean;
+    nick?: any;
+    passwordExists?: boolean;
+    status?: any;
+    username?: any;
+    userPermissions?: permissionsModel;
+    groups: groupModel[];
+}
+export interface pageModel {
+    id?: number;
+    title?: any;
+    guid?: string;
+    uri?: any;
+    href?: string;
+    state?: string;
+    draftState?: string;
+    article?: any;
+    language?: any;
+    namespace?: any;
+    languageEffective?: any;
+    timeuuid?: any;
+    path?: string;
+    pathType?: string;
+    pathSeo?: boolean;
+    restriction?: any;
+    revision?: number;
+    originalPath?: any;
+    deleted?: boolean;
+    publish?: boolean;
+    unpublish?: boolean;
+    deactivate?: boolean;
+    virtual?: boolean;
+    hasSubpages?: boolean;
+    files?: number;
+    terminal?: boolean;
+    overview?: any;
+    userAuthor?: userModel;
+    dateCreated?: Date;
+    dateModified?: Date;
+    dateEdited?: Date;
+    revisionCount?: number;
+    commentCount?: number;
+    permissions?: permissionsModel;
+    effectivePermissions?: permissionsModel;
+    rating?: any;
+    metrics?: {
+        charCount?: number;
+        views?: number;
+    };
+    tags: {
+        href?: string;
+        id?: number;
+        value?: string;
+        title?: any;
+        type?: any;
+        uri?: any;
+    }[];
+    pageParent?: pageModel;
+    draft?: pageModel;
+}
+export interface contextMapModel {
+    default?: boolean;
+    exists?: boolean;
+    description?: any;
+    id?: any;
+    language?: any;
+    page?: pageModel;
+    pageid?: number;
+}
+export interface contextMapsModel {
+    contextMaps: contextMapModel[];
+    languages: any[];
+}
+export interface apiErrorModel {
+    status?: any;
+    message?: any;
+    info?: {
+        arguments: any[];
+        exception?: any;
+        message?: any;
+        resource?: any;
+        data?: any;
+    };
+    errorText?: any;
+    retryAfter?: any;
+}
+export interface developerTokenModel {
+    id?: number;
+    type?: string;
+    date?: Date;
+    host?: any;
+    key?: any;
+    name?: any;
+    secret?: any;
+}
+export interface developerTokensModel {
+    count?: number;
+    developerTokens: developerTokenModel[];
+}
+export interface pageContentsModel {
+    type?: string;
+    title?: string;
+    unsafe?: boolean;
+    draft?: boolean;
+    head?: any;
+    tail?: any;
+    body?: any;
+    targets?: any;
+}
+export interface pageTagsModel {
+    count?: number;
+    href?: string;
+    tags: {
+        id?: number;
+        value?: string;
+        href?: string;
+        title?: any;
+        type?: any;
+        uri?: any;
+    }[];
+}
+export interface fileModel {
+    id?: number;
+    revision?: number;
+    resId?: number;
+    href?: string;
+    resIsHead?: boolean;
+    resIsDeleted?: boolean;
+    resRevIsHead?: boolean;
+    resContentsId?: number;
+    dateCreated?: Date;
+    description?: any;
+    filename?: any;
+    location?: any;
+    contents?: {
+        type?: string;
+        size?: number;
+        href?: string;
+        height?: number;
+        width?: number;
+    };
+    revisions?: {
+        count?: number;
+        totalCount?: number;
+    };
+    userCreatedBy?: userModel;
+    pageParent?: pageModel;
+}
+export interface pageFilesModel {
+    count?: number;
+    offset?: number;
+    totalCount?: number;
+    href?: string;
+    files: fileModel[];
+}
+export interface pageEditModel {
+    status?: string;
+    page?: pageModel;
+    draft?: pageModel;
+    pageBase?: pageModel;
+    pageOverwritten?: pageModel;
+}
+export interface relatedPagesModel {
+    count?: number;
+    href?: string;
+    pages: pageModel[];
+}
+export interface pageOverviewModel {
+    text?: string;
+    needsMigration?: boolean;
+}
+export interface pageDiffModel {
+    type?: string;
+    combinedText?: string;
+    combined?: any;
+    before?: any;
+    after?: any;
+}
+export interface recommendedTagsModelParser {
+    tags: {
+        tag?: string;
+    }[];
+}
+export interface propertyContentsModel {
+    text?: string;
+    href?: string;
+    type?: string;
+    size?: string;
+}
+export interface pagePropertyModel {
+    revision?: string;
+    name?: string;
+    href?: string;
+    dateModified?: Date;
+    contents?: propertyContentsModel;
+}
+export interface pagePropertiesModel {
+    count?: number;
+    href?: string;
+    properties: pagePropertyModel[];
+}
+export interface learningPathTransform {
+    id?: number;
+    '@timestamp'?: Date;
+    name?: any;
+    title?: any;
+}
+export interface eventModel {
+    cascading?: boolean;
+    datetime?: Date;
+    id?: string;
+    journaled?: boolean;
+    language?: string;
+    changeComment?: any;
+    previousRestrictionId?: number;
+    restrictionId?: number;
+    rootPage?: pageModel;
+    type?: string;
+    version?: number;
+    to?: any;
+    from?: any;
+    afternodePage?: pageModel;
+    currentDisplayName?: any;
+    previousDisplayName?: any;
+    createReason?: any;
+    sourcePage?: pageModel;
+    page?: pageModel;
+    user?: userModel;
+    file?: fileModel;
+    sourceFile?: fileModel;
+    moveSource?: boolean;
+    data?: {
+        constraint?: any;
+        path?: any;
+        query?: any;
+        limit?: number;
+        qid?: number;
+        totalRecommended?: number;
+        totalResults?: number;
+        host?: any;
+        uriQuery?: any;
+        scheme?: any;
+    };
+    diff?: {
+        tooLarge?: boolean;
+        added?: number;
+        attributes?: number;
+        removed?: number;
+        structural?: number;
+        categorychanged?: boolean;
+        pagesadded?: number;
+        pagesremoved?: number;
+        pagesreordered?: boolean;
+        summarychanged?: boolean;
+        titlechanged?: boolean;
+    };
+    grant?: {
+        group?: groupModel;
+        id?: number;
+        role?: {
+            id?: number;
+        };
+        type?: any;
+        user?: userModel;
+    };
+    property?: {
+        name?: any;
+    };
+    request?: {
+        count?: number;
+        id?: string;
+        seq?: number;
+        ip?: any;
+        sessionId?: any;
+        signature?: any;
+        user?: userModel;
+    };
+    tagsAdded: {
+        name?: any;
+    }[];
+    tagsRemoved: {
+        name?: any;
+    }[];
+    learningPath?: learningPathTransform;
+    learningPathRoot?: learningPathTransform;
+}
+export interface userActivityModel {
+    count?: number;
+    upTo?: string;
+    since?: string;
+    events: eventModel[];
+}
+export interface pageHistoryModel {
+    count?: number;
+    upTo?: string;
+    since?: string;
+    summary: {
+        id?: string;
+        datetime?: Date;
+        count?: number;
+        detailId?: string;
+        journaled?: boolean;
+        diffable?: boolean;
+        detailUri?: string;
+        hierarchyUri?: string;
+        event?: eventModel;
+        page?: {
+            id?: number;
+            path?: any;
+        };
+        users: userModel[];
+    }[];
+}
+export interface pageHistoryDetailModel {
+    count?: number;
+    events: eventModel[];
+}
+export interface reportLogsModel {
+    logs: {
+        complete?: boolean;
+        modified?: Date;
+        month?: any;
+        name?: any;
+    }[];
+}
+export interface logUrlModel {
+    url?: any;
+}
+export interface externalReportModel {
+    id?: number;
+    name?: any;
+    url?: any;
+}
+export interface externalReportListModel {
+    'external-reports': externalReportModel[];
+}
+export interface externalReportExternalUriModel {
+    id?: number;
+    uri?: string;
+}
+export interface fileRevisionsModel {
+    count?: number;
+    totalCount?: number;
+    href?: string;
+    file: fileModel[];
+}
+export interface groupListModel {
+    count?: number;
+    queryCount?: number;
+    totalCount?: number;
+    href?: string;
+    groups: groupModel[];
+}
+export interface userListModel {
+    count?: number;
+    queryCount?: number;
+    totalCount?: number;
+    href?: string;
+    users: userModel[];
+}
+export interface learningPathModel {
+    name?: string;
+    editable?: boolean;
+    revision?: number;
+    editTime?: any;
+    title?: any;
+    summary?: any;
+    category?: any;
+    uri?: any;
+    pages: pageModel[];
+}
+export interface learningPathsModel {
+    learningPaths: learningPathModel[];
+}
+export interface learningPathCategoriesModel {
+    categories: any[];
+}
+export interface helpRequestData {
+    name?: string;
+    count?: number;
+}
+export interface licenseUsageModel {
+    count?: number;
+    startDate?: Date;
+    expirationDate?: Date;
+    annuallyLicensedHelpRequests?: string;
+    totals: {
+        date?: Date;
+        customRequests: helpRequestData[];
+        mtRequests: helpRequestData[];
+    }[];
+}
+export interface subpagesModel {
+    totalCount?: number;
+    count?: number;
+    href?: string;
+    subpages: pageModel[];
+}
+export interface pageTreeModel {
+    id?: number;
+    guid?: string;
+    draftState?: string;
+    href?: string;
+    deleted?: boolean;
+    dateCreated?: Date;
+    namespace?: any;
+    path?: string;
+    title?: any;
+    uri?: any;
+    subpages: any[];
+    properties: any[];
+}
+export interface pageMoveModel {
+    count?: number;
+    pages: pageModel[];
+}
+export interface pageRatingsModel {
+    count?: number;
+    href?: string;
+    pages: pageModel[];
+}
+export interface pageDeleteModel {
+    count?: number;
+    pages: pageModel[];
+}
+export interface importArchiveModel {
+    statusUri?: any;
+}
+export interface pageExportModel {
+    downloadUri?: any;
+}
+export interface pageFindModel {
+    count?: number;
+    totalCount?: number;
+    pages: pageModel[];
+}
+export interface pageLinkDetailsModel {
+    count?: number;
+    queryCount?: number;
+    pages: {
+        links: {
+            sequence?: number;
+            isRedirect?: boolean;
+            isBroken?: boolean;
+            class?: any;
+            href?: any;
+            rel?: any;
+            text?: any;
+            type?: any;
+            destinationPage?: pageModel;
+            destinationFile?: fileModel;
+        }[];
+        page?: pageModel;
+    }[];
+}
+export interface healthReportModel {
+    count?: number;
+    queryCount?: number;
+    inspections: {
+        severity?: string;
+        type?: string;
+        message?: any;
+        page?: {
+            uri?: string;
+            id?: number;
+            article?: any;
+        };
+    }[];
+}
+export interface templateListModel {
+    count?: number;
+    templates: {
+        description?: any;
+        id?: number;
+        path?: any;
+        title?: any;
+        articleType?: any;
+    }[];
+}
+export interface popularPagesModel {
+    count?: number;
+    href?: string;
+    pages: pageModel[];
+}
+export interface pageHierarchyInfoModel {
+    pageCount?: number;
+    attachmentCount?: number;
+}
+export interface linkToCaseLinkList {
+    count?: number;
+    linkData: {
+        caseId?: any;
+        pageTitle?: any;
+        pageUri?: any;
+        linkCreatorUserId?: number;
+        linkDate?: Date;
+        pageId?: number;
+    }[];
+    total?: number;
+}
+export interface filesAndSubpagesModel {
+    id?: number;
+    guid?: string;
+    draftState?: string;
+    href?: string;
+    deleted?: boolean;
+    dateCreated?: Date;
+    language?: any;
+    path?: string;
+    title?: any;
+    uri?: any;
+    filesInfo?: pageFilesModel;
+    subpagesInfo?: subpagesModel;
+}
+export interface pageSecurityModel {
+    href?: string;
+    grants: {
+        dateModified?: Date;
+        permissions?: permissionsModel;
+        user?: userModel;
+        userModifiedBy?: userModel;
+        group?: groupModel;
+    }[];
+    effectivePermissions?: permissionsModel;
+    pagePermissions?: permissionsModel;
+    revokedPermissions?: permissionsModel;
+}
+export interface pageSubscriptionsModel {
+    subscriptions: {
+        id?: number;
+        depth?: string;
+        draft?: boolean;
+    }[];
+}
+export interface searchModel {
+    ranking?: string;
+    queryId?: number;
+    sessionId?: string;
+    queryCount?: number;
+    recommendationCount?: number;
+    count?: number;
+    parsedQuery?: any;
+    results: {
+        author?: any;
+        content?: any;
+        dateModified?: Date;
+        id?: number;
+        mime?: any;
+        rank?: number;
+        title?: any;
+        type?: any;
+        uri?: any;
+        uriTrack?: any;
+        page?: pageModel;
+        preview?: any;
+        tags?: any;
+    }[];
+    summary?: {
+        path?: string;
+        results: {
+            path?: string;
+            count?: number;
+            title?: string;
+        }[];
+    };
+    pages: pageModel[];
+}
+export interface siteTagsModelGet {
+    count?: number;
+    tags: {
+        value?: string;
+        id?: number;
+        href?: string;
+        title?: any;
+        type?: any;
+        uri?: any;
+    }[];
+}
+export interface siteTagsModelPost {
+    skippedPageIds?: any;
+    skippedArticleChangePageIds?: any;
+    skippedKcsChangePageIds?: any;
+}
+export interface siteActivityModel {
+    type?: string;
+    entries: {
+        date?: Date;
+        pagesCreated?: number;
+        pagesDeleted?: number;
+        pagesEdited?: number;
+        pagesTotal?: number;
+        usersCreated?: number;
+        usersTotal?: number;
+    }[];
+}
+export interface searchAnalyticsModel {
+    popular?: {
+        search: {
+            averageClicksPerSearch?: number;
+            averagePosition?: number;
+            hits?: number;
+            mostRecent?: Date;
+            query?: any;
+            results?: number;
+            topresult?: {
+                page?: pageModel;
+                file?: fileModel;
+            };
+            total?: number;
+        }[];
+    };
+    volume?: {
+        clickTotal?: number;
+        clickthroughRate?: any;
+        searchTotal?: number;
+        searchesClickedTotal?: number;
+        point: {
+            clicks?: number;
+            date?: Date;
+            total?: number;
+        }[];
+    };
+}
+export interface searchAnalyticsQueryModel {
+    clicks?: {
+        click: {
+            averagePosition?: number;
+            hits?: number;
+            mostRecent?: Date;
+            type?: any;
+            page?: pageModel;
+            file?: fileModel;
+        }[];
+    };
+    volume?: {
+        clickTotal?: number;
+        clickthroughRate?: any;
+        searchTotal?: number;
+        searchesClickedTotal?: number;
+        point: {
+            clicks?: number;
+            searchesClicked?: number;
+            date?: Date;
+            total?: number;
+        }[];
+    };
+}
+export interface siteRolesModel {
+    permissions: permissionsModel[];
+}
+export interface localizationsModel {
+    lang?: string;
+    localizations: {
+        resource?: string;
+        missing?: boolean;
+        text?: string;
+    }[];
+}
+export interface siteJobModel {
+    id?: string;
+    type?: string;
+    status?: string;
+    lastModified?: Date;
+    submitted?: Date;
+    started?: Date;
+    user?: userModel;
+    completedItems?: number;
+    totalItems?: number;
+}
+export interface siteJobsModel {
+    jobs: siteJobModel[];
+}
+export interface webWidgetsModel {
+    active?: boolean;
+    date?: Date;
+    id?: number;
+    type?: string;
+    dateDeleted?: Date;
+    parent?: {
+        id?: number;
+    };
+    host?: any;
+    name?: any;
+    token?: any;
+    arguments?: any;
+    code?: {
+        text?: string;
+        format?: string;
+        id?: string;
+    };
+    subWidgetInfo?: {
+        count?: number;
+        widgets: webWidgetsModel[];
+    };
+}
+export interface webWidgetsListModel {
+    count?: number;
+    webWidgets: webWidgetsModel[];
+}
+export interface workflowsModel {
+    href?: string;
+    uriNext?: any;
+}
+/// <reference types="node" />
+export var __esModule: boolean;
+/**
+ * Options that direct the HTTP request that a manager method sends.
+ */
+export type RequestOptions = {
+    /**
+     * A signal that, when aborted, cancels the HTTP request.
+     */
+    signal?: AbortSignal;
+    /**
+     * A retry policy that replaces the one of the {@link Settings }. See {@see Plug} for the available policy options.
+     */
+    retry?: any;
+    /**
+     * A cache that replaces the one of the {@link Settings }, or `false` to bypass the cache.
+     */
+    cache?: HttpCache | boolean;
+    /**
+     * Middleware for the HTTP request, which runs ahead of the middleware of the {@link Settings }. See {@see Plug} for the middleware format.
+     */
+    middleware?: any[];
+    /**
+     * Resolve with a {@link RawResult }, which adds the response and its unparsed body to the data that the method resolves with otherwise.
+     */
+    raw?: boolean;
+};
+/**
+ * The result of a manager method that is called with the `raw` request option.
+ */
+export type RawResult<T> = {
+    /**
+     * The data that the method resolves with without the `raw` option.
+     */
+    data: T;
+    /**
+     * The response of the last API request that the method sent.
+     */
+    response: Response;
+    /**
+     * The unparsed body of the response. It is null for a streamed or binary response, such as a file download, so that its body is not read twice.
+     */
+    rawBody: string | null;
+};
+/**
+ * Manage settings for how martian performs API requests.
+ */
+export class Settings {
+    static set cookieManager(arg: any);
+    static get cookieManager(): any;
+    static set modelParsing(arg: {
+        mode?: string;
+        onReport?: Function | null;
+    });
+    /**
+     * Get or set how API responses are checked against their models when they are parsed, for the Settings objects that do not set the `modelParsing` option. The `mode` is one of:
+     * - `lenient` (default): fields that are not in the model are dropped, and a failed conversion rejects the request.
+     * - `report`: the response is parsed as well as it can be, and the fields that are not in the model, the failed conversions and the missing fields that the model marks as `required` are passed to the `onReport` function, which this mode requires.
+     * - `strict`: a response with any of those problems is rejected with a {@link ModelParseError} that carries the report.
+     * Use the `report` or `strict` mode to detect API changes, such as when running tests against recorded responses.
+     * @returns {{ mode?: String, onReport?: ?function }} The model parsing options. When they are set, an option that is left out is reset to its default.
+     */
+    static get modelParsing(): {
+        mode?: string;
+        onReport?: Function | null;
+    };
+    /**
+     * Create a Settings object from environment variables. This is only available in node.
+     * @param {Object} [env] The environment variables to read (default: `process.env`). `MARTIAN_HOST`, `MARTIAN_ORIGIN` and `MARTIAN_TOKEN` are read, or, in place of the token, `MARTIAN_KEY`, `MARTIAN_SECRET` and `MARTIAN_USER`, which sign server API tokens with a {@see DeveloperTokenSigner}.
+     * @returns {Settings} The new Settings object. Options that are not set in the environment use the defaults.
+     */
+    static fromEnv(env?: any): Settings;
+    /**
+     * Create a Settings object from a named profile in a martian config file. This is only available in node.
+     * @param {String} [name=default] The name of the profile.
+     * @param {Object} [options] Options to direct how the profile is read.
+     * @param {String} [options.file] The path of the config file. If not supplied, the file in the `MARTIAN_CONFIG` environment variable is read, or else the first `.martianrc` file that is found in the working directory and the home directory.
+     * @returns {Promise.<Settings>} A Promise that, when resolved, yields the Settings object. The config file is JSON that maps profile names to objects with any of the `host`, `token`, `key`, `secret`, `user`, `origin` and `headers` of a site. A `key` and `secret` sign server API tokens with a {@see DeveloperTokenSigner}, in place of the `token`.
+     */
+    static fromProfile(name?: string, { file }?: {
+        file?: string;
+    }): Promise<Settings>;
+    static get default(): {
+        token: any;
+        host: any;
+        origin: any;
+        headers: {
+            'X-Deki-Client': string;
+        };
+        queryParams: {
+            'dream.out.format': string;
+        };
+        timeout: any;
+        retry: any;
+        middleware: any[];
+        fetchImpl: any;
+        cache: any;
+        limiter: any;
+        tokenTtl: any;
+        onUnauthorized: any;
+        signer: any;
+        timeZone: any;
+        reset(): void;
+    };
+    /**
+     * Create a new martian Settings object.
+     * @param {Object} [options] The options for the martian settings object.
+     * @param {String} [options.host] The URL of the mindtouch site that is hosting the API to access.
+     * @param {Object} [options.queryParams] An object mapping query parameter keys with values. Keys and values will both be converted to strings.
+     * @param {Object} [options.headers] An object mapping HTTP header keys with values. Keys must be strings, and values will be converted to strings.
+     * @param {String|Function} [options.token] A token to allow API access. This will populate the "X-Deki-Token" header. If a function is supplied, such as {@see DeveloperTokenSigner#tokenProvider}, it should return the desired token as a string, or a Promise that yields it. The function is called for each API request, unless a `tokenTtl` is set.
+     * @param {String} [options.origin] The origin of the API calls.
+     * @param {Number} [options.timeout] The time, in milliseconds, to wait for an API response before the request is aborted with a `TimeoutError`.
+     * @param {Object} [options.retry] The policy for retrying failed API requests. See {@see Plug} for the available policy options.
+     * @param {Array} [options.middleware] An ordered list of middleware that intercepts every API request. See {@see Plug} for the middleware format. These run after the middleware that sets the "X-Deki-Token" header, and see failed requests before they are converted to a {@link MartianError}.
+     * @param {function} [options.fetchImpl] A whatwg/fetch implementation to send API requests with, such as {@see HarReplay#fetchImpl}. If not supplied, the global `fetch` is used.
+     * @param {HttpCache} [options.cache] A cache that stores API GET responses and revalidates them with conditional requests. Responses are not cached if this is not set.
+     * @param {Number} [options.tokenTtl] The time, in milliseconds, to reuse the token that a `token` function yields. The token is also renewed when an API request is rejected with HTTP 401. If not supplied, the function is called for each API request.
+     * @param {function} [options.onUnauthorized] A function that is called with the error when an API request is rejected with HTTP 401, to refresh the credentials. It may return a Promise. Once it is done, the request is sent again, once, with a new token from the `token` function.
+     * @param {RequestLimiter} [options.limiter] A limiter that caps the number of concurrent API requests, and the rate at which they are sent, to each host. Share one limiter between Settings objects to limit all of their requests together.
+     * @param {String} [options.authToken] The auth token of a signed in user, such as {@see UserManager#authenticate} yields. This will populate the "X-Authtoken" header, alongside the `token`.
+     * @param {Object} [options.cookieManager] The cookie manager that stores the cookies of API responses, and sends them with API requests. If not supplied, the `Settings.cookieManager` is used.
+     * @param {DeveloperTokenSigner} [options.signer] A signer that signs server API tokens, in place of the `token`. It allows {@see Settings#withUser} to derive settings that send API requests as another user.
+     * @param {Object} [options.modelParsing] How the API responses of these settings are checked against their models. See {@see Settings.modelParsing} for the options. If not supplied, the `Settings.modelParsing` is used.
+     * @param {String} [options.timeZone] The IANA time zone of the site, such as "America/Los_Angeles", that {@see Settings#formatDate} displays dates in. If not supplied, dates are displayed in UTC. Dates that are sent to and parsed from the API are always UTC.
+     */
+    constructor({ host, queryParams, headers, token, origin, timeout, retry, middleware, fetchImpl, cache, limiter, tokenTtl, onUnauthorized, authToken, cookieManager, signer, modelParsing, timeZone }?: {
+        host?: string;
+        queryParams?: any;
+        headers?: any;
+        token?: string | Function;
+        origin?: string;
+        timeout?: number;
+        retry?: any;
+        middleware?: any[];
+        fetchImpl?: Function;
+        cache?: HttpCache;
+        tokenTtl?: number;
+        onUnauthorized?: Function;
+        limiter?: RequestLimiter;
+        authToken?: string;
+        cookieManager?: any;
+        signer?: DeveloperTokenSigner;
+        modelParsing?: any;
+        timeZone?: string;
+    });
+    _host: string;
+    _signer: DeveloperTokenSigner;
+    _token: string | Function;
+    _origin: string;
+    _timeout: number;
+    _retry: any;
+    _middleware: any[];
+    _fetchImpl: Function;
+    _cache: HttpCache;
+    _limiter: RequestLimiter;
+    _tokenTtl: number;
+    _onUnauthorized: Function;
+    _timeZone: string;
+    _cachedToken: {
+        token: Promise<any>;
+        expires: number;
+    };
+    _authToken: string;
+    _cookieManager: any;
+    _modelParsing: {
+        mode: string;
+        onReport: any;
+    };
+    _plug: Plug;
+    _progressPlug: ProgressPlug;
+    _queryParams: {};
+    _headers: {};
+    /**
+     * Get the currently configured host.
+     */
+    get host(): string;
+    /**
+     * Get the currently configured token.
+     */
+    get token(): string | Function;
+    /**
+     * Get the auth token of the signed in user, or null if no user is signed in.
+     */
+    get authToken(): string;
+    /**
+     * Get the cookie manager that API requests are sent with.
+     */
+    get cookieManager(): any;
+    /**
+     * Get how the API responses are checked against their models.
+     */
+    get modelParsing(): {
+        mode: string;
+        onReport: any;
+    };
+    /**
+     * Get the currently configured origin.
+     */
+    get origin(): string;
+    /**
+     * Get the currently configured request timeout.
+     */
+    get timeout(): number;
+    /**
+     * Get the currently configured request retry policy.
+     */
+    get retry(): any;
+    /**
+     * Get the currently configured request middleware.
+     */
+    get middleware(): any[];
+    /**
+     * Get the currently configured response cache.
+     */
+    get cache(): HttpCache;
+    /**
+     * Get the currently configured request limiter.
+     */
+    get limiter(): RequestLimiter;
+    /**
+     * Get the currently configured time to reuse the token from a token function.
+     */
+    get tokenTtl(): number;
+    /**
+     * Get the currently configured function that is called when an API request is rejected with HTTP 401.
+     */
+    get onUnauthorized(): Function;
+    /**
+     * Get the currently configured developer token signer.
+     */
+    get signer(): DeveloperTokenSigner;
+    /**
+     * Get the currently configured site time zone.
+     */
+    get timeZone(): string;
+    /**
+     * Get the {@link Plug} for the host, which sends API requests with these settings. It is created once, and shared by every manager and entity that is constructed with these settings.
+     */
+    get plug(): Plug;
+    /**
+     * Get the {@link ProgressPlug} for the host, which sends API uploads that report their progress with these settings. It is created once, and shared like the {@link Settings#plug}.
+     */
+    get progressPlug(): ProgressPlug;
+    /**
+     * Get an object that represents the martian settings as they are used by the Plug object.
+     */
+    get plugConfig(): {
+        uriParts: {
+            query: {};
+        };
+        headers: {};
+        timeout: number;
+        retry: any;
+        middleware: any[];
+        cache: HttpCache;
+        limiter: RequestLimiter;
+        cookieManager: any;
+    };
+    /**
+     * Derive settings that send API requests as another user, with tokens that the configured signer signs for that user. The derived settings share the transport, cache, limiter and middleware of these settings.
+     * @param {String|Number} username The username or numeric ID of the user to send the API requests as.
+     * @returns {Settings} The derived Settings object.
+     */
+    withUser(username: string | number): Settings;
+    /**
+     * Format a date for display in the site time zone.
+     * @param {Date|String|Number} date The date to format, as a Date, an ISO 8601 string or an epoch number.
+     * @param {Object} [options] Options to direct the formatting.
+     * @param {String} [options.locale='en-US'] The locale to format the date for.
+     * @param {Object} [options.format] The `Intl.DateTimeFormat` options that select the parts of the date to display. If not supplied, the date and the time are displayed.
+     * @returns {String} The formatted date.
+     */
+    formatDate(date: Date | string | number, { locale, format }?: {
+        locale?: string;
+        format?: any;
+    }): string;
+    /**
+     * Get a representation of the settings for serialization, with the token and credential headers redacted.
+     * @returns {Object} The serializable settings.
+     */
+    toJSON(): any;
+    _derive(options: any): Settings;
+    _addToken(params: any): any;
+    _getToken(): Promise<any>;
+    [_inspectSymbol](): any;
+}
+/**
+ * A client for a MindTouch site that exposes every API manager from one {@link Settings} object. The managers are created when they are first used, and they all share the transport, cache, limiter and middleware of the settings.
+ */
+export class Martian {
+    /**
+     * Construct a Martian client.
+     * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(settings?: Settings);
+    _settings: Settings;
+    _managers: {};
+    /**
+     * Get the settings that the client sends API requests with.
+     */
+    get settings(): Settings;
+    /**
+     * Get the {@link Api} object to validate HTTP requests with.
+     * @returns {Api} The shared Api object.
+     */
+    get api(): Api;
+    /**
+     * Get the {@link ContextIdManager} to manage the context IDs of the site.
+     * @returns {ContextIdManager} The shared ContextIdManager.
+     */
+    get contextIds(): ContextIdManager;
+    /**
+     * Get the {@link DeveloperTokenManager} to manage the developer tokens of the site.
+     * @returns {DeveloperTokenManager} The shared DeveloperTokenManager.
+     */
+    get developerTokens(): DeveloperTokenManager;
+    /**
+     * Get the {@link DraftManager} to manage the drafts of the site.
+     * @returns {DraftManager} The shared DraftManager.
+     */
+    get drafts(): DraftManager;
+    /**
+     * Get the {@link Events} object to log and fetch site events.
+     * @returns {Events} The shared Events object.
+     */
+    get events(): Events;
+    /**
+     * Get the {@link ExternalReport} object to manage external reports.
+     * @returns {ExternalReport} The shared ExternalReport object.
+     */
+    get externalReports(): ExternalReport;
+    /**
+     * Get the {@link GroupManager} to manage the groups of the site.
+     * @returns {GroupManager} The shared GroupManager.
+     */
+    get groups(): GroupManager;
+    /**
+     * Get the {@link LearningPathManager} to manage the learning paths of the site.
+     * @returns {LearningPathManager} The shared LearningPathManager.
+     */
+    get learningPaths(): LearningPathManager;
+    /**
+     * Get the {@link License} object to fetch the license information of the site.
+     * @returns {License} The shared License object.
+     */
+    get license(): License;
+    /**
+     * Get the {@link PageManager} to work with the pages of the site.
+     * @returns {PageManager} The shared PageManager.
+     */
+    get pages(): PageManager;
+    /**
+     * Get the {@link Site} object to work with site-wide resources, such as search.
+     * @returns {Site} The shared Site object.
+     */
+    get site(): Site;
+    /**
+     * Get the {@link SiteJobManager} to schedule and fetch site jobs.
+     * @returns {SiteJobManager} The shared SiteJobManager.
+     */
+    get siteJobs(): SiteJobManager;
+    /**
+     * Get the {@link SiteReports} object to fetch site reports.
+     * @returns {SiteReports} The shared SiteReports object.
+     */
+    get siteReports(): SiteReports;
+    /**
+     * Get the {@link UserManager} to manage the users of the site.
+     * @returns {UserManager} The shared UserManager.
+     */
+    get users(): UserManager;
+    /**
+     * Get the {@link WebWidgetsManager} to manage the web widgets of the site.
+     * @returns {WebWidgetsManager} The shared WebWidgetsManager.
+     */
+    get webWidgets(): WebWidgetsManager;
+    /**
+     * Get the {@link WorkflowManager} to submit site workflows.
+     * @returns {WorkflowManager} The shared WorkflowManager.
+     */
+    get workflows(): WorkflowManager;
+    /**
+     * Get a {@link Page} object for a page of the site.
+     * @param {Number|String} [id=home] The numeric page ID or the page path.
+     * @returns {Page} The Page object.
+     */
+    page(id?: number | string): Page;
+    /**
+     * Get a {@link PageFile} object for a file that is attached to a page.
+     * @param {Number|String} pageId The numeric page ID or the page path.
+     * @param {String} filename The name of the file.
+     * @returns {PageFile} The PageFile object.
+     */
+    pageFile(pageId: number | string, filename: string): PageFile;
+    /**
+     * Get a {@link PageProperty} object for the properties of a page.
+     * @param {Number|String} [id=home] The numeric page ID or the page path.
+     * @returns {PageProperty} The PageProperty object.
+     */
+    pageProperty(id?: number | string): PageProperty;
+    /**
+     * Get a {@link PageSecurity} object for the security of a page.
+     * @param {Number|String} [id=home] The numeric page ID or the page path.
+     * @returns {PageSecurity} The PageSecurity object.
+     */
+    pageSecurity(id?: number | string): PageSecurity;
+    /**
+     * Get a {@link Draft} object for the draft of a page.
+     * @param {Number|String} [id=home] The numeric page ID or the page path.
+     * @returns {Draft} The Draft object.
+     */
+    draft(id?: number | string): Draft;
+    /**
+     * Get a {@link File} object for a file of the site.
+     * @param {Number} id The numeric file ID.
+     * @returns {File} The File object.
+     */
+    file(id: number): File;
+    /**
+     * Get a {@link User} object for a user of the site.
+     * @param {Number|String} [id=current] The numeric user ID or the username.
+     * @returns {User} The User object.
+     */
+    user(id?: number | string): User;
+    /**
+     * Get a {@link Group} object for a group of the site.
+     * @param {Number|String} id The numeric group ID or the group name.
+     * @returns {Group} The Group object.
+     */
+    group(id: number | string): Group;
+    /**
+     * Get a {@link SiteJob} object for a scheduled site job.
+     * @param {String} jobId The ID of the job.
+     * @returns {SiteJob} The SiteJob object.
+     */
+    siteJob(jobId: string): SiteJob;
+    /**
+     * Get a {@link LearningPath} object for a learning path of the site.
+     * @param {String} name The name of the learning path.
+     * @returns {LearningPath} The LearningPath object.
+     */
+    learningPath(name: string): LearningPath;
+    /**
+     * Get a {@link PageSubscriptionManager} for the page subscriptions of a site.
+     * @param {String} siteId The ID of the site.
+     * @returns {PageSubscriptionManager} The PageSubscriptionManager object.
+     */
+    pageSubscriptions(siteId: string): PageSubscriptionManager;
+    /**
+     * Sign in a user. Later API requests from the managers of the client carry the user's auth token, until {@see Martian#logout} is called. The client derives new settings for the session, so that other holders of its previous settings, including the managers that were obtained from it before, are not signed in.
+     * @param {Object} options - The sign in options.
+     * @param {String} options.username - The username of the user to sign in.
+     * @param {String} options.password - The password of the user to sign in.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<String>} - A Promise that, when resolved, yields the auth token of the signed in user.
+     */
+    login({ username, password }: {
+        username: string;
+        password: string;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<string>>;
+    /**
+     * Sign in a user. Later API requests from the managers of the client carry the user's auth token, until {@see Martian#logout} is called. The client derives new settings for the session, so that other holders of its previous settings, including the managers that were obtained from it before, are not signed in.
+     * @param {Object} options - The sign in options.
+     * @param {String} options.username - The username of the user to sign in.
+     * @param {String} options.password - The password of the user to sign in.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<String>} - A Promise that, when resolved, yields the auth token of the signed in user.
+     */
+    login({ username, password }?: {
+        username: string;
+        password: string;
+    }, requestOptions?: RequestOptions): Promise<string>;
+    /**
+     * Sign out the user that is signed in with {@see Martian#login}, and remove the auth token cookie of the host from the cookie manager of the client settings. Later API requests carry the configured token again.
+     * @param {Object} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, indicates the user is signed out.
+     */
+    logout(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Sign out the user that is signed in with {@see Martian#login}, and remove the auth token cookie of the host from the cookie manager of the client settings. Later API requests carry the configured token again.
+     * @param {Object} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, indicates the user is signed out.
+     */
+    logout(requestOptions?: any): Promise<any>;
+    /**
+     * Get the user that API requests are sent as.
+     * @param {Object} [params] - The various params that provide context to the request, as {@see UserManager#getCurrentUser} accepts.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<userModel>} - A Promise that, when resolved, returns a {@link userModel} containing the current user's information.
+     */
+    whoami(params: any | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<userModel>>;
+    /**
+     * Get the user that API requests are sent as.
+     * @param {Object} [params] - The various params that provide context to the request, as {@see UserManager#getCurrentUser} accepts.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<userModel>} - A Promise that, when resolved, returns a {@link userModel} containing the current user's information.
+     */
+    whoami(params?: any, requestOptions?: RequestOptions): Promise<userModel>;
+    /**
+     * Get a client that sends API requests as another user, to compare what that user is allowed to see with the view of this client. The settings must have a {@see DeveloperTokenSigner} to sign the user's tokens with.
+     * @param {String|Number} username The username or numeric ID of the user to send the API requests as.
+     * @returns {Martian} A new client, with settings derived by {@see Settings#withUser}.
+     */
+    withUser(username: string | number): Martian;
+    _useSettings(settings: any): void;
+    _manager(name: any, Manager: any): any;
+}
+/**
+ * The base class for the errors that martian operations are rejected with.
+ */
+export class MartianError extends Error {
+    /**
+     * Construct a MartianError.
+     * @param {String} message A description of the error.
+     * @param {Object} [details] Details about the cause of the error.
+     * @param {Number} [details.status=null] The HTTP status code of the failed API request.
+     * @param {Object} [details.info=null] The error information from the API response, parsed with the {@link apiErrorModel}.
+     * @param {String} [details.errorText=null] The API response text, if it could not be parsed as error information.
+     * @param {String} [details.responseText=null] The raw API response text.
+     * @param {Error} [details.cause=null] The underlying error, such as a failure of the fetch implementation.
+     */
+    constructor(message: string, { status, info, errorText, responseText, cause }?: {
+        status?: number;
+        info?: any;
+        errorText?: string;
+        responseText?: string;
+        cause?: Error;
+    });
+    status: number;
+    info: any;
+    errorText: string;
+    responseText: string;
+    cause: Error;
+}
+/**
+ * An error for invalid arguments to a martian operation, or an HTTP 400 response from the API.
+ */
+export class ValidationError extends MartianError {
+}
+/**
+ * An error for an HTTP 404 response from the API.
+ */
+export class NotFoundError extends MartianError {
+}
+/**
+ * An error for an HTTP 401 or 403 response from the API.
+ */
+export class ForbiddenError extends MartianError {
+}
+/**
+ * An error for an HTTP 409 or 412 response from the API.
+ */
+export class ConflictError extends MartianError {
+}
+/**
+ * An error for an HTTP 429 response from the API.
+ */
+export class RateLimitError extends MartianError {
+    /**
+     * Construct a RateLimitError.
+     * @param {String} message A description of the error.
+     * @param {Object} [details] Details about the cause of the error. See {@link MartianError} for details.
+     * @param {Number} [details.retryAfter=null] The time, in milliseconds, that the API asked to wait before retrying.
+     */
+    constructor(message: string, details?: {
+        retryAfter?: number;
+    });
+    retryAfter: number;
+}
+/**
+ * An error for an API request that failed without a response, such as a connection failure.
+ */
+export class NetworkError extends MartianError {
+}
+/**
+ * An error for an API request that did not receive a response within the configured timeout.
+ */
+export class TimeoutError extends NetworkError {
+    /**
+     * Construct a TimeoutError.
+     * @param {String} message A description of the error.
+     * @param {Object} [details] Details about the cause of the error. See {@link MartianError} for details.
+     * @param {Number} [details.timeout=null] The timeout, in milliseconds, that elapsed.
+     */
+    constructor(message: string, details?: {
+        timeout?: number;
+    });
+    timeout: number;
+}
+/**
+ * An error for an API request that was cancelled through its abort signal.
+ */
+export class AbortError extends MartianError {
+}
+/**
+ * An error for an API response that does not match its model, when {@see Settings.modelParsing} is in the `strict` mode.
+ */
+export class ModelParseError extends MartianError {
+    /**
+     * Construct a ModelParseError.
+     * @param {String} message A description of the error.
+     * @param {Object} [details] Details about the cause of the error. See {@link MartianError} for details.
+     * @param {Object} [details.report=null] The report of the fields that are not in the model (`unmappedFields`), the failed conversions (`transformErrors`) and the missing required fields (`missingFields`).
+     */
+    constructor(message: string, details?: {
+        report?: any;
+    });
+    report: any;
+}
+export namespace modelParser {
+    namespace to {
+        function boolean(value: any): boolean;
+        function boolean(value: any): boolean;
+        function date(value: any): Date;
+        function date(value: any): Date;
+        function apiDate(value: any): Date;
+        function apiDate(value: any): Date;
+        function number(value: any): number;
+        function number(value: any): number;
+    }
+    function isValid(value: any): boolean;
+    function isValid(value: any): boolean;
+    function forceArray(value: any): any[];
+    function forceArray(value: any): any[];
+    function getValue(obj: any, ...fields: any[]): any;
+    function getValue(obj: any, ...fields: any[]): any;
+    function processModelAndData(model: any, data: any): any[];
+    function processModelAndData(model: any, data: any): any[];
+    function transformValue(value: any, transform: any, context?: any): any;
+    function transformValue(value: any, transform: any, context?: any): any;
+    function parseProperty(data: any, parsedObj: any, { field, name, isArray, transform, constructTransform, required }: {
+        field: any;
+        name: any;
+        isArray: any;
+        transform: any;
+        constructTransform: any;
+        required: any;
+    }, context?: any): void;
+    function parseProperty(data: any, parsedObj: any, { field, name, isArray, transform, constructTransform, required }: {
+        field: any;
+        name: any;
+        isArray: any;
+        transform: any;
+        constructTransform: any;
+        required: any;
+    }, context?: any): void;
+    function checkedTransform(value: any, transform: any, context: any, path: any): any;
+    function checkedTransform(value: any, transform: any, context: any, path: any): any;
+    function parseModel(model: any, data: any, context?: any): {};
+    function parseModel(model: any, data: any, context?: any): {};
+    function serializeValue(value: any, transform: any): any;
+    function serializeValue(value: any, transform: any): any;
+    function toPayload(model: any, obj: any, original?: any): {};
+    function toPayload(model: any, obj: any, original?: any): {};
+    function toJsonPayload(payload: any): any;
+    function toJsonPayload(payload: any): any;
+    function createSerializer(model: any, { format, root }?: {
+        format?: string;
+        root?: string;
+    }): (obj: any, original?: any) => string;
+    function createSerializer(model: any, { format, root }?: {
+        format?: string;
+        root?: string;
+    }): (obj: any, original?: any) => string;
+    function createParser(model: any, options?: any): (data: any) => {};
+    function createParser(model: any, options?: any): (data: any) => {};
+}
+/**
+ * A class for validating HTTP requests to the MindTouch site API.
+ */
+export class Api {
+    /**
+     * Construct a new API object.
+     * @param {Settings} [settings] The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(settings?: Settings);
+    _plug: Plug;
+    /**
+     * Validate HTTP request
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates a successful HTTP request.
+     */
+    http(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Validate HTTP request
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates a successful HTTP request.
+     */
+    http(requestOptions?: RequestOptions): Promise<any>;
+    /**
+     * Validate HTTP request
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates a successful F1 HTTP request.
+     */
+    f1(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Validate HTTP request
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates a successful F1 HTTP request.
+     */
+    f1(requestOptions?: RequestOptions): Promise<any>;
+}
+/**
+ * A class to manage individual Context IDs.
+ */
+export class ContextDefinition {
+    /**
+     * Create a ContextDefinition.
+     * @param {String} id The ID of the context definition.
+     * @param {Settings} [settings] The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(id: string, settings?: Settings);
+    id: string;
+    plug: Plug;
+    /**
+     * Get the Context ID information from the API.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<contextIdModel>} A promise that, when resolved, yields a {@link contextIdModel} object.
+     */
+    getInfo(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<contextIdModel>>;
+    /**
+     * Get the Context ID information from the API.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<contextIdModel>} A promise that, when resolved, yields a {@link contextIdModel} object.
+     */
+    getInfo(requestOptions?: RequestOptions): Promise<contextIdModel>;
+    /**
+     * Set or overwrite the description of the Context ID
+     * @param {String} description The new description to use for the Context ID.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<contextIdModel>} A promise that, when resolved, yields a contextIdModel object.
+     */
+    updateDescription(description: string | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<contextIdModel>>;
+    /**
+     * Set or overwrite the description of the Context ID
+     * @param {String} description The new description to use for the Context ID.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<contextIdModel>} A promise that, when resolved, yields a contextIdModel object.
+     */
+    updateDescription(description?: string, requestOptions?: RequestOptions): Promise<contextIdModel>;
+    /**
+     * Remove this Context ID from the system.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates a successful deletion of the Context ID.
+     */
+    delete(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Remove this Context ID from the system.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates a successful deletion of the Context ID.
+     */
+    delete(requestOptions?: RequestOptions): Promise<any>;
+}
+/**
+ * A class to manage a mapping between a {@link ContextDefinition} and a page on a MindTouch site; taking language into account.
+ */
+export class ContextMap {
+    /**
+     * Construct a new ContextMap
+     * @param {String} language The language of the mapping.
+     * @param {String} id The ID of the associated {@link ContextDefinition}.
+     * @param {Settings} [settings] The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(language: string, id: string, settings?: Settings);
+    id: string;
+    language: string;
+    plug: Plug;
+    /**
+     * Gets the information for the Context Mapping.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<contextMapModel>} A promise that, when resolved, yields a {@link contextMapModel} object.
+     */
+    getInfo(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<contextMapModel>>;
+    /**
+     * Gets the information for the Context Mapping.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<contextMapModel>} A promise that, when resolved, yields a {@link contextMapModel} object.
+     */
+    getInfo(requestOptions?: RequestOptions): Promise<contextMapModel>;
+    /**
+     * Sets or changes the page ID for the Context ID mapping.
+     * @param {Number} pageId The page ID to use for the Context ID mapping.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<contextMapModel>} A promise that, when resolved, yields a {@link contextMapModel} object.
+     */
+    update(pageId: number, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<contextMapModel>>;
+    /**
+     * Sets or changes the page ID for the Context ID mapping.
+     * @param {Number} pageId The page ID to use for the Context ID mapping.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<contextMapModel>} A promise that, when resolved, yields a {@link contextMapModel} object.
+     */
+    update(pageId: number, requestOptions?: RequestOptions): Promise<contextMapModel>;
+    /**
+     * Removes a mapping between a Context ID and an associated page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates a successful removal of the mapping.
+     */
+    remove(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Removes a mapping between a Context ID and an associated page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates a successful removal of the mapping.
+     */
+    remove(requestOptions?: RequestOptions): Promise<any>;
+}
+/**
+ * A class to manage the Context ID subsystem for access to the Context IDs and Context ID Mappings.
+ */
+export class ContextIdManager {
+    /**
+     * Construct a new ContextIdManager.
+     * @param {Settings} [settings] The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(settings?: Settings);
+    mapsPlug: Plug;
+    definitionsPlug: Plug;
+    _settings: Settings;
+    /**
+     * Get all of the Context ID Mappings that are defined.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<contextMapsModel>} A promise that, when resolved, yields a {@link contextMapsModel} object.
+     */
+    getMaps(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<contextMapsModel>>;
+    /**
+     * Get all of the Context ID Mappings that are defined.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<contextMapsModel>} A promise that, when resolved, yields a {@link contextMapsModel} object.
+     */
+    getMaps(requestOptions?: RequestOptions): Promise<contextMapsModel>;
+    /**
+     * Get all of the Context ID Definitions that are defined.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<contextIdsModel>} A promise that, when resolved, yields a {@link contextIdsModel} object.
+     */
+    getDefinitions(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<contextIdsModel>>;
+    /**
+     * Get all of the Context ID Definitions that are defined.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<contextIdsModel>} A promise that, when resolved, yields a {@link contextIdsModel} object.
+     */
+    getDefinitions(requestOptions?: RequestOptions): Promise<contextIdsModel>;
+    /**
+     * Add a new Context ID Definition to the system.
+     * @param {String} id The ID to use for the new definition.
+     * @param {String} [description=''] The initial description to set for the definition.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<contextIdModel>} A promise that, when resolved, yields a {@link contextIdModel} object.
+     */
+    addDefinition(id: string, description: string | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<contextIdModel>>;
+    /**
+     * Add a new Context ID Definition to the system.
+     * @param {String} id The ID to use for the new definition.
+     * @param {String} [description=''] The initial description to set for the definition.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<contextIdModel>} A promise that, when resolved, yields a {@link contextIdModel} object.
+     */
+    addDefinition(id: string, description?: string, requestOptions?: RequestOptions): Promise<contextIdModel>;
+    /**
+     * Get a new {@link ContextDefinition} object for the supplied ID.
+     * @param {String} id The ID of the Context Definition to create.
+     * @returns {ContextDefinition} A new {@link ContextDefinition} object.
+     */
+    getDefinition(id: string): ContextDefinition;
+    /**
+     * Get a new {@link ContextMap} object for the supplied language and ID combination.
+     * @param {String} language The language code to use to identify the mapping.
+     * @param {String} id The Context ID identifier to use to identify the mapping.
+     * @returns {ContextMap} A new {@link ContextMap} object.
+     */
+    getMap(language: string, id: string): ContextMap;
+}
+export class DeveloperToken {
+    /**
+     * Construct a new DeveloperToken instance.
+     * @param {Number} id The numeric ID of the developer token.
+     * @param {Settings} settings The {@see Settings} used to direct the API calls.
+     */
+    constructor(id: number, settings?: Settings);
+    _plug: Plug;
+    /**
+     * Delete the token from the site.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates a successful deletion of the token.
+     */
+    delete(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Delete the token from the site.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates a successful deletion of the token.
+     */
+    delete(requestOptions?: RequestOptions): Promise<any>;
+}
+/**
+ * A class for managing a site's developer tokens.
+ */
+export class DeveloperTokenManager {
+    /**
+     * Construct a new DeveloperTokenManager object.
+     * @param {Settings} settings The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(settings?: Settings);
+    _plug: Plug;
+    /**
+     * Get a listing of all of the developer tokens currently defined on the site.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<developerTokensModel>} A Promise that, when resolved, yields a developerTokensModel representing the listing of the site's developer tokens.
+     */
+    getTokens(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<developerTokensModel>>;
+    /**
+     * Get a listing of all of the developer tokens currently defined on the site.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<developerTokensModel>} A Promise that, when resolved, yields a developerTokensModel representing the listing of the site's developer tokens.
+     */
+    getTokens(requestOptions?: RequestOptions): Promise<developerTokensModel>;
+    /**
+     * Add a new developer token for use with the site.
+     * @param {Object} options Options to direct the creation of the token.
+     * @param {String} name The name of the token to create.
+     * @param {String} [host] The hostname to associate with a 'browser' developer token. If omitted, a 'server' token will be created.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<developerTokenModel>} A Promise that, when resolved, yields a developerTokenModel contiaining the information about the new token.
+     */
+    addToken({ name, host }: any | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<developerTokenModel>>;
+    /**
+     * Add a new developer token for use with the site.
+     * @param {Object} options Options to direct the creation of the token.
+     * @param {String} name The name of the token to create.
+     * @param {String} [host] The hostname to associate with a 'browser' developer token. If omitted, a 'server' token will be created.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<developerTokenModel>} A Promise that, when resolved, yields a developerTokenModel contiaining the information about the new token.
+     */
+    addToken({ name, host }?: any, requestOptions?: RequestOptions): Promise<developerTokenModel>;
+}
+/**
+ * A class that signs server API tokens with the key and secret of a developer token, so that server-side API requests are sent as a user.
+ */
+export class DeveloperTokenSigner {
+    /**
+     * Construct a new DeveloperTokenSigner instance.
+     * @param {Object} options The options for the signer.
+     * @param {String|function} options.key The developer token key. If a function is supplied, it should return the key as a string, or a Promise that yields it.
+     * @param {String|function} options.secret The developer token secret. If a function is supplied, it should return the secret as a string, or a Promise that yields it, such as from a secrets vault. It is called each time a token is signed.
+     * @param {String|Number} [options.user='admin'] The username or numeric ID of the user to send the API requests as.
+     */
+    constructor({ key, secret, user }?: {
+        key: string | Function;
+        secret: string | Function;
+        user?: string | number;
+    });
+    _key: string | Function;
+    _secret: string | Function;
+    _user: string | number;
+    /**
+     * Get a function that signs a new token each time it is called, to use as the `token` option of {@see Settings}.
+     */
+    get tokenProvider(): () => Promise<string>;
+    /**
+     * Get a signer with the same key and secret that signs tokens for another user.
+     * @param {String|Number} user The username or numeric ID of the user to send the API requests as.
+     * @returns {DeveloperTokenSigner} The new signer.
+     */
+    forUser(user: string | number): DeveloperTokenSigner;
+    /**
+     * Sign a new server API token.
+     * @param {String|Number} [user] The username or numeric ID of the user to send the API requests as. If not supplied, the user of the signer is used.
+     * @returns {Promise.<String>} A Promise that, when resolved, yields the token, in the form `tkn_<key>_<epoch>_<user>_<hmac>`.
+     */
+    sign(user?: string | number): Promise<string>;
+    /**
+     * Get a representation of the signer for serialization, with the secret redacted.
+     * @returns {Object} The serializable signer.
+     */
+    toJSON(): any;
+    [_inspectSymbol](): any;
+}
+/**
+ * A class for managing a single unpublished draft page.
+ * @augments PageBase
+ * @inheritdoc
+ */
+export class Draft extends PageBase {
+    /**
+     * Construct a Draft object.
+     * @param {Number|String} [id=home] - The id of the draft to construct.
+     * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(id?: number | string, settings?: Settings);
+    _settings: Settings;
+    _plug: Plug;
+    _progressPlug: Plug;
+    /**
+     * Deactivate the current draft and revert to the published page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageModel>} - A Promise that, when resolved, yields a {@link pageModel} for the deactivated page.
+     */
+    deactivate(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageModel>>;
+    /**
+     * Deactivate the current draft and revert to the published page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageModel>} - A Promise that, when resolved, yields a {@link pageModel} for the deactivated page.
+     */
+    deactivate(requestOptions?: RequestOptions): Promise<pageModel>;
+    /**
+     * Publish the draft.
+     * @param {Object} [params] - the query params that will be used to publish the draft.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, indicates a successful publish operation.
+     */
+    publish(params: any | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Publish the draft.
+     * @param {Object} [params] - the query params that will be used to publish the draft.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, indicates a successful publish operation.
+     */
+    publish(params?: any, requestOptions?: RequestOptions): Promise<any>;
+    /**
+     * Unpublish a live page and create a draft out of it.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageModel>} - A Promise that, when resolved, yields a {@link pageModel} for the unpublished page.
+     */
+    unpublish(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageModel>>;
+    /**
+     * Unpublish a live page and create a draft out of it.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageModel>} - A Promise that, when resolved, yields a {@link pageModel} for the unpublished page.
+     */
+    unpublish(requestOptions?: RequestOptions): Promise<pageModel>;
+    /**
+     * Update display title for a draft
+     * @param {String} title - The new title for the draft
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageModel|Error>} - A Promise that will be resolved with the page data for the draft that had its title changed, or rejected with an error specifying the reason for rejection.
+     */
+    setTitle(title: string, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageModel | Error>>;
+    /**
+     * Update display title for a draft
+     * @param {String} title - The new title for the draft
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageModel|Error>} - A Promise that will be resolved with the page data for the draft that had its title changed, or rejected with an error specifying the reason for rejection.
+     */
+    setTitle(title: string, requestOptions?: RequestOptions): Promise<pageModel | Error>;
+}
+/**
+ * A class for managing unpublished draft pages.
+ */
+export class DraftManager {
+    /**
+     * Create a new DraftManager.
+     * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(settings?: Settings);
+    _settings: Settings;
+    _plug: Plug;
+    /**
+     * Create a new draft on the site where a page does not already exist.
+     * @param {String} newPath - The path of the new draft.
+     * @param {Object} [options] - the options that will be used to create the draft
+     * @param {Number} [options.redirect] - 0 or 1 to tell whether to follow redirects
+     * @param {Boolean} [options.deleteRedirects] - A boolean value that allows the deletion of redirects
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageModel>} - A Promise that, when resolved, yields a {@link pageModel} for the newly-created draft.
+     */
+    createDraft(newPath: string, options: {
+        redirect?: number;
+        deleteRedirects?: boolean;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageModel>>;
+    /**
+     * Create a new draft on the site where a page does not already exist.
+     * @param {String} newPath - The path of the new draft.
+     * @param {Object} [options] - the options that will be used to create the draft
+     * @param {Number} [options.redirect] - 0 or 1 to tell whether to follow redirects
+     * @param {Boolean} [options.deleteRedirects] - A boolean value that allows the deletion of redirects
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageModel>} - A Promise that, when resolved, yields a {@link pageModel} for the newly-created draft.
+     */
+    createDraft(newPath: string, options?: {
+        redirect?: number;
+        deleteRedirects?: boolean;
+    }, requestOptions?: RequestOptions): Promise<pageModel>;
+    /**
+     * Get a list of drafts filtered by options.
+     * @param {Object} [options] - The options that will filter the resulting list of drafts.
+     * @param {Number|String} [options.parentId] - Only return pages that live under this page id.
+     * @param {Array} [options.tags] - An array of tags to filter the pages by.
+     * @param {Number} [options.limit=10] - The maximum number of pages to return (not to exceed 1000)
+     * @param {Array} [options.include] - An array of elements to include. Currently, only 'tags' is allowed.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Object|Error>} - A Promise that will be resolved with the drafts listing data, or rejected with an error specifying the reason for rejection.
+     */
+    getDrafts(options: {
+        parentId?: number | string;
+        tags?: any[];
+        limit?: number;
+        include?: any[];
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any | Error>>;
+    /**
+     * Get a list of drafts filtered by options.
+     * @param {Object} [options] - The options that will filter the resulting list of drafts.
+     * @param {Number|String} [options.parentId] - Only return pages that live under this page id.
+     * @param {Array} [options.tags] - An array of tags to filter the pages by.
+     * @param {Number} [options.limit=10] - The maximum number of pages to return (not to exceed 1000)
+     * @param {Array} [options.include] - An array of elements to include. Currently, only 'tags' is allowed.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Object|Error>} - A Promise that will be resolved with the drafts listing data, or rejected with an error specifying the reason for rejection.
+     */
+    getDrafts(options?: {
+        parentId?: number | string;
+        tags?: any[];
+        limit?: number;
+        include?: any[];
+    }, requestOptions?: RequestOptions): Promise<any | Error>;
+    /**
+     * Fetch a new Draft object by ID.
+     * @param {Number|String} [id=home] - The id of the draft to return.
+     * @returns {Draft} - A new {@link Draft} object.
+     */
+    getDraft(id?: number | string): Draft;
+}
+/**
+ * A class for managing a file attachment on an unpublished page.
+ */
+export class DraftFile extends PageFileBase {
+    /**
+     * Construct a new DraftFile
+     * @param {Number|String} pageId - The ID of the unpublished page. If `undefined`, the home page is used.
+     * @param {String} filename - The filename of the file to manage.
+     * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(pageId: number | string, filename: string, settings?: Settings);
+    _plug: Plug;
+}
+export class DraftProperty extends PagePropertyBase {
+    /**
+     * @constructor
+     * @param {String|Number} id - The numeric ID or page path string.
+     * @param {Settings} [settings] - The martian Settings object to direct the requests performed.
+     */
+    constructor(id: string | number, settings?: Settings);
+    _plug: Plug;
+}
+/**
+ * A class for fetching and managing events.
+ */
+export class Events {
+    /**
+     * Construct a new Events object.
+     * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(settings?: Settings);
+    _plug: Plug;
+    /**
+     * Get the available drafts history logs.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<reportLogsModel>} - A Promise that, when resolved, yields a {@link reportLogsModel} containing the available logs for drafts history.
+     */
+    getSiteDraftsHistoryLogs(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<reportLogsModel>>;
+    /**
+     * Get the available drafts history logs.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<reportLogsModel>} - A Promise that, when resolved, yields a {@link reportLogsModel} containing the available logs for drafts history.
+     */
+    getSiteDraftsHistoryLogs(requestOptions?: RequestOptions): Promise<reportLogsModel>;
+    /**
+     * Get the draft history log url.
+     * @param {String} logName - Name of log to retrive URL from.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<logUrlModel>} - A Promise that, when resolved, yields a {@link logUrlModel} containing log url.
+     */
+    getSiteDraftsHistoryLogUrl(logName: string, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<logUrlModel>>;
+    /**
+     * Get the draft history log url.
+     * @param {String} logName - Name of log to retrive URL from.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<logUrlModel>} - A Promise that, when resolved, yields a {@link logUrlModel} containing log url.
+     */
+    getSiteDraftsHistoryLogUrl(logName: string, requestOptions?: RequestOptions): Promise<logUrlModel>;
+    /**
+     * Get the drafts history
+     * @param {Object} [options] - An object that directs the history fetching.
+     * @param {String|Number} [options.pageId=home] - The page in the site hierarchy to return the history.
+     * @param {Number} [options.limit=25] - The maximum number results to retrieve. Regardless of what is passed in, no more than 1000 results will be returned.
+     * @param {String} [options.upTo] - The history event ID to start fetching at.
+     * @param {Array} [options.include] - An array of entity details to include. Valid entries are 'page', 'user', 'group', 'file', and 'request'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel|Error>} - A Promise that will be resolved with the page history data, or rejected with an error specifying the reason for rejection.
+     */
+    getSiteDraftsHistory(options: {
+        pageId?: string | number;
+        limit?: number;
+        upTo?: string;
+        include?: any[];
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageHistoryModel | Error>>;
+    /**
+     * Get the drafts history
+     * @param {Object} [options] - An object that directs the history fetching.
+     * @param {String|Number} [options.pageId=home] - The page in the site hierarchy to return the history.
+     * @param {Number} [options.limit=25] - The maximum number results to retrieve. Regardless of what is passed in, no more than 1000 results will be returned.
+     * @param {String} [options.upTo] - The history event ID to start fetching at.
+     * @param {Array} [options.include] - An array of entity details to include. Valid entries are 'page', 'user', 'group', 'file', and 'request'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel|Error>} - A Promise that will be resolved with the page history data, or rejected with an error specifying the reason for rejection.
+     */
+    getSiteDraftsHistory(options?: {
+        pageId?: string | number;
+        limit?: number;
+        upTo?: string;
+        include?: any[];
+    }, requestOptions?: RequestOptions): Promise<pageHistoryModel | Error>;
+    /**
+     * Get the detail of a site history event
+     * @param {String} detailId - The GUID specifying the detail to fetch.
+     * @param {Object} [options] - Information about the detail to fetch
+     * @param {Array} [options.include] - An array of entity details to include. Valid entries are 'page', 'user', 'group', 'file', and 'request'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel|Error>} - A Promise that will be resolved with the page history data, or rejected with an error specifying the reason for rejection.
+     */
+    getSiteDraftsHistoryDetail(detailId: string, options: {
+        include?: any[];
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageHistoryModel | Error>>;
+    /**
+     * Get the detail of a site history event
+     * @param {String} detailId - The GUID specifying the detail to fetch.
+     * @param {Object} [options] - Information about the detail to fetch
+     * @param {Array} [options.include] - An array of entity details to include. Valid entries are 'page', 'user', 'group', 'file', and 'request'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel|Error>} - A Promise that will be resolved with the page history data, or rejected with an error specifying the reason for rejection.
+     */
+    getSiteDraftsHistoryDetail(detailId: string, options?: {
+        include?: any[];
+    }, requestOptions?: RequestOptions): Promise<pageHistoryModel | Error>;
+    /**
+     * Get draft history summary.
+     * @param {Number|String} [pageId=home] - The page ID or path.
+     * @param {Object} [options] - An object that directs the history fetching.
+     * @param {Number} [options.limit=25] - The maximum number results to retrieve. Regardless of what is passed in, no more than 1000 results will be returned.
+     * @param {String} [options.upTo] - The history event ID to start fetching at.
+     * @param {Array} [options.include] - An array of entity details to include. Valid entries are 'page', 'user', 'group', 'file', and 'request'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel>} - A Promise that, when resolved, yields a {@link pageHistoryModel} that contains the listing of the page events.
+     */
+    getDraftHistory(pageId: number | string | undefined, options: {
+        limit?: number;
+        upTo?: string;
+        include?: any[];
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageHistoryModel>>;
+    /**
+     * Get draft history summary.
+     * @param {Number|String} [pageId=home] - The page ID or path.
+     * @param {Object} [options] - An object that directs the history fetching.
+     * @param {Number} [options.limit=25] - The maximum number results to retrieve. Regardless of what is passed in, no more than 1000 results will be returned.
+     * @param {String} [options.upTo] - The history event ID to start fetching at.
+     * @param {Array} [options.include] - An array of entity details to include. Valid entries are 'page', 'user', 'group', 'file', and 'request'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel>} - A Promise that, when resolved, yields a {@link pageHistoryModel} that contains the listing of the page events.
+     */
+    getDraftHistory(pageId?: number | string, options?: {
+        limit?: number;
+        upTo?: string;
+        include?: any[];
+    }, requestOptions?: RequestOptions): Promise<pageHistoryModel>;
+    /**
+     * Get draft history detail.
+     * @param {Number|String} pageId = 'home' - The page ID or path.
+     * @param {String} detailId - The detail ID.
+     * @param {Object} [options] - Options to direct the fetching of the detail.
+     * @param {Array} [options.include] - An array of strings identifying elements to expand in the result. Valid identifiers are: 'page', 'user', 'file', and 'request'.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel>} - A Promise that, when resolved, yields a {@link pageHistoryModel} that contains the listing of the page events.
+     */
+    getDraftHistoryDetail(pageId: number | string, detailId: string, options: {
+        include?: any[];
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageHistoryModel>>;
+    /**
+     * Get draft history detail.
+     * @param {Number|String} pageId = 'home' - The page ID or path.
+     * @param {String} detailId - The detail ID.
+     * @param {Object} [options] - Options to direct the fetching of the detail.
+     * @param {Array} [options.include] - An array of strings identifying elements to expand in the result. Valid identifiers are: 'page', 'user', 'file', and 'request'.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel>} - A Promise that, when resolved, yields a {@link pageHistoryModel} that contains the listing of the page events.
+     */
+    getDraftHistoryDetail(pageId: number | string, detailId: string, options?: {
+        include?: any[];
+    }, requestOptions?: RequestOptions): Promise<pageHistoryModel>;
+    /**
+     * Get the history summary for a Learning Path
+     * @param {String} learningPathId - The string identifier of the learning path.
+     * @param {Object} [options] - Options to direct the fetching of the learning path history.
+     * @param {Number} [options.limit=25] - The maximum number of results to fetch.
+     * @param {String} [options.upTo] - The GUID identifier to use for paging.
+     * @param {Array} [options.include] - An array of strings identifying elements to expand in the result. Valid identifiers are: 'page', 'user', 'file', and 'request'.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Object|Error>} - A Promise that will be resolved with the learning path history data, or rejected with an error specifying the reason for rejection.
+     */
+    getLearningPathHistory(learningPathId: string, options: {
+        limit?: number;
+        upTo?: string;
+        include?: any[];
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any | Error>>;
+    /**
+     * Get the history summary for a Learning Path
+     * @param {String} learningPathId - The string identifier of the learning path.
+     * @param {Object} [options] - Options to direct the fetching of the learning path history.
+     * @param {Number} [options.limit=25] - The maximum number of results to fetch.
+     * @param {String} [options.upTo] - The GUID identifier to use for paging.
+     * @param {Array} [options.include] - An array of strings identifying elements to expand in the result. Valid identifiers are: 'page', 'user', 'file', and 'request'.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Object|Error>} - A Promise that will be resolved with the learning path history data, or rejected with an error specifying the reason for rejection.
+     */
+    getLearningPathHistory(learningPathId: string, options?: {
+        limit?: number;
+        upTo?: string;
+        include?: any[];
+    }, requestOptions?: RequestOptions): Promise<any | Error>;
+    /**
+     * Get the available site history logs.
+     * @param {String} No params necessary.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<reportLogsModel>} - A Promise that, when resolved, yields a {@link reportLogsModel} containing the available logs for site history.
+     */
+    getSiteHistoryLogs(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<reportLogsModel>>;
+    /**
+     * Get the available site history logs.
+     * @param {String} No params necessary.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<reportLogsModel>} - A Promise that, when resolved, yields a {@link reportLogsModel} containing the available logs for site history.
+     */
+    getSiteHistoryLogs(requestOptions?: RequestOptions): Promise<reportLogsModel>;
+    /**
+     * Get the site history log url.
+     * @param {String} logName - Name of log to retrive URL from.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<logUrlModel>} - A Promise that, when resolved, yields a {@link logUrlModel} containing log url.
+     */
+    getSiteHistoryLogUrl(logName: string, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<logUrlModel>>;
+    /**
+     * Get the site history log url.
+     * @param {String} logName - Name of log to retrive URL from.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<logUrlModel>} - A Promise that, when resolved, yields a {@link logUrlModel} containing log url.
+     */
+    getSiteHistoryLogUrl(logName: string, requestOptions?: RequestOptions): Promise<logUrlModel>;
+    /**
+     * Get site history summary
+     * @param {Object} [options] - An object that directs the history fetching.
+     * @param {String|Number} [options.pageId=home] - The page in the site hierarchy to return the history.
+     * @param {Number} [options.limit=25] - The maximum number results to retrieve. Regardless of what is passed in, no more than 1000 results will be returned.
+     * @param {String} [options.upTo] - The history event ID to start fetching at.
+     * @param {Array} [options.include] - An array of entity details to include. Valid entries are 'page', 'user', 'group', 'file', and 'request'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel|Error>} - A Promise that will be resolved with the site history data, or rejected with an error specifying the reason for rejection.
+     */
+    getSiteHistory(options: {
+        pageId?: string | number;
+        limit?: number;
+        upTo?: string;
+        include?: any[];
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageHistoryModel | Error>>;
+    /**
+     * Get site history summary
+     * @param {Object} [options] - An object that directs the history fetching.
+     * @param {String|Number} [options.pageId=home] - The page in the site hierarchy to return the history.
+     * @param {Number} [options.limit=25] - The maximum number results to retrieve. Regardless of what is passed in, no more than 1000 results will be returned.
+     * @param {String} [options.upTo] - The history event ID to start fetching at.
+     * @param {Array} [options.include] - An array of entity details to include. Valid entries are 'page', 'user', 'group', 'file', and 'request'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel|Error>} - A Promise that will be resolved with the site history data, or rejected with an error specifying the reason for rejection.
+     */
+    getSiteHistory(options?: {
+        pageId?: string | number;
+        limit?: number;
+        upTo?: string;
+        include?: any[];
+    }, requestOptions?: RequestOptions): Promise<pageHistoryModel | Error>;
+    /**
+     * Get the detail of a site history event
+     * @param {String} detailId - The GUID specifying the detail to fetch.
+     * @param {Object} [options] - Information about the detail to fetch
+     * @param {Array} [options.include] - An array of entity details to include. Valid entries are 'page', 'user', 'group', 'file', and 'request'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel|Error>} - A Promise that will be resolved with the site history detail data, or rejected with an error specifying the reason for rejection.
+     */
+    getSiteHistoryDetail(detailId: string, options: {
+        include?: any[];
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageHistoryModel | Error>>;
+    /**
+     * Get the detail of a site history event
+     * @param {String} detailId - The GUID specifying the detail to fetch.
+     * @param {Object} [options] - Information about the detail to fetch
+     * @param {Array} [options.include] - An array of entity details to include. Valid entries are 'page', 'user', 'group', 'file', and 'request'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel|Error>} - A Promise that will be resolved with the site history detail data, or rejected with an error specifying the reason for rejection.
+     */
+    getSiteHistoryDetail(detailId: string, options?: {
+        include?: any[];
+    }, requestOptions?: RequestOptions): Promise<pageHistoryModel | Error>;
+    /**
+     * Notify the system that a page was viewed by a user
+     * @param {String|Number} pageId - The numeric ID or path of the page to log a view event for.
+     * @param {Object} [eventData] - Specific data about the search that was performed.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel|Error>} - A Promise that will be resolved, or rejected with an error specifying the reason for rejection.
+     */
+    logPageView(pageId: string | number, eventData: any | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageHistoryModel | Error>>;
+    /**
+     * Notify the system that a page was viewed by a user
+     * @param {String|Number} pageId - The numeric ID or path of the page to log a view event for.
+     * @param {Object} [eventData] - Specific data about the search that was performed.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel|Error>} - A Promise that will be resolved, or rejected with an error specifying the reason for rejection.
+     */
+    logPageView(pageId: string | number, eventData?: any, requestOptions?: RequestOptions): Promise<pageHistoryModel | Error>;
+    /**
+     * Get page history summary.
+     * @param {Number|String} [pageId=home] - The page ID or path.
+     * @param {Object} [options] - An object that directs the history fetching.
+     * @param {Number} [options.limit=25] - The maximum number results to retrieve. Regardless of what is passed in, no more than 1000 results will be returned.
+     * @param {String} [options.upTo] - The history event ID to start fetching at.
+     * @param {Array} [options.include] - An array of entity details to include. Valid entries are 'page', 'user', 'group', 'file', and 'request'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel>} - A Promise that, when resolved, yields a {@link pageHistoryModel} that contains the listing of the page events.
+     */
+    getPageHistory(pageId: number | string | undefined, options: {
+        limit?: number;
+        upTo?: string;
+        include?: any[];
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageHistoryModel>>;
+    /**
+     * Get page history summary.
+     * @param {Number|String} [pageId=home] - The page ID or path.
+     * @param {Object} [options] - An object that directs the history fetching.
+     * @param {Number} [options.limit=25] - The maximum number results to retrieve. Regardless of what is passed in, no more than 1000 results will be returned.
+     * @param {String} [options.upTo] - The history event ID to start fetching at.
+     * @param {Array} [options.include] - An array of entity details to include. Valid entries are 'page', 'user', 'group', 'file', and 'request'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel>} - A Promise that, when resolved, yields a {@link pageHistoryModel} that contains the listing of the page events.
+     */
+    getPageHistory(pageId?: number | string, options?: {
+        limit?: number;
+        upTo?: string;
+        include?: any[];
+    }, requestOptions?: RequestOptions): Promise<pageHistoryModel>;
+    /**
+     * Get page history detail.
+     * @param {Number|String} pageId = 'home' - The page ID or path.
+     * @param {String} detailId - The detail ID.
+     * @param {Object} [options] - Options to direct the fetching of the detail.
+     * @param {Array} [options.include] - An array of strings identifying elements to expand in the result. Valid identifiers are: 'page', 'user', 'file', and 'request'.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel>} - A Promise that, when resolved, yields a {@link pageHistoryDetailModel} that contains the listing of the page events.
+     */
+    getPageHistoryDetail(pageId: number | string, detailId: string, options: {
+        include?: any[];
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageHistoryModel>>;
+    /**
+     * Get page history detail.
+     * @param {Number|String} pageId = 'home' - The page ID or path.
+     * @param {String} detailId - The detail ID.
+     * @param {Object} [options] - Options to direct the fetching of the detail.
+     * @param {Array} [options.include] - An array of strings identifying elements to expand in the result. Valid identifiers are: 'page', 'user', 'file', and 'request'.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel>} - A Promise that, when resolved, yields a {@link pageHistoryDetailModel} that contains the listing of the page events.
+     */
+    getPageHistoryDetail(pageId: number | string, detailId: string, options?: {
+        include?: any[];
+    }, requestOptions?: RequestOptions): Promise<pageHistoryModel>;
+    /**
+     * Log a search event that is performed by a specific user.
+     * @param {Number|String} [userId=current] - The user's numeric ID or username.
+     * @param {Object} [eventData] - Specific data about the search that was performed.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, indicates a successful posting of the search event.
+     */
+    logSearch(userId: number | string | undefined, eventData: any | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Log a search event that is performed by a specific user.
+     * @param {Number|String} [userId=current] - The user's numeric ID or username.
+     * @param {Object} [eventData] - Specific data about the search that was performed.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, indicates a successful posting of the search event.
+     */
+    logSearch(userId?: number | string, eventData?: any, requestOptions?: RequestOptions): Promise<any>;
+    /**
+     * Get the available user activity logs.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<reportLogsModel>} - A Promise that, when resolved, yields a {@link reportLogsModel} containing the available logs for user activity.
+     */
+    getUserActivityLogs(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<reportLogsModel>>;
+    /**
+     * Get the available user activity logs.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<reportLogsModel>} - A Promise that, when resolved, yields a {@link reportLogsModel} containing the available logs for user activity.
+     */
+    getUserActivityLogs(requestOptions?: RequestOptions): Promise<reportLogsModel>;
+    /**
+     * Get the user activity log url.
+     * @param {String} logName - Name of log to retrive URL from.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<logUrlModel>} - A Promise that, when resolved, yields a {@link logUrlModel} containing log url.
+     */
+    getUserActivityLogUrl(logName: string, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<logUrlModel>>;
+    /**
+     * Get the user activity log url.
+     * @param {String} logName - Name of log to retrive URL from.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<logUrlModel>} - A Promise that, when resolved, yields a {@link logUrlModel} containing log url.
+     */
+    getUserActivityLogUrl(logName: string, requestOptions?: RequestOptions): Promise<logUrlModel>;
+    /**
+     * Get the user activity.
+     * @param {Number|String} userActivityToken - A token that identifies the user from an user activity perspective. It can be the user's numeric ID, username, or another system-defined token.
+     * @param {Object} [options] - Additional information to direct the activity fetching.
+     * @param {Number} [options.limit=10] - The maximum number results to retrieve.
+     * @param {Array} [options.include] - An array of strings identifying elements to expand in the result. Valid identifiers are: 'user', 'page', and 'request'.
+     * @param {String|Date|Number} [options.upTo] - The marker used to paginate, or the date, as a Date, an ISO 8601 string or an epoch number, to list the events up to.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<userActivityModel>} - A Promise that, when resolved, yields a {@link userActivityModel} containing the user's activity events.
+     */
+    getUserActivity(userActivityToken: number | string, options: {
+        limit?: number;
+        include?: any[];
+        upTo?: string | Date | number;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<userActivityModel>>;
+    /**
+     * Get the user activity.
+     * @param {Number|String} userActivityToken - A token that identifies the user from an user activity perspective. It can be the user's numeric ID, username, or another system-defined token.
+     * @param {Object} [options] - Additional information to direct the activity fetching.
+     * @param {Number} [options.limit=10] - The maximum number results to retrieve.
+     * @param {Array} [options.include] - An array of strings identifying elements to expand in the result. Valid identifiers are: 'user', 'page', and 'request'.
+     * @param {String|Date|Number} [options.upTo] - The marker used to paginate, or the date, as a Date, an ISO 8601 string or an epoch number, to list the events up to.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<userActivityModel>} - A Promise that, when resolved, yields a {@link userActivityModel} containing the user's activity events.
+     */
+    getUserActivity(userActivityToken: number | string, options?: {
+        limit?: number;
+        include?: any[];
+        upTo?: string | Date | number;
+    }, requestOptions?: RequestOptions): Promise<userActivityModel>;
+    /**
+     * Get the user's history events.
+     * @param {Number|String} [userId=current] - The user's numeric ID or username.
+     * @param {Object} [options] - Additional options to direct the history fetching.
+     * @param {Number} [options.limit=10] - The maximum number results that we want to retrieve.
+     * @param {Array} [options.include] - An array of elements you'd like to expand. If specified, valid entries are 'user', 'page', and 'request'.
+     * @param {String|Date|Number} [options.upTo] - The marker used to paginate, or the date, as a Date, an ISO 8601 string or an epoch number, to list the events up to.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel>} - A Promise that, when resolved, yields a {@link pageHistoryModel} that contains the listing of the user's events.
+     */
+    getUserHistory(userId: number | string | undefined, options: {
+        limit?: number;
+        include?: any[];
+        upTo?: string | Date | number;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageHistoryModel>>;
+    /**
+     * Get the user's history events.
+     * @param {Number|String} [userId=current] - The user's numeric ID or username.
+     * @param {Object} [options] - Additional options to direct the history fetching.
+     * @param {Number} [options.limit=10] - The maximum number results that we want to retrieve.
+     * @param {Array} [options.include] - An array of elements you'd like to expand. If specified, valid entries are 'user', 'page', and 'request'.
+     * @param {String|Date|Number} [options.upTo] - The marker used to paginate, or the date, as a Date, an ISO 8601 string or an epoch number, to list the events up to.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel>} - A Promise that, when resolved, yields a {@link pageHistoryModel} that contains the listing of the user's events.
+     */
+    getUserHistory(userId?: number | string, options?: {
+        limit?: number;
+        include?: any[];
+        upTo?: string | Date | number;
+    }, requestOptions?: RequestOptions): Promise<pageHistoryModel>;
+    /**
+     * Get the details of a specific user event.
+     * @param {String} detailId - The detail ID of the event.
+     * @param {Object} [options] - Information to direct the detail to fetch.
+     * @param {Array} [options.include] - An array of strings identifying elements to expand in the result. Valid identifiers are: 'page', 'user', 'file', and 'request'.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel>} - A Promise that, when resolved, yields a {@link pageHistoryModel} that contains the event information.
+     */
+    getUserHistoryDetail(detailId: string, options: {
+        include?: any[];
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageHistoryModel>>;
+    /**
+     * Get the details of a specific user event.
+     * @param {String} detailId - The detail ID of the event.
+     * @param {Object} [options] - Information to direct the detail to fetch.
+     * @param {Array} [options.include] - An array of strings identifying elements to expand in the result. Valid identifiers are: 'page', 'user', 'file', and 'request'.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHistoryModel>} - A Promise that, when resolved, yields a {@link pageHistoryModel} that contains the event information.
+     */
+    getUserHistoryDetail(detailId: string, options?: {
+        include?: any[];
+    }, requestOptions?: RequestOptions): Promise<pageHistoryModel>;
+    /**
+     * Log a web widget impression event. This request will fail if not called from a MindTouch web widget.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, contains the status of the web widget impression request.
+     */
+    logWebWidgetImpression(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Log a web widget impression event. This request will fail if not called from a MindTouch web widget.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, contains the status of the web widget impression request.
+     */
+    logWebWidgetImpression(requestOptions?: RequestOptions): Promise<any>;
+}
+export class ExternalReport {
+    /**
+     * Construct a ExternalReport object.
+     * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(settings?: Settings);
+    _plug: Plug;
+    /**
+     * Return all external reports
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Array>} - A Promise that will be resolved with an array of external reports, or rejected with an error specifying the reason for rejection.
+     */
+    getExternalReports(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any[]>>;
+    /**
+     * Return all external reports
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Array>} - A Promise that will be resolved with an array of external reports, or rejected with an error specifying the reason for rejection.
+     */
+    getExternalReports(requestOptions?: RequestOptions): Promise<any[]>;
+    /**
+     * Return an external report
+     * @param {Number} id External Report Id
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<externalReportModel>} - A Promise that will be resolved with an external report, or rejected with an error specifying the reason for rejection.
+     */
+    getExternalReport(id: number, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<externalReportModel>>;
+    /**
+     * Return an external report
+     * @param {Number} id External Report Id
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<externalReportModel>} - A Promise that will be resolved with an external report, or rejected with an error specifying the reason for rejection.
+     */
+    getExternalReport(id: number, requestOptions?: RequestOptions): Promise<externalReportModel>;
+    /**
+     * Return an external report external uri
+     * @param {Number} id External Report Id
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<externalReportExternalUriModel>} - A Promise that will be resolved with an external report uri, or rejected with an error specifying the reason for rejection.
+     */
+    getExternalReportExternalUri(id: number, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<externalReportExternalUriModel>>;
+    /**
+     * Return an external report external uri
+     * @param {Number} id External Report Id
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<externalReportExternalUriModel>} - A Promise that will be resolved with an external report uri, or rejected with an error specifying the reason for rejection.
+     */
+    getExternalReportExternalUri(id: number, requestOptions?: RequestOptions): Promise<externalReportExternalUriModel>;
+    /**
+     * Create an external report
+     * @param {Object} externalReport - an external report
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<externalReportModel>} - external report
+     */
+    createExternalReport(externalReport: any, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<externalReportModel>>;
+    /**
+     * Create an external report
+     * @param {Object} externalReport - an external report
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<externalReportModel>} - external report
+     */
+    createExternalReport(externalReport: any, requestOptions?: RequestOptions): Promise<externalReportModel>;
+    /**
+     * Update an external report
+     * @param {Object} externalReport - an external report
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<externalReportModel>} - external report
+     */
+    updateExternalReport(externalReport: any, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<externalReportModel>>;
+    /**
+     * Update an external report
+     * @param {Object} externalReport - an external report
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<externalReportModel>} - external report
+     */
+    updateExternalReport(externalReport: any, requestOptions?: RequestOptions): Promise<externalReportModel>;
+    /**
+     * Delete an external report
+     * @param {Number} id - an id of an external report
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<externalReportModel>} - A Promise that, when resolved, yields the {@link externalReportModel} of the deleted report.
+     */
+    deleteExternalReport(id: number, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<externalReportModel>>;
+    /**
+     * Delete an external report
+     * @param {Number} id - an id of an external report
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<externalReportModel>} - A Promise that, when resolved, yields the {@link externalReportModel} of the deleted report.
+     */
+    deleteExternalReport(id: number, requestOptions?: RequestOptions): Promise<externalReportModel>;
+}
+/**
+ * A class for working with file attachments within the MindTouch site.
+ */
+export class File {
+    /**
+     * Construct a new File object.
+     * @param {Number} id - The resource ID of the file.
+     * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(id: number, settings?: Settings);
+    _id: number;
+    _settings: Settings;
+    _plug: Plug;
+    _progressPlug: Plug;
+    /**
+     * Get the file attachment information.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<fileModel>} - A Promise that, when resolved, yields a {@link fileModel} containing the attachment information.
+     */
+    getInfo(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<fileModel>>;
+    /**
+     * Get the file attachment information.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<fileModel>} - A Promise that, when resolved, yields a {@link fileModel} containing the attachment information.
+     */
+    getInfo(requestOptions?: RequestOptions): Promise<fileModel>;
+    /**
+     * Get the revision list of the file attachment.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<fileRevisionsModel>} - A Promise that, when resolved, yields a {@link fileRevisionsModel} containing the revision listing.
+     */
+    getRevisions(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<fileRevisionsModel>>;
+    /**
+     * Get the revision list of the file attachment.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<fileRevisionsModel>} - A Promise that, when resolved, yields a {@link fileRevisionsModel} containing the revision listing.
+     */
+    getRevisions(requestOptions?: RequestOptions): Promise<fileRevisionsModel>;
+    /**
+     * Set the description for the file.
+     * @param {String} description - The new file description.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<fileModel>} - A Promise that, when resolved, yields a {@link fileModel} containing the file information.
+     */
+    setDescription(description: string, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<fileModel>>;
+    /**
+     * Set the description for the file.
+     * @param {String} description - The new file description.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<fileModel>} - A Promise that, when resolved, yields a {@link fileModel} containing the file information.
+     */
+    setDescription(description: string, requestOptions?: RequestOptions): Promise<fileModel>;
+    /**
+     * Delete the file from the MindTouch site.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, indicates a successful file deletion.
+     */
+    delete(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Delete the file from the MindTouch site.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, indicates a successful file deletion.
+     */
+    delete(requestOptions?: RequestOptions): Promise<any>;
+    /**
+     * Upload a new file to serve as a revision in place of the current file.
+     * @param {File|Uint8Array|AsyncIterable.<(Uint8Array|String)>} file - The file object to upload. With a `progress` function in node, this may also be a Buffer, a readable stream or an async iterable of chunks, which is streamed to the API.
+     * @param {Object} [options] - The file information options that is, by default populated from the `file` parameter.
+     * @param {String} [options.name] - The filename of the new revision.
+     * @param {Number} [options.size] - The size of the file, in bytes.
+     * @param {String} [options.type] - The mime type of the file.
+     * @param {function} [options.progress] - A function that is called to indicate upload progress before the upload is complete.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<fileModel>} - A Promise that will be resolved with the updated file data, or rejected with an error specifying the reason for rejection.
+     */
+    addRevision(file: File | Uint8Array | AsyncIterable<(Uint8Array | string)>, { name, size, type, progress }: {
+        name?: string;
+        size?: number;
+        type?: string;
+        progress?: Function;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<fileModel>>;
+    /**
+     * Upload a new file to serve as a revision in place of the current file.
+     * @param {File|Uint8Array|AsyncIterable.<(Uint8Array|String)>} file - The file object to upload. With a `progress` function in node, this may also be a Buffer, a readable stream or an async iterable of chunks, which is streamed to the API.
+     * @param {Object} [options] - The file information options that is, by default populated from the `file` parameter.
+     * @param {String} [options.name] - The filename of the new revision.
+     * @param {Number} [options.size] - The size of the file, in bytes.
+     * @param {String} [options.type] - The mime type of the file.
+     * @param {function} [options.progress] - A function that is called to indicate upload progress before the upload is complete.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<fileModel>} - A Promise that will be resolved with the updated file data, or rejected with an error specifying the reason for rejection.
+     */
+    addRevision(file: File | Uint8Array | AsyncIterable<(Uint8Array | string)>, { name, size, type, progress }?: {
+        name?: string;
+        size?: number;
+        type?: string;
+        progress?: Function;
+    }, requestOptions?: RequestOptions): Promise<fileModel>;
+    /**
+     * Move the file to a new page.
+     * @param {Object} params - The parameters that direct the API request.
+     * @param {Number} params.to - The page ID of the page to move to.
+     * @param {String} params.name - The name of the new, moved file.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<fileModel>} - A Promise that will be resolved with the updated file data, or rejected with an error specifying the reason for rejection.
+     */
+    move(params: {
+        to: number;
+        name: string;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<fileModel>>;
+    /**
+     * Move the file to a new page.
+     * @param {Object} params - The parameters that direct the API request.
+     * @param {Number} params.to - The page ID of the page to move to.
+     * @param {String} params.name - The name of the new, moved file.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<fileModel>} - A Promise that will be resolved with the updated file data, or rejected with an error specifying the reason for rejection.
+     */
+    move(params?: {
+        to: number;
+        name: string;
+    }, requestOptions?: RequestOptions): Promise<fileModel>;
+    /**
+     * Download the contents of the file, or of one of its revisions. The request is sent with the configured token and cookies.
+     * @param {Object} [options] - Options to direct the download.
+     * @param {Number} [options.revision] - The revision of the file to download. If not supplied, the current revision is downloaded.
+     * @param {Number} [options.start] - The offset of the first byte to download, to resume a partial download with a `Range` request. The Promise is rejected if the API does not return the requested range.
+     * @param {Number} [options.end] - The offset of the last byte to download. If not supplied, the file is downloaded to the end.
+     * @param {Boolean} [options.stream=false] - Resolve with a ReadableStream of the contents, instead of reading them into a Blob.
+     * @param {function} [options.progress] - A function that is called with the `loaded` and `total` number of bytes as the contents are downloaded. A resumed download counts from the `start` offset toward the size of the whole file. The `total` is null if the size of the file is not known.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Blob|ReadableStream>} - A Promise that, when resolved, yields the file contents.
+     */
+    download(options: {
+        revision?: number;
+        start?: number;
+        end?: number;
+        stream?: boolean;
+        progress?: Function;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<Blob | ReadableStream>>;
+    /**
+     * Download the contents of the file, or of one of its revisions. The request is sent with the configured token and cookies.
+     * @param {Object} [options] - Options to direct the download.
+     * @param {Number} [options.revision] - The revision of the file to download. If not supplied, the current revision is downloaded.
+     * @param {Number} [options.start] - The offset of the first byte to download, to resume a partial download with a `Range` request. The Promise is rejected if the API does not return the requested range.
+     * @param {Number} [options.end] - The offset of the last byte to download. If not supplied, the file is downloaded to the end.
+     * @param {Boolean} [options.stream=false] - Resolve with a ReadableStream of the contents, instead of reading them into a Blob.
+     * @param {function} [options.progress] - A function that is called with the `loaded` and `total` number of bytes as the contents are downloaded. A resumed download counts from the `start` offset toward the size of the whole file. The `total` is null if the size of the file is not known.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Blob|ReadableStream>} - A Promise that, when resolved, yields the file contents.
+     */
+    download(options?: {
+        revision?: number;
+        start?: number;
+        end?: number;
+        stream?: boolean;
+        progress?: Function;
+    }, requestOptions?: RequestOptions): Promise<Blob | ReadableStream>;
+}
+export class FileDraft extends File {
+}
+/**
+ * A class for managing a single group of users.
+ */
+export class Group {
+    /**
+     * Construct a new Group object.
+     * @param {Number|String} id - The integer group ID, or the group name string.
+     * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(id: number | string, settings?: Settings);
+    _id: any;
+    _groupPlug: Plug;
+    /**
+     * Get the group information.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<groupModel>} - A Promise that, when resolved, yields a {@link groupModel} containing the group information.
+     */
+    getInfo(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<groupModel>>;
+    /**
+     * Get the group information.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<groupModel>} - A Promise that, when resolved, yields a {@link groupModel} containing the group information.
+     */
+    getInfo(requestOptions?: RequestOptions): Promise<groupModel>;
+    /**
+     * Get a list of optionally-filtered group users.
+     * @param {Object} options - The filtering options for fetching the listing.
+     * @param {String} [options.usernamefilter] - Search for users by name or part of a name.
+     * @param {Number} [options.offset=0] - Number of items to skip. Must be a positive number or 0 to not skip any.
+     * @param {Number|String} [options.limit=100] - Maximum number of items to retrieve. Must be a positive number or 'all' to retrieve all items.
+     * @param {Boolean} [options.activatedfilter] - Search for users by their active status.
+     * @param {String} [options.rolefilter] - Search for users by a role name.
+     * @param {String} [options.sortby] - Sort field. Prefix value with '-' to sort descending. Valid values are: `id`, `username`, `nick`, `email`, `fullname`, `date.lastlogin`, `status`, `role`, `service`
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<userListModel>} - A Promise that, when resolved, yields a {@link userListModel} with the users listing.
+     */
+    getUsers(options: {
+        usernamefilter?: string;
+        offset?: number;
+        limit?: number | string;
+        activatedfilter?: boolean;
+        rolefilter?: string;
+        sortby?: string;
+    }, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<userListModel>>;
+    /**
+     * Get a list of optionally-filtered group users.
+     * @param {Object} options - The filtering options for fetching the listing.
+     * @param {String} [options.usernamefilter] - Search for users by name or part of a name.
+     * @param {Number} [options.offset=0] - Number of items to skip. Must be a positive number or 0 to not skip any.
+     * @param {Number|String} [options.limit=100] - Maximum number of items to retrieve. Must be a positive number or 'all' to retrieve all items.
+     * @param {Boolean} [options.activatedfilter] - Search for users by their active status.
+     * @param {String} [options.rolefilter] - Search for users by a role name.
+     * @param {String} [options.sortby] - Sort field. Prefix value with '-' to sort descending. Valid values are: `id`, `username`, `nick`, `email`, `fullname`, `date.lastlogin`, `status`, `role`, `service`
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<userListModel>} - A Promise that, when resolved, yields a {@link userListModel} with the users listing.
+     */
+    getUsers(options: {
+        usernamefilter?: string;
+        offset?: number;
+        limit?: number | string;
+        activatedfilter?: boolean;
+        rolefilter?: string;
+        sortby?: string;
+    }, requestOptions?: RequestOptions): Promise<userListModel>;
+    /**
+     * Remove given member from a group
+     * @param {Number|String} userId - either an integer user ID, "current", or the username of the user to remove from the group.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<groupModel>} A Promise that, when resolved, yields a groupModel containing information about the group that the user was removed from.
+     */
+    removeUser(userId: number | string, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<groupModel>>;
+    /**
+     * Remove given member from a group
+     * @param {Number|String} userId - either an integer user ID, "current", or the username of the user to remove from the group.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<groupModel>} A Promise that, when resolved, yields a groupModel containing information about the group that the user was removed from.
+     */
+    removeUser(userId: number | string, requestOptions?: RequestOptions): Promise<groupModel>;
+    /**
+     * Remove the group from the site
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates the group was deleted successfully.
+     */
+    delete(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Remove the group from the site
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates the group was deleted successfully.
+     */
+    delete(requestOptions?: RequestOptions): Promise<any>;
+}
+/**
+ * A class to manage the groups defined on the MindTouch site.
+ */
+export class GroupManager {
+    /**
+     * Construct a GroupManager object.
+     * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(settings?: Settings);
+    plug: Plug;
+    settings: Settings;
+    /**
+     * Get the listing of all of the groups defined on the site.
+     * @param {Object} options - The options to direct the fetching of the groups
+     * @param {String} options.nameFilter - Search for groups by name or part of a name
+     * @param {Number} options.authProvider - Return groups belonging to given authentication service id
+     * @param {Number|String} options.limit - Maximum number of items to retrieve. Must be a positive number or 'all' to retrieve all items. (default: 100)
+     * @param {Number} options.offset - Number of items to skip. Must be a positive number or 0 to not skip any. (default: 0)
+     * @param {String} options.sortBy - Sort field. Prefix value with '-' to sort descending. default: No sorting. Must be one of 'id', 'name', 'role', 'service'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<groupListModel>} - A Promise that, when resolved, yields a {@link groupListModel} containing the group listing.
+     */
+    getGroupList(options: {
+        nameFilter: string;
+        authProvider: number;
+        limit: number | string;
+        offset: number;
+        sortBy: string;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<groupListModel>>;
+    /**
+     * Get the listing of all of the groups defined on the site.
+     * @param {Object} options - The options to direct the fetching of the groups
+     * @param {String} options.nameFilter - Search for groups by name or part of a name
+     * @param {Number} options.authProvider - Return groups belonging to given authentication service id
+     * @param {Number|String} options.limit - Maximum number of items to retrieve. Must be a positive number or 'all' to retrieve all items. (default: 100)
+     * @param {Number} options.offset - Number of items to skip. Must be a positive number or 0 to not skip any. (default: 0)
+     * @param {String} options.sortBy - Sort field. Prefix value with '-' to sort descending. default: No sorting. Must be one of 'id', 'name', 'role', 'service'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<groupListModel>} - A Promise that, when resolved, yields a {@link groupListModel} containing the group listing.
+     */
+    getGroupList(options?: {
+        nameFilter: string;
+        authProvider: number;
+        limit: number | string;
+        offset: number;
+        sortBy: string;
+    }, requestOptions?: RequestOptions): Promise<groupListModel>;
+    /**
+     * Get a Group object based on ID.
+     * @param {Number|String} id - The integer group ID, or the group name string.
+     * @returns {Group} - A new {@link Group} object for managing the group.
+     */
+    getGroup(id: number | string): Group;
+}
+/**
+ * A class that records the HTTP exchanges of Plug and ProgressPlug instances in the HAR (HTTP Archive) 1.2 format. Binary request bodies are recorded as base64.
+ */
+export class HarRecorder {
+    /**
+     * Construct a HarRecorder object.
+     * @param {Object} [options] Options to direct the recording.
+     * @param {Array} [options.redactHeaders] The names of request and response headers whose values are replaced in the recording, so that credentials are not written to disk (default: X-Deki-Token, X-Authtoken, Authorization, Cookie, Set-Cookie).
+     */
+    constructor({ redactHeaders }?: {
+        redactHeaders?: any[];
+    });
+    _redactHeaders: any[];
+    _entries: any[];
+    _started: WeakMap<object, any>;
+    /**
+     * Get a middleware that records each exchange. This should be the last middleware in the chain, so that the final request is recorded. See {@see Plug} for details.
+     */
+    get middleware(): {
+        request: (params: any) => any;
+        response: (response: any, params: any) => Promise<any>;
+        error: (error: any, params: any) => Promise<never>;
+    };
+    /**
+     * Get the recorded exchanges as a HAR object.
+     */
+    get har(): {
+        log: {
+            version: string;
+            creator: {
+                name: string;
+                version: string;
+            };
+            entries: any[];
+        };
+    };
+    /**
+     * Write the recorded exchanges to a HAR file. This is only available in node.
+     * @param {String} path The path of the file to write.
+     * @returns {Promise} A Promise that, when resolved, indicates the file was written.
+     */
+    save(path: string): Promise<any>;
+    _record(params: any, result: any): Promise<void>;
+}
+/**
+ * A class that serves recorded HAR (HTTP Archive) responses in place of the network.
+ */
+export class HarReplay {
+    /**
+     * Load a HarReplay from a HAR file. This is only available in node.
+     * @param {String} path The path of the file to read.
+     * @returns {Promise.<HarReplay>} A Promise that, when resolved, yields a HarReplay that serves the recorded responses.
+     */
+    static fromFile(path: string): Promise<HarReplay>;
+    /**
+     * Construct a HarReplay object.
+     * @param {Object} har A HAR object, such as one recorded by {@see HarRecorder}.
+     */
+    constructor(har: any);
+    _entries: any;
+    _served: Set<any>;
+    /**
+     * Get a whatwg/fetch implementation that serves the recorded responses. A request matches an entry with the same method, path, query and, if one was recorded, body. Matching entries are served in the order they were recorded, and the last one is served again once all have been served.
+     */
+    get fetchImpl(): (input: any, init: any) => Promise<Response>;
+    _respond(request: any, body: any): Promise<Response>;
+}
+/**
+ * A cookie manager that keeps cookies as a user agent does, following RFC 6265. Set it as the {@see Settings.cookieManager} to keep a cookie-based session in node.
+ */
+export class CookieJar {
+    /**
+     * Construct a CookieJar.
+     * @param {Object} [options] Options to direct the construction of the cookie jar.
+     * @param {String} [options.file=null] The path of a file to load the cookies from, and to save them to when they change, so that a session is kept between runs. Session cookies are saved as well. This is only available in node.
+     */
+    constructor({ file }?: {
+        file?: string;
+    });
+    _file: string;
+    _cookies: any[];
+    _loaded: Promise<void>;
+    _saved: Promise<void>;
+    /**
+     * Get the value of a Cookie header for an HTTP request.
+     * @param {String} url The URL of the HTTP request.
+     * @returns {Promise.<String>} A Promise that, when resolved, yields the cookie string, which is empty if no cookies apply to the request.
+     */
+    getCookieString(url: string): Promise<string>;
+    /**
+     * Store the cookies from the Set-Cookie headers of an HTTP response.
+     * @param {String} url The URL of the HTTP request that received the response.
+     * @param {Array} cookies The values of the Set-Cookie headers.
+     * @returns {Promise} A Promise that, when resolved, indicates the cookies were stored.
+     */
+    storeCookies(url: string, cookies: any[]): Promise<any>;
+    /**
+     * Remove the cookies with a name that are sent to a host, whatever their domain and path.
+     * @param {String} url A URL of the host.
+     * @param {String} name The name of the cookies.
+     * @returns {Promise} A Promise that, when resolved, indicates the cookies were removed.
+     */
+    removeCookies(url: string, name: string): Promise<any>;
+    /**
+     * Remove all of the cookies.
+     * @returns {Promise} A Promise that, when resolved, indicates the cookies were removed.
+     */
+    clear(): Promise<any>;
+    _load(): Promise<void>;
+    _save(): Promise<void>;
+}
+/**
+ * A cache of HTTP GET responses that are revalidated with the `ETag` and `Last-Modified` response headers.
+ */
+export class HttpCache {
+    /**
+     * Construct an HttpCache.
+     * @param {Object} [options] Options to direct the construction of the cache.
+     * @param {Object} [options.storage] Where the cached responses are kept (default: an in-memory `Map`). This must provide the `get(key)`, `set(key, entry)`, `delete(key)` and `keys()` functions of a `Map`, any of which may return a Promise. The entries are plain, JSON-serializable objects.
+     */
+    constructor({ storage }?: {
+        storage?: any;
+    });
+    _storage: any;
+    /**
+     * Remove the cached responses for the API resource that a URL belongs to (such as `pages/123` for `pages/123/contents`), for everything beneath it, and for the listing of its collection.
+     * @param {String} url The URL of the changed resource.
+     * @returns {Promise} A Promise that, when resolved, indicates the cached responses were removed.
+     */
+    invalidate(url: string): Promise<any>;
+    /**
+     * Remove all of the cached responses.
+     * @returns {Promise} A Promise that, when resolved, indicates the cached responses were removed.
+     */
+    clear(): Promise<any>;
+    _get(key: any): any;
+    _set(key: any, entry: any): Promise<any>;
+    _removeKeys(predicate: any): Promise<any[]>;
+}
+/**
+ * A limiter for the number of concurrent HTTP requests to each host, and for the rate at which they are sent.
+ */
+export class RequestLimiter {
+    /**
+     * Construct a RequestLimiter.
+     * @param {Object} [options] Options to direct the construction of the limiter.
+     * @param {Number} [options.concurrency=Infinity] The maximum number of HTTP requests to a host that are in flight at once.
+     * @param {Number} [options.rate=Infinity] The number of HTTP requests per second that are sent to a host, on average.
+     * @param {Number} [options.burst] The number of HTTP requests that may be sent to a host at once, after it has been idle (default: the `rate`, and at least 1).
+     */
+    constructor({ concurrency, rate, burst }?: {
+        concurrency?: number;
+        rate?: number;
+        burst?: number;
+    });
+    _concurrency: number;
+    _rate: number;
+    _burst: number;
+    _hosts: Map<any, any>;
+    /**
+     * Get the number of HTTP requests that are waiting to be sent.
+     * @param {String} [host] The host, such as `example.mindtouch.us`, to count the waiting requests for. If not supplied, the requests to all hosts are counted.
+     * @returns {Number} The number of waiting requests.
+     */
+    getQueueDepth(host?: string): number;
+    /**
+     * Get the number of HTTP requests that are in flight.
+     * @param {String} [host] The host, such as `example.mindtouch.us`, to count the in-flight requests for. If not supplied, the requests to all hosts are counted.
+     * @returns {Number} The number of in-flight requests.
+     */
+    getActiveCount(host?: string): number;
+    _count(host: any, countState: any): any;
+    _run(url: any, signal: any, sendRequest: any): Promise<any>;
+    _next(state: any): void;
+}
+export class LearningPath {
+    /**
+     * Create a new Learning Path.
+     * @param {String} name The name of the Learning Path represented by this instance.
+     * @param {Settings} settings The martian settings to direct the Learning Path API calls.
+     */
+    constructor(name: string, settings?: Settings);
+    _name: string;
+    _plug: Plug;
+    /**
+     * Get the learning path data.
+     * @param {String|Number} [revision] The positive integer or GUID that refers to a specific revision to fetch. If not supplied, the latest revision will be fetched.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathModel>} A promise that, when resolved, yields a learningPathModel representing the learning path.
+     */
+    getInfo(revision: string | number | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<learningPathModel>>;
+    /**
+     * Get the learning path data.
+     * @param {String|Number} [revision] The positive integer or GUID that refers to a specific revision to fetch. If not supplied, the latest revision will be fetched.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathModel>} A promise that, when resolved, yields a learningPathModel representing the learning path.
+     */
+    getInfo(revision?: string | number, requestOptions?: RequestOptions): Promise<learningPathModel>;
+    /**
+     * Update the contents of the learning path
+     * @param {Object} content The content fields to update
+     * @param {String} content.title The new title of the learning path.
+     * @param {String} [content.summary] The new summary of the learning path. If not supplied, the summary is cleared.
+     * @param {String} [content.category] The new category of the learning path. If not supplied, the category is cleared.
+     * @param {Array} [content.pageIds] An array of page IDs that represents the new orderde set of pages in the learning path. If not supplied, the pages are cleared.
+     * @param {Array.<Object>} [content.pages] The pages of the learning path, such as the `pages` from {@see LearningPath#getInfo}, in place of the `pageIds`.
+     * @param {Date|String} [editTime=now] Current learning path's edit timestamp, or the string 'now' bypass concurrent edit check.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathModel>} A promise that, when resolved, yields a learningPathModel representing the updated learning path.
+     */
+    update(content: {
+        title: string;
+        summary?: string;
+        category?: string;
+        pageIds?: any[];
+        pages?: Array<any>;
+    }, editTime: Date | string | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<learningPathModel>>;
+    /**
+     * Update the contents of the learning path
+     * @param {Object} content The content fields to update
+     * @param {String} content.title The new title of the learning path.
+     * @param {String} [content.summary] The new summary of the learning path. If not supplied, the summary is cleared.
+     * @param {String} [content.category] The new category of the learning path. If not supplied, the category is cleared.
+     * @param {Array} [content.pageIds] An array of page IDs that represents the new orderde set of pages in the learning path. If not supplied, the pages are cleared.
+     * @param {Array.<Object>} [content.pages] The pages of the learning path, such as the `pages` from {@see LearningPath#getInfo}, in place of the `pageIds`.
+     * @param {Date|String} [editTime=now] Current learning path's edit timestamp, or the string 'now' bypass concurrent edit check.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathModel>} A promise that, when resolved, yields a learningPathModel representing the updated learning path.
+     */
+    update(content: {
+        title: string;
+        summary?: string;
+        category?: string;
+        pageIds?: any[];
+        pages?: Array<any>;
+    }, editTime?: Date | string, requestOptions?: RequestOptions): Promise<learningPathModel>;
+    /**
+     * Remove the learning path.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A promise that, when resolved, indicates successful removal of the learning path.
+     */
+    remove(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Remove the learning path.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A promise that, when resolved, indicates successful removal of the learning path.
+     */
+    remove(requestOptions?: RequestOptions): Promise<any>;
+    /**
+     * Clone the learning path, and give it the specified name.
+     * @param {String} newName The new name for the learning path clone.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathModel>} A promise that, when resolved, yields a learningPathModel containing the information about the cloned learning path.
+     */
+    clone(newName: string, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<learningPathModel>>;
+    /**
+     * Clone the learning path, and give it the specified name.
+     * @param {String} newName The new name for the learning path clone.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathModel>} A promise that, when resolved, yields a learningPathModel containing the information about the cloned learning path.
+     */
+    clone(newName: string, requestOptions?: RequestOptions): Promise<learningPathModel>;
+    /**
+     * Revert the Learning Path to a specific revision.
+     * @param {String|Number} revision The positive integer or GUID that refers to a specific revision to revert to.
+     * @param {Date|String} [editTime=now] The previous revision's edit timestamp. Defaults to "now" to bypass concurrent edit check.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathModel>} A Promise that, when resolved, yields a learningPathModel that represents the state of the learning path after the revert has completed.
+     */
+    revertToRevision(revision: string | number, editTime: Date | string | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<learningPathModel>>;
+    /**
+     * Revert the Learning Path to a specific revision.
+     * @param {String|Number} revision The positive integer or GUID that refers to a specific revision to revert to.
+     * @param {Date|String} [editTime=now] The previous revision's edit timestamp. Defaults to "now" to bypass concurrent edit check.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathModel>} A Promise that, when resolved, yields a learningPathModel that represents the state of the learning path after the revert has completed.
+     */
+    revertToRevision(revision: string | number, editTime?: Date | string, requestOptions?: RequestOptions): Promise<learningPathModel>;
+    /**
+     * Add a page to the learning path
+     * @param {Number} pageId The numeric ID of the page to add to the Learning Path.
+     * @param {Date|String} [editTime=now] The previous revision's edit timestamp. Defaults to "now" to bypass concurrent edit check.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageModel>} A Promise that, when resolved, returns a pageModel representing the page that was added.
+     */
+    addPage(pageId: number, editTime: Date | string | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageModel>>;
+    /**
+     * Add a page to the learning path
+     * @param {Number} pageId The numeric ID of the page to add to the Learning Path.
+     * @param {Date|String} [editTime=now] The previous revision's edit timestamp. Defaults to "now" to bypass concurrent edit check.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageModel>} A Promise that, when resolved, returns a pageModel representing the page that was added.
+     */
+    addPage(pageId: number, editTime?: Date | string, requestOptions?: RequestOptions): Promise<pageModel>;
+    /**
+     * Remove a page from a learning path
+     * @param {Number} pageId The numeric ID of the page to remove from the Learning Path.
+     * @param {Date|String} [editTime=now] The previous revision's edit timestamp. Defaults to "now" to bypass concurrent edit check.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates that the page was successfully removed.
+     */
+    removePage(pageId: number, editTime: Date | string | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Remove a page from a learning path
+     * @param {Number} pageId The numeric ID of the page to remove from the Learning Path.
+     * @param {Date|String} [editTime=now] The previous revision's edit timestamp. Defaults to "now" to bypass concurrent edit check.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates that the page was successfully removed.
+     */
+    removePage(pageId: number, editTime?: Date | string, requestOptions?: RequestOptions): Promise<any>;
+    /**
+     * Change the index of a page in a learning path
+     * @param {Number} pageId The numeric ID of the page that is the target of the reorder operation.
+     * @param {Number} [afterId=0] The page id after which this page should be placed. A value of 0 will place it at the beginning.
+     * @param {Date|String} [editTime=now] The previous revision's edit timestamp. Defaults to "now" to bypass concurrent edit check.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathModel>} A Promise that, when resolved, yields a learningPathModel representing the learning path after a successful page reorder.
+     */
+    reorderPage(pageId: number, afterId: number | undefined, editTime: Date | string | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<learningPathModel>>;
+    /**
+     * Change the index of a page in a learning path
+     * @param {Number} pageId The numeric ID of the page that is the target of the reorder operation.
+     * @param {Number} [afterId=0] The page id after which this page should be placed. A value of 0 will place it at the beginning.
+     * @param {Date|String} [editTime=now] The previous revision's edit timestamp. Defaults to "now" to bypass concurrent edit check.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathModel>} A Promise that, when resolved, yields a learningPathModel representing the learning path after a successful page reorder.
+     */
+    reorderPage(pageId: number, afterId?: number, editTime?: Date | string, requestOptions?: RequestOptions): Promise<learningPathModel>;
+}
+export class LearningPathManager {
+    /**
+     * Create a new LearningPathManager
+     * @param {Settings} settings The martian settings to direct the Learning Path API calls.
+     */
+    constructor(settings?: Settings);
+    settings: Settings;
+    _plug: Plug;
+    /**
+     * Get information for all of the site learning paths.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathsModel>} A Promise that, when resolved, yields a learningPathsModel containing the information of all of the learning paths.
+     */
+    getLearningPaths(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<learningPathsModel>>;
+    /**
+     * Get information for all of the site learning paths.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathsModel>} A Promise that, when resolved, yields a learningPathsModel containing the information of all of the learning paths.
+     */
+    getLearningPaths(requestOptions?: RequestOptions): Promise<learningPathsModel>;
+    /**
+     * Create a new learning path
+     * @param {Object} data The data parameters for the new Learning Path.
+     * @param {String} data.name The string ID for the new Learning Path.
+     * @param {String} data.title The title for the new Learning Path.
+     * @param {String} [data.summary] A brief description for the new Learning Path.
+     * @param {String} [data.category] The category to put the learning path in.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathModel>} A Promise that, when resolved, yields a learningPathModel containing the information for the new learning path.
+     */
+    createLearningPath(data: {
+        name: string;
+        title: string;
+        summary?: string;
+        category?: string;
+    }, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<learningPathModel>>;
+    /**
+     * Create a new learning path
+     * @param {Object} data The data parameters for the new Learning Path.
+     * @param {String} data.name The string ID for the new Learning Path.
+     * @param {String} data.title The title for the new Learning Path.
+     * @param {String} [data.summary] A brief description for the new Learning Path.
+     * @param {String} [data.category] The category to put the learning path in.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathModel>} A Promise that, when resolved, yields a learningPathModel containing the information for the new learning path.
+     */
+    createLearningPath(data: {
+        name: string;
+        title: string;
+        summary?: string;
+        category?: string;
+    }, requestOptions?: RequestOptions): Promise<learningPathModel>;
+    /**
+     * Get a list of all of the categories used amongst all learning paths.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathCategoriesModel>} A Promise that, when resolved, yields an object containing the list of all of the learning path categories.
+     */
+    getCategories(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<learningPathCategoriesModel>>;
+    /**
+     * Get a list of all of the categories used amongst all learning paths.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathCategoriesModel>} A Promise that, when resolved, yields an object containing the list of all of the learning path categories.
+     */
+    getCategories(requestOptions?: RequestOptions): Promise<learningPathCategoriesModel>;
+    /**
+     * Get a {@see LearningPath} instance based on the name identifier
+     * @param {String} name The name for the learning path object to create.
+     * @returns {LearningPath} A LearningPath instance that provides API access to a single learning path.
+     */
+    getLearningPath(name: string): LearningPath;
+}
+export class License {
+    /**
+     * Construct a new License object.
+     * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(settings?: Settings);
+    _plug: Plug;
+    /**
+     * Retrieve license usage totals for the current license period
+     * @param {Object} [options] - Parameters that will direct the usage information that is returned.
+     * @param {Date|String|Number} [options.since] - Get license usage starting at this date, as a Date, an ISO 8601 string or an epoch number.
+     * @param {Date|String|Number} [options.upTo=Date.now()] - Get license usage ending at this date, as a Date, an ISO 8601 string or an epoch number.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<licenseUsageModel>} - A Promise that will be resolved with the license usage data, or rejected with an error specifying the reason for rejection.
+     */
+    getUsage(options: {
+        since?: Date | string | number;
+        upTo?: Date | string | number;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<licenseUsageModel>>;
+    /**
+     * Retrieve license usage totals for the current license period
+     * @param {Object} [options] - Parameters that will direct the usage information that is returned.
+     * @param {Date|String|Number} [options.since] - Get license usage starting at this date, as a Date, an ISO 8601 string or an epoch number.
+     * @param {Date|String|Number} [options.upTo=Date.now()] - Get license usage ending at this date, as a Date, an ISO 8601 string or an epoch number.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<licenseUsageModel>} - A Promise that will be resolved with the license usage data, or rejected with an error specifying the reason for rejection.
+     */
+    getUsage(options?: {
+        since?: Date | string | number;
+        upTo?: Date | string | number;
+    }, requestOptions?: RequestOptions): Promise<licenseUsageModel>;
+    /**
+     * Retrieve license usage totals for the current license period.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<reportLogsModel>} - A Promise that will be resolved with the usage logs data, or rejected with an error specifying the reason for rejection.
+     */
+    getUsageLogs(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<reportLogsModel>>;
+    /**
+     * Retrieve license usage totals for the current license period.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<reportLogsModel>} - A Promise that will be resolved with the usage logs data, or rejected with an error specifying the reason for rejection.
+     */
+    getUsageLogs(requestOptions?: RequestOptions): Promise<reportLogsModel>;
+    /**
+     * Retrieve the download URL for a license usage log.
+     * @param {String} name - The name identifier for the usage log.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Object>} - A Promise that will be resolved with the log URL data, or rejected with an error specifying the reason for rejection.
+     */
+    getUsageLogUrl(name: string, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Retrieve the download URL for a license usage log.
+     * @param {String} name - The name identifier for the usage log.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Object>} - A Promise that will be resolved with the log URL data, or rejected with an error specifying the reason for rejection.
+     */
+    getUsageLogUrl(name: string, requestOptions?: RequestOptions): Promise<any>;
+}
+/**
+ * A class for managing a published page.
+ * @augments PageBase
+ * @inheritdoc
+ */
+export class Page extends PageBase {
+    /**
+     * Construct a new Page.
+     * @param {Number|String} [id='home'] The numeric page ID or the page path.
+     * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(id?: number | string, settings?: Settings);
+    _settings: Settings;
+    _plug: Plug;
+    _progressPlug: Plug;
+    /**
+     * Gets the basic page information.
+     * @param {Object} [params] - Additional parameters to direct the API request.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageModel>} - A Promise that, when resolved, yields a {@link pageModel} containing the basic page information.
+     */
+    getInfo(params: any | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageModel>>;
+    /**
+     * Gets the basic page information.
+     * @param {Object} [params] - Additional parameters to direct the API request.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageModel>} - A Promise that, when resolved, yields a {@link pageModel} containing the basic page information.
+     */
+    getInfo(params?: any, requestOptions?: RequestOptions): Promise<pageModel>;
+    /**
+     * Get the subpages of the page.
+     * @param {Object} [params] - Additional parameters to direct the API request.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<subpagesModel>} - A Promise that, when resolved, yields a {@link subpagesModel} containing the basic page information.
+     */
+    getSubpages(params: any | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<subpagesModel>>;
+    /**
+     * Get the subpages of the page.
+     * @param {Object} [params] - Additional parameters to direct the API request.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<subpagesModel>} - A Promise that, when resolved, yields a {@link subpagesModel} containing the basic page information.
+     */
+    getSubpages(params?: any, requestOptions?: RequestOptions): Promise<subpagesModel>;
+    /**
+     * Fetch a combined response for the files and subpages of the current Page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<filesAndSubpagesModel>} - A promise that, when resolved, yields a {@link filesAndSubpagesModel} containing the consolidated response.
+     */
+    getFilesAndSubpages(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<filesAndSubpagesModel>>;
+    /**
+     * Fetch a combined response for the files and subpages of the current Page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<filesAndSubpagesModel>} - A promise that, when resolved, yields a {@link filesAndSubpagesModel} containing the consolidated response.
+     */
+    getFilesAndSubpages(requestOptions?: RequestOptions): Promise<filesAndSubpagesModel>;
+    /**
+     * Get a hierarchy tree based on the current page.
+     * @param {Object} [params] - Additional parameters to direct the API request.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageTreeModel>} - A Promise that, when resolved, yields a {@link pageTreeModel} containing the basic page information.
+     */
+    getTree(params: any | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageTreeModel>>;
+    /**
+     * Get a hierarchy tree based on the current page.
+     * @param {Object} [params] - Additional parameters to direct the API request.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageTreeModel>} - A Promise that, when resolved, yields a {@link pageTreeModel} containing the basic page information.
+     */
+    getTree(params?: any, requestOptions?: RequestOptions): Promise<pageTreeModel>;
+    /**
+     * Get the hierarchical list of pages IDs from the current page to the home page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Array>} - The array of hierarchical page IDs.
+     */
+    getTreeIds(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any[]>>;
+    /**
+     * Get the hierarchical list of pages IDs from the current page to the home page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Array>} - The array of hierarchical page IDs.
+     */
+    getTreeIds(requestOptions?: RequestOptions): Promise<any[]>;
+    /**
+     * Gets the rating information for the page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageRatingModel>} - A Promise that, when resolved, yields a {@link pageRatingModel} containing the rating information.
+     */
+    getRating(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageRatingModel>>;
+    /**
+     * Gets the rating information for the page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageRatingModel>} - A Promise that, when resolved, yields a {@link pageRatingModel} containing the rating information.
+     */
+    getRating(requestOptions?: RequestOptions): Promise<pageRatingModel>;
+    /**
+     * Set the rating for the page.
+     * @param {Number|null} [rating=null] - The new rating for the page.
+     * @param {Number|null} [oldRating=null] - The old rating for the page that is being replaced by {@see rating}.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageRatingModel>} - A Promise that, when resolved, yields a {@link pageRatingModel} containing the new rating information.
+     */
+    rate(rating: number | null | undefined, oldRating: number | null | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageRatingModel>>;
+    /**
+     * Set the rating for the page.
+     * @param {Number|null} [rating=null] - The new rating for the page.
+     * @param {Number|null} [oldRating=null] - The old rating for the page that is being replaced by {@see rating}.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageRatingModel>} - A Promise that, when resolved, yields a {@link pageRatingModel} containing the new rating information.
+     */
+    rate(rating?: number | null, oldRating?: number | null, requestOptions?: RequestOptions): Promise<pageRatingModel>;
+    /**
+     * Gets a MindTouch template rendered in the context of the current page, as HTML.
+     * @param {String} path - The template path.
+     * @param {Object} [params] - Additional parameters to direct the API request.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageContentsModel>} - A Promise that, when resolved, yields the rendered HTML within a {@link pageContentsModel}.
+     */
+    getHtmlTemplate(path: string, params: any | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageContentsModel>>;
+    /**
+     * Gets a MindTouch template rendered in the context of the current page, as HTML.
+     * @param {String} path - The template path.
+     * @param {Object} [params] - Additional parameters to direct the API request.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageContentsModel>} - A Promise that, when resolved, yields the rendered HTML within a {@link pageContentsModel}.
+     */
+    getHtmlTemplate(path: string, params?: any, requestOptions?: RequestOptions): Promise<pageContentsModel>;
+    /**
+     * Copy a page to a specified location
+     * @param {Object} params - The params that direct the copy operation.
+     * @param {String} params.to - The new page location including the path and name of the page.
+     * @param {String} [params.title] - Set the title of the page. If not specified, default to the original title.
+     * @param {Boolean} [params.tags=true] - Copy the tags of the page on copy.
+     * @param {Boolean} [params.attachments=true] - Copy the attachments of the page on copy.
+     * @param {Boolean} [params.recursive=false] - Copy the child hierarchy of the original page.
+     * @param {String} [params.abort='exists'] - Specifies condition under which to prevent the update. Allowed values are 'exists' and 'never'.
+     * @param {String} [params.allow] - Specifies condition under which to allow the update when an error would normally be thrown.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageMoveModel>} - A Promise that, when resolved, yields a {@link pageMoveModel} containing information regarding the move operation.
+     */
+    copy(params: {
+        to: string;
+        title?: string;
+        tags?: boolean;
+        attachments?: boolean;
+        recursive?: boolean;
+        abort?: string;
+        allow?: string;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageMoveModel>>;
+    /**
+     * Copy a page to a specified location
+     * @param {Object} params - The params that direct the copy operation.
+     * @param {String} params.to - The new page location including the path and name of the page.
+     * @param {String} [params.title] - Set the title of the page. If not specified, default to the original title.
+     * @param {Boolean} [params.tags=true] - Copy the tags of the page on copy.
+     * @param {Boolean} [params.attachments=true] - Copy the attachments of the page on copy.
+     * @param {Boolean} [params.recursive=false] - Copy the child hierarchy of the original page.
+     * @param {String} [params.abort='exists'] - Specifies condition under which to prevent the update. Allowed values are 'exists' and 'never'.
+     * @param {String} [params.allow] - Specifies condition under which to allow the update when an error would normally be thrown.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageMoveModel>} - A Promise that, when resolved, yields a {@link pageMoveModel} containing information regarding the move operation.
+     */
+    copy(params?: {
+        to: string;
+        title?: string;
+        tags?: boolean;
+        attachments?: boolean;
+        recursive?: boolean;
+        abort?: string;
+        allow?: string;
+    }, requestOptions?: RequestOptions): Promise<pageMoveModel>;
+    /**
+     * Move a page to a new location in the hierarchy.
+     * @param {Object} [params] - Additional parameters to direct the API request.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageMoveModel>} - A Promise that, when resolved, yields a {@link pageMoveModel} containing information regarding the move operation.
+     */
+    move(params: any | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageMoveModel>>;
+    /**
+     * Move a page to a new location in the hierarchy.
+     * @param {Object} [params] - Additional parameters to direct the API request.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageMoveModel>} - A Promise that, when resolved, yields a {@link pageMoveModel} containing information regarding the move operation.
+     */
+    move(params?: any, requestOptions?: RequestOptions): Promise<pageMoveModel>;
+    /**
+     * Delete a page
+     * @param {Boolean} [recursive=false] - Indicates whether or not the delete operation will also delete all child pages.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageDeleteModel>} - A Promise that, when resolved, yields a {@link pageDeleteModel} containing information regearding pages that were deleted.
+     */
+    delete(recursive: boolean | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageDeleteModel>>;
+    /**
+     * Delete a page
+     * @param {Boolean} [recursive=false] - Indicates whether or not the delete operation will also delete all child pages.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageDeleteModel>} - A Promise that, when resolved, yields a {@link pageDeleteModel} containing information regearding pages that were deleted.
+     */
+    delete(recursive?: boolean, requestOptions?: RequestOptions): Promise<pageDeleteModel>;
+    /**
+     * Using the current page, activates a draft; copying the page's content and attachments.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageModel>} - A Promise that, when resolved, yields a {@link pageModel} containing the page information following the activation.
+     */
+    activateDraft(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageModel>>;
+    /**
+     * Using the current page, activates a draft; copying the page's content and attachments.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageModel>} - A Promise that, when resolved, yields a {@link pageModel} containing the page information following the activation.
+     */
+    activateDraft(requestOptions?: RequestOptions): Promise<pageModel>;
+    /**
+     * Import a MindTouch archive file as a child node of the page.
+     * @param {File|Uint8Array|AsyncIterable.<(Uint8Array|String)>} file - A File object that either represents the file to import, or contains information about the upload target. With a `progress` function in node, this may also be a Buffer, a readable stream or an async iterable of chunks, which is streamed to the API.
+     * @param {Object} [options] - The file information options that is, by default populated from the `file` parameter.
+     * @param {String} [options.name] - The filename of the archive.
+     * @param {Number} [options.size] - The size of the file, in bytes.
+     * @param {String} [options.type] - The mime type of the file.
+     * @param {function} [options.progress] - A function that is called to indicate upload progress before the upload is complete.
+     * @param {Object} [params] - Additional API parameters to send along with the request.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<importArchiveModel>} - A Promise that will be resolved with the import info data, or rejected with an error specifying the reason for rejection.
+     */
+    importArchive(file: File | Uint8Array | AsyncIterable<(Uint8Array | string)>, { name, size, type, progress }: {
+        name?: string;
+        size?: number;
+        type?: string;
+        progress?: Function;
+    } | undefined, params: any | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<importArchiveModel>>;
+    /**
+     * Import a MindTouch archive file as a child node of the page.
+     * @param {File|Uint8Array|AsyncIterable.<(Uint8Array|String)>} file - A File object that either represents the file to import, or contains information about the upload target. With a `progress` function in node, this may also be a Buffer, a readable stream or an async iterable of chunks, which is streamed to the API.
+     * @param {Object} [options] - The file information options that is, by default populated from the `file` parameter.
+     * @param {String} [options.name] - The filename of the archive.
+     * @param {Number} [options.size] - The size of the file, in bytes.
+     * @param {String} [options.type] - The mime type of the file.
+     * @param {function} [options.progress] - A function that is called to indicate upload progress before the upload is complete.
+     * @param {Object} [params] - Additional API parameters to send along with the request.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<importArchiveModel>} - A Promise that will be resolved with the import info data, or rejected with an error specifying the reason for rejection.
+     */
+    importArchive(file: File | Uint8Array | AsyncIterable<(Uint8Array | string)>, { name, size, type, progress }?: {
+        name?: string;
+        size?: number;
+        type?: string;
+        progress?: Function;
+    }, params?: any, requestOptions?: RequestOptions): Promise<importArchiveModel>;
+    /**
+     * Generates the information so that clients can stream down the exported page(s) in mtarc format.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageExportModel>} - A Promise that will be resolved with data describing the exported file, or rejected with an error specifying the reason for rejection.
+     */
+    getExportInformation(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageExportModel>>;
+    /**
+     * Generates the information so that clients can stream down the exported page(s) in mtarc format.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageExportModel>} - A Promise that will be resolved with data describing the exported file, or rejected with an error specifying the reason for rejection.
+     */
+    getExportInformation(requestOptions?: RequestOptions): Promise<pageExportModel>;
+    /**
+     * Export the page as a PDF.
+     * @param {Object} [options] Options to direct the fetching of the PDF.
+     * @param {String} [options.fileName] The filename to save the PDF as.  If not supplied, uses the page's title.
+     * @param {String} [options.format=pdf] The format to export. Must be one of "pdf" or "html".
+     * @param {String} [options.stylesheet] The name of a custom stylesheet to apply.
+     * @param {Boolean} [options.deep=false] If true, exports the page and all of its subpages.
+     * @param {Boolean} [options.showToc=false] If true, includes a table of contents in the exported document.
+     * @param {Boolean} [options.dryRun=false] If true, perform a simulated export to verify if an actual, subsequent export will be successful.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that when resolved, indicates that the export has completed successfully. If dryRun was set to false, the Promise resolution will provide a Blob containing the PDF contents.
+     */
+    exportPdf({ fileName, format, stylesheet, deep, showToc, dryRun }: {
+        fileName?: string;
+        format?: string;
+        stylesheet?: string;
+        deep?: boolean;
+        showToc?: boolean;
+        dryRun?: boolean;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Export the page as a PDF.
+     * @param {Object} [options] Options to direct the fetching of the PDF.
+     * @param {String} [options.fileName] The filename to save the PDF as.  If not supplied, uses the page's title.
+     * @param {String} [options.format=pdf] The format to export. Must be one of "pdf" or "html".
+     * @param {String} [options.stylesheet] The name of a custom stylesheet to apply.
+     * @param {Boolean} [options.deep=false] If true, exports the page and all of its subpages.
+     * @param {Boolean} [options.showToc=false] If true, includes a table of contents in the exported document.
+     * @param {Boolean} [options.dryRun=false] If true, perform a simulated export to verify if an actual, subsequent export will be successful.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that when resolved, indicates that the export has completed successfully. If dryRun was set to false, the Promise resolution will provide a Blob containing the PDF contents.
+     */
+    exportPdf({ fileName, format, stylesheet, deep, showToc, dryRun }?: {
+        fileName?: string;
+        format?: string;
+        stylesheet?: string;
+        deep?: boolean;
+        showToc?: boolean;
+        dryRun?: boolean;
+    }, requestOptions?: RequestOptions): Promise<any>;
+    /**
+     * Set the order in which this page will occur in relation to its siblings.
+     * @param {Number} afterId The page id after which this page should be placed. Defaults to 0 to place it at the beginning.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates that the reorder operation succeeded.
+     */
+    setOrder(afterId: number | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Set the order in which this page will occur in relation to its siblings.
+     * @param {Number} afterId The page id after which this page should be placed. Defaults to 0 to place it at the beginning.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates that the reorder operation succeeded.
+     */
+    setOrder(afterId?: number, requestOptions?: RequestOptions): Promise<any>;
+    /**
+     * Retrieve the links that are in the page.
+     * @param {Object} [options] Options to direct the fetching of the page's links.
+     * @param {Boolean} [options.includeSubpages=false] Return information about links in subpages.
+     * @param {Array} [options.linkTypes] An array of the link types to include ("broken" only if not specified).
+     * @param {Boolean} [options.broken] The broken state of the links to include.
+     * @param {Boolean} [options.redirect] The redirect state of the links to include.
+     * @param {Number} [options.limit] The maximum number of results to return.
+     * @param {Number} [options.offset] The number of items to skip.
+     * @param {String} [options.q] A search query string
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageLinkDetailsModel>} A Promise that, when resolved, returns a pageLinkDetailsModel with the list of link details that were fetched.
+     */
+    getLinkDetails({ includeSubpages, linkTypes, broken, redirect, limit, offset, q }: {
+        includeSubpages?: boolean;
+        linkTypes?: any[];
+        broken?: boolean;
+        redirect?: boolean;
+        limit?: number;
+        offset?: number;
+        q?: string;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageLinkDetailsModel>>;
+    /**
+     * Retrieve the links that are in the page.
+     * @param {Object} [options] Options to direct the fetching of the page's links.
+     * @param {Boolean} [options.includeSubpages=false] Return information about links in subpages.
+     * @param {Array} [options.linkTypes] An array of the link types to include ("broken" only if not specified).
+     * @param {Boolean} [options.broken] The broken state of the links to include.
+     * @param {Boolean} [options.redirect] The redirect state of the links to include.
+     * @param {Number} [options.limit] The maximum number of results to return.
+     * @param {Number} [options.offset] The number of items to skip.
+     * @param {String} [options.q] A search query string
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageLinkDetailsModel>} A Promise that, when resolved, returns a pageLinkDetailsModel with the list of link details that were fetched.
+     */
+    getLinkDetails({ includeSubpages, linkTypes, broken, redirect, limit, offset, q }?: {
+        includeSubpages?: boolean;
+        linkTypes?: any[];
+        broken?: boolean;
+        redirect?: boolean;
+        limit?: number;
+        offset?: number;
+        q?: string;
+    }, requestOptions?: RequestOptions): Promise<pageLinkDetailsModel>;
+    /**
+     * Get a listing of health inspections for a page.
+     * @param {Object} [options] Options to direct the fetching of the health inspections.
+     * @param {Array} [options.analyzers] An array of analyzers to include in the report (all analyzers included if not specified)
+     * @param {Array} [options.severities] An array of severity levels to include in the report (all levels included if none specified)
+     * @param {Array} [options.includeSubpages] Indicates whether or not to include the subpages in the report.
+     * @param {Array} [options.limit] The maximum number of health reports to include.
+     * @param {Array} [options.offset] The number of items to skip.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<healthReportModel>} A Promise that, when resolved, yields a healthReportModel with the listing of health inspections for the page.
+     */
+    getHealthInspections({ analyzers, severities, includeSubpages, limit, offset }: {
+        analyzers?: any[];
+        severities?: any[];
+        includeSubpages?: any[];
+        limit?: any[];
+        offset?: any[];
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<healthReportModel>>;
+    /**
+     * Get a listing of health inspections for a page.
+     * @param {Object} [options] Options to direct the fetching of the health inspections.
+     * @param {Array} [options.analyzers] An array of analyzers to include in the report (all analyzers included if not specified)
+     * @param {Array} [options.severities] An array of severity levels to include in the report (all levels included if none specified)
+     * @param {Array} [options.includeSubpages] Indicates whether or not to include the subpages in the report.
+     * @param {Array} [options.limit] The maximum number of health reports to include.
+     * @param {Array} [options.offset] The number of items to skip.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<healthReportModel>} A Promise that, when resolved, yields a healthReportModel with the listing of health inspections for the page.
+     */
+    getHealthInspections({ analyzers, severities, includeSubpages, limit, offset }?: {
+        analyzers?: any[];
+        severities?: any[];
+        includeSubpages?: any[];
+        limit?: any[];
+        offset?: any[];
+    }, requestOptions?: RequestOptions): Promise<healthReportModel>;
+    /**
+     * Retrieves the count of pages and attachments within a hierarchy
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHierarchyInfoModel>} A Promise that, when resolved, yields the heierachy count information.
+     */
+    getHierarchyInfo(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageHierarchyInfoModel>>;
+    /**
+     * Retrieves the count of pages and attachments within a hierarchy
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHierarchyInfoModel>} A Promise that, when resolved, yields the heierachy count information.
+     */
+    getHierarchyInfo(requestOptions?: RequestOptions): Promise<pageHierarchyInfoModel>;
+    /**
+     * Link an arbitrary ID, usually corresponding to an external case management system, to this page
+     * @param {String} caseId The ID of the case to link to this page
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Response>} A Promise that, when resolved, yields the fetch API Response.
+     */
+    linkToCase(caseId: string, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<Response>>;
+    /**
+     * Link an arbitrary ID, usually corresponding to an external case management system, to this page
+     * @param {String} caseId The ID of the case to link to this page
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Response>} A Promise that, when resolved, yields the fetch API Response.
+     */
+    linkToCase(caseId: string, requestOptions?: RequestOptions): Promise<Response>;
+    /**
+     * Remove a linked case ID from the linked cases for the page
+     * @param {String} caseId The ID of the case to unlink
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Response>} A Promise that, when resolved, yields the fetch API Response.
+     */
+    unlinkCase(caseId: string, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<Response>>;
+    /**
+     * Remove a linked case ID from the linked cases for the page
+     * @param {String} caseId The ID of the case to unlink
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Response>} A Promise that, when resolved, yields the fetch API Response.
+     */
+    unlinkCase(caseId: string, requestOptions?: RequestOptions): Promise<Response>;
+    /**
+     * Get a list of cases that have been linked to this page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<linkToCaseLinkList>} A Promise that, when resolved, yields the listing of the cases linked to the page
+     */
+    getLinkedCases(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<linkToCaseLinkList>>;
+    /**
+     * Get a list of cases that have been linked to this page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<linkToCaseLinkList>} A Promise that, when resolved, yields the listing of the cases linked to the page
+     */
+    getLinkedCases(requestOptions?: RequestOptions): Promise<linkToCaseLinkList>;
+}
+/**
+ * A class for managing all of the published pages on a site.
+ */
+export class PageManager {
+    constructor(settings?: Settings);
+    _plug: Plug;
+    /**
+     * Get the ratings that have been set for a series of pages.
+     * @param {Array} pageIds - The list of pages for which ratings data is fetched.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageRatingsModel>} - A Promise that, when resolved, yields a {@link pageRatingsModel} object with the ratings information.
+     */
+    getRatings(pageIds: any[], requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageRatingsModel>>;
+    /**
+     * Get the ratings that have been set for a series of pages.
+     * @param {Array} pageIds - The list of pages for which ratings data is fetched.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageRatingsModel>} - A Promise that, when resolved, yields a {@link pageRatingsModel} object with the ratings information.
+     */
+    getRatings(pageIds: any[], requestOptions?: RequestOptions): Promise<pageRatingsModel>;
+    /**
+     * Find pages based on supplied constraints
+     * @param {Object} options - The options to direct the results of the find operation.
+     * @param {Number|String} [options.parentId=home] - The parent ID of the hierarchy to search. Either a numeric page ID or a page path string.
+     * @param {Array} [options.tags=[]] - An array of tags that the found pages must contain.
+     * @param {Array} [options.missingClassifications=[]] - An array of classification prefixes that must not exist on the pages.
+     * @param {Date|String|Number} [options.since] - Find pages last modified since this date, as a Date, an ISO 8601 string or an epoch number.
+     * @param {Date|String|Number} [options.upTo=Date.now()] - Find pages last modified up to this date, as a Date, an ISO 8601 string or an epoch number.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageFindModel>} - A Promise that will be resolved with the results of the find request, or rejected with an error specifying the reason for rejection.
+     */
+    findPages(options: {
+        parentId?: number | string;
+        tags?: any[];
+        missingClassifications?: any[];
+        since?: Date | string | number;
+        upTo?: Date | string | number;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageFindModel>>;
+    /**
+     * Find pages based on supplied constraints
+     * @param {Object} options - The options to direct the results of the find operation.
+     * @param {Number|String} [options.parentId=home] - The parent ID of the hierarchy to search. Either a numeric page ID or a page path string.
+     * @param {Array} [options.tags=[]] - An array of tags that the found pages must contain.
+     * @param {Array} [options.missingClassifications=[]] - An array of classification prefixes that must not exist on the pages.
+     * @param {Date|String|Number} [options.since] - Find pages last modified since this date, as a Date, an ISO 8601 string or an epoch number.
+     * @param {Date|String|Number} [options.upTo=Date.now()] - Find pages last modified up to this date, as a Date, an ISO 8601 string or an epoch number.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageFindModel>} - A Promise that will be resolved with the results of the find request, or rejected with an error specifying the reason for rejection.
+     */
+    findPages(options?: {
+        parentId?: number | string;
+        tags?: any[];
+        missingClassifications?: any[];
+        since?: Date | string | number;
+        upTo?: Date | string | number;
+    }, requestOptions?: RequestOptions): Promise<pageFindModel>;
+    /**
+     * Get the templates that may be used to create new pages or insert content.
+     * @param {Object} [options] Options to direct the templates that are returned.
+     * @param {String} [options.type=page] The type of the templates to retrun. Must be one of either "page" or "content".
+     * @param {Boolean} [options.includeDescription=true] Whether or not to include the template descriptions.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<templateListModel>} A Promise that, when resolved returns a listing of the available templates.
+     */
+    getTemplates({ type, includeDescription }: {
+        type?: string;
+        includeDescription?: boolean;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<templateListModel>>;
+    /**
+     * Get the templates that may be used to create new pages or insert content.
+     * @param {Object} [options] Options to direct the templates that are returned.
+     * @param {String} [options.type=page] The type of the templates to retrun. Must be one of either "page" or "content".
+     * @param {Boolean} [options.includeDescription=true] Whether or not to include the template descriptions.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<templateListModel>} A Promise that, when resolved returns a listing of the available templates.
+     */
+    getTemplates({ type, includeDescription }?: {
+        type?: string;
+        includeDescription?: boolean;
+    }, requestOptions?: RequestOptions): Promise<templateListModel>;
+    /**
+     * Retrieves a list of popular pages on the site.
+     * @param {Object} [options] Options to direct the fetching of the popular pages.
+     * @param {Number|String} [options.limit=50] The number of results to return. Can be set to the string "all" to return all results.
+     * @param {Number} [options.offset=0] The number of results to skip.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<popularPagesModel>} A Promise that, when resolved, yields a listing of popular pages.
+     */
+    getPopularPages({ limit, offset }: {
+        limit?: number | string;
+        offset?: number;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<popularPagesModel>>;
+    /**
+     * Retrieves a list of popular pages on the site.
+     * @param {Object} [options] Options to direct the fetching of the popular pages.
+     * @param {Number|String} [options.limit=50] The number of results to return. Can be set to the string "all" to return all results.
+     * @param {Number} [options.offset=0] The number of results to skip.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<popularPagesModel>} A Promise that, when resolved, yields a listing of popular pages.
+     */
+    getPopularPages({ limit, offset }?: {
+        limit?: number | string;
+        offset?: number;
+    }, requestOptions?: RequestOptions): Promise<popularPagesModel>;
+}
+/**
+ * A class for managing a file attachment on an published page.
+ */
+export class PageFile extends PageFileBase {
+    /**
+     * Construct a new PageFile.
+     * @param {Number|String} pageId - The ID of the published page. If `undefined`, the home page is used.
+     * @param {String} filename - The filename of the file to manage.
+     * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(pageId: number | string, filename: string, settings?: Settings);
+    _plug: Plug;
+}
+/**
+ * A class for managing the properties of a page.
+ */
+export class PageProperty extends PagePropertyBase {
+    /**
+     * Construct a new PageProperty object.
+     * @param {Number|String} [id='home'] The numeric page ID or the page path.
+     * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(id?: number | string, settings?: Settings);
+    _plug: Plug;
+    /**
+     * Get a listing of page properties for a hierarchy of pages.
+     * @param {String} key - The key of the property to fetch.
+     * @param {Number} [depth=1] - Between 0 and 2 levels deep in the search are allowed. If depth is 1 or 2, the names argument only can be a single property to be looked up, and no wildcards are allowed.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, yields the listing of the properties.
+     */
+    getPropertyForChildren(key: string, depth: number | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Get a listing of page properties for a hierarchy of pages.
+     * @param {String} key - The key of the property to fetch.
+     * @param {Number} [depth=1] - Between 0 and 2 levels deep in the search are allowed. If depth is 1 or 2, the names argument only can be a single property to be looked up, and no wildcards are allowed.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, yields the listing of the properties.
+     */
+    getPropertyForChildren(key: string, depth?: number, requestOptions?: RequestOptions): Promise<any>;
+}
+/**
+ * A class for manipulating the restrictions and grants on a page.
+ */
+export class PageSecurity {
+    /**
+     * Create a new PageSecurity object.
+     * @param {Number|String} [id=home] The numeric page ID or page path string for the page.
+     * @param {Settings} [settings] The martian Settings used to direct the API requests for the PageSecurity instance.
+     */
+    constructor(id?: number | string, settings?: Settings);
+    _plug: Plug;
+    /**
+     * Gets the page's security info.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageSecurityModel>} A Promise that, when resolved, yields a securityModel containing the page security information.
+     */
+    get(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageSecurityModel>>;
+    /**
+     * Gets the page's security info.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageSecurityModel>} A Promise that, when resolved, yields a securityModel containing the page security information.
+     */
+    get(requestOptions?: RequestOptions): Promise<pageSecurityModel>;
+    /**
+     * Resets the page's security.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates the page's security was successfully reset.
+     */
+    reset(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Resets the page's security.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates the page's security was successfully reset.
+     */
+    reset(requestOptions?: RequestOptions): Promise<any>;
+    /**
+     * Set the page security by adding and removing grants.
+     * @param {Object} options Options to direct the setting of the security information.
+     * @param {String} [options.cascade] A string indicating the behavior of the operation to child pages. Must be one of "none", "delta" or "absolute".
+     * @param {Object} options.pageRestriction The restriction to set for the page.
+     * @param {Object[]} [options.grants] An array of information about the grants to set.
+     * @param {String|Number} [options.grants.user] The username or numeric ID of the user receiving the grant.
+     * @param {String|Number} [options.grants.group] The group name or numeric ID of the group receiving the grant.
+     * @param {String} [options.grants.role] The name of the grant to set for specified user.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageSecurityModel>} A Promise that, when resolved, yields a pageSecurityModel containing the new security information.
+     */
+    set({ cascade, pageRestriction, grants }: {
+        cascade?: string;
+        pageRestriction: any;
+        grants?: {
+            user?: string | number;
+            group?: string | number;
+            role?: string;
+        };
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageSecurityModel>>;
+    /**
+     * Set the page security by adding and removing grants.
+     * @param {Object} options Options to direct the setting of the security information.
+     * @param {String} [options.cascade] A string indicating the behavior of the operation to child pages. Must be one of "none", "delta" or "absolute".
+     * @param {Object} options.pageRestriction The restriction to set for the page.
+     * @param {Object[]} [options.grants] An array of information about the grants to set.
+     * @param {String|Number} [options.grants.user] The username or numeric ID of the user receiving the grant.
+     * @param {String|Number} [options.grants.group] The group name or numeric ID of the group receiving the grant.
+     * @param {String} [options.grants.role] The name of the grant to set for specified user.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageSecurityModel>} A Promise that, when resolved, yields a pageSecurityModel containing the new security information.
+     */
+    set({ cascade, pageRestriction, grants }?: {
+        cascade?: string;
+        pageRestriction: any;
+        grants?: {
+            user?: string | number;
+            group?: string | number;
+            role?: string;
+        };
+    }, requestOptions?: RequestOptions): Promise<pageSecurityModel>;
+    /**
+     * Modify page security by adding and removing grants.
+     * @param {Object} options Options to direct the security modification.
+     * @param {String} [options.cascade] A string indicating the behavior of the operation to child pages. Must be one of "none" or "delta".
+     * @param {String} [options.pageRestriction] The restriction to set for the page.
+     * @param {Object[]} [options.grantsAdded] An array of grant information to add to the current grants for the page.
+     * @param {String|Number} [options.grantsAdded.user] The username or numeric ID of the user receiving the grant.
+     * @param {String|Number} [options.grantsAdded.group] The group name or numeric ID of the group receiving the grant.
+     * @param {String} [options.grantsAdded.role] The name of the grant to set for specified user or group.
+     * @param {Object[]} [options.grantsRemoved] An array of grant information to remove from the current grants for the page.
+     * @param {String|Number} [options.grantsRemoved.user] The username or numeric ID of the user losing the grant.
+     * @param {String|Number} [options.grantsRemoved.group] The group name or numeric ID of the group losing the grant.
+     * @param {String} [options.grantsRemoved.role] The name of the grant to revoke for specified user or group.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageSecurityModel>} A Promise that, when resolved, yields a pageSecurityModel containing the new security information.
+     */
+    update({ cascade, pageRestriction, grantsAdded, grantsRemoved }: {
+        cascade?: string;
+        pageRestriction?: string;
+        grantsAdded?: {
+            user?: string | number;
+            group?: string | number;
+            role?: string;
+        };
+        grantsRemoved?: {
+            user?: string | number;
+            group?: string | number;
+            role?: string;
+        };
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageSecurityModel>>;
+    /**
+     * Modify page security by adding and removing grants.
+     * @param {Object} options Options to direct the security modification.
+     * @param {String} [options.cascade] A string indicating the behavior of the operation to child pages. Must be one of "none" or "delta".
+     * @param {String} [options.pageRestriction] The restriction to set for the page.
+     * @param {Object[]} [options.grantsAdded] An array of grant information to add to the current grants for the page.
+     * @param {String|Number} [options.grantsAdded.user] The username or numeric ID of the user receiving the grant.
+     * @param {String|Number} [options.grantsAdded.group] The group name or numeric ID of the group receiving the grant.
+     * @param {String} [options.grantsAdded.role] The name of the grant to set for specified user or group.
+     * @param {Object[]} [options.grantsRemoved] An array of grant information to remove from the current grants for the page.
+     * @param {String|Number} [options.grantsRemoved.user] The username or numeric ID of the user losing the grant.
+     * @param {String|Number} [options.grantsRemoved.group] The group name or numeric ID of the group losing the grant.
+     * @param {String} [options.grantsRemoved.role] The name of the grant to revoke for specified user or group.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageSecurityModel>} A Promise that, when resolved, yields a pageSecurityModel containing the new security information.
+     */
+    update({ cascade, pageRestriction, grantsAdded, grantsRemoved }?: {
+        cascade?: string;
+        pageRestriction?: string;
+        grantsAdded?: {
+            user?: string | number;
+            group?: string | number;
+            role?: string;
+        };
+        grantsRemoved?: {
+            user?: string | number;
+            group?: string | number;
+            role?: string;
+        };
+    }, requestOptions?: RequestOptions): Promise<pageSecurityModel>;
+}
+/**
+ * A class for managing the subscriptions of a page for the current user.
+ */
+export class PageSubscription {
+    /**
+     * Construct a new PageSubscription object.
+     * @param {String} siteId The ID of the site.
+     * @param {Number|String} [pageId='home'] The numeric page ID or the page path.
+     * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(siteId: string, pageId?: number | string, settings?: Settings);
+    _plug: Plug;
+    /**
+     * Subscribe to the page as the current user.
+     * @param {Object} options Options to direct the subscription request.
+     * @param {String} [options.type=page] The type of the subscription. Must be either `page` or `draft`.
+     * @param {Boolean} [options.recursive=false] Indicates whether or not the subscription is for grandchildren as well.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A promise that, when resolved indicates the subscription request was successful.
+     */
+    subscribe({ type, recursive }: {
+        type?: string;
+        recursive?: boolean;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Subscribe to the page as the current user.
+     * @param {Object} options Options to direct the subscription request.
+     * @param {String} [options.type=page] The type of the subscription. Must be either `page` or `draft`.
+     * @param {Boolean} [options.recursive=false] Indicates whether or not the subscription is for grandchildren as well.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A promise that, when resolved indicates the subscription request was successful.
+     */
+    subscribe({ type, recursive }?: {
+        type?: string;
+        recursive?: boolean;
+    }, requestOptions?: RequestOptions): Promise<any>;
+    /**
+     * Remove an existing subscription for the current user.
+     * @param {Object} options Options to direct the unsubscribe request.
+     * @param {String} [options.type] The type of the subscription to unsubscribe from. Must be either `page` or `draft`.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A promise that, when resolved indicates the unsubscribe request was successful.
+     */
+    unsubscribe({ type }: {
+        type?: string;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Remove an existing subscription for the current user.
+     * @param {Object} options Options to direct the unsubscribe request.
+     * @param {String} [options.type] The type of the subscription to unsubscribe from. Must be either `page` or `draft`.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A promise that, when resolved indicates the unsubscribe request was successful.
+     */
+    unsubscribe({ type }?: {
+        type?: string;
+    }, requestOptions?: RequestOptions): Promise<any>;
+}
+/**
+ * A class for managing the site-wide page subscriptions for the current user.
+ */
+export class PageSubscriptionManager {
+    /**
+     * Create a new PageSubscriptionManager
+     * @param {String} siteId The ID of the site.
+     * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(siteId: string, settings?: Settings);
+    _plug: Plug;
+    /**
+     * Get all of the page subscriptions for the current user.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageSubscriptionsModel>} A Promise that, when resolved, yields a {@see pageSubscriptionModel} containing the listing of subscriptions.
+     */
+    getSubscriptions(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageSubscriptionsModel>>;
+    /**
+     * Get all of the page subscriptions for the current user.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageSubscriptionsModel>} A Promise that, when resolved, yields a {@see pageSubscriptionModel} containing the listing of subscriptions.
+     */
+    getSubscriptions(requestOptions?: RequestOptions): Promise<pageSubscriptionsModel>;
+}
+/**
+ * A class for building URIs and performing HTTP requests.
+ */
+export class Plug {
+    /**
+     * @param {String} [url=/] The initial URL to start the URL building from and to ultimately send HTTP requests to.
+     * @param {Object} [options] Options to direct the construction of the Plug.
+     * @param {Object} [options.uriParts] An object representation of additional URI construction parameters.
+     * @param {Array} [options.uriParts.segments] An array of strings specifying path segments to be added to the URI.
+     * @param {Object} [options.uriParts.query] A set of key-value pairs that specify query string entries to be added to the URI.
+     * @param {String} [options.uriParts.excludeQuery] A query string key that will be removed from the URI if it was specified as part of the {@see uri} parameter or as an entry in {@see options.uriParts.query}.
+     * @param {Object} [options.headers] A set of key-value pairs that specify headers that will be set for every HTTP request sent by this instance.
+     * @param {Number} [options.timeout=null] The time, in milliseconds, to wait before an HTTP timeout.
+     * @param {AbortSignal} [options.signal=null] A signal that, when aborted, cancels the HTTP requests sent by this instance.
+     * @param {Object} [options.retry=null] A policy for retrying failed HTTP requests. Requests are not retried if this is not set.
+     * @param {Number} [options.retry.maxAttempts=3] The maximum number of times a request is sent, including the first attempt.
+     * @param {Number} [options.retry.minDelay=200] The time, in milliseconds, to wait before the first retry. The wait grows exponentially with each retry.
+     * @param {Number} [options.retry.maxDelay=10000] The maximum time, in milliseconds, to wait between retries. A request with a `Retry-After` response header that asks for a longer wait is not retried.
+     * @param {Number} [options.retry.factor=2] The factor by which the wait grows with each retry.
+     * @param {Boolean} [options.retry.jitter=true] Should the wait be randomized, so that concurrent clients do not retry in lockstep.
+     * @param {Array} [options.retry.methods] The idempotent HTTP methods that may be retried (default: GET, HEAD, OPTIONS, PUT, DELETE).
+     * @param {Array} [options.retry.statuses] The HTTP status codes that cause a retry (default: 429, 502, 503, 504). Network errors and timeouts are always retried. A `Retry-After` response header takes precedence over the computed wait.
+     * @param {function} [options.retry.onRetry] A function that is called with the `url`, `method`, `attempt`, `delay` and `error` before each retry.
+     * @param {Array} [options.middleware] An ordered list of middleware that intercepts each HTTP request. Each middleware is an object with any of the following functions, which may return a Promise:
+     *   `request(params)` is called, in order, before the request is sent, and yields the `url`, `method`, `headers` and `body` of the request to send;
+     *   `response(response, params)` is called, in reverse order, after a successful request, and yields the response to resolve with;
+     *   `error(error, params)` is called, in reverse order, after a failed request, and yields a response to recover with, or rejects.
+     * @param {HttpCache} [options.cache=null] A cache for GET responses, which are revalidated with conditional requests. Successful POST, PUT and DELETE requests remove the cached responses for the resource they change.
+     * @param {RequestLimiter} [options.limiter=null] A limiter for the number of concurrent HTTP requests, and the rate at which they are sent. Each attempt of a retried request is limited.
+     * @param {function} [options.onUnauthorized=null] A function that is called with the error when an HTTP request is rejected with HTTP 401, to refresh the credentials. It may return a Promise. Once it is done, the request, including its middleware, is sent again, once.
+     * @param {function} [options.beforeRequest] Deprecated: use a `request` middleware instead. A function that is called before each HTTP request, ahead of any middleware.
+     * @param {Object} [options.cookieManager] An object that implements a cookie management interface. This should provide implementations for the `getCookieString()` and `storeCookies()` functions. It may also provide `removeCookies()`, which {@see Martian#logout} uses to remove the auth token cookie, as {@see CookieJar} does.
+     * @param {Boolean} [options.followRedirects] Should HTTP redirects be auto-followed, or should HTTP redirect responses be returned to the caller (default: true)
+     * @param {function} [options.fetchImpl] whatwg/fetch implementation (default: window.fetch)
+     */
+    constructor(url?: string, { uriParts, headers, timeout, signal, retry, middleware, cache, limiter, onUnauthorized, beforeRequest, cookieManager, followRedirects, fetchImpl }?: {
+        uriParts?: {
+            segments?: any[];
+            query?: any;
+            excludeQuery?: string;
+        };
+        headers?: any;
+        timeout?: number;
+        signal?: AbortSignal;
+        retry?: {
+            maxAttempts?: number;
+            minDelay?: number;
+            maxDelay?: number;
+            factor?: number;
+            jitter?: boolean;
+            methods?: any[];
+            statuses?: any[];
+            onRetry?: Function;
+        };
+        middleware?: any[];
+        cache?: HttpCache;
+        limiter?: RequestLimiter;
+        onUnauthorized?: Function;
+        beforeRequest?: Function;
+        cookieManager?: any;
+        followRedirects?: boolean;
+        fetchImpl?: Function;
+    });
+    _url: import("url").URL;
+    _middleware: any[];
+    _timeout: number;
+    _signal: AbortSignal;
+    _retry: {
+        maxAttempts: number;
+        minDelay: number;
+        maxDelay: number;
+        factor: number;
+        jitter: boolean;
+        methods: string[];
+        statuses: number[];
+        onRetry: () => void;
+    } & {
+        maxAttempts?: number;
+        minDelay?: number;
+        maxDelay?: number;
+        factor?: number;
+        jitter?: boolean;
+        methods?: any[];
+        statuses?: any[];
+        onRetry?: Function;
+    };
+    _cache: HttpCache;
+    _limiter: RequestLimiter;
+    _onUnauthorized: Function;
+    _headers: any;
+    _cookieManager: any;
+    _followRedirects: boolean;
+    _fetch: Function;
+    /**
+     * Get a string representation of the URL used for HTTP requests.
+     */
+    get url(): string;
+    /**
+     * Get a Headers instance as defined by the fetch API.
+     */
+    get headers(): Headers;
+    get followingRedirects(): boolean;
+    /**
+     * Get a new Plug, based on the current one, with the specified path segments added.
+     * @param {...String} segments The segments to be added to the new Plug instance.
+     * @returns {Plug} The Plug with the segments included.
+     */
+    at(...segments: string[]): Plug;
+    /**
+     * Get a new Plug, based on the current one, with the specified query parameter added.
+     * @param {String} key The key name of the query parameter.
+     * @param {String|Number|Boolean} value A value that will be serialized to a string and set as the query parameter value.
+     * @returns {Plug} A new Plug instance with the query parameter included.
+     */
+    withParam(key: string, value: string | number | boolean): Plug;
+    /**
+     * Get a new Plug, based on the current one, with the specified query parameters added.
+     * @param {Object} values A key-value list of the query parameters to include.
+     * @returns {Plug} A new Plug instance with the query parameters included.
+     */
+    withParams(values?: any): Plug;
+    /**
+     * Get a new Plug, based on the current one, with the specified query parameter removed.
+     * @param {String} key The key name of the query parameter in the current Plug to remove.
+     * @returns {Plug} A new Plug instance with the query parameter excluded.
+     */
+    withoutParam(key: string): Plug;
+    /**
+     * Get a new Plug, based on the current one, with the specified header added.
+     * @param {String} key The name of the header to add.
+     * @param {String} value The value of the header.
+     * @returns {Plug} A new Plug instance with the header included.
+     */
+    withHeader(key: string, value: string): Plug;
+    /**
+     * Get a new Plug, based on the current one, with the specified headers added.
+     * @param {Object} values A key-value list of the headers to include.
+     * @returns {Plug} A new Plug instance with the headers included.
+     */
+    withHeaders(values: any): Plug;
+    /**
+     * Get a new Plug, based on the current one, with the specified header removed.
+     * @param {String} key The name of the header in the current Plug to remove.
+     * @returns {Plug} A new Plug instance with the header excluded.
+     */
+    withoutHeader(key: string): Plug;
+    /**
+     * Get a new Plug, based on the current one, with follow redirects enabled
+     * @returns {Plug} A new Plug instance with follow redirects enabled
+     */
+    withFollowRedirects(): Plug;
+    /**
+     * Get a new Plug, based on the current one, with follow redirects disabled
+     * @returns {Plug} A new Plug instance with follow redirects disabled
+     */
+    withoutFollowRedirects(): Plug;
+    /**
+     * Get a new Plug, based on the current one, with the specified middleware added to the end of the chain.
+     * @param {...Object} middleware The middleware to add. See the constructor for the middleware format.
+     * @returns {Plug} A new Plug instance with the middleware added.
+     */
+    withMiddleware(...middleware: any[]): Plug;
+    /**
+     * Get a new Plug, based on the current one, with the specified per-request options applied.
+     * @param {Object} [requestOptions] Options that direct the HTTP requests sent by the new Plug.
+     * @param {AbortSignal} [requestOptions.signal] A signal that, when aborted, cancels the HTTP request.
+     * @param {Object} [requestOptions.retry] A retry policy that replaces the current one. See the constructor for the available policy options.
+     * @param {HttpCache|Boolean} [requestOptions.cache] A cache that replaces the current one, or `false` to bypass the cache.
+     * @param {function} [requestOptions.onUnauthorized] A function that replaces the current one, or `null` to not replay a request that is rejected with HTTP 401.
+     * @param {Array} [requestOptions.middleware] Middleware for the HTTP requests sent by the new Plug, which runs ahead of the current middleware. See the constructor for the middleware format.
+     * @returns {Plug} A new Plug instance with the request options applied.
+     */
+    withRequestOptions({ signal, retry, cache, onUnauthorized, middleware }?: {
+        signal?: AbortSignal;
+        retry?: any;
+        cache?: HttpCache | boolean;
+        onUnauthorized?: Function;
+        middleware?: any[];
+    }): Plug;
+    /**
+     * Perform an HTTP GET Request. Identical GET and HEAD requests that are sent while one is in flight share its response, unless this Plug has an abort signal.
+     * @param {String} [method=GET] The HTTP method to set as part of the GET logic.
+     * @returns {Promise} A Promise that, when resolved, yields the {Response} object as defined by the fetch API.
+     */
+    get(method?: string): Promise<any>;
+    /**
+     * Perform an HTTP POST request.
+     * @param {String|Blob|BufferSource} body The body of the POST.
+     * @param {String} mime The mime type of the request, set in the `Content-Type` header.
+     * @param {String} [method=POST] The HTTP method to use with the POST logic.
+     * @returns {Promise} A Promise that, when resolved, yields the {Response} object as defined by the fetch API.
+     */
+    post(body: string | Blob | BufferSource, mime: string, method?: string): Promise<any>;
+    /**
+     * Perform an HTTP PUT request.
+     * @param {String|Blob|BufferSource} body The body of the PUT.
+     * @param {String} mime The mime type of the request, set in the `Content-Type` header.
+     * @returns {Promise} A Promise that, when resolved, yields the {Response} object as defined by the fetch API.
+     */
+    put(body: string | Blob | BufferSource, mime: string): Promise<any>;
+    /**
+     * Perform an HTTP HEAD request.
+     * @returns {Promise} A Promise that, when resolved, yields the {Response} object as defined by the fetch API.
+     */
+    head(): Promise<any>;
+    /**
+     * Perform an HTTP OPTIONS request.
+     * @returns {Promise} A Promise that, when resolved, yields the {Response} object as defined by the fetch API.
+     */
+    options(): Promise<any>;
+    /**
+     * Perform an HTTP DELETE request.
+     * @returns {Promise} A Promise that, when resolved, yields the {Response} object as defined by the fetch API.
+     */
+    delete(): Promise<any>;
+}
+/**
+ * A class that performs HTTP POST and PUT requests, and allows for the progress of the uploaded data to be reported. In node, the request body is streamed with the `http` and `https` modules instead of XMLHttpRequest.
+ */
+export class ProgressPlug extends Plug {
+    /**
+     * Construct a ProgressPlug object.
+     * @param {String} [url] The initial URL for the Plug.
+     * @param {Object} [params] The parameters that direct the construction and behavior of the Plug. See {@see Plug} for details.
+     */
+    constructor(url?: string, params?: any);
+    /**
+     * Perform an HTTP POST request, enabling progress callback notifications.
+     * @param {String|Blob|BufferSource|AsyncIterable.<(Uint8Array|String)>} body The body of the POST. In node, this may also be a Buffer, a readable stream or an async iterable of chunks, which is streamed without being read fully into memory. A stream or async iterable can only be sent once, so its request is not retried.
+     * @param {String} mime The mime type of the request, set in the `Content-Type` header.
+     * @param {String} [method=POST] The HTTP method to use with the POST logic.
+     * @param {Object} [progressInfo] An object containing parameters to receive the progress notifications.
+     * @param {Number} [progressInfo.size] The Number of bytes that are uploaded before a notification callback occurs.
+     * @param {function} [progressInfo.callback] A function that is called to notify about a progress event.
+     * @returns {Promise} A Promise that, when resolved, yields the {Response} object as defined by the fetch API.
+     */
+    post(body: string | Blob | BufferSource | AsyncIterable<(Uint8Array | string)>, mime: string, method?: string, progressInfo?: {
+        size?: number;
+        callback?: Function;
+    }): Promise<any>;
+    /**
+     * Perform an HTTP PUT request, enabling progress callback notifications.
+     * @param {String|Blob|BufferSource|AsyncIterable.<(Uint8Array|String)>} body The body of the PUT. See {@see ProgressPlug#post} for the body types that are streamed in node.
+     * @param {String} mime The mime type of the request, set in the `Content-Type` header.
+     * @param {Object} [progressInfo] An object containing parameters to receive the progress notifications.
+     * @param {Number} [progressInfo.size] The Number of bytes that are uploaded before a notification callback occurs.
+     * @param {function} [progressInfo.callback] A function that is called to notify about a progress event.
+     * @returns {Promise} A Promise that, when resolved, yields the {Response} object as defined by the fetch API.
+     */
+    put(body: string | Blob | BufferSource | AsyncIterable<(Uint8Array | string)>, mime: string, progressInfo?: {
+        size?: number;
+        callback?: Function;
+    }): Promise<any>;
+}
+/**
+ * A class for administering aspects of a MindTouch site.
+ */
+export class Site {
+    /**
+     * Construct a Site object.
+     * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(settings?: Settings);
+    plug: Plug;
+    /**
+     * Get the available site activity logs.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<reportLogsModel>} - A Promise that, when resolved, yields a {@link reportLogsModel} containing the available logs for site activity.
+     */
+    getSiteActivityLogs(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<reportLogsModel>>;
+    /**
+     * Get the available site activity logs.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<reportLogsModel>} - A Promise that, when resolved, yields a {@link reportLogsModel} containing the available logs for site activity.
+     */
+    getSiteActivityLogs(requestOptions?: RequestOptions): Promise<reportLogsModel>;
+    /**
+     * Get the available search query logs.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<reportLogsModel>} - A Promise that, when resolved, yields a {@link reportLogsModel} containing the available logs for search query.
+     */
+    getSearchQueryLogs(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<reportLogsModel>>;
+    /**
+     * Get the available search query logs.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<reportLogsModel>} - A Promise that, when resolved, yields a {@link reportLogsModel} containing the available logs for search query.
+     */
+    getSearchQueryLogs(requestOptions?: RequestOptions): Promise<reportLogsModel>;
+    /**
+     * Get the localized string corresponding to the supplied resource key.
+     * @param {Object} options - Options to direct the fetching of the localized string.
+     * @param {String} options.key - The key that identifies the string to fetch.
+     * @param {String} [options.lang] - A language code used to fetch the string in a specific language.  If not supplied, the current system language will be used.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<String>} - A Promise that, when resolved, yields the fetched string.
+     */
+    getResourceString(options: {
+        key: string;
+        lang?: string;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<string>>;
+    /**
+     * Get the localized string corresponding to the supplied resource key.
+     * @param {Object} options - Options to direct the fetching of the localized string.
+     * @param {String} options.key - The key that identifies the string to fetch.
+     * @param {String} [options.lang] - A language code used to fetch the string in a specific language.  If not supplied, the current system language will be used.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<String>} - A Promise that, when resolved, yields the fetched string.
+     */
+    getResourceString(options?: {
+        key: string;
+        lang?: string;
+    }, requestOptions?: RequestOptions): Promise<string>;
+    /**
+     * Fetch a batch of translated resource strings.
+     * @param {Object} options Options to direct the fetching of the translated strings.
+     * @param {Array} options.keys An array of resource keys to fetch the translations for.
+     * @param {String} [options.lang] Optional language code to use for resource localization.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<localizationsModel>} A promise that, when resolved, yields a localizationsModel containing the requested translations.
+     */
+    getResourceStrings({ keys, lang }: {
+        keys: any[];
+        lang?: string;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<localizationsModel>>;
+    /**
+     * Fetch a batch of translated resource strings.
+     * @param {Object} options Options to direct the fetching of the translated strings.
+     * @param {Array} options.keys An array of resource keys to fetch the translations for.
+     * @param {String} [options.lang] Optional language code to use for resource localization.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<localizationsModel>} A promise that, when resolved, yields a localizationsModel containing the requested translations.
+     */
+    getResourceStrings({ keys, lang }?: {
+        keys: any[];
+        lang?: string;
+    }, requestOptions?: RequestOptions): Promise<localizationsModel>;
+    /**
+     * Get the available search query log url.
+     * @param {String} logName - Name of log to retrive URL from.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<logUrlModel>} - A Promise that, when resolved, yields a {@link logUrlModel} containing log url.
+     */
+    getSearchQueryLogUrl(logName: string, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<logUrlModel>>;
+    /**
+     * Get the available search query log url.
+     * @param {String} logName - Name of log to retrive URL from.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<logUrlModel>} - A Promise that, when resolved, yields a {@link logUrlModel} containing log url.
+     */
+    getSearchQueryLogUrl(logName: string, requestOptions?: RequestOptions): Promise<logUrlModel>;
+    /**
+     * Get the available site activity log url.
+     * @param {String} logName - Name of log to retrive URL from.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<logUrlModel>} - A Promise that, when resolved, yields a {@link logUrlModel} containing log url.
+     */
+    getSiteActivityLogUrl(logName: string, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<logUrlModel>>;
+    /**
+     * Get the available site activity log url.
+     * @param {String} logName - Name of log to retrive URL from.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<logUrlModel>} - A Promise that, when resolved, yields a {@link logUrlModel} containing log url.
+     */
+    getSiteActivityLogUrl(logName: string, requestOptions?: RequestOptions): Promise<logUrlModel>;
+    /**
+     * Get tags list.
+     * @param {String} [params] - Parameters to send along to the API.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteTagsModelGet>} - A Promise that will be resolved with the tags data, or rejected with an error specifying the reason for rejection.
+     */
+    getTags(params: string | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<siteTagsModelGet>>;
+    /**
+     * Get tags list.
+     * @param {String} [params] - Parameters to send along to the API.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteTagsModelGet>} - A Promise that will be resolved with the tags data, or rejected with an error specifying the reason for rejection.
+     */
+    getTags(params?: string, requestOptions?: RequestOptions): Promise<siteTagsModelGet>;
+    /**
+     * Post tags list for each page that each tag in contained in.
+     * @param {Object} [params] - Options to direct the fetching of the localized tags.
+     * @param {Array} [params.add] - A tag array containing all the pages containing this tag where they need to be added.
+     * @param {Array} [params.remove] - A tag array containing all the pages containing this tag where they need to be removed.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteTagsModelPost>} - A Promise that will be resolved with the tags data, or rejected with an error specifying the reason for rejection.
+     */
+    setTags(params: {
+        add?: any[];
+        remove?: any[];
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<siteTagsModelPost>>;
+    /**
+     * Post tags list for each page that each tag in contained in.
+     * @param {Object} [params] - Options to direct the fetching of the localized tags.
+     * @param {Array} [params.add] - A tag array containing all the pages containing this tag where they need to be added.
+     * @param {Array} [params.remove] - A tag array containing all the pages containing this tag where they need to be removed.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteTagsModelPost>} - A Promise that will be resolved with the tags data, or rejected with an error specifying the reason for rejection.
+     */
+    setTags(params?: {
+        add?: any[];
+        remove?: any[];
+    }, requestOptions?: RequestOptions): Promise<siteTagsModelPost>;
+    /**
+     * Perform a search across the site.
+     * @param {Object} [options] - The options to direct the search operation.
+     * @param {Number} [options.limit=10] - Limit search results to the specified number of items per paginated page.
+     * @param {Number} [options.offset=0] - The index in the total query results at which to begin the returned result set.
+     * @param {String|Array} [options.tags=''] - A comma-separated list or array of tags to constrain search results to items containing one of the tags.
+     * @param {String|Array} [options.type=''] - Type or types to filter the results in a comma delimited list or an array.  Valid types: `wiki`, `document`, `image`, `binary`
+     * @param {String} [options.q=''] - Search keywords or advanced search syntax.
+     * @param {String} [options.path=''] - A page path to constrain the search results to items located under the specified path.
+     * @param {String|Array} [options.namespaces='main'] - A comma-separated list or array of namespaces to filter the results by. Valid namespaces: 'main', 'template', 'user'.
+     * @param {String} [options.sessionid=null] - An identifier to know that the query is grouped with the previous query.
+     * @param {Boolean} [options.recommendations=true] - `true` to include recommended search results based off site configuration. `false` to suppress them.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<searchModel>} - A Promise that, when resolved, yields the results from the search in a {@link searchModel}.
+     */
+    search({ limit, offset, q, path, recommendations, tags, type, namespaces, sessionid }: {
+        limit?: number;
+        offset?: number;
+        tags?: string | any[];
+        type?: string | any[];
+        q?: string;
+        path?: string;
+        namespaces?: string | any[];
+        sessionid?: string;
+        recommendations?: boolean;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<searchModel>>;
+    /**
+     * Perform a search across the site.
+     * @param {Object} [options] - The options to direct the search operation.
+     * @param {Number} [options.limit=10] - Limit search results to the specified number of items per paginated page.
+     * @param {Number} [options.offset=0] - The index in the total query results at which to begin the returned result set.
+     * @param {String|Array} [options.tags=''] - A comma-separated list or array of tags to constrain search results to items containing one of the tags.
+     * @param {String|Array} [options.type=''] - Type or types to filter the results in a comma delimited list or an array.  Valid types: `wiki`, `document`, `image`, `binary`
+     * @param {String} [options.q=''] - Search keywords or advanced search syntax.
+     * @param {String} [options.path=''] - A page path to constrain the search results to items located under the specified path.
+     * @param {String|Array} [options.namespaces='main'] - A comma-separated list or array of namespaces to filter the results by. Valid namespaces: 'main', 'template', 'user'.
+     * @param {String} [options.sessionid=null] - An identifier to know that the query is grouped with the previous query.
+     * @param {Boolean} [options.recommendations=true] - `true` to include recommended search results based off site configuration. `false` to suppress them.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<searchModel>} - A Promise that, when resolved, yields the results from the search in a {@link searchModel}.
+     */
+    search({ limit, offset, q, path, recommendations, tags, type, namespaces, sessionid }?: {
+        limit?: number;
+        offset?: number;
+        tags?: string | any[];
+        type?: string | any[];
+        q?: string;
+        path?: string;
+        namespaces?: string | any[];
+        sessionid?: string;
+        recommendations?: boolean;
+    }, requestOptions?: RequestOptions): Promise<searchModel>;
+    /**
+     * Search the site index
+     * @param {Object} options - The options to direct the search operation.
+     * @param {String} [options.q=''] The search string
+     * @param {Number|String} [options.limit=100] The maximum number of items to retrieve. Must be a positive number or 'all' to retrieve all items.
+     * @param {Number} [options.offset=0] Number of items to skip. Must be a positive number or 0 to not skip any.
+     * @param {String} [options.sortBy='-score'] Sort field. Prefix value with '-' to sort descending.
+     * @param {String} [options.constraintString] The pre-built constraint string to use. If not supplied, it will be built from the options.constraints object. If both options.constraintString and options.constraints are supplied, this parameter will take precedence.
+     * @param {Object} [options.constraints={}] Addidional search constraints
+     * @param {String} options.constraints.type The article type to filter from the results.
+     * @param {String} options.constraints.path The path to use for path.ancestor in the search constraint.
+     * @param {Array} options.constraints.tags An array of tags to only consider when returning page results.
+     * @param {Array} options.constraints.namespaces An array of namespaces to limit the results by.
+     * @param {Boolean} [options.verbose=true] Show verbose page xml
+     * @param {String} [options.parser='bestguess'] - The parser to use for the query. Must be one of "bestguess", "term", "filename", "lucene"
+     * @param {String} [options.format='xml'] - The format of the search results.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<searchModel>} - A Promise that will be resolved with the search results, or rejected with an error specifying the reason for rejection.
+     */
+    searchIndex({ q, limit, offset, sortBy, constraintString, constraints, verbose, parser, format }: {
+        q?: string;
+        limit?: number | string;
+        offset?: number;
+        sortBy?: string;
+        constraintString?: string;
+        constraints?: {
+            type: string;
+            path: string;
+            tags: any[];
+            namespaces: any[];
+        };
+        verbose?: boolean;
+        parser?: string;
+        format?: string;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<searchModel>>;
+    /**
+     * Search the site index
+     * @param {Object} options - The options to direct the search operation.
+     * @param {String} [options.q=''] The search string
+     * @param {Number|String} [options.limit=100] The maximum number of items to retrieve. Must be a positive number or 'all' to retrieve all items.
+     * @param {Number} [options.offset=0] Number of items to skip. Must be a positive number or 0 to not skip any.
+     * @param {String} [options.sortBy='-score'] Sort field. Prefix value with '-' to sort descending.
+     * @param {String} [options.constraintString] The pre-built constraint string to use. If not supplied, it will be built from the options.constraints object. If both options.constraintString and options.constraints are supplied, this parameter will take precedence.
+     * @param {Object} [options.constraints={}] Addidional search constraints
+     * @param {String} options.constraints.type The article type to filter from the results.
+     * @param {String} options.constraints.path The path to use for path.ancestor in the search constraint.
+     * @param {Array} options.constraints.tags An array of tags to only consider when returning page results.
+     * @param {Array} options.constraints.namespaces An array of namespaces to limit the results by.
+     * @param {Boolean} [options.verbose=true] Show verbose page xml
+     * @param {String} [options.parser='bestguess'] - The parser to use for the query. Must be one of "bestguess", "term", "filename", "lucene"
+     * @param {String} [options.format='xml'] - The format of the search results.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<searchModel>} - A Promise that will be resolved with the search results, or rejected with an error specifying the reason for rejection.
+     */
+    searchIndex({ q, limit, offset, sortBy, constraintString, constraints, verbose, parser, format }?: {
+        q?: string;
+        limit?: number | string;
+        offset?: number;
+        sortBy?: string;
+        constraintString?: string;
+        constraints?: {
+            type: string;
+            path: string;
+            tags: any[];
+            namespaces: any[];
+        };
+        verbose?: boolean;
+        parser?: string;
+        format?: string;
+    }, requestOptions?: RequestOptions): Promise<searchModel>;
+    /**
+     * Get the analytics for search on the site
+     * @param {Object} options - The paramaters to pass through with the request
+     * @param {String} [options.start] - The start date (YYYYMMDDHHMMSS)
+     * @param {String} [options.end] - The end date (YYYYMMDDHHMMSS)
+     * @param {String} [options.queryFilters] - the stem queries you want to return results for
+     * @param {String} [options.userFilter] - The user type you want to filter by (Anonymous, Community, Pro)
+     * @param {String} [options.groupIds] - Filter all search data by a set of comma separated group ids
+     * @param {String} [options.bucket] - The time you want to bucket results into
+     * @param {String} [options.origin] - The source of the search query (mt-web, mt-api, etc)
+     * @param {String} [options.webWidgetEmbedId] - the embed id for the source web widget
+     * @param {String} [options.sortBy] - Sort table data by this field (e.g. clicks, position) (default: clicks)
+     * @param {String} [options.sortOrder] - Sort direction to be used with sortby (e.g. asc, desc) (default: desc)
+     * @param {Number} [options.limit] - Number of clicked results to return results for (between 1 and 1000 inclusive) (default: 100)
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<searchAnalyticsModel>} - A Promise that will be resolved with the search analytics data, or rejected with an error specifiying the reason for rejection.
+     */
+    getSearchAnalytics({ start, end, queryFilters, userFilter, groupIds, bucket, origin, webWidgetEmbedId, sortBy, sortOrder, limit }: {
+        start?: string;
+        end?: string;
+        queryFilters?: string;
+        userFilter?: string;
+        groupIds?: string;
+        bucket?: string;
+        origin?: string;
+        webWidgetEmbedId?: string;
+        sortBy?: string;
+        sortOrder?: string;
+        limit?: number;
+    }, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<searchAnalyticsModel>>;
+    /**
+     * Get the analytics for search on the site
+     * @param {Object} options - The paramaters to pass through with the request
+     * @param {String} [options.start] - The start date (YYYYMMDDHHMMSS)
+     * @param {String} [options.end] - The end date (YYYYMMDDHHMMSS)
+     * @param {String} [options.queryFilters] - the stem queries you want to return results for
+     * @param {String} [options.userFilter] - The user type you want to filter by (Anonymous, Community, Pro)
+     * @param {String} [options.groupIds] - Filter all search data by a set of comma separated group ids
+     * @param {String} [options.bucket] - The time you want to bucket results into
+     * @param {String} [options.origin] - The source of the search query (mt-web, mt-api, etc)
+     * @param {String} [options.webWidgetEmbedId] - the embed id for the source web widget
+     * @param {String} [options.sortBy] - Sort table data by this field (e.g. clicks, position) (default: clicks)
+     * @param {String} [options.sortOrder] - Sort direction to be used with sortby (e.g. asc, desc) (default: desc)
+     * @param {Number} [options.limit] - Number of clicked results to return results for (between 1 and 1000 inclusive) (default: 100)
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<searchAnalyticsModel>} - A Promise that will be resolved with the search analytics data, or rejected with an error specifiying the reason for rejection.
+     */
+    getSearchAnalytics({ start, end, queryFilters, userFilter, groupIds, bucket, origin, webWidgetEmbedId, sortBy, sortOrder, limit }: {
+        start?: string;
+        end?: string;
+        queryFilters?: string;
+        userFilter?: string;
+        groupIds?: string;
+        bucket?: string;
+        origin?: string;
+        webWidgetEmbedId?: string;
+        sortBy?: string;
+        sortOrder?: string;
+        limit?: number;
+    }, requestOptions?: RequestOptions): Promise<searchAnalyticsModel>;
+    /**
+     * Get the search analytics for the given period for a particular query
+     * @param {Object} options - The paramaters to pass through with the request
+     * @param {String} [options.query] - Query to generate analytics for
+     * @param {String} [options.start] - The start date (YYYYMMDDHHMMSS)
+     * @param {String} [options.end] - The end date (YYYYMMDDHHMMSS)
+     * @param {String} [options.userFilter] - The user type you want to filter by (Anonymous, Community, Pro)
+     * @param {String} [options.groupIds] - Filter all search data by a set of comma separated group ids
+     * @param {String} [options.bucket] - The time you want to bucket results into (e.g. day, month) (default: month)
+     * @param {String} [options.origin] - The source of the search query (mt-web, mt-api, etc)
+     * @param {String} [options.webWidgetEmbedId] - the embed id for the source web widget
+     * @param {String} [options.sortBy] - Sort table data by this field (e.g. clicks, position) (default: clicks)
+     * @param {String} [options.sortOrder] - Sort direction to be used with sortby (e.g. asc, desc) (default: desc)
+     * @param {Number} [options.limit] - Number of clicked results to return results for (between 1 and 1000 inclusive) (default: 100)
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<searchAnalyticsQueryModel>} - A Promise that will be resolved with the search analytics data, or rejected with an error specifiying the reason for rejection.
+     */
+    getSearchAnalyticsQuery({ query, start, end, userFilter, groupIds, bucket, origin, webWidgetEmbedId, sortBy, sortOrder, limit }: {
+        query?: string;
+        start?: string;
+        end?: string;
+        userFilter?: string;
+        groupIds?: string;
+        bucket?: string;
+        origin?: string;
+        webWidgetEmbedId?: string;
+        sortBy?: string;
+        sortOrder?: string;
+        limit?: number;
+    }, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<searchAnalyticsQueryModel>>;
+    /**
+     * Get the search analytics for the given period for a particular query
+     * @param {Object} options - The paramaters to pass through with the request
+     * @param {String} [options.query] - Query to generate analytics for
+     * @param {String} [options.start] - The start date (YYYYMMDDHHMMSS)
+     * @param {String} [options.end] - The end date (YYYYMMDDHHMMSS)
+     * @param {String} [options.userFilter] - The user type you want to filter by (Anonymous, Community, Pro)
+     * @param {String} [options.groupIds] - Filter all search data by a set of comma separated group ids
+     * @param {String} [options.bucket] - The time you want to bucket results into (e.g. day, month) (default: month)
+     * @param {String} [options.origin] - The source of the search query (mt-web, mt-api, etc)
+     * @param {String} [options.webWidgetEmbedId] - the embed id for the source web widget
+     * @param {String} [options.sortBy] - Sort table data by this field (e.g. clicks, position) (default: clicks)
+     * @param {String} [options.sortOrder] - Sort direction to be used with sortby (e.g. asc, desc) (default: desc)
+     * @param {Number} [options.limit] - Number of clicked results to return results for (between 1 and 1000 inclusive) (default: 100)
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<searchAnalyticsQueryModel>} - A Promise that will be resolved with the search analytics data, or rejected with an error specifiying the reason for rejection.
+     */
+    getSearchAnalyticsQuery({ query, start, end, userFilter, groupIds, bucket, origin, webWidgetEmbedId, sortBy, sortOrder, limit }: {
+        query?: string;
+        start?: string;
+        end?: string;
+        userFilter?: string;
+        groupIds?: string;
+        bucket?: string;
+        origin?: string;
+        webWidgetEmbedId?: string;
+        sortBy?: string;
+        sortOrder?: string;
+        limit?: number;
+    }, requestOptions?: RequestOptions): Promise<searchAnalyticsQueryModel>;
+    /**
+     * Get the activity stats for the site.
+     * @param {Date|String|Number} [since] Start date for report, as a Date, an ISO 8601 string or an epoch number.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteActivityModel>} - A Promise that will be resolved with the activity data, or rejected with an error specifying the reason for rejection.
+     */
+    getActivity(since: Date | string | number | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<siteActivityModel>>;
+    /**
+     * Get the activity stats for the site.
+     * @param {Date|String|Number} [since] Start date for report, as a Date, an ISO 8601 string or an epoch number.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteActivityModel>} - A Promise that will be resolved with the activity data, or rejected with an error specifying the reason for rejection.
+     */
+    getActivity(since?: Date | string | number, requestOptions?: RequestOptions): Promise<siteActivityModel>;
+    /**
+     * Retrieve list of defined roles
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteRolesModel>} - A Promise that will be resolved with the roles info, or rejected with an error specifying the reason for rejection.
+     */
+    getRoles(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<siteRolesModel>>;
+    /**
+     * Retrieve list of defined roles
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteRolesModel>} - A Promise that will be resolved with the roles info, or rejected with an error specifying the reason for rejection.
+     */
+    getRoles(requestOptions?: RequestOptions): Promise<siteRolesModel>;
+    /**
+     * Send feedback to the site owner.
+     * @param {Object} feedbackData The data to send as the feedback.
+     * @param {String} feedbackData.comment The comment body.
+     * @param {String} [feedbackData.title] The title/subject for the feedback.
+     * @param {Object} [feedbackData.metadata] Additional data to accompany the feedback submission.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates a successful feedback submission.
+     */
+    sendFeedback({ comment, title, metadata }: {
+        comment: string;
+        title?: string;
+        metadata?: any;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Send feedback to the site owner.
+     * @param {Object} feedbackData The data to send as the feedback.
+     * @param {String} feedbackData.comment The comment body.
+     * @param {String} [feedbackData.title] The title/subject for the feedback.
+     * @param {Object} [feedbackData.metadata] Additional data to accompany the feedback submission.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates a successful feedback submission.
+     */
+    sendFeedback({ comment, title, metadata }?: {
+        comment: string;
+        title?: string;
+        metadata?: any;
+    }, requestOptions?: RequestOptions): Promise<any>;
+}
+export class SiteJob {
+    /**
+     * Create a new SiteJob
+     * @param {String} jobId The GUID job ID.
+     * @param {Settings} [settings] The martian settings that will direct the requests for this instance.
+     */
+    constructor(jobId: string, settings?: Settings);
+    _plug: Plug;
+    /**
+     * Get the status information for the job.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteJobModel>} A promise that, when resolved, contains the job's status information.
+     */
+    getStatus(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<siteJobModel>>;
+    /**
+     * Get the status information for the job.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteJobModel>} A promise that, when resolved, contains the job's status information.
+     */
+    getStatus(requestOptions?: RequestOptions): Promise<siteJobModel>;
+    /**
+     * Cancel the site job.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteJobModel>} A promise that, when resolved, contains the job's status information.
+     */
+    cancel(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<siteJobModel>>;
+    /**
+     * Cancel the site job.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteJobModel>} A promise that, when resolved, contains the job's status information.
+     */
+    cancel(requestOptions?: RequestOptions): Promise<siteJobModel>;
+}
+export class SiteJobManager {
+    /**
+     * Create a new SiteJobManager object.
+     * @param {Settings} [settings] - The martian settings that will direct the requests for this instance.
+     */
+    constructor(settings?: Settings);
+    _plug: Plug;
+    /**
+     * Schedules a site export.
+     * @param {Object} options - Options to configure the export job.
+     * @param {String} [options.email] - The email address to notify when the job completes. Required if a URL is not supplied.
+     * @param {String} [options.url] - The URL to notify when the job completes. Required if an email address is not supplied.
+     * @param {Array.<Object>} [options.pages] - An array of objects with information about the pages to export.
+     * @param {Number} [options.pages[].id] - The ID of a page to export. Required if the path is not supplied.
+     * @param {String} [options.pages[].path] - The path of a page to export. Required if the ID is not supplied.
+     * @param {Boolean} [options.pages[].includeSubpages] - Idicates whether or not to export the subpages of the specified page.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteJobModel>} - A Promise that will be resolved with the scheduled job info, or rejected with an error specifying the reason for rejection.
+     */
+    scheduleExport(options: {
+        email?: string;
+        url?: string;
+        pages?: Array<any>;
+    }, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<siteJobModel>>;
+    /**
+     * Schedules a site export.
+     * @param {Object} options - Options to configure the export job.
+     * @param {String} [options.email] - The email address to notify when the job completes. Required if a URL is not supplied.
+     * @param {String} [options.url] - The URL to notify when the job completes. Required if an email address is not supplied.
+     * @param {Array.<Object>} [options.pages] - An array of objects with information about the pages to export.
+     * @param {Number} [options.pages[].id] - The ID of a page to export. Required if the path is not supplied.
+     * @param {String} [options.pages[].path] - The path of a page to export. Required if the ID is not supplied.
+     * @param {Boolean} [options.pages[].includeSubpages] - Idicates whether or not to export the subpages of the specified page.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteJobModel>} - A Promise that will be resolved with the scheduled job info, or rejected with an error specifying the reason for rejection.
+     */
+    scheduleExport(options: {
+        email?: string;
+        url?: string;
+        pages?: Array<any>;
+    }, requestOptions?: RequestOptions): Promise<siteJobModel>;
+    /**
+     * Schedules a site import
+     * @param {Object} options - Options to configure the import job.
+     * @param {Boolean} [options.dryRun=false] - Perform a dry run of the import to diagnose potential content problems.
+     * @param {String} [options.email] - The email address to notify when the job completes. Required if a URL is not supplied.
+     * @param {String} [options.url] - The URL to notify when the job completes. Required if an email address is not supplied.
+     * @param {String} options.archiveUrl - The URL pointing to the archive to import.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteJobModel>} - A Promise that will be resolved with the scheduled job info, or rejected with an error specifying the reason for rejection.
+     */
+    scheduleImport(options: {
+        dryRun?: boolean;
+        email?: string;
+        url?: string;
+        archiveUrl: string;
+    }, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<siteJobModel>>;
+    /**
+     * Schedules a site import
+     * @param {Object} options - Options to configure the import job.
+     * @param {Boolean} [options.dryRun=false] - Perform a dry run of the import to diagnose potential content problems.
+     * @param {String} [options.email] - The email address to notify when the job completes. Required if a URL is not supplied.
+     * @param {String} [options.url] - The URL to notify when the job completes. Required if an email address is not supplied.
+     * @param {String} options.archiveUrl - The URL pointing to the archive to import.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteJobModel>} - A Promise that will be resolved with the scheduled job info, or rejected with an error specifying the reason for rejection.
+     */
+    scheduleImport(options: {
+        dryRun?: boolean;
+        email?: string;
+        url?: string;
+        archiveUrl: string;
+    }, requestOptions?: RequestOptions): Promise<siteJobModel>;
+    /**
+     * Gets the job statuses for a site.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteJobsModel>} - A Promise that will be resolved with the jobs status info, or rejected with an error specifying the reason for rejection.
+     */
+    getJobsStatuses(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<siteJobsModel>>;
+    /**
+     * Gets the job statuses for a site.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteJobsModel>} - A Promise that will be resolved with the jobs status info, or rejected with an error specifying the reason for rejection.
+     */
+    getJobsStatuses(requestOptions?: RequestOptions): Promise<siteJobsModel>;
+}
+export class SiteReports {
+    constructor(settings?: Settings);
+    _plug: Plug;
+    /**
+     * Get the site health report.
+     * @param {Object} [options] - Optons to filter the results returned.
+     * @param {Array} [options.analyzers] - An array of analyzers to include in the report (all analyzers included if none specified)
+     * @param {Array} [options.severities] - An array of severity levels to include in the report (all error levels if none specified)
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<healthReportModel>} - A Promise that will be resolved with the site health report data, or rejected with an error specifying the reason for rejection.
+     */
+    getSiteHealth(options: {
+        analyzers?: any[];
+        severities?: any[];
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<healthReportModel>>;
+    /**
+     * Get the site health report.
+     * @param {Object} [options] - Optons to filter the results returned.
+     * @param {Array} [options.analyzers] - An array of analyzers to include in the report (all analyzers included if none specified)
+     * @param {Array} [options.severities] - An array of severity levels to include in the report (all error levels if none specified)
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<healthReportModel>} - A Promise that will be resolved with the site health report data, or rejected with an error specifying the reason for rejection.
+     */
+    getSiteHealth(options?: {
+        analyzers?: any[];
+        severities?: any[];
+    }, requestOptions?: RequestOptions): Promise<healthReportModel>;
+}
+/**
+ * A class for managing a MindTouch user.
+ */
+export class User {
+    /**
+     * Construct a new User object.
+     * @param {Number|String} [id='current'] - The user's numeric ID or username.
+     * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(id?: number | string, settings?: Settings);
+    _id: any;
+    _plug: Plug;
+    /**
+     * Get the user information.
+     * @param {Object} options - The various options that provide context to the request
+     * @param {Array} options.exclude - elements to exclude from response (ex: ['groups', 'properties'])
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<userModel>} - A Promise that, when resolved, returns a {@link userModel} containing the user information.
+     */
+    getInfo({ exclude }: {
+        exclude: any[];
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<userModel>>;
+    /**
+     * Get the user information.
+     * @param {Object} options - The various options that provide context to the request
+     * @param {Array} options.exclude - elements to exclude from response (ex: ['groups', 'properties'])
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<userModel>} - A Promise that, when resolved, returns a {@link userModel} containing the user information.
+     */
+    getInfo({ exclude }?: {
+        exclude: any[];
+    }, requestOptions?: RequestOptions): Promise<userModel>;
+    /**
+     * Check one or more resources if given operation is allowed.
+     * @param {Array} pageIds - An array of numeric page IDs to check if the operations specified in `options` are allowed.
+     * @param {Object} [options] - An object that contains the parameters to direct the request.
+     * @param {Number} [options.mask] - The permission bit mask required for the pages.
+     * @param {Array} [options.operations=[]] - An array of operations to verify.
+     * @param {Boolean} [options.verbose=true] - Return verbose information on permitted pages.
+     * @param {Boolean} [options.invert=false] - Return filtered instead of allowed pages. If set to `true`, forces the `verbose` parameter to `false`.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Object>} - A Promise that will be resolved with result of the permission check, or rejected with an error specifying the reason for rejection.
+     */
+    checkAllowed(pageIds: any[], options: {
+        mask?: number;
+        operations?: any[];
+        verbose?: boolean;
+        invert?: boolean;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Check one or more resources if given operation is allowed.
+     * @param {Array} pageIds - An array of numeric page IDs to check if the operations specified in `options` are allowed.
+     * @param {Object} [options] - An object that contains the parameters to direct the request.
+     * @param {Number} [options.mask] - The permission bit mask required for the pages.
+     * @param {Array} [options.operations=[]] - An array of operations to verify.
+     * @param {Boolean} [options.verbose=true] - Return verbose information on permitted pages.
+     * @param {Boolean} [options.invert=false] - Return filtered instead of allowed pages. If set to `true`, forces the `verbose` parameter to `false`.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Object>} - A Promise that will be resolved with result of the permission check, or rejected with an error specifying the reason for rejection.
+     */
+    checkAllowed(pageIds: any[], options?: {
+        mask?: number;
+        operations?: any[];
+        verbose?: boolean;
+        invert?: boolean;
+    }, requestOptions?: RequestOptions): Promise<any>;
+    /**
+     * Modify the user. The options may also be a {@link userModel} object, such as one from {@see User#getInfo}, to write back its `fullname`, `status` and other writable fields. Only the fields that were changed in an object from {@see User#getInfo} or {@see User#update} are sent.
+     * @param {Object} options - An object that contains the user parameters to modify
+     * @param {Boolean} [options.active] - Sets the user's "status" to "active" or "inactive".
+     * @param {Boolean} [options.seated] - Sets whether or not the user is seated.
+     * @param {String} [options.username] - Sets the user's username.
+     * @param {String} [options.fullName] - Sets the user's full name (display name).
+     * @param {String} [options.email] - Sets the user's email address.
+     * @param {String} [options.language] - Sets the user's language.
+     * @param {String} [options.timeZone] - Sets the user's time zone.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<userModel>} - A Promise that will be resolved with the updated user data, or rejected with an error specifying the reason for rejection.
+     */
+    update(options: {
+        active?: boolean;
+        seated?: boolean;
+        username?: string;
+        fullName?: string;
+        email?: string;
+        language?: string;
+        timeZone?: string;
+    }, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<userModel>>;
+    /**
+     * Modify the user. The options may also be a {@link userModel} object, such as one from {@see User#getInfo}, to write back its `fullname`, `status` and other writable fields. Only the fields that were changed in an object from {@see User#getInfo} or {@see User#update} are sent.
+     * @param {Object} options - An object that contains the user parameters to modify
+     * @param {Boolean} [options.active] - Sets the user's "status" to "active" or "inactive".
+     * @param {Boolean} [options.seated] - Sets whether or not the user is seated.
+     * @param {String} [options.username] - Sets the user's username.
+     * @param {String} [options.fullName] - Sets the user's full name (display name).
+     * @param {String} [options.email] - Sets the user's email address.
+     * @param {String} [options.language] - Sets the user's language.
+     * @param {String} [options.timeZone] - Sets the user's time zone.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<userModel>} - A Promise that will be resolved with the updated user data, or rejected with an error specifying the reason for rejection.
+     */
+    update(options: {
+        active?: boolean;
+        seated?: boolean;
+        username?: string;
+        fullName?: string;
+        email?: string;
+        language?: string;
+        timeZone?: string;
+    }, requestOptions?: RequestOptions): Promise<userModel>;
+    /**
+     * Set the password for the user
+     * @param {Object} options An object that contains the password change information
+     * @param {String} options.newPassword The new password that will be set for the user
+     * @param {String} [options.currentpassword] The user's current password (needed when changing your own password without admin rights)
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates a successful password change
+     */
+    setPassword(options: {
+        newPassword: string;
+        currentpassword?: string;
+    }, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Set the password for the user
+     * @param {Object} options An object that contains the password change information
+     * @param {String} options.newPassword The new password that will be set for the user
+     * @param {String} [options.currentpassword] The user's current password (needed when changing your own password without admin rights)
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise that, when resolved, indicates a successful password change
+     */
+    setPassword(options: {
+        newPassword: string;
+        currentpassword?: string;
+    }, requestOptions?: RequestOptions): Promise<any>;
+}
+/**
+ * A class for managing the users on a MindTouch site.
+ */
+export class UserManager {
+    /**
+     * Construct a new UserManager object.
+     * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(settings?: Settings);
+    _settings: Settings;
+    _plug: Plug;
+    /**
+     * Get the currently signed-in user.
+     * @param {Object} params - The various params that provide context to the request
+     * @param {Array} params.exclude - elements to exclude from response (ex: ['groups', 'properties'])
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<userModel>} - A Promise that, when resolved, returns a {@link userModel} containing the current user's information.
+     */
+    getCurrentUser({ exclude }: {
+        exclude: any[];
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<userModel>>;
+    /**
+     * Get the currently signed-in user.
+     * @param {Object} params - The various params that provide context to the request
+     * @param {Array} params.exclude - elements to exclude from response (ex: ['groups', 'properties'])
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<userModel>} - A Promise that, when resolved, returns a {@link userModel} containing the current user's information.
+     */
+    getCurrentUser({ exclude }?: {
+        exclude: any[];
+    }, requestOptions?: RequestOptions): Promise<userModel>;
+    /**
+     * Get the currently signed-in user's activity id.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<String>} - A Promise that, when resolved, returns a string with the current user activity token.
+     */
+    getCurrentUserActivityToken(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<string>>;
+    /**
+     * Get the currently signed-in user's activity id.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<String>} - A Promise that, when resolved, returns a string with the current user activity token.
+     */
+    getCurrentUserActivityToken(requestOptions?: RequestOptions): Promise<string>;
+    /**
+     * Get all of the users.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<userListModel>} - A Promise that, when resolved, returns a {@link userListModel} containing the list of users.
+     */
+    getUsers(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<userListModel>>;
+    /**
+     * Get all of the users.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<userListModel>} - A Promise that, when resolved, returns a {@link userListModel} containing the list of users.
+     */
+    getUsers(requestOptions?: RequestOptions): Promise<userListModel>;
+    /**
+     * Get a listing of users filtered by the supplied constraints
+     * @param {Object} constraints - The various constraints that can be used to filter the user listing.
+     * @param {Number} [constraints.groupid] - Search for users in a specific group
+     * @param {String} [constraints.fullname] - Search for users full name starting with supplied text.
+     * @param {Boolean} [constraints.active] - Search for users by their active status
+     * @param {Number} [constraints.authprovider] - Return users belonging to given authentication service id
+     * @param {String} [constraints.email] - Search for users by name and email or part of a name and email
+     * @param {Boolean} [constraints.seated] - Search for users with or without seats
+     * @param {String} [constraints.username] - Search for users name starting with supplied text
+     * @param {Number} [constraints.roleid] - Search for users of a specific role ID.
+     * @param {Number} [constraints.limit] - Maximum number of items to retrieve. Actual maximum is capped by site setting
+     * @param {String} [constraints.format] - Output format. Must be one of "autocomplete", "default" , or "verbose"
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<userListModel>} - A Promise that, when resolved, returns a {@link userListModel} containing the list of found users.
+     */
+    searchUsers(constraints: {
+        groupid?: number;
+        fullname?: string;
+        active?: boolean;
+        authprovider?: number;
+        email?: string;
+        seated?: boolean;
+        username?: string;
+        roleid?: number;
+        limit?: number;
+        format?: string;
+    }, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<userListModel>>;
+    /**
+     * Get a listing of users filtered by the supplied constraints
+     * @param {Object} constraints - The various constraints that can be used to filter the user listing.
+     * @param {Number} [constraints.groupid] - Search for users in a specific group
+     * @param {String} [constraints.fullname] - Search for users full name starting with supplied text.
+     * @param {Boolean} [constraints.active] - Search for users by their active status
+     * @param {Number} [constraints.authprovider] - Return users belonging to given authentication service id
+     * @param {String} [constraints.email] - Search for users by name and email or part of a name and email
+     * @param {Boolean} [constraints.seated] - Search for users with or without seats
+     * @param {String} [constraints.username] - Search for users name starting with supplied text
+     * @param {Number} [constraints.roleid] - Search for users of a specific role ID.
+     * @param {Number} [constraints.limit] - Maximum number of items to retrieve. Actual maximum is capped by site setting
+     * @param {String} [constraints.format] - Output format. Must be one of "autocomplete", "default" , or "verbose"
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<userListModel>} - A Promise that, when resolved, returns a {@link userListModel} containing the list of found users.
+     */
+    searchUsers(constraints: {
+        groupid?: number;
+        fullname?: string;
+        active?: boolean;
+        authprovider?: number;
+        email?: string;
+        seated?: boolean;
+        username?: string;
+        roleid?: number;
+        limit?: number;
+        format?: string;
+    }, requestOptions?: RequestOptions): Promise<userListModel>;
+    /**
+     * Authenticate a user
+     * @param {Object} options - The authentication options.
+     * @param {String} options.method - Either 'GET' or 'POST' to direct the use of those forms of the API call.
+     * @param {String} options.username - The username of the user to authenticate.
+     * @param {String} options.password - The password of the user to authenticate.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<String>} - A Promise that will be resolved with the auth token of the user, or rejected with an error specifying the reason for rejection.
+     */
+    authenticate({ method, username, password }: {
+        method: string;
+        username: string;
+        password: string;
+    }, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<string>>;
+    /**
+     * Authenticate a user
+     * @param {Object} options - The authentication options.
+     * @param {String} options.method - Either 'GET' or 'POST' to direct the use of those forms of the API call.
+     * @param {String} options.username - The username of the user to authenticate.
+     * @param {String} options.password - The password of the user to authenticate.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<String>} - A Promise that will be resolved with the auth token of the user, or rejected with an error specifying the reason for rejection.
+     */
+    authenticate({ method, username, password }: {
+        method: string;
+        username: string;
+        password: string;
+    }, requestOptions?: RequestOptions): Promise<string>;
+    /**
+     * Sign out the user whose auth token the request carries, so that the token is no longer accepted.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, indicates the user was signed out.
+     */
+    logout(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Sign out the user whose auth token the request carries, so that the token is no longer accepted.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, indicates the user was signed out.
+     */
+    logout(requestOptions?: RequestOptions): Promise<any>;
+    /**
+     * Get a {@see User} object by ID.
+     * @param {Number|String} [id='current'] - The user's numeric ID or username.
+     * @returns {User} - The User object corresponding to the supplied ID.
+     */
+    getUser(id?: number | string): User;
+}
+/**
+ * A class for managing web widgets.
+ */
+export class WebWidgetsManager {
+    /**
+     * Construct a new WebWidgetsManager.
+     * @param {Settings} [settings] The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(settings?: Settings);
+    _plug: Plug;
+    /**
+     * Retrieve all active web widgets.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsListModel>} A Promise, when resolved, provides a list of active web widgets.
+     */
+    getActiveWidgets(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<webWidgetsListModel>>;
+    /**
+     * Retrieve all active web widgets.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsListModel>} A Promise, when resolved, provides a list of active web widgets.
+     */
+    getActiveWidgets(requestOptions?: RequestOptions): Promise<webWidgetsListModel>;
+    /**
+     * Retrieve all inactive web widgets.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsListModel>} A Promise, when resolved, provides a list of inactive web widgets.
+     */
+    getInactiveWidgets(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<webWidgetsListModel>>;
+    /**
+     * Retrieve all inactive web widgets.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsListModel>} A Promise, when resolved, provides a list of inactive web widgets.
+     */
+    getInactiveWidgets(requestOptions?: RequestOptions): Promise<webWidgetsListModel>;
+    /**
+     * Retrieve an individual web widget.
+     * @param {Number|String} [id] The id of the web widget to retrieve.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsModel>} A Promise, when resolved, provides info of the retrieved web widget.
+     */
+    getWidget(id: number | string | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<webWidgetsModel>>;
+    /**
+     * Retrieve an individual web widget.
+     * @param {Number|String} [id] The id of the web widget to retrieve.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsModel>} A Promise, when resolved, provides info of the retrieved web widget.
+     */
+    getWidget(id?: number | string, requestOptions?: RequestOptions): Promise<webWidgetsModel>;
+    /**
+     * Create a new web widget.
+     * @param {Object} [options] The data used to create a new web widget.
+     * @param {Array} [options.arguments] An array of { name, value } objects.
+     * @param {Array} [options.hosts] Hostnames to whitelist.
+     * @param {String} [options.name] The name of the web widget.
+     * @param {String} [options.type] The type of web widget.
+     * @param {Number} [options.parentId] The ID of the parent web widget.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsModel>} A Promise, when resolved, provides info of the newly created web widget.
+     */
+    createWidget(options: {
+        arguments?: any[];
+        hosts?: any[];
+        name?: string;
+        type?: string;
+        parentId?: number;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<webWidgetsModel>>;
+    /**
+     * Create a new web widget.
+     * @param {Object} [options] The data used to create a new web widget.
+     * @param {Array} [options.arguments] An array of { name, value } objects.
+     * @param {Array} [options.hosts] Hostnames to whitelist.
+     * @param {String} [options.name] The name of the web widget.
+     * @param {String} [options.type] The type of web widget.
+     * @param {Number} [options.parentId] The ID of the parent web widget.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsModel>} A Promise, when resolved, provides info of the newly created web widget.
+     */
+    createWidget(options?: {
+        arguments?: any[];
+        hosts?: any[];
+        name?: string;
+        type?: string;
+        parentId?: number;
+    }, requestOptions?: RequestOptions): Promise<webWidgetsModel>;
+    /**
+     * Delete a web widget.
+     * @param {Number|String} [id] The id of the web widget to delete.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise, when resolved, indicates the web widget is deleted.
+     */
+    deleteWidget(id: number | string | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Delete a web widget.
+     * @param {Number|String} [id] The id of the web widget to delete.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} A Promise, when resolved, indicates the web widget is deleted.
+     */
+    deleteWidget(id?: number | string, requestOptions?: RequestOptions): Promise<any>;
+    /**
+     * Update a web widget.
+     * @param {Number|String} [id] The id of the web widget to update.
+     * @param {Object} [options] The data used to update the web widget.
+     * @param {Array} [options.arguments] - An array of { name, value } objects.
+     * @param {Array} [options.hosts] Hostnames to whitelist.
+     * @param {String} [options.name] The name of the web widget.
+     * @param {String} [options.type] The type of web widget.
+     * @param {Number} [options.parentId] The ID of the parent web widget.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsModel>} A Promise, when resolved, provides info of the updated web widget.
+     */
+    updateWidget(id: number | string | undefined, options: {
+        arguments?: any[];
+        hosts?: any[];
+        name?: string;
+        type?: string;
+        parentId?: number;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<webWidgetsModel>>;
+    /**
+     * Update a web widget.
+     * @param {Number|String} [id] The id of the web widget to update.
+     * @param {Object} [options] The data used to update the web widget.
+     * @param {Array} [options.arguments] - An array of { name, value } objects.
+     * @param {Array} [options.hosts] Hostnames to whitelist.
+     * @param {String} [options.name] The name of the web widget.
+     * @param {String} [options.type] The type of web widget.
+     * @param {Number} [options.parentId] The ID of the parent web widget.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsModel>} A Promise, when resolved, provides info of the updated web widget.
+     */
+    updateWidget(id?: number | string, options?: {
+        arguments?: any[];
+        hosts?: any[];
+        name?: string;
+        type?: string;
+        parentId?: number;
+    }, requestOptions?: RequestOptions): Promise<webWidgetsModel>;
+    /**
+     * Activate a web widget.
+     * @param {Number|String} [id] The id of the web widget to activate.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsModel>} A Promise, when resolved, provides info of the activated web widget.
+     */
+    activateWidget(id: number | string | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<webWidgetsModel>>;
+    /**
+     * Activate a web widget.
+     * @param {Number|String} [id] The id of the web widget to activate.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsModel>} A Promise, when resolved, provides info of the activated web widget.
+     */
+    activateWidget(id?: number | string, requestOptions?: RequestOptions): Promise<webWidgetsModel>;
+    /**
+     * Deactivate a web widget.
+     * @param {Number|String} [id] The id of the web widget to deactivate.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsModel>} A Promise, when resolved, provides info of the deactivated web widget.
+     */
+    deactivateWidget(id: number | string | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<webWidgetsModel>>;
+    /**
+     * Deactivate a web widget.
+     * @param {Number|String} [id] The id of the web widget to deactivate.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsModel>} A Promise, when resolved, provides info of the deactivated web widget.
+     */
+    deactivateWidget(id?: number | string, requestOptions?: RequestOptions): Promise<webWidgetsModel>;
+}
+/**
+ * A class for working with site workflows.
+ */
+export class WorkflowManager {
+    /**
+     * Construct a new FeedbackManager.
+     * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(settings?: Settings);
+    _plug: Plug;
+    /**
+     * Submit feedback for a page.
+     * @param {Object} options - Parameters to send along with the feedback.
+     * @param {String} options.userEmail - The email of the user sending feedback.
+     * @param {String} options.pageTitle - The display title of the page the feedback is in reference to.
+     * @param {String} options.siteUrl - The URL of the MindTouch site.
+     * @param {String} options.content - The body text of the feedback message input by the user.
+     * @param {Boolean} options.contactAllowed - Notifies the API whether or not the user grants permission to contact them.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<workflowsModel>} - A Promise that, when resolved, indicates a successful feedback submission.
+     */
+    submitFeedback(options: {
+        userEmail: string;
+        pageTitle: string;
+        siteUrl: string;
+        content: string;
+        contactAllowed: boolean;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<workflowsModel>>;
+    /**
+     * Submit feedback for a page.
+     * @param {Object} options - Parameters to send along with the feedback.
+     * @param {String} options.userEmail - The email of the user sending feedback.
+     * @param {String} options.pageTitle - The display title of the page the feedback is in reference to.
+     * @param {String} options.siteUrl - The URL of the MindTouch site.
+     * @param {String} options.content - The body text of the feedback message input by the user.
+     * @param {Boolean} options.contactAllowed - Notifies the API whether or not the user grants permission to contact them.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<workflowsModel>} - A Promise that, when resolved, indicates a successful feedback submission.
+     */
+    submitFeedback(options?: {
+        userEmail: string;
+        pageTitle: string;
+        siteUrl: string;
+        content: string;
+        contactAllowed: boolean;
+    }, requestOptions?: RequestOptions): Promise<workflowsModel>;
+    /**
+     * Send a message requesting an article be created on the site.
+     * @param {Object} options - Parameters to send along with the request. These parameters are specific to the corresponding integration configuration on the MindTouch site.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<workflowsModel>} - A Promise that will be resolved with the result of the request, or rejected with an error specifying the reason for rejection.
+     */
+    requestArticle(options: any | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<workflowsModel>>;
+    /**
+     * Send a message requesting an article be created on the site.
+     * @param {Object} options - Parameters to send along with the request. These parameters are specific to the corresponding integration configuration on the MindTouch site.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<workflowsModel>} - A Promise that will be resolved with the result of the request, or rejected with an error specifying the reason for rejection.
+     */
+    requestArticle(options?: any, requestOptions?: RequestOptions): Promise<workflowsModel>;
+    /**
+     * Send a message that submits a support issue.
+     * @param {Object} options - Parameters to send along with the request. These parameters are specific to the corresponding integration configuration on the MindTouch site.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<workflowsModel>} - A Promise that will be resolved with the result of the request, or rejected with an error specifying the reason for rejection.
+     */
+    submitIssue(options: any | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<workflowsModel>>;
+    /**
+     * Send a message that submits a support issue.
+     * @param {Object} options - Parameters to send along with the request. These parameters are specific to the corresponding integration configuration on the MindTouch site.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<workflowsModel>} - A Promise that will be resolved with the result of the request, or rejected with an error specifying the reason for rejection.
+     */
+    submitIssue(options?: any, requestOptions?: RequestOptions): Promise<workflowsModel>;
+    /**
+     * Send a message to site support.
+     * @param {Object} options - Parameters to send along with the request. These parameters are specific to the corresponding integration configuration on the MindTouch site.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<workflowsModel>} - A Promise that will be resolved with the result of the request, or rejected with an error specifying the reason for rejection.
+     */
+    contactSupport(options: any | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<workflowsModel>>;
+    /**
+     * Send a message to site support.
+     * @param {Object} options - Parameters to send along with the request. These parameters are specific to the corresponding integration configuration on the MindTouch site.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<workflowsModel>} - A Promise that will be resolved with the result of the request, or rejected with an error specifying the reason for rejection.
+     */
+    contactSupport(options?: any, requestOptions?: RequestOptions): Promise<workflowsModel>;
+}
+declare const _inspectSymbol: unique symbol;
+/**
+ * The base class for managing a published page.
+ */
+declare class PageBase {
+    constructor(id: any);
+    _id: any;
+    /**
+     * Gets the full page information.
+     * @param {Object} [params] - Additional parameters to direct the API request.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageModel>} - A Promise that, when resolved, yields a {@link pageModel} containing the full page information.
+     */
+    getFullInfo(params: any | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageModel>>;
+    /**
+     * Gets the full page information.
+     * @param {Object} [params] - Additional parameters to direct the API request.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageModel>} - A Promise that, when resolved, yields a {@link pageModel} containing the full page information.
+     */
+    getFullInfo(params?: any, requestOptions?: RequestOptions): Promise<pageModel>;
+    getContents(params: any, requestOptions?: {}): any;
+    setContents(contents: any, params?: {}, requestOptions?: {}): any;
+    getFiles(params?: {}, requestOptions?: {}): any;
+    /**
+     * Attach a file to the page.
+     * @param {Blob|Uint8Array|AsyncIterable.<(Uint8Array|String)>} file - The file object to upload. With a `progress` function in node, this may also be a Buffer, a readable stream or an async iterable of chunks, which is streamed to the API.
+     * @param {Object} [options] - The file information options, which are populated from the `file` parameter by default.
+     * @param {String} [options.name] - The filename of the attachment.
+     * @param {Number} [options.size] - The size of the file, in bytes.
+     * @param {String} [options.type] - The mime type of the file.
+     * @param {function} [options.progress] - A function that is called with the `loaded` and `total` number of bytes as the file is uploaded.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<fileModel>} - A Promise that, when resolved, yields the information of the attached file.
+     */
+    attachFile(file: Blob | Uint8Array | AsyncIterable<(Uint8Array | string)>, { name, size, type, progress }: {
+        name?: string;
+        size?: number;
+        type?: string;
+        progress?: Function;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<fileModel>>;
+    /**
+     * Attach a file to the page.
+     * @param {Blob|Uint8Array|AsyncIterable.<(Uint8Array|String)>} file - The file object to upload. With a `progress` function in node, this may also be a Buffer, a readable stream or an async iterable of chunks, which is streamed to the API.
+     * @param {Object} [options] - The file information options, which are populated from the `file` parameter by default.
+     * @param {String} [options.name] - The filename of the attachment.
+     * @param {Number} [options.size] - The size of the file, in bytes.
+     * @param {String} [options.type] - The mime type of the file.
+     * @param {function} [options.progress] - A function that is called with the `loaded` and `total` number of bytes as the file is uploaded.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<fileModel>} - A Promise that, when resolved, yields the information of the attached file.
+     */
+    attachFile(file: Blob | Uint8Array | AsyncIterable<(Uint8Array | string)>, { name, size, type, progress }?: {
+        name?: string;
+        size?: number;
+        type?: string;
+        progress?: Function;
+    }, requestOptions?: RequestOptions): Promise<fileModel>;
+    getOverview(requestOptions?: {}): any;
+    setOverview(options?: {}, requestOptions?: {}): any;
+    getTags(requestOptions?: {}): any;
+    setTags(params?: {}, queryParams?: {}, requestOptions?: {}): any;
+    /**
+     * Get recommended tags for a page
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<recommendedTagsModelParser>} A Promise that, when resolved yields a list of recommended tags.
+     */
+    getRecommendedTags(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<recommendedTagsModelParser>>;
+    /**
+     * Get recommended tags for a page
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<recommendedTagsModelParser>} A Promise that, when resolved yields a list of recommended tags.
+     */
+    getRecommendedTags(requestOptions?: RequestOptions): Promise<recommendedTagsModelParser>;
+    /**
+     * Show changes between 2 different versions.
+     * @param {Object} [params] Parameters that direct the fetching of the page diff.
+     * @param {String|Number} params.previous Positive integer or a TimeUUID of the previous page revision to retrieve.
+     * @param {String|Number} [params.revision=head] Positive integer or a TimeUUID of the page revision to retrieve.
+     * @param {String} [params.includeVersions=false] Specifies whether the returned diff will include only the combined diff, or if the previous and current revision changes will also be included.
+     * @param {String} [params.format=html] The format of the resulting diff. Must be one of "html" or "xhtml".
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageDiffModel>} A Promise that, when resolved, yields a pageDiffModel containing the HTML representations of the diff.
+     */
+    getDiff({ previous, revision, includeVersions, format }: {
+        previous: string | number;
+        revision?: string | number;
+        includeVersions?: string;
+        format?: string;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pageDiffModel>>;
+    /**
+     * Show changes between 2 different versions.
+     * @param {Object} [params] Parameters that direct the fetching of the page diff.
+     * @param {String|Number} params.previous Positive integer or a TimeUUID of the previous page revision to retrieve.
+     * @param {String|Number} [params.revision=head] Positive integer or a TimeUUID of the page revision to retrieve.
+     * @param {String} [params.includeVersions=false] Specifies whether the returned diff will include only the combined diff, or if the previous and current revision changes will also be included.
+     * @param {String} [params.format=html] The format of the resulting diff. Must be one of "html" or "xhtml".
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageDiffModel>} A Promise that, when resolved, yields a pageDiffModel containing the HTML representations of the diff.
+     */
+    getDiff({ previous, revision, includeVersions, format }?: {
+        previous: string | number;
+        revision?: string | number;
+        includeVersions?: string;
+        format?: string;
+    }, requestOptions?: RequestOptions): Promise<pageDiffModel>;
+    getRelated(params?: {}, requestOptions?: {}): any;
+    /**
+     * Revert page to an earlier revision
+     * @param {Object} options - The options that direct the revert operation
+     * @param {String|Number} options.fromRevision - Revision number of page or a TimeUUID string that will become the new head revision.
+     * @param {String} [options.abort=conflict] - The condition under which to prevent the revert operation. Must be one of 'never' or 'conflict'.
+     * @param {Boolean} [options.verbose=false] - Specifies whether or not the conflicted elements will be returned in the response.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that will be resolved when the revert operation is complete, or rejected with an error specifying the reason for rejection.
+     */
+    revert(options: {
+        fromRevision: string | number;
+        abort?: string;
+        verbose?: boolean;
+    }, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Revert page to an earlier revision
+     * @param {Object} options - The options that direct the revert operation
+     * @param {String|Number} options.fromRevision - Revision number of page or a TimeUUID string that will become the new head revision.
+     * @param {String} [options.abort=conflict] - The condition under which to prevent the revert operation. Must be one of 'never' or 'conflict'.
+     * @param {Boolean} [options.verbose=false] - Specifies whether or not the conflicted elements will be returned in the response.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that will be resolved when the revert operation is complete, or rejected with an error specifying the reason for rejection.
+     */
+    revert(options: {
+        fromRevision: string | number;
+        abort?: string;
+        verbose?: boolean;
+    }, requestOptions?: RequestOptions): Promise<any>;
+}
+/**
+ * A base class for managing file attachments on both published pages and drafts.  This class can not be instantiated directly.
+ */
+declare class PageFileBase {
+    constructor(pageId: any, filename: any);
+    _pageId: any;
+    _filename: string;
+    /**
+     * Get the URI for direct access to the file attachment.
+     * @returns {String} - The file URI.
+     */
+    get fileUrl(): string;
+    /**
+     * Gets the information for the file attachment.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<fileModel>} - A Promise that, when resolved, yields a {@link fileModel} containing the file information.
+     */
+    getInfo(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<fileModel>>;
+    /**
+     * Gets the information for the file attachment.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<fileModel>} - A Promise that, when resolved, yields a {@link fileModel} containing the file information.
+     */
+    getInfo(requestOptions?: RequestOptions): Promise<fileModel>;
+    /**
+     * Delete the file attachment from the page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, indicates a successful delete operation.
+     */
+    delete(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Delete the file attachment from the page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, indicates a successful delete operation.
+     */
+    delete(requestOptions?: RequestOptions): Promise<any>;
+    /**
+     * Get the description of the file attachment.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<String>} - A Promise that, when resolved, yields the file description.
+     */
+    getDescription(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<string>>;
+    /**
+     * Get the description of the file attachment.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<String>} - A Promise that, when resolved, yields the file description.
+     */
+    getDescription(requestOptions?: RequestOptions): Promise<string>;
+    /**
+     * Remove the description from the file attachment.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, indicates a successful removal.
+     */
+    clearDescription(requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Remove the description from the file attachment.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, indicates a successful removal.
+     */
+    clearDescription(requestOptions?: RequestOptions): Promise<any>;
+    /**
+     * Update the description of the file attachment.
+     * @param {String} [description=''] - The new description to set.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<fileModel>} - A Promise that, when resolved, yields a {@link fileModel} containing the file information.
+     */
+    updateDescription(description: string | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<fileModel>>;
+    /**
+     * Update the description of the file attachment.
+     * @param {String} [description=''] - The new description to set.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<fileModel>} - A Promise that, when resolved, yields a {@link fileModel} containing the file information.
+     */
+    updateDescription(description?: string, requestOptions?: RequestOptions): Promise<fileModel>;
+    /**
+     * Download the contents of the file attachment. The request is sent with the configured token and cookies.
+     * @param {Object} [options] - Options to direct the download.
+     * @param {Number} [options.start] - The offset of the first byte to download, to resume a partial download with a `Range` request. The Promise is rejected if the API does not return the requested range.
+     * @param {Number} [options.end] - The offset of the last byte to download. If not supplied, the file is downloaded to the end.
+     * @param {Boolean} [options.stream=false] - Resolve with a ReadableStream of the contents, instead of reading them into a Blob.
+     * @param {function} [options.progress] - A function that is called with the `loaded` and `total` number of bytes as the contents are downloaded. A resumed download counts from the `start` offset toward the size of the whole file. The `total` is null if the size of the file is not known.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Blob|ReadableStream>} - A Promise that, when resolved, yields the file contents.
+     */
+    download(options: {
+        start?: number;
+        end?: number;
+        stream?: boolean;
+        progress?: Function;
+    } | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<Blob | ReadableStream>>;
+    /**
+     * Download the contents of the file attachment. The request is sent with the configured token and cookies.
+     * @param {Object} [options] - Options to direct the download.
+     * @param {Number} [options.start] - The offset of the first byte to download, to resume a partial download with a `Range` request. The Promise is rejected if the API does not return the requested range.
+     * @param {Number} [options.end] - The offset of the last byte to download. If not supplied, the file is downloaded to the end.
+     * @param {Boolean} [options.stream=false] - Resolve with a ReadableStream of the contents, instead of reading them into a Blob.
+     * @param {function} [options.progress] - A function that is called with the `loaded` and `total` number of bytes as the contents are downloaded. A resumed download counts from the `start` offset toward the size of the whole file. The `total` is null if the size of the file is not known.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Blob|ReadableStream>} - A Promise that, when resolved, yields the file contents.
+     */
+    download(options?: {
+        start?: number;
+        end?: number;
+        stream?: boolean;
+        progress?: Function;
+    }, requestOptions?: RequestOptions): Promise<Blob | ReadableStream>;
+}
+declare class PagePropertyBase {
+    constructor(id: any);
+    _id: any;
+    /**
+     * Get all of the properties of the page.
+     * @param {Array} [names=[]] - An array of names to fetch so that the results are filtered.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pagePropertiesModel>} - A Promise that, when resolved, yields a {@link pagePropertiesModel} object that contains the listing of properties.
+     */
+    getProperties(names: any[] | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pagePropertiesModel>>;
+    /**
+     * Get all of the properties of the page.
+     * @param {Array} [names=[]] - An array of names to fetch so that the results are filtered.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pagePropertiesModel>} - A Promise that, when resolved, yields a {@link pagePropertiesModel} object that contains the listing of properties.
+     */
+    getProperties(names?: any[], requestOptions?: RequestOptions): Promise<pagePropertiesModel>;
+    /**
+     * Get the contents of a page property.
+     * @param {String} key - The key of the property to fetch.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, yields the property contents.  The property can be of any type allowed by the MindTouch property subsystem.
+     */
+    getPropertyContents(key: string, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Get the contents of a page property.
+     * @param {String} key - The key of the property to fetch.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, yields the property contents.  The property can be of any type allowed by the MindTouch property subsystem.
+     */
+    getPropertyContents(key: string, requestOptions?: RequestOptions): Promise<any>;
+    /**
+     * Gets a single page property by property key.
+     * @param {String} key - The key of the property to fetch.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pagePropertyModel>} - A Promise that, when resolved, yields a {@link pagePropertyModel} object that contains the property information.
+     */
+    getProperty(key: string, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<pagePropertyModel>>;
+    /**
+     * Gets a single page property by property key.
+     * @param {String} key - The key of the property to fetch.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pagePropertyModel>} - A Promise that, when resolved, yields a {@link pagePropertyModel} object that contains the property information.
+     */
+    getProperty(key: string, requestOptions?: RequestOptions): Promise<pagePropertyModel>;
+    /**
+     * Set a property on the page
+     * @param {String} key - The key of the property to set
+     * @param {Object} value - An object conteining information regarding the value to set.
+     * @param {String} value.text - The string value representing the property value to set.
+     * @param {String} [value.type=@see utility.textRequestType] - The mime type of the value's text field.
+     * @param {Object} params - An object that contains values that will direct the behavior of the operation.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, indicates the property was set successfully.
+     */
+    setProperty(key: string, value: {
+        text: string;
+        type?: string;
+    } | undefined, params: any | undefined, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Set a property on the page
+     * @param {String} key - The key of the property to set
+     * @param {Object} value - An object conteining information regarding the value to set.
+     * @param {String} value.text - The string value representing the property value to set.
+     * @param {String} [value.type=@see utility.textRequestType] - The mime type of the value's text field.
+     * @param {Object} params - An object that contains values that will direct the behavior of the operation.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, indicates the property was set successfully.
+     */
+    setProperty(key: string, value?: {
+        text: string;
+        type?: string;
+    }, params?: any, requestOptions?: RequestOptions): Promise<any>;
+    /**
+     * Remove a page property
+     * @param {String} key - The key of the property to remove
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, indicates the property was removed successfully.
+     */
+    deleteProperty(key: string, requestOptions: RequestOptions & { raw: true }): Promise<RawResult<any>>;
+    /**
+     * Remove a page property
+     * @param {String} key - The key of the property to remove
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, indicates the property was removed successfully.
+     */
+    deleteProperty(key: string, requestOptions?: RequestOptions): Promise<any>;
+}
+declare function dateOrStringTransformer(value: any): any;
+export {};
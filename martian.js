@@ -17,6 +17,12 @@ const platform = {
             // In the browser, use btoa() to encode.
             return window.btoa(rawString);
         },
+        encodeBytes(bytes) {
+            if (_platformId === 'node') {
+                return Buffer.from(bytes).toString('base64');
+            }
+            return window.btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+        },
         decode(b64String) {
             if (_platformId === 'node') {
                 // In node, use `Buffer` to decode.
@@ -27,6 +33,25 @@ const platform = {
             return window.atob(b64String);
         }
     },
+    hmacSha256(secret, message) {
+        if (_platformId === 'node') {
+            // In node, use the `crypto` module to sign.
+            const hmac = require('crypto').createHmac('sha256', secret);
+            return Promise.resolve(hmac.update(message).digest('hex'));
+        }
+
+        // In the browser, use the Web Crypto API to sign.
+        const encoder = new TextEncoder();
+        const subtle = window.crypto.subtle;
+        return subtle
+            .importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+            .then(key => subtle.sign('HMAC', key, encoder.encode(message)))
+            .then(signature =>
+                Array.from(new Uint8Array(signature))
+                    .map(byte => byte.toString(16).padStart(2, '0'))
+                    .join('')
+            );
+    },
     get URL() {
         if (_platformId === 'browser') {
             return window.URL;
@@ -54,7 +79,61 @@ let _defaultOrigin = null;
 let _defaultQueryParams = { 'dream.out.format': 'json' };
 let _defaultHeaders = { 'X-Deki-Client': 'mindtouch-martian' };
 let _defaultToken = null;
+let _defaultTimeout = null;
+let _defaultRetry = null;
+let _defaultMiddleware = [];
+let _defaultFetchImpl = null;
+let _defaultCache = null;
+let _defaultLimiter = null;
+let _defaultTokenTtl = null;
+let _defaultOnUnauthorized = null;
+let _defaultSigner = null;
+let _defaultTimeZone = null;
 let _cookieManager = null;
+const _modelParsingModes = ['lenient', 'report', 'strict'];
+let _modelParsing = { mode: 'lenient', onReport: null };
+function _modelParsingOptions({ mode = 'lenient', onReport = null } = {}) {
+    if (!_modelParsingModes.includes(mode)) {
+        throw new ValidationError(`The model parsing mode must be one of: ${_modelParsingModes.join(', ')}`);
+    }
+    if (mode === 'report' && typeof onReport !== 'function') {
+        throw new ValidationError('The report mode of model parsing requires an onReport function');
+    }
+    return { mode, onReport };
+}
+const _redactedValue = '[redacted]';
+const _inspectSymbol = Symbol.for('nodejs.util.inspect.custom');
+function _profileOptions({ host, token, key, secret, user, origin, headers }) {
+    const options = {};
+    if (host) {
+        options.host = host;
+    }
+    if (origin) {
+        options.origin = origin;
+    }
+    if (headers) {
+        options.headers = Object.assign({}, _defaultHeaders, headers);
+    }
+    if (key || secret) {
+        options.signer = new DeveloperTokenSigner({ key, secret, user });
+    } else if (token) {
+        options.token = token;
+    }
+    return options;
+}
+function _readProfiles(files) {
+    const fs = require('fs');
+    const [file, ...rest] = files;
+    if (typeof file === 'undefined') {
+        return Promise.reject(new ValidationError('No martian config file was found'));
+    }
+    return fs.promises
+        .readFile(file, 'utf8')
+        .then(
+            text => ({ file, profiles: JSON.parse(text) }),
+            err => (err.code === 'ENOENT' ? _readProfiles(rest) : Promise.reject(err))
+        );
+}
 function _cloneKeyValuePair(obj) {
     const copy = {};
     Object.keys(obj).forEach(key => {
@@ -73,6 +152,67 @@ class Settings {
     static set cookieManager(manager) {
         _cookieManager = manager;
     }
+
+    /**
+     * Get or set how API responses are checked against their models when they are parsed, for the Settings objects that do not set the `modelParsing` option. The `mode` is one of:
+     * - `lenient` (default): fields that are not in the model are dropped, and a failed conversion rejects the request.
+     * - `report`: the response is parsed as well as it can be, and the fields that are not in the model, the failed conversions and the missing fields that the model marks as `required` are passed to the `onReport` function, which this mode requires.
+     * - `strict`: a response with any of those problems is rejected with a {@link ModelParseError} that carries the report.
+     * Use the `report` or `strict` mode to detect API changes, such as when running tests against recorded responses.
+     * @returns {{ mode?: String, onReport?: ?function }} The model parsing options. When they are set, an option that is left out is reset to its default.
+     */
+    static get modelParsing() {
+        return _modelParsing;
+    }
+    static set modelParsing(options) {
+        _modelParsing = _modelParsingOptions(options);
+    }
+    /**
+     * Create a Settings object from environment variables. This is only available in node.
+     * @param {Object} [env] The environment variables to read (default: `process.env`). `MARTIAN_HOST`, `MARTIAN_ORIGIN` and `MARTIAN_TOKEN` are read, or, in place of the token, `MARTIAN_KEY`, `MARTIAN_SECRET` and `MARTIAN_USER`, which sign server API tokens with a {@see DeveloperTokenSigner}.
+     * @returns {Settings} The new Settings object. Options that are not set in the environment use the defaults.
+     */
+    static fromEnv(env = typeof process === 'undefined' ? {} : process.env) {
+        return new Settings(
+            _profileOptions({
+                host: env.MARTIAN_HOST,
+                origin: env.MARTIAN_ORIGIN,
+                token: env.MARTIAN_TOKEN,
+                key: env.MARTIAN_KEY,
+                secret: env.MARTIAN_SECRET,
+                user: env.MARTIAN_USER
+            })
+        );
+    }
+
+    /**
+     * Create a Settings object from a named profile in a martian config file. This is only available in node.
+     * @param {String} [name=default] The name of the profile.
+     * @param {Object} [options] Options to direct how the profile is read.
+     * @param {String} [options.file] The path of the config file. If not supplied, the file in the `MARTIAN_CONFIG` environment variable is read, or else the first `.martianrc` file that is found in the working directory and the home directory.
+     * @returns {Promise.<Settings>} A Promise that, when resolved, yields the Settings object. The config file is JSON that maps profile names to objects with any of the `host`, `token`, `key`, `secret`, `user`, `origin` and `headers` of a site. A `key` and `secret` sign server API tokens with a {@see DeveloperTokenSigner}, in place of the `token`.
+     */
+    static fromProfile(name = 'default', { file } = {}) {
+        try {
+            _requireNode('Reading a martian config file');
+        } catch (e) {
+            return Promise.reject(e);
+        }
+        const path = require('path');
+        const files = file
+            ? [file]
+            : [
+                  process.env.MARTIAN_CONFIG,
+                  path.join(process.cwd(), '.martianrc'),
+                  path.join(require('os').homedir(), '.martianrc')
+              ].filter(Boolean);
+        return _readProfiles(files).then(({ file: profileFile, profiles }) => {
+            if (!profiles || typeof profiles[name] !== 'object' || profiles[name] === null) {
+                return Promise.reject(new ValidationError(`The profile "${name}" is not defined in ${profileFile}`));
+            }
+            return new Settings(_profileOptions(profiles[name]));
+        });
+    }
     static get default() {
         return {
             get token() {
@@ -105,12 +245,82 @@ class Settings {
             set queryParams(params) {
                 _defaultQueryParams = params;
             },
+            get timeout() {
+                return _defaultTimeout;
+            },
+            set timeout(timeout) {
+                _defaultTimeout = timeout;
+            },
+            get retry() {
+                return _defaultRetry;
+            },
+            set retry(retry) {
+                _defaultRetry = retry;
+            },
+            get middleware() {
+                return _defaultMiddleware;
+            },
+            set middleware(middleware) {
+                _defaultMiddleware = middleware;
+            },
+            get fetchImpl() {
+                return _defaultFetchImpl;
+            },
+            set fetchImpl(fetchImpl) {
+                _defaultFetchImpl = fetchImpl;
+            },
+            get cache() {
+                return _defaultCache;
+            },
+            set cache(cache) {
+                _defaultCache = cache;
+            },
+            get limiter() {
+                return _defaultLimiter;
+            },
+            set limiter(limiter) {
+                _defaultLimiter = limiter;
+            },
+            get tokenTtl() {
+                return _defaultTokenTtl;
+            },
+            set tokenTtl(tokenTtl) {
+                _defaultTokenTtl = tokenTtl;
+            },
+            get onUnauthorized() {
+                return _defaultOnUnauthorized;
+            },
+            set onUnauthorized(onUnauthorized) {
+                _defaultOnUnauthorized = onUnauthorized;
+            },
+            get signer() {
+                return _defaultSigner;
+            },
+            set signer(signer) {
+                _defaultSigner = signer;
+            },
+            get timeZone() {
+                return _defaultTimeZone;
+            },
+            set timeZone(timeZone) {
+                _defaultTimeZone = timeZone;
+            },
             reset() {
                 _defaultHost = platform.defaultHost;
                 _defaultQueryParams = { 'dream.out.format': 'json' };
                 _defaultToken = null;
                 _defaultHeaders = { 'X-Deki-Client': 'mindtouch-martian' };
                 _defaultOrigin = null;
+                _defaultTimeout = null;
+                _defaultRetry = null;
+                _defaultMiddleware = [];
+                _defaultFetchImpl = null;
+                _defaultCache = null;
+                _defaultLimiter = null;
+                _defaultTokenTtl = null;
+                _defaultOnUnauthorized = null;
+                _defaultSigner = null;
+                _defaultTimeZone = null;
             }
         };
     }
@@ -121,19 +331,68 @@ class Settings {
      * @param {String} [options.host] The URL of the mindtouch site that is hosting the API to access.
      * @param {Object} [options.queryParams] An object mapping query parameter keys with values. Keys and values will both be converted to strings.
      * @param {Object} [options.headers] An object mapping HTTP header keys with values. Keys must be strings, and values will be converted to strings.
-     * @param {String|Function} [options.token] A token to allow API access. This will populate the "X-Deki-Token" header. If a function is supplied, it should return the desired token as a string.
+     * @param {String|Function} [options.token] A token to allow API access. This will populate the "X-Deki-Token" header. If a function is supplied, such as {@see DeveloperTokenSigner#tokenProvider}, it should return the desired token as a string, or a Promise that yields it. The function is called for each API request, unless a `tokenTtl` is set.
      * @param {String} [options.origin] The origin of the API calls.
+     * @param {Number} [options.timeout] The time, in milliseconds, to wait for an API response before the request is aborted with a `TimeoutError`.
+     * @param {Object} [options.retry] The policy for retrying failed API requests. See {@see Plug} for the available policy options.
+     * @param {Array} [options.middleware] An ordered list of middleware that intercepts every API request. See {@see Plug} for the middleware format. These run after the middleware that sets the "X-Deki-Token" header, and see failed requests before they are converted to a {@link MartianError}.
+     * @param {function} [options.fetchImpl] A whatwg/fetch implementation to send API requests with, such as {@see HarReplay#fetchImpl}. If not supplied, the global `fetch` is used.
+     * @param {HttpCache} [options.cache] A cache that stores API GET responses and revalidates them with conditional requests. Responses are not cached if this is not set.
+     * @param {Number} [options.tokenTtl] The time, in milliseconds, to reuse the token that a `token` function yields. The token is also renewed when an API request is rejected with HTTP 401. If not supplied, the function is called for each API request.
+     * @param {function} [options.onUnauthorized] A function that is called with the error when an API request is rejected with HTTP 401, to refresh the credentials. It may return a Promise. Once it is done, the request is sent again, once, with a new token from the `token` function.
+     * @param {RequestLimiter} [options.limiter] A limiter that caps the number of concurrent API requests, and the rate at which they are sent, to each host. Share one limiter between Settings objects to limit all of their requests together.
+     * @param {String} [options.authToken] The auth token of a signed in user, such as {@see UserManager#authenticate} yields. This will populate the "X-Authtoken" header, alongside the `token`.
+     * @param {Object} [options.cookieManager] The cookie manager that stores the cookies of API responses, and sends them with API requests. If not supplied, the `Settings.cookieManager` is used.
+     * @param {DeveloperTokenSigner} [options.signer] A signer that signs server API tokens, in place of the `token`. It allows {@see Settings#withUser} to derive settings that send API requests as another user.
+     * @param {Object} [options.modelParsing] How the API responses of these settings are checked against their models. See {@see Settings.modelParsing} for the options. If not supplied, the `Settings.modelParsing` is used.
+     * @param {String} [options.timeZone] The IANA time zone of the site, such as "America/Los_Angeles", that {@see Settings#formatDate} displays dates in. If not supplied, dates are displayed in UTC. Dates that are sent to and parsed from the API are always UTC.
      */
     constructor({
         host = _defaultHost,
         queryParams = _defaultQueryParams,
         headers = _defaultHeaders,
         token = _defaultToken,
-        origin = _defaultOrigin
+        origin = _defaultOrigin,
+        timeout = _defaultTimeout,
+        retry = _defaultRetry,
+        middleware = _defaultMiddleware,
+        fetchImpl = _defaultFetchImpl,
+        cache = _defaultCache,
+        limiter = _defaultLimiter,
+        tokenTtl = _defaultTokenTtl,
+        onUnauthorized = _defaultOnUnauthorized,
+        authToken = null,
+        cookieManager = _cookieManager,
+        signer = _defaultSigner,
+        modelParsing = _modelParsing,
+        timeZone = _defaultTimeZone
     } = {}) {
+        if (timeZone !== null) {
+            try {
+                Intl.DateTimeFormat('en-US', { timeZone });
+            } catch (e) {
+                throw new ValidationError(`The time zone "${timeZone}" is not supported`);
+            }
+        }
         this._host = host;
-        this._token = token;
+        this._signer = signer;
+        this._token = token === null && signer !== null ? signer.tokenProvider : token;
         this._origin = origin;
+        this._timeout = timeout;
+        this._retry = retry;
+        this._middleware = middleware.slice();
+        this._fetchImpl = fetchImpl;
+        this._cache = cache;
+        this._limiter = limiter;
+        this._tokenTtl = tokenTtl;
+        this._onUnauthorized = onUnauthorized;
+        this._timeZone = timeZone;
+        this._cachedToken = null;
+        this._authToken = authToken;
+        this._cookieManager = cookieManager;
+        this._modelParsing = _modelParsingOptions(modelParsing);
+        this._plug = null;
+        this._progressPlug = null;
         this._queryParams = _cloneKeyValuePair(queryParams);
         this._headers = _cloneKeyValuePair(headers);
         if (this._origin !== null) {
@@ -159,6 +418,27 @@ class Settings {
         return this._token;
     }
 
+    /**
+     * Get the auth token of the signed in user, or null if no user is signed in.
+     */
+    get authToken() {
+        return this._authToken;
+    }
+
+    /**
+     * Get the cookie manager that API requests are sent with.
+     */
+    get cookieManager() {
+        return this._cookieManager;
+    }
+
+    /**
+     * Get how the API responses are checked against their models.
+     */
+    get modelParsing() {
+        return this._modelParsing;
+    }
+
     /**
      * Get the currently configured origin.
      */
@@ -166,26 +446,242 @@ class Settings {
         return this._origin;
     }
 
+    /**
+     * Get the currently configured request timeout.
+     */
+    get timeout() {
+        return this._timeout;
+    }
+
+    /**
+     * Get the currently configured request retry policy.
+     */
+    get retry() {
+        return this._retry;
+    }
+
+    /**
+     * Get the currently configured request middleware.
+     */
+    get middleware() {
+        return this._middleware.slice();
+    }
+
+    /**
+     * Get the currently configured response cache.
+     */
+    get cache() {
+        return this._cache;
+    }
+
+    /**
+     * Get the currently configured request limiter.
+     */
+    get limiter() {
+        return this._limiter;
+    }
+
+    /**
+     * Get the currently configured time to reuse the token from a token function.
+     */
+    get tokenTtl() {
+        return this._tokenTtl;
+    }
+
+    /**
+     * Get the currently configured function that is called when an API request is rejected with HTTP 401.
+     */
+    get onUnauthorized() {
+        return this._onUnauthorized;
+    }
+
+    /**
+     * Get the currently configured developer token signer.
+     */
+    get signer() {
+        return this._signer;
+    }
+
+    /**
+     * Get the currently configured site time zone.
+     */
+    get timeZone() {
+        return this._timeZone;
+    }
+
+    /**
+     * Get the {@link Plug} for the host, which sends API requests with these settings. It is created once, and shared by every manager and entity that is constructed with these settings.
+     */
+    get plug() {
+        if (this._plug === null) {
+            this._plug = new Plug(this._host, this.plugConfig);
+        }
+        return this._plug;
+    }
+
+    /**
+     * Get the {@link ProgressPlug} for the host, which sends API uploads that report their progress with these settings. It is created once, and shared like the {@link Settings#plug}.
+     */
+    get progressPlug() {
+        if (this._progressPlug === null) {
+            this._progressPlug = new ProgressPlug(this._host, this.plugConfig);
+        }
+        return this._progressPlug;
+    }
+
     /**
      * Get an object that represents the martian settings as they are used by the Plug object.
      */
     get plugConfig() {
-        return {
+        const config = {
             uriParts: { query: this._queryParams },
             headers: this._headers,
-            beforeRequest: params => this._beforeRequest(params),
-            cookieManager: _cookieManager
+            timeout: this._timeout,
+            retry: this._retry,
+            middleware: [
+                {
+                    response: response => _withModelParsing(response, this._modelParsing),
+                    error: err => Promise.reject(_toMartianError(err, this._modelParsing))
+                },
+                { request: params => this._addToken(params) },
+                ...this._middleware
+            ],
+            cache: this._cache,
+            limiter: this._limiter,
+            cookieManager: this._cookieManager
         };
+
+        // a reused token is renewed before a request is replayed
+        if (this._onUnauthorized !== null || (typeof this._token === 'function' && this._tokenTtl !== null)) {
+            config.onUnauthorized = err => {
+                this._cachedToken = null;
+                return this._onUnauthorized === null ? undefined : this._onUnauthorized(err);
+            };
+        }
+        if (this._fetchImpl !== null) {
+            config.fetchImpl = this._fetchImpl;
+        }
+        return config;
     }
-    _beforeRequest(params) {
-        if (this._token !== null) {
-            let token = this._token;
-            if (typeof token === 'function') {
-                token = this._token();
-            }
-            params.headers['X-Deki-Token'] = token;
+    /**
+     * Derive settings that send API requests as another user, with tokens that the configured signer signs for that user. The derived settings share the transport, cache, limiter and middleware of these settings.
+     * @param {String|Number} username The username or numeric ID of the user to send the API requests as.
+     * @returns {Settings} The derived Settings object.
+     */
+    withUser(username) {
+        if (this._signer === null) {
+            throw new ValidationError(
+                'A developer token signer must be configured to send API requests as another user'
+            );
         }
-        return params;
+
+        // the requests are sent as the other user alone, without the auth token of a signed in user
+        return this._derive({ token: null, signer: this._signer.forUser(username), authToken: null });
+    }
+
+    /**
+     * Format a date for display in the site time zone.
+     * @param {Date|String|Number} date The date to format, as a Date, an ISO 8601 string or an epoch number.
+     * @param {Object} [options] Options to direct the formatting.
+     * @param {String} [options.locale='en-US'] The locale to format the date for.
+     * @param {Object} [options.format] The `Intl.DateTimeFormat` options that select the parts of the date to display. If not supplied, the date and the time are displayed.
+     * @returns {String} The formatted date.
+     */
+    formatDate(date, { locale = 'en-US', format = { dateStyle: 'medium', timeStyle: 'short' } } = {}) {
+        const dateValue = utility.toDate(date);
+        if (dateValue === null) {
+            throw new ValidationError('The date must be a Date, an ISO 8601 string or an epoch number');
+        }
+        const formatOptions = Object.assign({}, format, { timeZone: this._timeZone || 'UTC' });
+        return new Intl.DateTimeFormat(locale, formatOptions).format(dateValue);
+    }
+
+    /**
+     * Get a representation of the settings for serialization, with the token and credential headers redacted.
+     * @returns {Object} The serializable settings.
+     */
+    toJSON() {
+        const headers = _cloneKeyValuePair(this._headers);
+        Object.keys(headers)
+            .filter(name => ['x-deki-token', 'x-authtoken', 'authorization', 'cookie'].includes(name.toLowerCase()))
+            .forEach(name => {
+                headers[name] = _redactedValue;
+            });
+        return {
+            host: this._host,
+            origin: this._origin,
+            token: this._token === null ? null : _redactedValue,
+            authToken: this._authToken === null ? null : _redactedValue,
+            queryParams: this._queryParams,
+            headers,
+            timeout: this._timeout,
+            timeZone: this._timeZone
+        };
+    }
+    [_inspectSymbol]() {
+        return Object.assign(Object.create({ constructor: Settings }), this.toJSON());
+    }
+    _derive(options) {
+        return new Settings(
+            Object.assign(
+                {
+                    host: this._host,
+                    queryParams: this._queryParams,
+                    headers: this._headers,
+                    token: this._token,
+                    origin: this._origin,
+                    timeout: this._timeout,
+                    retry: this._retry,
+                    middleware: this._middleware,
+                    fetchImpl: this._fetchImpl,
+                    cache: this._cache,
+                    limiter: this._limiter,
+                    tokenTtl: this._tokenTtl,
+                    onUnauthorized: this._onUnauthorized,
+                    authToken: this._authToken,
+                    cookieManager: this._cookieManager,
+                    signer: this._signer,
+                    modelParsing: this._modelParsing,
+                    timeZone: this._timeZone
+                },
+                options
+            )
+        );
+    }
+    _addToken(params) {
+        if (this._authToken !== null) {
+            params.headers['X-Authtoken'] = this._authToken;
+        }
+        if (this._token === null) {
+            return params;
+        }
+        return this._getToken().then(tokenValue => {
+            params.headers['X-Deki-Token'] = tokenValue;
+            return params;
+        });
+    }
+    _getToken() {
+        if (typeof this._token !== 'function') {
+            return Promise.resolve(this._token);
+        }
+        if (this._tokenTtl === null) {
+            return Promise.resolve(this._token());
+        }
+        const now = Date.now();
+        if (this._cachedToken !== null && this._cachedToken.expires > now) {
+            return this._cachedToken.token;
+        }
+
+        // concurrent requests share the pending token, and a failure to get one is not kept
+        const token = Promise.resolve(this._token());
+        const cachedToken = { token, expires: now + this._tokenTtl };
+        this._cachedToken = cachedToken;
+        token.catch(() => {
+            if (this._cachedToken === cachedToken) {
+                this._cachedToken = null;
+            }
+        });
+        return token;
     }
 }
 
@@ -208,6 +704,289 @@ class Settings {
  * limitations under the License.
  */
 
+function _timeoutError(timeout) {
+    return new TimeoutError(`The HTTP request timed out after ${timeout}ms`, { timeout });
+}
+function _abortError() {
+    return new AbortError('The HTTP request was aborted');
+}
+function _createRequestSignal(signal, timeout) {
+    const requestSignal = { signal: null, reason: null, aborted: null, done() {} };
+    if (signal === null && timeout === null) {
+        return requestSignal;
+    }
+    const controller = new AbortController();
+    let rejectAborted;
+    requestSignal.aborted = new Promise((resolve, reject) => {
+        rejectAborted = reject;
+    });
+
+    // the rejection is observed once the request is sent, which may be after an early abort
+    requestSignal.aborted.catch(() => {});
+    const abort = reason => {
+        if (requestSignal.reason === null) {
+            requestSignal.reason = reason;
+            controller.abort();
+            rejectAborted(reason);
+        }
+    };
+    const onAbort = () => abort(_abortError());
+    let timer = null;
+    if (signal !== null) {
+        if (signal.aborted) {
+            onAbort();
+        } else {
+            signal.addEventListener('abort', onAbort);
+        }
+    }
+    if (timeout !== null) {
+        timer = setTimeout(() => abort(_timeoutError(timeout)), timeout);
+    }
+    requestSignal.signal = controller.signal;
+    requestSignal.done = () => {
+        clearTimeout(timer);
+        if (signal !== null) {
+            signal.removeEventListener('abort', onAbort);
+        }
+    };
+    return requestSignal;
+}
+const _defaultRetryPolicy = {
+    maxAttempts: 3,
+    minDelay: 200,
+    maxDelay: 10000,
+    factor: 2,
+    jitter: true,
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    statuses: [429, 502, 503, 504],
+    onRetry: () => {}
+};
+function _parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+function _isRetryableError(policy, error) {
+    if (error === null || typeof error !== 'object') {
+        return false;
+    }
+    if (typeof error.status === 'number') {
+        return policy.statuses.includes(error.status);
+    }
+
+    // a failure without an HTTP status is retried if it is a network error or timeout, but not a caller's cancellation
+    return error instanceof NetworkError;
+}
+function _retryDelay(policy, attempt, error) {
+    // a server that asks for a longer wait than the policy allows is not retried, rather than stalling the caller
+    const retryAfter = _parseRetryAfter(error.retryAfter);
+    if (retryAfter !== null) {
+        return retryAfter > policy.maxDelay ? null : retryAfter;
+    }
+    const delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt - 1));
+    return policy.jitter ? Math.round(Math.random() * delay) : delay;
+}
+function _wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal !== null && signal.aborted) {
+            reject(_abortError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(_abortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal !== null) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, delay);
+        if (signal !== null) {
+            signal.addEventListener('abort', onAbort);
+        }
+    });
+}
+function _withRetry({ url, method }, sendRequest) {
+    const policy = this._retry;
+    if (policy === null || !policy.methods.includes(method.toUpperCase())) {
+        return sendRequest();
+    }
+    const attempt = number =>
+        sendRequest().catch(err => {
+            if (number >= policy.maxAttempts || !_isRetryableError(policy, err)) {
+                return Promise.reject(err);
+            }
+            const delay = _retryDelay(policy, number, err);
+            if (delay === null) {
+                return Promise.reject(err);
+            }
+            policy.onRetry({ url, method, attempt: number + 1, delay, error: err });
+            return _wait(delay, this._signal).then(() => attempt(number + 1));
+        });
+    return attempt(1);
+}
+function _runMiddleware(params, sendRequest) {
+    const middleware = this._middleware;
+
+    // request handlers run in order, and response and error handlers unwind in reverse order
+    const unwind = middleware.slice().reverse();
+    const request = middleware.reduce(
+        (promise, { request }) => (request ? promise.then(requestParams => request(requestParams)) : promise),
+        Promise.resolve(params)
+    );
+    return request.then(requestParams =>
+        sendRequest(requestParams).then(
+            response =>
+                unwind.reduce(
+                    (promise, { response }) =>
+                        response ? promise.then(result => response(result, requestParams)) : promise,
+                    Promise.resolve(response)
+                ),
+            err =>
+                unwind.reduce(
+                    (promise, { error }) => (error ? promise.catch(e => error(e, requestParams)) : promise),
+                    Promise.reject(err)
+                )
+        )
+    );
+}
+const _credentialHeaders = ['x-deki-token', 'x-authtoken', 'authorization', 'cookie'];
+function _hashString(value) {
+    // FNV-1a, to partition cached responses by credentials without storing the credentials
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16);
+}
+function _requestKey({ url, method, headers }, cookies = '') {
+    const headerValues = names =>
+        Object.keys(headers)
+            .filter(name => names.includes(name.toLowerCase()))
+            .map(name => headers[name])
+            .join(' ');
+    const credentials = [headerValues(_credentialHeaders), cookies].filter(value => value !== '').join(' ');
+    const range = headerValues(['range']);
+    let key = `${method.toUpperCase()} ${url}`;
+    if (range !== '') {
+        key = `${key} ${range.replace(/\s/g, '')}`;
+    }
+    return credentials === '' ? key : `${key} ${_hashString(credentials)}`;
+}
+function _readRequestKey(params) {
+    // the cookies that the cookie manager will send with the request are credentials too
+    if (this._cookieManager === null) {
+        return Promise.resolve(_requestKey(params));
+    }
+    return this._cookieManager.getCookieString(params.url).then(cookies => _requestKey(params, cookies));
+}
+const _inFlightRequests = new WeakMap();
+function _withSharedRequest(params, sendRequest) {
+    const method = params.method.toUpperCase();
+
+    // a request that can be cancelled on its own is not shared with other callers
+    if ((method !== 'GET' && method !== 'HEAD') || this._signal !== null) {
+        return sendRequest(params);
+    }
+
+    // requests are only shared between plugs that send them with the same fetch implementation
+    if (!_inFlightRequests.has(this._fetch)) {
+        _inFlightRequests.set(this._fetch, new Map());
+    }
+    const inFlight = _inFlightRequests.get(this._fetch);
+    return _readRequestKey.call(this, params).then(key => {
+        if (!inFlight.has(key)) {
+            const request = sendRequest(params);
+            const remove = () => inFlight.delete(key);
+            request.then(remove, remove);
+            inFlight.set(key, request);
+        }
+
+        // each caller reads its own copy of the response body
+        return inFlight.get(key).then(response => response.clone());
+    });
+}
+function _withCache(params, sendRequest) {
+    const cache = this._cache;
+    const method = params.method.toUpperCase();
+    if (cache === null || method === 'HEAD' || method === 'OPTIONS') {
+        return sendRequest(params);
+    }
+
+    // a successful mutation drops the cached responses that it may have changed
+    if (method !== 'GET') {
+        return sendRequest(params).then(response => cache.invalidate(params.url).then(() => response));
+    }
+    return _readRequestKey.call(this, params).then(key =>
+        Promise.resolve(cache._get(key)).then(entry => {
+            const headers = Object.assign({}, params.headers);
+            if (entry) {
+                if (entry.etag !== null) {
+                    headers['If-None-Match'] = entry.etag;
+                }
+                if (entry.lastModified !== null) {
+                    headers['If-Modified-Since'] = entry.lastModified;
+                }
+            }
+            return sendRequest(Object.assign({}, params, { headers })).then(response => {
+                if (response.status === 304 && entry) {
+                    return new Response(entry.body, {
+                        status: entry.status,
+                        statusText: entry.statusText,
+                        headers: entry.headers
+                    });
+                }
+                const etag = response.headers.get('ETag');
+                const lastModified = response.headers.get('Last-Modified');
+                if (response.status !== 200 || (etag === null && lastModified === null)) {
+                    return response;
+                }
+                return response
+                    .clone()
+                    .text()
+                    .then(body =>
+                        cache._set(key, {
+                            etag,
+                            lastModified,
+                            status: response.status,
+                            statusText: response.statusText,
+                            headers: Array.from(response.headers.entries()),
+                            body
+                        })
+                    )
+                    .then(() => response);
+            });
+        })
+    );
+}
+function _withReauthentication(params, sendRequest) {
+    // the middleware runs again for the replay, so that it can set the refreshed credentials
+    const send = () => sendRequest(Object.assign({}, params, { headers: Object.assign({}, params.headers) }));
+    if (this._onUnauthorized === null) {
+        return send();
+    }
+    return send().catch(err => {
+        if (err === null || typeof err !== 'object' || err.status !== 401 || !_isReplayableBody(params.body || null)) {
+            return Promise.reject(err);
+        }
+        return Promise.resolve(this._onUnauthorized(err)).then(send);
+    });
+}
+function _withLimit(url, sendRequest) {
+    const limiter = this._limiter;
+    if (limiter === null) {
+        return sendRequest();
+    }
+    return limiter._run(url, this._signal, sendRequest);
+}
 function _isRedirectResponse(response) {
     if (!response.headers.has('location')) {
         return false;
@@ -237,7 +1016,8 @@ function _handleHttpError(response) {
                 reject({
                     message: response.statusText,
                     status: response.status,
-                    responseText: text
+                    responseText: text,
+                    retryAfter: response.headers.get('Retry-After')
                 });
             });
         } else {
@@ -258,15 +1038,27 @@ function _readCookies(request) {
     }
     return Promise.resolve(request);
 }
-function _handleCookies(response) {
+function _splitSetCookie(value) {
+    if (value === null || value === '') {
+        return [];
+    }
+
+    // the commas of combined Set-Cookie headers are told apart from those in Expires dates by the `name=` that follows them
+    return value.split(/,(?=\s*[^;,=\s]+=)/).map(cookie => cookie.trim());
+}
+function _handleCookies(response, url) {
     if (this._cookieManager !== null) {
-        // NOTE (@modethirteen, 20170321): Headers.getAll() is obsolete and will be removed: https://developer.mozilla.org/en-US/docs/Web/API/Headers/getAll
-        // Headers.get() will cease to return first header of a key, and instead take on the same behavior of Headers.getAll()
-        /* istanbul ignore next: The test environment has an implementation for Headers.getAll() */
-        const cookies = response.headers.getAll
-            ? response.headers.getAll('Set-Cookie')
-            : response.headers.get('Set-Cookie').split(',');
-        return this._cookieManager.storeCookies(response.url, cookies).then(() => response);
+        let cookies;
+        if (response.headers.getSetCookie) {
+            cookies = response.headers.getSetCookie();
+        } else if (response.headers.getAll) {
+            // NOTE (@modethirteen, 20170321): Headers.getAll() is obsolete and will be removed: https://developer.mozilla.org/en-US/docs/Web/API/Headers/getAll
+            /* istanbul ignore next: The test environment has an implementation for Headers.getAll() */
+            cookies = response.headers.getAll('Set-Cookie');
+        } else {
+            cookies = _splitSetCookie(response.headers.get('Set-Cookie'));
+        }
+        return this._cookieManager.storeCookies(response.url || url, cookies).then(() => response);
     }
     return Promise.resolve(response);
 }
@@ -284,12 +1076,36 @@ function _doFetch({ url, method, headers, body = null }) {
     if (body !== null) {
         requestData.body = requestBody;
     }
+    const requestSignal = _createRequestSignal(this._signal, this._timeout);
+    if (requestSignal.signal !== null) {
+        requestData.signal = requestSignal.signal;
+    }
     const request = new Request(url, requestData);
     return _readCookies
         .call(this, request)
-        .then(this._fetch)
+        .then(req => {
+            const fetchImpl = this._fetch;
+            if (requestSignal.aborted === null) {
+                return fetchImpl(req);
+            }
+
+            // settle on abort even if the fetch implementation does not honor the signal
+            return Promise.race([fetchImpl(req), requestSignal.aborted]);
+        })
+        .then(
+            response => {
+                requestSignal.done();
+                return response;
+            },
+            err => {
+                requestSignal.done();
+
+                // report why our own signal fired, rather than the fetch implementation's generic abort error
+                return Promise.reject(requestSignal.reason || _networkError(err));
+            }
+        )
         .then(_handleHttpError.bind(this))
-        .then(_handleCookies.bind(this))
+        .then(response => _handleCookies.call(this, response, request.url))
         .then(response => {
             if (this._followRedirects && _isRedirectResponse(response)) {
                 return _doFetch.call(this, {
@@ -348,31 +1164,222 @@ function addURLQueryParams(url, queryMap) {
     }
 }
 
+function _resourcePaths(path) {
+    // an API path names a collection, an item of that collection and what is beneath the item (pages/123/contents)
+    const apiRoot = '/@api/deki/';
+    const index = path.indexOf(apiRoot);
+    const prefix = index === -1 ? '/' : path.slice(0, index + apiRoot.length);
+    const [collection, item] = path.slice(prefix.length).split('/');
+    const collectionPath = `${prefix}${collection}`;
+    return { collection: collectionPath, resource: item === undefined ? collectionPath : `${collectionPath}/${item}` };
+}
+
 /**
- * A class for building URIs and performing HTTP requests.
+ * A cache of HTTP GET responses that are revalidated with the `ETag` and `Last-Modified` response headers.
  */
-class Plug {
+class HttpCache {
     /**
-     * @param {String} [url=/] The initial URL to start the URL building from and to ultimately send HTTP requests to.
-     * @param {Object} [options] Options to direct the construction of the Plug.
-     * @param {Object} [options.uriParts] An object representation of additional URI construction parameters.
-     * @param {Array} [options.uriParts.segments] An array of strings specifying path segments to be added to the URI.
-     * @param {Object} [options.uriParts.query] A set of key-value pairs that specify query string entries to be added to the URI.
-     * @param {String} [options.uriParts.excludeQuery] A query string key that will be removed from the URI if it was specified as part of the {@see uri} parameter or as an entry in {@see options.uriParts.query}.
-     * @param {Object} [options.headers] A set of key-value pairs that specify headers that will be set for every HTTP request sent by this instance.
-     * @param {Number} [options.timeout=null] The time, in milliseconds, to wait before an HTTP timeout.
-     * @param {function} [options.beforeRequest] A function that is called before each HTTP request that allows per-request manipulation of the request headers and query parameters.
-     * @param {Object} [options.cookieManager] An object that implements a cookie management interface. This should provide implementations for the `getCookieString()` and `storeCookies()` functions.
-     * @param {Boolean} [options.followRedirects] Should HTTP redirects be auto-followed, or should HTTP redirect responses be returned to the caller (default: true)
-     * @param {function} [options.fetchImpl] whatwg/fetch implementation (default: window.fetch)
+     * Construct an HttpCache.
+     * @param {Object} [options] Options to direct the construction of the cache.
+     * @param {Object} [options.storage] Where the cached responses are kept (default: an in-memory `Map`). This must provide the `get(key)`, `set(key, entry)`, `delete(key)` and `keys()` functions of a `Map`, any of which may return a Promise. The entries are plain, JSON-serializable objects.
      */
-    constructor(
-        url,
-        {
-            uriParts = {},
-            headers = {},
+    constructor({ storage = new Map() } = {}) {
+        this._storage = storage;
+    }
+
+    /**
+     * Remove the cached responses for the API resource that a URL belongs to (such as `pages/123` for `pages/123/contents`), for everything beneath it, and for the listing of its collection.
+     * @param {String} url The URL of the changed resource.
+     * @returns {Promise} A Promise that, when resolved, indicates the cached responses were removed.
+     */
+    invalidate(url) {
+        const path = new platform.URL(url).pathname;
+        const { collection, resource } = _resourcePaths(path);
+        return this._removeKeys(key => {
+            const keyPath = new platform.URL(key.split(' ')[1]).pathname;
+            return keyPath === collection || keyPath === resource || keyPath.startsWith(`${resource}/`);
+        });
+    }
+
+    /**
+     * Remove all of the cached responses.
+     * @returns {Promise} A Promise that, when resolved, indicates the cached responses were removed.
+     */
+    clear() {
+        return this._removeKeys(() => true);
+    }
+    _get(key) {
+        return this._storage.get(key);
+    }
+    _set(key, entry) {
+        return Promise.resolve(this._storage.set(key, entry));
+    }
+    _removeKeys(predicate) {
+        return Promise.resolve(this._storage.keys()).then(keys =>
+            Promise.all(
+                Array.from(keys)
+                    .filter(predicate)
+                    .map(key => this._storage.delete(key))
+            )
+        );
+    }
+}
+
+/**
+ * A limiter for the number of concurrent HTTP requests to each host, and for the rate at which they are sent.
+ */
+class RequestLimiter {
+    /**
+     * Construct a RequestLimiter.
+     * @param {Object} [options] Options to direct the construction of the limiter.
+     * @param {Number} [options.concurrency=Infinity] The maximum number of HTTP requests to a host that are in flight at once.
+     * @param {Number} [options.rate=Infinity] The number of HTTP requests per second that are sent to a host, on average.
+     * @param {Number} [options.burst] The number of HTTP requests that may be sent to a host at once, after it has been idle (default: the `rate`, and at least 1).
+     */
+    constructor({ concurrency = Infinity, rate = Infinity, burst = Math.max(1, rate) } = {}) {
+        this._concurrency = concurrency;
+        this._rate = rate;
+        this._burst = burst;
+        this._hosts = new Map();
+    }
+
+    /**
+     * Get the number of HTTP requests that are waiting to be sent.
+     * @param {String} [host] The host, such as `example.mindtouch.us`, to count the waiting requests for. If not supplied, the requests to all hosts are counted.
+     * @returns {Number} The number of waiting requests.
+     */
+    getQueueDepth(host) {
+        return this._count(host, state => state.queue.length);
+    }
+
+    /**
+     * Get the number of HTTP requests that are in flight.
+     * @param {String} [host] The host, such as `example.mindtouch.us`, to count the in-flight requests for. If not supplied, the requests to all hosts are counted.
+     * @returns {Number} The number of in-flight requests.
+     */
+    getActiveCount(host) {
+        return this._count(host, state => state.active);
+    }
+    _count(host, countState) {
+        if (typeof host !== 'undefined') {
+            return this._hosts.has(host) ? countState(this._hosts.get(host)) : 0;
+        }
+        return Array.from(this._hosts.values()).reduce((count, state) => count + countState(state), 0);
+    }
+    _run(url, signal, sendRequest) {
+        const host = new platform.URL(url).host;
+        if (!this._hosts.has(host)) {
+            this._hosts.set(host, { active: 0, queue: [], tokens: this._burst, updated: Date.now(), timer: null });
+        }
+        const state = this._hosts.get(host);
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                state.queue.splice(state.queue.indexOf(start), 1);
+                reject(_abortError());
+            };
+            const start = () => {
+                if (signal !== null) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                state.active++;
+                const done = () => {
+                    state.active--;
+                    this._next(state);
+                };
+                sendRequest().then(
+                    response => {
+                        done();
+                        resolve(response);
+                    },
+                    err => {
+                        done();
+                        reject(err);
+                    }
+                );
+            };
+            if (signal !== null) {
+                if (signal.aborted) {
+                    reject(_abortError());
+                    return;
+                }
+                signal.addEventListener('abort', onAbort);
+            }
+            state.queue.push(start);
+            this._next(state);
+        });
+    }
+    _next(state) {
+        while (state.queue.length > 0 && state.active < this._concurrency) {
+            if (this._rate !== Infinity) {
+                const now = Date.now();
+                state.tokens = Math.min(this._burst, state.tokens + ((now - state.updated) * this._rate) / 1000);
+                state.updated = now;
+            }
+            if (state.tokens < 1) {
+                // wait for the bucket to refill enough to send the next request
+                if (state.timer === null) {
+                    const delay = Math.ceil(((1 - state.tokens) * 1000) / this._rate);
+                    state.timer = setTimeout(() => {
+                        state.timer = null;
+                        this._next(state);
+                    }, delay);
+                }
+                return;
+            }
+            state.tokens--;
+            state.queue.shift()();
+        }
+    }
+}
+
+/**
+ * A class for building URIs and performing HTTP requests.
+ */
+class Plug {
+    /**
+     * @param {String} [url=/] The initial URL to start the URL building from and to ultimately send HTTP requests to.
+     * @param {Object} [options] Options to direct the construction of the Plug.
+     * @param {Object} [options.uriParts] An object representation of additional URI construction parameters.
+     * @param {Array} [options.uriParts.segments] An array of strings specifying path segments to be added to the URI.
+     * @param {Object} [options.uriParts.query] A set of key-value pairs that specify query string entries to be added to the URI.
+     * @param {String} [options.uriParts.excludeQuery] A query string key that will be removed from the URI if it was specified as part of the {@see uri} parameter or as an entry in {@see options.uriParts.query}.
+     * @param {Object} [options.headers] A set of key-value pairs that specify headers that will be set for every HTTP request sent by this instance.
+     * @param {Number} [options.timeout=null] The time, in milliseconds, to wait before an HTTP timeout.
+     * @param {AbortSignal} [options.signal=null] A signal that, when aborted, cancels the HTTP requests sent by this instance.
+     * @param {Object} [options.retry=null] A policy for retrying failed HTTP requests. Requests are not retried if this is not set.
+     * @param {Number} [options.retry.maxAttempts=3] The maximum number of times a request is sent, including the first attempt.
+     * @param {Number} [options.retry.minDelay=200] The time, in milliseconds, to wait before the first retry. The wait grows exponentially with each retry.
+     * @param {Number} [options.retry.maxDelay=10000] The maximum time, in milliseconds, to wait between retries. A request with a `Retry-After` response header that asks for a longer wait is not retried.
+     * @param {Number} [options.retry.factor=2] The factor by which the wait grows with each retry.
+     * @param {Boolean} [options.retry.jitter=true] Should the wait be randomized, so that concurrent clients do not retry in lockstep.
+     * @param {Array} [options.retry.methods] The idempotent HTTP methods that may be retried (default: GET, HEAD, OPTIONS, PUT, DELETE).
+     * @param {Array} [options.retry.statuses] The HTTP status codes that cause a retry (default: 429, 502, 503, 504). Network errors and timeouts are always retried. A `Retry-After` response header takes precedence over the computed wait.
+     * @param {function} [options.retry.onRetry] A function that is called with the `url`, `method`, `attempt`, `delay` and `error` before each retry.
+     * @param {Array} [options.middleware] An ordered list of middleware that intercepts each HTTP request. Each middleware is an object with any of the following functions, which may return a Promise:
+     *   `request(params)` is called, in order, before the request is sent, and yields the `url`, `method`, `headers` and `body` of the request to send;
+     *   `response(response, params)` is called, in reverse order, after a successful request, and yields the response to resolve with;
+     *   `error(error, params)` is called, in reverse order, after a failed request, and yields a response to recover with, or rejects.
+     * @param {HttpCache} [options.cache=null] A cache for GET responses, which are revalidated with conditional requests. Successful POST, PUT and DELETE requests remove the cached responses for the resource they change.
+     * @param {RequestLimiter} [options.limiter=null] A limiter for the number of concurrent HTTP requests, and the rate at which they are sent. Each attempt of a retried request is limited.
+     * @param {function} [options.onUnauthorized=null] A function that is called with the error when an HTTP request is rejected with HTTP 401, to refresh the credentials. It may return a Promise. Once it is done, the request, including its middleware, is sent again, once.
+     * @param {function} [options.beforeRequest] Deprecated: use a `request` middleware instead. A function that is called before each HTTP request, ahead of any middleware.
+     * @param {Object} [options.cookieManager] An object that implements a cookie management interface. This should provide implementations for the `getCookieString()` and `storeCookies()` functions. It may also provide `removeCookies()`, which {@see Martian#logout} uses to remove the auth token cookie, as {@see CookieJar} does.
+     * @param {Boolean} [options.followRedirects] Should HTTP redirects be auto-followed, or should HTTP redirect responses be returned to the caller (default: true)
+     * @param {function} [options.fetchImpl] whatwg/fetch implementation (default: window.fetch)
+     */
+    constructor(
+        url,
+        {
+            uriParts = {},
+            headers = {},
             timeout = null,
-            beforeRequest = params => params,
+            signal = null,
+            retry = null,
+            middleware = [],
+            cache = null,
+            limiter = null,
+            onUnauthorized = null,
+            beforeRequest = null,
             cookieManager = null,
             followRedirects = true,
             fetchImpl = fetch
@@ -396,8 +1403,13 @@ class Plug {
         if ('excludeQuery' in uriParts) {
             this._url.searchParams.delete(uriParts.excludeQuery);
         }
-        this._beforeRequest = beforeRequest;
+        this._middleware = beforeRequest === null ? middleware : [{ request: beforeRequest }, ...middleware];
         this._timeout = timeout;
+        this._signal = signal;
+        this._retry = retry === null ? null : Object.assign({}, _defaultRetryPolicy, retry);
+        this._cache = cache || null;
+        this._limiter = limiter;
+        this._onUnauthorized = onUnauthorized;
         this._headers = headers;
         this._cookieManager = cookieManager;
         this._followRedirects = followRedirects;
@@ -435,7 +1447,12 @@ class Plug {
         return new this.constructor(this._url.toString(), {
             headers: this._headers,
             timeout: this._timeout,
-            beforeRequest: this._beforeRequest,
+            signal: this._signal,
+            retry: this._retry,
+            middleware: this._middleware,
+            cache: this._cache,
+            limiter: this._limiter,
+            onUnauthorized: this._onUnauthorized,
             uriParts: { segments: values },
             cookieManager: this._cookieManager,
             followRedirects: this._followRedirects,
@@ -455,7 +1472,12 @@ class Plug {
         return new this.constructor(this._url.toString(), {
             headers: this._headers,
             timeout: this._timeout,
-            beforeRequest: this._beforeRequest,
+            signal: this._signal,
+            retry: this._retry,
+            middleware: this._middleware,
+            cache: this._cache,
+            limiter: this._limiter,
+            onUnauthorized: this._onUnauthorized,
             uriParts: { query: params },
             cookieManager: this._cookieManager,
             followRedirects: this._followRedirects,
@@ -472,7 +1494,12 @@ class Plug {
         return new this.constructor(this._url.toString(), {
             headers: this._headers,
             timeout: this._timeout,
-            beforeRequest: this._beforeRequest,
+            signal: this._signal,
+            retry: this._retry,
+            middleware: this._middleware,
+            cache: this._cache,
+            limiter: this._limiter,
+            onUnauthorized: this._onUnauthorized,
             uriParts: { query: values },
             cookieManager: this._cookieManager,
             followRedirects: this._followRedirects,
@@ -489,7 +1516,12 @@ class Plug {
         return new this.constructor(this._url.toString(), {
             headers: this._headers,
             timeout: this._timeout,
-            beforeRequest: this._beforeRequest,
+            signal: this._signal,
+            retry: this._retry,
+            middleware: this._middleware,
+            cache: this._cache,
+            limiter: this._limiter,
+            onUnauthorized: this._onUnauthorized,
             uriParts: { excludeQuery: key },
             cookieManager: this._cookieManager,
             followRedirects: this._followRedirects,
@@ -508,7 +1540,12 @@ class Plug {
         newHeaders[key] = value;
         return new this.constructor(this._url.toString(), {
             timeout: this._timeout,
-            beforeRequest: this._beforeRequest,
+            signal: this._signal,
+            retry: this._retry,
+            middleware: this._middleware,
+            cache: this._cache,
+            limiter: this._limiter,
+            onUnauthorized: this._onUnauthorized,
             headers: newHeaders,
             cookieManager: this._cookieManager,
             followRedirects: this._followRedirects,
@@ -528,7 +1565,12 @@ class Plug {
         });
         return new this.constructor(this._url.toString(), {
             timeout: this._timeout,
-            beforeRequest: this._beforeRequest,
+            signal: this._signal,
+            retry: this._retry,
+            middleware: this._middleware,
+            cache: this._cache,
+            limiter: this._limiter,
+            onUnauthorized: this._onUnauthorized,
             headers: newHeaders,
             cookieManager: this._cookieManager,
             followRedirects: this._followRedirects,
@@ -546,7 +1588,12 @@ class Plug {
         delete newHeaders[key];
         return new this.constructor(this._url.toString(), {
             timeout: this._timeout,
-            beforeRequest: this._beforeRequest,
+            signal: this._signal,
+            retry: this._retry,
+            middleware: this._middleware,
+            cache: this._cache,
+            limiter: this._limiter,
+            onUnauthorized: this._onUnauthorized,
             headers: newHeaders,
             cookieManager: this._cookieManager,
             fetchImpl: this._fetch
@@ -560,7 +1607,12 @@ class Plug {
     withFollowRedirects() {
         return new this.constructor(this._url.toString(), {
             timeout: this._timeout,
-            beforeRequest: this._beforeRequest,
+            signal: this._signal,
+            retry: this._retry,
+            middleware: this._middleware,
+            cache: this._cache,
+            limiter: this._limiter,
+            onUnauthorized: this._onUnauthorized,
             headers: this._headers,
             cookieManager: this._cookieManager,
             followRedirects: true,
@@ -575,7 +1627,12 @@ class Plug {
     withoutFollowRedirects() {
         return new this.constructor(this._url.toString(), {
             timeout: this._timeout,
-            beforeRequest: this._beforeRequest,
+            signal: this._signal,
+            retry: this._retry,
+            middleware: this._middleware,
+            cache: this._cache,
+            limiter: this._limiter,
+            onUnauthorized: this._onUnauthorized,
             headers: this._headers,
             cookieManager: this._cookieManager,
             followRedirects: false,
@@ -584,22 +1641,85 @@ class Plug {
     }
 
     /**
-     * Perform an HTTP GET Request.
+     * Get a new Plug, based on the current one, with the specified middleware added to the end of the chain.
+     * @param {...Object} middleware The middleware to add. See the constructor for the middleware format.
+     * @returns {Plug} A new Plug instance with the middleware added.
+     */
+    withMiddleware(...middleware) {
+        return new this.constructor(this._url.toString(), {
+            timeout: this._timeout,
+            signal: this._signal,
+            retry: this._retry,
+            middleware: [...this._middleware, ...middleware],
+            cache: this._cache,
+            limiter: this._limiter,
+            onUnauthorized: this._onUnauthorized,
+            headers: this._headers,
+            cookieManager: this._cookieManager,
+            followRedirects: this._followRedirects,
+            fetchImpl: this._fetch
+        });
+    }
+
+    /**
+     * Get a new Plug, based on the current one, with the specified per-request options applied.
+     * @param {Object} [requestOptions] Options that direct the HTTP requests sent by the new Plug.
+     * @param {AbortSignal} [requestOptions.signal] A signal that, when aborted, cancels the HTTP request.
+     * @param {Object} [requestOptions.retry] A retry policy that replaces the current one. See the constructor for the available policy options.
+     * @param {HttpCache|Boolean} [requestOptions.cache] A cache that replaces the current one, or `false` to bypass the cache.
+     * @param {function} [requestOptions.onUnauthorized] A function that replaces the current one, or `null` to not replay a request that is rejected with HTTP 401.
+     * @param {Array} [requestOptions.middleware] Middleware for the HTTP requests sent by the new Plug, which runs ahead of the current middleware. See the constructor for the middleware format.
+     * @returns {Plug} A new Plug instance with the request options applied.
+     */
+    withRequestOptions({
+        signal = this._signal,
+        retry = this._retry,
+        cache = this._cache,
+        onUnauthorized = this._onUnauthorized,
+        middleware = []
+    } = {}) {
+        return new this.constructor(this._url.toString(), {
+            timeout: this._timeout,
+            signal,
+            retry,
+            middleware: [...middleware, ...this._middleware],
+            cache,
+            limiter: this._limiter,
+            onUnauthorized,
+            headers: this._headers,
+            cookieManager: this._cookieManager,
+            followRedirects: this._followRedirects,
+            fetchImpl: this._fetch
+        });
+    }
+
+    /**
+     * Perform an HTTP GET Request. Identical GET and HEAD requests that are sent while one is in flight share its response, unless this Plug has an abort signal.
      * @param {String} [method=GET] The HTTP method to set as part of the GET logic.
      * @returns {Promise} A Promise that, when resolved, yields the {Response} object as defined by the fetch API.
      */
     get(method = 'GET') {
-        const params = this._beforeRequest({
+        const params = {
             url: this._url.toString(),
             method,
             headers: Object.assign({}, this._headers)
-        });
-        return _doFetch.call(this, params);
+        };
+        return _withReauthentication.call(this, params, authParams =>
+            _runMiddleware.call(this, authParams, requestParams =>
+                _withSharedRequest.call(this, requestParams, sharedParams =>
+                    _withCache.call(this, sharedParams, cacheParams =>
+                        _withRetry.call(this, cacheParams, () =>
+                            _withLimit.call(this, cacheParams.url, () => _doFetch.call(this, cacheParams))
+                        )
+                    )
+                )
+            )
+        );
     }
 
     /**
      * Perform an HTTP POST request.
-     * @param {String} body The body of the POST.
+     * @param {String|Blob|BufferSource} body The body of the POST.
      * @param {String} mime The mime type of the request, set in the `Content-Type` header.
      * @param {String} [method=POST] The HTTP method to use with the POST logic.
      * @returns {Promise} A Promise that, when resolved, yields the {Response} object as defined by the fetch API.
@@ -608,18 +1728,26 @@ class Plug {
         if (mime) {
             this._headers['Content-Type'] = mime;
         }
-        const params = this._beforeRequest({
+        const params = {
             url: this._url.toString(),
             method,
             body,
             headers: Object.assign({}, this._headers)
-        });
-        return _doFetch.call(this, params);
+        };
+        return _withReauthentication.call(this, params, authParams =>
+            _runMiddleware.call(this, authParams, requestParams =>
+                _withCache.call(this, requestParams, cacheParams =>
+                    _withRetry.call(this, cacheParams, () =>
+                        _withLimit.call(this, cacheParams.url, () => _doFetch.call(this, cacheParams))
+                    )
+                )
+            )
+        );
     }
 
     /**
      * Perform an HTTP PUT request.
-     * @param {String} body The body of the PUT.
+     * @param {String|Blob|BufferSource} body The body of the PUT.
      * @param {String} mime The mime type of the request, set in the `Content-Type` header.
      * @returns {Promise} A Promise that, when resolved, yields the {Response} object as defined by the fetch API.
      */
@@ -644,134 +1772,831 @@ class Plug {
     }
 
     /**
-     * Perform an HTTP DELETE request.
-     * @returns {Promise} A Promise that, when resolved, yields the {Response} object as defined by the fetch API.
+     * Perform an HTTP DELETE request.
+     * @returns {Promise} A Promise that, when resolved, yields the {Response} object as defined by the fetch API.
+     */
+    delete() {
+        return this.post(null, null, 'DELETE');
+    }
+}
+
+/**
+ * mindtouch-http.js - A JavaScript library to construct URLs and make HTTP requests using the fetch API
+ *
+ * Copyright (c) 2015 MindTouch Inc.
+ * www.mindtouch.com  oss@mindtouch.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+function _doXhr({ xhr, body, progressInfo, signal, timeout }) {
+    return new Promise((resolve, reject) => {
+        let aborted = false;
+        const onAbort = () => {
+            aborted = true;
+            xhr.abort();
+            reject(_abortError());
+        };
+        if (signal !== null) {
+            if (signal.aborted) {
+                reject(_abortError());
+                return;
+            }
+            signal.addEventListener('abort', onAbort);
+        }
+        xhr.onloadend = () => {
+            if (signal !== null) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        };
+        xhr.ontimeout = () => {
+            reject(_timeoutError(timeout));
+        };
+        xhr.onreadystatechange = () => {
+            // an aborted or timed out request also reaches readyState 4 with a status of 0
+            if (xhr.readyState === 4 && !aborted && xhr.status !== 0) {
+                if (xhr.status >= 200 && xhr.status <= 300) {
+                    progressInfo.callback({ loaded: progressInfo.size, total: progressInfo.size });
+                    resolve(xhr);
+                } else {
+                    reject({
+                        message: xhr.statusText,
+                        status: xhr.status,
+                        responseText: xhr.responseText,
+                        retryAfter: xhr.getResponseHeader('Retry-After')
+                    });
+                }
+            }
+        };
+        xhr.onerror = () => {
+            if (!aborted) {
+                reject(new NetworkError('An error occurred while initiating the file upload'));
+            }
+        };
+        xhr.send(body);
+    });
+}
+function _readCookies$1(request) {
+    if (this._cookieManager !== null) {
+        return this._cookieManager
+            .getCookieString(this.url)
+            .then(cookieString => {
+                if (cookieString !== '') {
+                    request.xhr.setRequestHeader('Cookie', cookieString);
+                }
+            })
+            .then(() => request);
+    }
+    return Promise.resolve(request);
+}
+function _handleCookies$1(xhr) {
+    if (this._cookieManager !== null) {
+        return this._cookieManager
+            .storeCookies(this.url, _splitSetCookie(xhr.getResponseHeader('Set-Cookie')))
+            .then(() => xhr);
+    }
+    return Promise.resolve(xhr);
+}
+function _doRequest({ url, method, headers, body = null, progressInfo }) {
+    const xhr = new XMLHttpRequest(); // eslint-disable-line no-undef
+    xhr.open(method, url, true);
+    xhr.withCredentials = true;
+    if (this._timeout !== null) {
+        xhr.timeout = this._timeout;
+    }
+    xhr.upload.onprogress = e => {
+        progressInfo.callback({ loaded: e.loaded, total: progressInfo.size });
+    };
+    for (const [header, val] of Object.entries(headers)) {
+        xhr.setRequestHeader(header, val);
+    }
+    const request = { xhr, body, progressInfo, signal: this._signal, timeout: this._timeout };
+    progressInfo.callback({ loaded: 0, total: progressInfo.size });
+    return _readCookies$1
+        .call(this, request)
+        .then(_doXhr)
+        .then(_handleCookies$1.bind(this));
+}
+
+const _uploadChunkSize = 64 * 1024;
+function* _bufferChunks(buffer) {
+    for (let offset = 0; offset < buffer.length; offset += _uploadChunkSize) {
+        yield buffer.subarray(offset, offset + _uploadChunkSize);
+    }
+}
+function _toBuffer(chunk) {
+    return typeof chunk === 'string'
+        ? Buffer.from(chunk)
+        : Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+}
+function _isReplayableBody(body) {
+    // a stream or async iterable can only be read once
+    return body === null || typeof body[Symbol.asyncIterator] !== 'function';
+}
+function _uploadSource(body) {
+    if (body === null) {
+        return { size: 0, iterator: _bufferChunks(Buffer.alloc(0)) };
+    }
+    if (typeof body === 'string' || ArrayBuffer.isView(body)) {
+        const buffer = _toBuffer(body);
+        return { size: buffer.length, iterator: _bufferChunks(buffer) };
+    }
+    if (body instanceof ArrayBuffer) {
+        return { size: body.byteLength, iterator: _bufferChunks(Buffer.from(body)) };
+    }
+    if (typeof Blob !== 'undefined' && body instanceof Blob) {
+        return { size: body.size, iterator: body.stream()[Symbol.asyncIterator]() };
+    }
+    if (typeof body[Symbol.asyncIterator] === 'function') {
+        return { size: null, iterator: body[Symbol.asyncIterator]() };
+    }
+    throw new Error('The upload body must be a string, Buffer, Blob, readable stream or async iterable');
+}
+function _nodeUploadResult(res, responseText) {
+    // the result has the parts of the XMLHttpRequest interface that callers of a ProgressPlug read
+    const getResponseHeader = name => {
+        const value = res.headers[name.toLowerCase()];
+        if (typeof value === 'undefined') {
+            return null;
+        }
+        return Array.isArray(value) ? value.join(', ') : value;
+    };
+    return {
+        status: res.statusCode,
+        statusText: res.statusMessage,
+        responseText,
+        getResponseHeader,
+        getAllResponseHeaders() {
+            return Object.keys(res.headers)
+                .map(name => `${name}: ${getResponseHeader(name)}`)
+                .join('\r\n');
+        }
+    };
+}
+function _sendNodeUpload({ url, method, headers, source, progressInfo }) {
+    return new Promise((resolve, reject) => {
+        const requestUrl = new platform.URL(url);
+        const transport = require(requestUrl.protocol === 'https:' ? 'https' : 'http');
+        const signal = this._signal;
+        const total = progressInfo.size;
+        let settled = false;
+        let timer = null;
+        let loaded = 0;
+        const onAbort = () => req.destroy(_abortError());
+        const settle = () => {
+            settled = true;
+            clearTimeout(timer);
+            if (signal !== null) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        };
+        const fail = err => {
+            if (!settled) {
+                settle();
+
+                // release the file handle of an unfinished stream
+                if (typeof source.iterator.return === 'function') {
+                    Promise.resolve(source.iterator.return()).catch(() => {});
+                }
+                reject(err);
+            }
+        };
+        const req = transport.request(requestUrl, { method, headers });
+        req.on('error', err => fail(_networkError(err)));
+        req.on('response', res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('error', fail);
+            res.on('end', () => {
+                if (settled) {
+                    return;
+                }
+                settle();
+                const responseText = Buffer.concat(chunks).toString('utf8');
+                if (res.statusCode >= 200 && res.statusCode <= 300) {
+                    // the total of a stream with an unknown size is the number of bytes that were sent
+                    progressInfo.callback(
+                        typeof total === 'number' ? { loaded: total, total } : { loaded, total: loaded }
+                    );
+                    resolve({ result: _nodeUploadResult(res, responseText), cookies: res.headers['set-cookie'] || [] });
+                } else {
+                    reject({
+                        message: res.statusMessage,
+                        status: res.statusCode,
+                        responseText,
+                        retryAfter: res.headers['retry-after'] || null
+                    });
+                }
+            });
+        });
+        if (this._timeout !== null) {
+            timer = setTimeout(() => req.destroy(_timeoutError(this._timeout)), this._timeout);
+        }
+        if (signal !== null) {
+            if (signal.aborted) {
+                req.destroy(_abortError());
+                return;
+            }
+            signal.addEventListener('abort', onAbort);
+        }
+
+        // the body is written a chunk at a time, waiting for the socket to drain so that it is never held in memory
+        const pump = () =>
+            Promise.resolve(source.iterator.next()).then(({ done, value }) => {
+                if (settled) {
+                    return;
+                }
+                if (done) {
+                    req.end();
+                    return;
+                }
+                const chunk = _toBuffer(value);
+                loaded += chunk.length;
+                return new Promise(resume => (req.write(chunk) ? resume() : req.once('drain', resume))).then(() => {
+                    progressInfo.callback({ loaded, total });
+                    return pump();
+                });
+            });
+        pump().catch(err => {
+            // a body that cannot be read is not a transport failure
+            fail(err);
+            req.destroy();
+        });
+    });
+}
+function _doNodeRequest({ url, method, headers, body = null, progressInfo }) {
+    let source;
+    try {
+        source = _uploadSource(body);
+    } catch (e) {
+        return Promise.reject(e);
+    }
+    const requestHeaders = Object.assign({}, headers);
+    const size = source.size !== null ? source.size : progressInfo.size;
+    if (
+        typeof size === 'number' &&
+        !Object.keys(requestHeaders).some(name => name.toLowerCase() === 'content-length')
+    ) {
+        requestHeaders['Content-Length'] = size;
+    }
+    const cookieString = this._cookieManager === null ? Promise.resolve('') : this._cookieManager.getCookieString(url);
+    return cookieString
+        .then(cookies => {
+            if (cookies !== '') {
+                requestHeaders.Cookie = cookies;
+            }
+            progressInfo.callback({ loaded: 0, total: progressInfo.size });
+            return _sendNodeUpload.call(this, { url, method, headers: requestHeaders, source, progressInfo });
+        })
+        .then(({ result, cookies }) => {
+            if (this._cookieManager === null) {
+                return result;
+            }
+            return this._cookieManager.storeCookies(url, cookies).then(() => result);
+        });
+}
+
+/**
+ * A class that performs HTTP POST and PUT requests, and allows for the progress of the uploaded data to be reported. In node, the request body is streamed with the `http` and `https` modules instead of XMLHttpRequest.
+ */
+class ProgressPlug extends Plug {
+    /**
+     * Construct a ProgressPlug object.
+     * @param {String} [url] The initial URL for the Plug.
+     * @param {Object} [params] The parameters that direct the construction and behavior of the Plug. See {@see Plug} for details.
+     */
+    constructor(url, params) {
+        super(url, params);
+    }
+
+    /**
+     * Perform an HTTP POST request, enabling progress callback notifications.
+     * @param {String|Blob|BufferSource|AsyncIterable.<(Uint8Array|String)>} body The body of the POST. In node, this may also be a Buffer, a readable stream or an async iterable of chunks, which is streamed without being read fully into memory. A stream or async iterable can only be sent once, so its request is not retried.
+     * @param {String} mime The mime type of the request, set in the `Content-Type` header.
+     * @param {String} [method=POST] The HTTP method to use with the POST logic.
+     * @param {Object} [progressInfo] An object containing parameters to receive the progress notifications.
+     * @param {Number} [progressInfo.size] The Number of bytes that are uploaded before a notification callback occurs.
+     * @param {function} [progressInfo.callback] A function that is called to notify about a progress event.
+     * @returns {Promise} A Promise that, when resolved, yields the {Response} object as defined by the fetch API.
+     */
+    post(body, mime, method = 'POST', progressInfo = { size: 0, callback: () => {} }) {
+        if (mime) {
+            this._headers['Content-Type'] = mime;
+        }
+        const params = { url: this.url, method, body, headers: Object.assign({}, this._headers) };
+        const doRequest = platform.environment === 'node' ? _doNodeRequest : _doRequest;
+        return _withReauthentication.call(this, params, authParams =>
+            _runMiddleware.call(this, authParams, requestParams =>
+                _withCache.call(this, requestParams, cacheParams => {
+                    const uploadParams = Object.assign({}, cacheParams, { progressInfo });
+                    const send = () =>
+                        _withLimit.call(this, uploadParams.url, () => doRequest.call(this, uploadParams));
+                    return _isReplayableBody(uploadParams.body) ? _withRetry.call(this, uploadParams, send) : send();
+                })
+            )
+        );
+    }
+
+    /**
+     * Perform an HTTP PUT request, enabling progress callback notifications.
+     * @param {String|Blob|BufferSource|AsyncIterable.<(Uint8Array|String)>} body The body of the PUT. See {@see ProgressPlug#post} for the body types that are streamed in node.
+     * @param {String} mime The mime type of the request, set in the `Content-Type` header.
+     * @param {Object} [progressInfo] An object containing parameters to receive the progress notifications.
+     * @param {Number} [progressInfo.size] The Number of bytes that are uploaded before a notification callback occurs.
+     * @param {function} [progressInfo.callback] A function that is called to notify about a progress event.
+     * @returns {Promise} A Promise that, when resolved, yields the {Response} object as defined by the fetch API.
+     */
+    put(body, mime, progressInfo) {
+        return this.post(body, mime, 'PUT', progressInfo);
+    }
+}
+
+const _harRedacted = '[redacted]';
+function _requireNode(feature) {
+    if (platform.environment !== 'node') {
+        throw new Error(`${feature} is only available in node`);
+    }
+}
+function _harHeaders(headers, redactHeaders) {
+    const redact = redactHeaders.map(name => name.toLowerCase());
+    return Object.keys(headers).map(name => ({
+        name,
+        value: redact.includes(name.toLowerCase()) ? _harRedacted : String(headers[name])
+    }));
+}
+function _harHeaderValue(headers, name) {
+    const header = headers.find(h => h.name.toLowerCase() === name.toLowerCase());
+    return header ? header.value : '';
+}
+function _parseXhrHeaders(xhr) {
+    return xhr
+        .getAllResponseHeaders()
+        .split('\r\n')
+        .filter(line => line !== '')
+        .reduce((headers, line) => {
+            const separator = line.indexOf(':');
+            headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+            return headers;
+        }, {});
+}
+function _readHarResponse(result) {
+    if (typeof result.clone === 'function') {
+        const headers = {};
+        result.headers.forEach((value, name) => {
+            headers[name] = value;
+        });
+        return result
+            .clone()
+            .text()
+            .then(text => ({ status: result.status, statusText: result.statusText, headers, text }));
+    }
+    if (typeof result.getAllResponseHeaders === 'function') {
+        return Promise.resolve({
+            status: result.status,
+            statusText: result.statusText,
+            headers: _parseXhrHeaders(result),
+            text: result.responseText
+        });
+    }
+
+    // a rejection for a non-2xx response carries its status and body, but not its headers
+    const headers = result.retryAfter ? { 'Retry-After': result.retryAfter } : {};
+    return Promise.resolve({ status: result.status, statusText: result.message, headers, text: result.responseText });
+}
+function _harBinaryBody(bytes) {
+    return { text: platform.base64.encodeBytes(bytes), encoding: 'base64', size: bytes.length };
+}
+function _readHarRequestBody(body) {
+    if (typeof body === 'string') {
+        return Promise.resolve({ text: body, size: body.length });
+    }
+
+    // a binary body is recorded as base64, so that a replay can still match it
+    if (typeof Blob !== 'undefined' && body instanceof Blob) {
+        return body.arrayBuffer().then(buffer => _harBinaryBody(new Uint8Array(buffer)));
+    }
+    if (body instanceof ArrayBuffer) {
+        return Promise.resolve(_harBinaryBody(new Uint8Array(body)));
+    }
+    if (ArrayBuffer.isView(body)) {
+        return Promise.resolve(_harBinaryBody(new Uint8Array(body.buffer, body.byteOffset, body.byteLength)));
+    }
+    return Promise.resolve(null);
+}
+function _harQueryKey(url) {
+    return Array.from(url.searchParams.entries())
+        .map(([name, value]) => `${name}=${value}`)
+        .sort()
+        .join('&');
+}
+
+/**
+ * A class that records the HTTP exchanges of Plug and ProgressPlug instances in the HAR (HTTP Archive) 1.2 format. Binary request bodies are recorded as base64.
+ */
+class HarRecorder {
+    /**
+     * Construct a HarRecorder object.
+     * @param {Object} [options] Options to direct the recording.
+     * @param {Array} [options.redactHeaders] The names of request and response headers whose values are replaced in the recording, so that credentials are not written to disk (default: X-Deki-Token, X-Authtoken, Authorization, Cookie, Set-Cookie).
+     */
+    constructor({ redactHeaders = ['X-Deki-Token', 'X-Authtoken', 'Authorization', 'Cookie', 'Set-Cookie'] } = {}) {
+        this._redactHeaders = redactHeaders;
+        this._entries = [];
+        this._started = new WeakMap();
+    }
+
+    /**
+     * Get a middleware that records each exchange. This should be the last middleware in the chain, so that the final request is recorded. See {@see Plug} for details.
+     */
+    get middleware() {
+        return {
+            request: params => {
+                this._started.set(params, new Date());
+                return params;
+            },
+            response: (response, params) => this._record(params, response).then(() => response),
+            error: (error, params) => {
+                if (error === null || typeof error !== 'object' || typeof error.status !== 'number') {
+                    return Promise.reject(error);
+                }
+                return this._record(params, error).then(() => Promise.reject(error));
+            }
+        };
+    }
+
+    /**
+     * Get the recorded exchanges as a HAR object.
+     */
+    get har() {
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: 'mindtouch-martian', version: '1.0' },
+                entries: this._entries.slice()
+            }
+        };
+    }
+
+    /**
+     * Write the recorded exchanges to a HAR file. This is only available in node.
+     * @param {String} path The path of the file to write.
+     * @returns {Promise} A Promise that, when resolved, indicates the file was written.
+     */
+    save(path) {
+        try {
+            _requireNode('Saving a HAR file');
+        } catch (e) {
+            return Promise.reject(e);
+        }
+        return require('fs').promises.writeFile(path, JSON.stringify(this.har, null, 2));
+    }
+    _record(params, result) {
+        const startedDateTime = this._started.get(params) || new Date();
+        return Promise.all([_readHarResponse(result), _readHarRequestBody(params.body)]).then(([response, body]) => {
+            const url = new platform.URL(params.url);
+            const requestHeaders = _harHeaders(params.headers, this._redactHeaders);
+            const responseHeaders = _harHeaders(response.headers, this._redactHeaders);
+            const request = {
+                method: params.method,
+                url: url.toString(),
+                httpVersion: 'HTTP/1.1',
+                cookies: [],
+                headers: requestHeaders,
+                queryString: Array.from(url.searchParams.entries()).map(([name, value]) => ({ name, value })),
+                headersSize: -1,
+                bodySize: -1
+            };
+            if (body !== null) {
+                request.postData = { mimeType: _harHeaderValue(requestHeaders, 'Content-Type'), text: body.text };
+                if (body.encoding) {
+                    request.postData.encoding = body.encoding;
+                }
+                request.bodySize = body.size;
+            }
+            const time = Date.now() - startedDateTime.getTime();
+            this._entries.push({
+                startedDateTime: startedDateTime.toISOString(),
+                time,
+                request,
+                response: {
+                    status: response.status,
+                    statusText: response.statusText || '',
+                    httpVersion: 'HTTP/1.1',
+                    cookies: [],
+                    headers: responseHeaders,
+                    content: {
+                        size: response.text.length,
+                        mimeType: _harHeaderValue(responseHeaders, 'Content-Type'),
+                        text: response.text
+                    },
+                    redirectURL: '',
+                    headersSize: -1,
+                    bodySize: -1
+                },
+                cache: {},
+                timings: { send: 0, wait: time, receive: 0 }
+            });
+        });
+    }
+}
+
+/**
+ * A class that serves recorded HAR (HTTP Archive) responses in place of the network.
+ */
+class HarReplay {
+    /**
+     * Load a HarReplay from a HAR file. This is only available in node.
+     * @param {String} path The path of the file to read.
+     * @returns {Promise.<HarReplay>} A Promise that, when resolved, yields a HarReplay that serves the recorded responses.
+     */
+    static fromFile(path) {
+        try {
+            _requireNode('Reading a HAR file');
+        } catch (e) {
+            return Promise.reject(e);
+        }
+        return require('fs')
+            .promises.readFile(path, 'utf8')
+            .then(text => new HarReplay(JSON.parse(text)));
+    }
+
+    /**
+     * Construct a HarReplay object.
+     * @param {Object} har A HAR object, such as one recorded by {@see HarRecorder}.
+     */
+    constructor(har) {
+        if (!har || !har.log || !Array.isArray(har.log.entries)) {
+            throw new Error('A HAR object with a list of log entries must be supplied');
+        }
+        this._entries = har.log.entries;
+        this._served = new Set();
+    }
+
+    /**
+     * Get a whatwg/fetch implementation that serves the recorded responses. A request matches an entry with the same method, path, query and, if one was recorded, body. Matching entries are served in the order they were recorded, and the last one is served again once all have been served.
      */
-    delete() {
-        return this.post(null, null, 'DELETE');
+    get fetchImpl() {
+        return (input, init) => {
+            const request = new Request(input, init);
+            return request.arrayBuffer().then(body => this._respond(request, new Uint8Array(body)));
+        };
     }
-}
+    _respond(request, body) {
+        const url = new platform.URL(request.url);
+        const query = _harQueryKey(url);
+        const bodyMatches = postData =>
+            postData.encoding === 'base64'
+                ? postData.text === platform.base64.encodeBytes(body)
+                : postData.text === new TextDecoder().decode(body);
+        const matches = this._entries.filter(entry => {
+            const entryUrl = new platform.URL(entry.request.url);
+            return (
+                entry.request.method === request.method &&
+                entryUrl.pathname === url.pathname &&
+                _harQueryKey(entryUrl) === query &&
+                (!entry.request.postData || bodyMatches(entry.request.postData))
+            );
+        });
+        if (matches.length === 0) {
+            return Promise.reject(new Error(`No recorded HAR entry matches ${request.method} ${request.url}`));
+        }
+        const entry = matches.find(match => !this._served.has(match)) || matches[matches.length - 1];
+        this._served.add(entry);
+        const headers = new Headers();
+        entry.response.headers
+            .filter(header => header.value !== _harRedacted)
+            .forEach(header => headers.append(header.name, header.value));
 
-/**
- * mindtouch-http.js - A JavaScript library to construct URLs and make HTTP requests using the fetch API
- *
- * Copyright (c) 2015 MindTouch Inc.
- * www.mindtouch.com  oss@mindtouch.com
- *
- * Licensed under the Apache License, Version 2.0 (the "License");
- * you may not use this file except in compliance with the License.
- * You may obtain a copy of the License at
- *
- *     http://www.apache.org/licenses/LICENSE-2.0
- *
- * Unless required by applicable law or agreed to in writing, software
- * distributed under the License is distributed on an "AS IS" BASIS,
- * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
- * See the License for the specific language governing permissions and
- * limitations under the License.
- */
-function _doXhr({ xhr, body, progressInfo }) {
-    return new Promise((resolve, reject) => {
-        xhr.onreadystatechange = () => {
-            if (xhr.readyState === 4) {
-                if (xhr.status >= 200 && xhr.status <= 300) {
-                    progressInfo.callback({ loaded: progressInfo.size, total: progressInfo.size });
-                    resolve(xhr);
-                } else {
-                    reject({
-                        message: xhr.statusText,
-                        status: xhr.status,
-                        responseText: xhr.responseText
-                    });
-                }
-            }
-        };
-        xhr.onerror = () => {
-            reject(new Error('An error occurred while initiating the file upload'));
-        };
-        xhr.send(body);
-    });
+        // these statuses must not be constructed with a body
+        const status = entry.response.status;
+        const text = [101, 204, 205, 304].includes(status) ? null : entry.response.content.text || '';
+        return Promise.resolve(new Response(text, { status, statusText: entry.response.statusText, headers }));
+    }
 }
-function _readCookies$1(request) {
-    if (this._cookieManager !== null) {
-        return this._cookieManager
-            .getCookieString(this.url)
-            .then(cookieString => {
-                if (cookieString !== '') {
-                    request.xhr.setRequestHeader('Cookie', cookieString);
-                }
-            })
-            .then(() => request);
+
+function _domainMatches(host, domain) {
+    if (host === domain) {
+        return true;
     }
-    return Promise.resolve(request);
+
+    // IP addresses only match exactly
+    return host.endsWith(`.${domain}`) && !/^[\d.]+$|:/.test(host);
 }
-function _handleCookies$1(xhr) {
-    if (this._cookieManager !== null) {
-        return this._cookieManager.storeCookies(this.url, xhr.getResponseHeader('Set-Cookie')).then(() => xhr);
+function _pathMatches(path, cookiePath) {
+    if (path === cookiePath) {
+        return true;
     }
-    return Promise.resolve(xhr);
+    return path.startsWith(cookiePath) && (cookiePath.endsWith('/') || path[cookiePath.length] === '/');
 }
-function _doRequest({ method, headers, body = null, progressInfo }) {
-    const xhr = new XMLHttpRequest(); // eslint-disable-line no-undef
-    xhr.open(method, this.url, true);
-    xhr.withCredentials = true;
-    xhr.upload.onprogress = e => {
-        progressInfo.callback({ loaded: e.loaded, total: progressInfo.size });
+function _defaultCookiePath(path) {
+    const index = path.lastIndexOf('/');
+    return path[0] !== '/' || index <= 0 ? '/' : path.slice(0, index);
+}
+function _parseSetCookie(setCookie, url, now) {
+    const [pair, ...attributes] = setCookie.split(';');
+    const separator = pair.indexOf('=');
+    if (separator === -1) {
+        return null;
+    }
+    const cookie = {
+        name: pair.slice(0, separator).trim(),
+        value: pair.slice(separator + 1).trim(),
+        domain: url.hostname.toLowerCase(),
+        hostOnly: true,
+        path: _defaultCookiePath(url.pathname),
+        expires: null,
+        secure: false,
+        httpOnly: false,
+        created: now
     };
-    for (const [header, val] of Object.entries(headers)) {
-        xhr.setRequestHeader(header, val);
+    if (cookie.name === '') {
+        return null;
+    }
+    let maxAge = null;
+    for (const attribute of attributes) {
+        const index = attribute.indexOf('=');
+        const key = (index === -1 ? attribute : attribute.slice(0, index)).trim().toLowerCase();
+        const value = index === -1 ? '' : attribute.slice(index + 1).trim();
+        if (key === 'expires') {
+            const expires = Date.parse(value);
+            if (!isNaN(expires)) {
+                cookie.expires = expires;
+            }
+        } else if (key === 'max-age' && /^-?\d+$/.test(value)) {
+            maxAge = parseInt(value, 10);
+        } else if (key === 'domain' && value !== '') {
+            const domain = value.replace(/^\./, '').toLowerCase();
+            if (!_domainMatches(cookie.domain, domain)) {
+                return null;
+            }
+            cookie.domain = domain;
+            cookie.hostOnly = false;
+        } else if (key === 'path') {
+            cookie.path = value[0] === '/' ? value : _defaultCookiePath(url.pathname);
+        } else if (key === 'secure') {
+            cookie.secure = true;
+        } else if (key === 'httponly') {
+            cookie.httpOnly = true;
+        }
     }
-    const request = { xhr, body, progressInfo };
-    progressInfo.callback({ loaded: 0, total: progressInfo.size });
-    return _readCookies$1
-        .call(this, request)
-        .then(_doXhr)
-        .then(_handleCookies$1.bind(this));
+
+    // Max-Age takes precedence over Expires
+    if (maxAge !== null) {
+        cookie.expires = now + maxAge * 1000;
+    }
+    return cookie;
 }
 
 /**
- * A class that performs HTTP POST and PUT requests, and allows for the progress of the uploaded data to be reported.
+ * A cookie manager that keeps cookies as a user agent does, following RFC 6265. Set it as the {@see Settings.cookieManager} to keep a cookie-based session in node.
  */
-class ProgressPlug extends Plug {
+class CookieJar {
+    /**
+     * Construct a CookieJar.
+     * @param {Object} [options] Options to direct the construction of the cookie jar.
+     * @param {String} [options.file=null] The path of a file to load the cookies from, and to save them to when they change, so that a session is kept between runs. Session cookies are saved as well. This is only available in node.
+     */
+    constructor({ file = null } = {}) {
+        this._file = file;
+        this._cookies = [];
+        this._loaded = null;
+        this._saved = Promise.resolve();
+    }
+
+    /**
+     * Get the value of a Cookie header for an HTTP request.
+     * @param {String} url The URL of the HTTP request.
+     * @returns {Promise.<String>} A Promise that, when resolved, yields the cookie string, which is empty if no cookies apply to the request.
+     */
+    getCookieString(url) {
+        return this._load().then(() => {
+            const now = Date.now();
+            const requestUrl = new platform.URL(url);
+            const host = requestUrl.hostname.toLowerCase();
+            const secure = requestUrl.protocol === 'https:' || requestUrl.protocol === 'wss:';
+
+            // cookies with longer paths are listed first, then the earliest created
+            return this._cookies
+                .filter(
+                    cookie =>
+                        (cookie.expires === null || cookie.expires > now) &&
+                        (cookie.hostOnly ? host === cookie.domain : _domainMatches(host, cookie.domain)) &&
+                        _pathMatches(requestUrl.pathname, cookie.path) &&
+                        (!cookie.secure || secure)
+                )
+                .sort((a, b) => b.path.length - a.path.length || a.created - b.created)
+                .map(cookie => `${cookie.name}=${cookie.value}`)
+                .join('; ');
+        });
+    }
+
     /**
-     * Construct a ProgressPlug object.
-     * @param {String} [url] The initial URL for the Plug.
-     * @param {Object} params The parameters that direct the construction and behavior of the Plug. See {@see Plug} for details.
+     * Store the cookies from the Set-Cookie headers of an HTTP response.
+     * @param {String} url The URL of the HTTP request that received the response.
+     * @param {Array} cookies The values of the Set-Cookie headers.
+     * @returns {Promise} A Promise that, when resolved, indicates the cookies were stored.
      */
-    constructor(url, params) {
-        super(url, params);
+    storeCookies(url, cookies) {
+        return this._load().then(() => {
+            const now = Date.now();
+            const requestUrl = new platform.URL(url);
+            let changed = false;
+            cookies.forEach(setCookie => {
+                const cookie = _parseSetCookie(setCookie, requestUrl, now);
+                if (cookie === null) {
+                    return;
+                }
+                const index = this._cookies.findIndex(
+                    c => c.name === cookie.name && c.domain === cookie.domain && c.path === cookie.path
+                );
+                if (index !== -1) {
+                    cookie.created = this._cookies[index].created;
+                    this._cookies.splice(index, 1);
+                }
+
+                // a cookie that has already expired removes the stored cookie
+                if (cookie.expires === null || cookie.expires > now) {
+                    this._cookies.push(cookie);
+                }
+                changed = true;
+            });
+            this._cookies = this._cookies.filter(cookie => cookie.expires === null || cookie.expires > now);
+            return changed ? this._save() : Promise.resolve();
+        });
     }
 
     /**
-     * Perform an HTTP POST request, enabling progress callback notifications.
-     * @param {String} body The body of the POST.
-     * @param {String} mime The mime type of the request, set in the `Content-Type` header.
-     * @param {String} [method=POST] The HTTP method to use with the POST logic.
-     * @param {Object} [progressInfo] An object containing parameters to receive the progress notifications.
-     * @param {Number} [progressInfo.size] The Number of bytes that are uploaded before a notification callback occurs.
-     * @param {function} [progressInfo.callback] A function that is called to notify about a progress event.
-     * @returns {Promise} A Promise that, when resolved, yields the {Response} object as defined by the fetch API.
+     * Remove the cookies with a name that are sent to a host, whatever their domain and path.
+     * @param {String} url A URL of the host.
+     * @param {String} name The name of the cookies.
+     * @returns {Promise} A Promise that, when resolved, indicates the cookies were removed.
      */
-    post(body, mime, method = 'POST', progressInfo = { size: 0, callback: () => {} }) {
-        if (mime) {
-            this._headers['Content-Type'] = mime;
-        }
-        let params = this._beforeRequest({ method, body, headers: Object.assign({}, this._headers) });
-        params.progressInfo = progressInfo;
-        return _doRequest.call(this, params);
+    removeCookies(url, name) {
+        return this._load().then(() => {
+            const host = new platform.URL(url).hostname.toLowerCase();
+            const cookies = this._cookies.filter(
+                cookie =>
+                    cookie.name !== name ||
+                    !(cookie.hostOnly ? host === cookie.domain : _domainMatches(host, cookie.domain))
+            );
+            if (cookies.length === this._cookies.length) {
+                return Promise.resolve();
+            }
+            this._cookies = cookies;
+            return this._save();
+        });
     }
 
     /**
-     * Perform an HTTP PUT request, enabling progress callback notifications.
-     * @param {String} body The body of the PUT.
-     * @param {String} mime The mime type of the request, set in the `Content-Type` header.
-     * @param {Object} [progressInfo] An object containing parameters to receive the progress notifications.
-     * @param {Number} [progressInfo.size] The Number of bytes that are uploaded before a notification callback occurs.
-     * @param {function} [progressInfo.callback] A function that is called to notify about a progress event.
-     * @returns {Promise} A Promise that, when resolved, yields the {Response} object as defined by the fetch API.
+     * Remove all of the cookies.
+     * @returns {Promise} A Promise that, when resolved, indicates the cookies were removed.
      */
-    put(body, mime, progressInfo) {
-        return this.post(body, mime, 'PUT', progressInfo);
+    clear() {
+        return this._load().then(() => {
+            this._cookies = [];
+            return this._save();
+        });
+    }
+    _load() {
+        if (this._loaded === null) {
+            if (this._file === null) {
+                this._loaded = Promise.resolve();
+            } else {
+                try {
+                    _requireNode('Cookie file persistence');
+                } catch (e) {
+                    return Promise.reject(e);
+                }
+                this._loaded = require('fs')
+                    .promises.readFile(this._file, 'utf8')
+                    .then(
+                        text => {
+                            this._cookies = JSON.parse(text);
+                        },
+                        err => (err.code === 'ENOENT' ? undefined : Promise.reject(err))
+                    );
+            }
+        }
+        return this._loaded;
+    }
+    _save() {
+        if (this._file === null) {
+            return Promise.resolve();
+        }
+
+        // writes are queued so that the file always holds the latest cookies
+        const text = JSON.stringify(this._cookies, null, 2);
+        this._saved = this._saved.catch(() => {}).then(() => require('fs').promises.writeFile(this._file, text));
+        return this._saved;
     }
 }
 
@@ -784,30 +2609,61 @@ class Api {
      * @param {Settings} [settings] The {@link Settings} information to use in construction. If not supplied, the default settings are used.
      */
     constructor(settings = new Settings()) {
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki');
+        this._plug = settings.plug.at('@api', 'deki');
     }
 
     /**
      * Validate HTTP request
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} A Promise that, when resolved, indicates a successful HTTP request.
      */
-    http() {
+    http(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('http')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
-            .catch(err => Promise.reject(err));
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 
     /**
      * Validate HTTP request
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} A Promise that, when resolved, indicates a successful F1 HTTP request.
      */
-    f1() {
+    f1(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('f1')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
-            .catch(err => Promise.reject(err));
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
+    }
+}
+
+// the model parsing options of the settings that sent a request, by its response and by the data read from it
+const _responseModelParsing = new WeakMap();
+function _readModelParsing(response, data) {
+    if (data !== null && typeof data === 'object' && _responseModelParsing.has(response)) {
+        _responseModelParsing.set(data, _responseModelParsing.get(response));
+    }
+    return data;
+}
+function _withModelParsing(response, options) {
+    if (response === null || typeof response !== 'object') {
+        return response;
     }
+    _responseModelParsing.set(response, options);
+    if (typeof response.json === 'function') {
+        const json = response.json;
+        response.json = () => json.call(response).then(data => _readModelParsing(response, data));
+    }
+    return response;
+}
+function _parseResponseText(response) {
+    return _readModelParsing(response, JSON.parse(response.responseText));
 }
 
 const modelParser = {
@@ -816,8 +2672,8 @@ const modelParser = {
             return value === true || value === 'true' || value === 'True';
         },
         date(value) {
-            const dateValue = new Date(value);
-            if (isNaN(dateValue.getTime())) {
+            const dateValue = utility.toDate(value);
+            if (dateValue === null) {
                 throw new Error('Failed converting to date');
             }
             return dateValue;
@@ -841,7 +2697,7 @@ const modelParser = {
 
             // The month parameter is zero-based, so we'll need to decrement it before constructing the Date.
             parts[1]--;
-            return new Date(...parts);
+            return new Date(Date.UTC(...parts));
         },
         number(value) {
             if (typeof value === 'number') {
@@ -895,14 +2751,13 @@ const modelParser = {
         }
         return [dataModel, data];
     },
-    transformValue(value, transform) {
+    transformValue(value, transform, context = null) {
         let result = value;
         if (typeof transform === 'string') {
             result = modelParser.to[transform](value);
         } else if (Array.isArray(transform) || transform.model) {
             const [processedModel, processedData] = modelParser.processModelAndData(transform, value);
-            let parser = modelParser.createParser(processedModel);
-            result = parser(processedData);
+            result = modelParser.parseModel(processedModel, processedData, context);
         } else if (typeof transform === 'function') {
             result = transform(value);
         } else {
@@ -910,7 +2765,7 @@ const modelParser = {
         }
         return result;
     },
-    parseProperty(data, parsedObj, { field, name, isArray, transform, constructTransform }) {
+    parseProperty(data, parsedObj, { field, name, isArray, transform, constructTransform, required }, context = null) {
         if (!data || typeof data !== 'object') {
             throw new TypeError('Cannot parse a non-object');
         }
@@ -919,6 +2774,10 @@ const modelParser = {
         }
         const fields = modelParser.forceArray(field);
         let value = modelParser.getValue(data, ...fields);
+        const path = context === null ? null : `${context.path}${fields.join('.')}`;
+        if (context !== null && required && !modelParser.isValid(value)) {
+            context.report.missingFields.push(path);
+        }
         if (constructTransform && typeof constructTransform === 'function') {
             transform = constructTransform(value);
             [transform, value] = modelParser.processModelAndData(transform, value);
@@ -927,10 +2786,16 @@ const modelParser = {
             value = modelParser.forceArray(value);
         }
         if ((transform && modelParser.isValid(value)) || typeof transform === 'function') {
-            if (isArray) {
-                value = value.map(val => modelParser.transformValue(val, transform));
+            if (context === null) {
+                value = isArray
+                    ? value.map(val => modelParser.transformValue(val, transform))
+                    : modelParser.transformValue(value, transform);
+            } else if (isArray) {
+                value = value
+                    .map((val, index) => modelParser.checkedTransform(val, transform, context, `${path}[${index}]`))
+                    .filter(modelParser.isValid);
             } else {
-                value = modelParser.transformValue(value, transform);
+                value = modelParser.checkedTransform(value, transform, context, path);
             }
         }
         name = name || fields[0];
@@ -941,15 +2806,138 @@ const modelParser = {
             parsedObj[name] = value;
         }
     },
-    createParser(model) {
+    checkedTransform(value, transform, context, path) {
+        // a failed conversion is reported, and the field is left out of the parsed object
+        try {
+            const result = modelParser.transformValue(value, transform, { report: context.report, path: `${path}.` });
+            if (result === null && value !== null && typeof transform === 'string') {
+                context.report.transformErrors.push({ path, value, message: `Failed converting to ${transform}` });
+            }
+            return result;
+        } catch (e) {
+            context.report.transformErrors.push({ path, value, message: e.message });
+        }
+    },
+    parseModel(model, data, context = null) {
+        const [processedModel, processedData] = modelParser.processModelAndData(model, data);
+        const parsedObj = {};
+        processedModel.forEach(propertyModel =>
+            modelParser.parseProperty(processedData, parsedObj, propertyModel, context)
+        );
+        if (context !== null) {
+            const mappedFields = processedModel.map(({ field }) => modelParser.forceArray(field)[0]);
+            Object.keys(processedData)
+                .filter(key => !mappedFields.includes(key))
+                .forEach(key => context.report.unmappedFields.push(`${context.path}${key}`));
+        }
+        return parsedObj;
+    },
+    serializeValue(value, transform) {
+        if (typeof transform === 'string') {
+            if (value instanceof Date) {
+                return transform === 'apiDate' ? utility.getApiDateString(value) : value.toISOString();
+            }
+            return String(value);
+        }
+        if (transform && (Array.isArray(transform) || transform.model)) {
+            return modelParser.toPayload(transform, value);
+        }
+        return value;
+    },
+    toPayload(model, obj, original = null) {
+        const payload = {};
+        const dataModel = model && model.model ? model.model : model;
+        dataModel
+            .filter(({ writable }) => writable)
+            .forEach(({ field, name, isArray, transform, requestField, serialize }) => {
+                const valueKey = name || modelParser.forceArray(field)[0];
+                const value = obj[valueKey];
+                if (!modelParser.isValid(value) || value === null) {
+                    return;
+                }
+                const serializeOne = val =>
+                    typeof serialize === 'function' ? serialize(val) : modelParser.serializeValue(val, transform);
+                const serializeField = val =>
+                    isArray ? modelParser.forceArray(val).map(serializeOne) : serializeOne(val);
+
+                // a field that is unchanged from the original object is left out
+                if (
+                    original !== null &&
+                    modelParser.isValid(original[valueKey]) &&
+                    original[valueKey] !== null &&
+                    JSON.stringify(serializeField(original[valueKey])) === JSON.stringify(serializeField(value))
+                ) {
+                    return;
+                }
+
+                // a field path, such as ['license.seat', '#text'], is written as nested payload objects
+                const fields = modelParser.forceArray(requestField || field);
+                const parent = fields.slice(0, -1).reduce((target, key) => {
+                    target[key] = target[key] || {};
+                    return target[key];
+                }, payload);
+                parent[fields[fields.length - 1]] = serializeField(value);
+            });
+        return payload;
+    },
+    toJsonPayload(payload) {
+        if (Array.isArray(payload)) {
+            return payload.map(modelParser.toJsonPayload);
+        }
+        if (payload === null || typeof payload !== 'object') {
+            return payload;
+        }
+
+        // '@' attribute keys are written as plain keys, and the '#text' of an element without attributes as its value
+        const keys = Object.keys(payload);
+        if (keys.length === 1 && keys[0] === '#text') {
+            return payload['#text'];
+        }
+        const jsonPayload = {};
+        keys.forEach(key => {
+            const jsonKey = key === '#text' ? 'text' : key.replace(/^@/, '');
+            jsonPayload[jsonKey] = modelParser.toJsonPayload(payload[key]);
+        });
+        return jsonPayload;
+    },
+    createSerializer(model, { format = 'xml', root = '' } = {}) {
+        return (obj, original = null) => {
+            const payload = modelParser.toPayload(model, obj, original);
+            if (format === 'json') {
+                return JSON.stringify(modelParser.toJsonPayload(payload));
+            }
+            const writer = new _XmlWriter();
+            _writeXmlPayload(writer, root, payload);
+            return writer.toString();
+        };
+    },
+    createParser(model, options = null) {
         return data => {
+            // without explicit options, the data is parsed with the options of the settings that sent the request
+            const { mode, onReport } = options || _responseModelParsing.get(data) || _modelParsing;
+
             // If the response is an empty string, parse the response as an empty object.
             if (data === '') {
                 data = {};
             }
-            const [processedModel, processedData] = modelParser.processModelAndData(model, data);
-            const parsedObj = {};
-            processedModel.forEach(propertyModel => modelParser.parseProperty(processedData, parsedObj, propertyModel));
+            if (mode === 'lenient') {
+                return modelParser.parseModel(model, data);
+            }
+            const report = { unmappedFields: [], transformErrors: [], missingFields: [] };
+            const parsedObj = modelParser.parseModel(model, data, { report, path: '' });
+            const problemCount =
+                report.unmappedFields.length + report.transformErrors.length + report.missingFields.length;
+            if (problemCount === 0) {
+                return parsedObj;
+            }
+            if (mode === 'strict') {
+                throw new ModelParseError(`The API response does not match its model in ${problemCount} places`, {
+                    report
+                });
+            }
+            if (onReport !== null) {
+                onReport(report);
+            }
             return parsedObj;
         };
     }
@@ -1042,26 +3030,28 @@ const groupModel = [
 ];
 
 const userModel = [
-    { field: '@id', name: 'id', transform: 'number' },
+    { field: '@id', name: 'id', transform: 'number', required: true },
     { field: '@anonymous', name: 'anonymous', transform: 'boolean' },
     { field: '@wikiid', name: 'wikiId' },
     { field: '@href', name: 'href' },
     { field: 'date.created', name: 'dateCreated', transform: 'date' },
     { field: 'date.lastlogin', name: 'lastLoginDate', transform: 'date' },
-    { field: 'email' },
-    { field: 'fullname' },
-    { field: ['license.seat', '#text'], name: 'seated', transform: 'boolean' },
+    { field: 'email', writable: true },
+    { field: 'fullname', writable: true },
+    { field: 'language', writable: true },
+    { field: 'timezone', name: 'timeZone', writable: true },
+    { field: ['license.seat', '#text'], name: 'seated', transform: 'boolean', writable: true },
     { field: ['license.seat', '@owner'], name: 'siteOwner', transform: 'boolean' },
     { field: 'nick' },
     { field: ['password', '@exists'], name: 'passwordExists', transform: 'boolean' },
-    { field: 'status' },
-    { field: 'username' },
+    { field: 'status', writable: true },
+    { field: 'username', writable: true },
     { field: 'permissions.user', name: 'userPermissions', transform: permissionsModel },
     { field: ['groups', 'group'], name: 'groups', isArray: true, transform: groupModel }
 ];
 
 const pageModel = [
-    { field: '@id', name: 'id', transform: 'number' },
+    { field: '@id', name: 'id', transform: 'number', required: true },
     { field: 'title' },
     { field: '@guid', name: 'guid' },
     { field: 'uri.ui', name: 'uri' },
@@ -1176,10 +3166,153 @@ const apiErrorModel = {
                 { field: 'data' }
             ]
         },
-        { field: 'errorText' }
+        { field: 'errorText' },
+        { field: 'retryAfter' }
     ]
 };
 
+/**
+ * The base class for the errors that martian operations are rejected with.
+ */
+class MartianError extends Error {
+    /**
+     * Construct a MartianError.
+     * @param {String} message A description of the error.
+     * @param {Object} [details] Details about the cause of the error.
+     * @param {Number} [details.status=null] The HTTP status code of the failed API request.
+     * @param {Object} [details.info=null] The error information from the API response, parsed with the {@link apiErrorModel}.
+     * @param {String} [details.errorText=null] The API response text, if it could not be parsed as error information.
+     * @param {String} [details.responseText=null] The raw API response text.
+     * @param {Error} [details.cause=null] The underlying error, such as a failure of the fetch implementation.
+     */
+    constructor(message, { status = null, info = null, errorText = null, responseText = null, cause = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.info = info;
+        this.errorText = errorText;
+        this.responseText = responseText;
+        this.cause = cause;
+    }
+}
+
+/**
+ * An error for invalid arguments to a martian operation, or an HTTP 400 response from the API.
+ */
+class ValidationError extends MartianError {}
+
+/**
+ * An error for an HTTP 404 response from the API.
+ */
+class NotFoundError extends MartianError {}
+
+/**
+ * An error for an HTTP 401 or 403 response from the API.
+ */
+class ForbiddenError extends MartianError {}
+
+/**
+ * An error for an HTTP 409 or 412 response from the API.
+ */
+class ConflictError extends MartianError {}
+
+/**
+ * An error for an HTTP 429 response from the API.
+ */
+class RateLimitError extends MartianError {
+    /**
+     * Construct a RateLimitError.
+     * @param {String} message A description of the error.
+     * @param {Object} [details] Details about the cause of the error. See {@link MartianError} for details.
+     * @param {Number} [details.retryAfter=null] The time, in milliseconds, that the API asked to wait before retrying.
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.retryAfter = 'retryAfter' in details ? details.retryAfter : null;
+    }
+}
+
+/**
+ * An error for an API request that failed without a response, such as a connection failure.
+ */
+class NetworkError extends MartianError {}
+
+/**
+ * An error for an API request that did not receive a response within the configured timeout.
+ */
+class TimeoutError extends NetworkError {
+    /**
+     * Construct a TimeoutError.
+     * @param {String} message A description of the error.
+     * @param {Object} [details] Details about the cause of the error. See {@link MartianError} for details.
+     * @param {Number} [details.timeout=null] The timeout, in milliseconds, that elapsed.
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.timeout = 'timeout' in details ? details.timeout : null;
+    }
+}
+
+/**
+ * An error for an API request that was cancelled through its abort signal.
+ */
+class AbortError extends MartianError {}
+
+/**
+ * An error for an API response that does not match its model, when {@see Settings.modelParsing} is in the `strict` mode.
+ */
+class ModelParseError extends MartianError {
+    /**
+     * Construct a ModelParseError.
+     * @param {String} message A description of the error.
+     * @param {Object} [details] Details about the cause of the error. See {@link MartianError} for details.
+     * @param {Object} [details.report=null] The report of the fields that are not in the model (`unmappedFields`), the failed conversions (`transformErrors`) and the missing required fields (`missingFields`).
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.report = 'report' in details ? details.report : null;
+    }
+}
+
+const _statusErrors = {
+    400: ValidationError,
+    401: ForbiddenError,
+    403: ForbiddenError,
+    404: NotFoundError,
+    409: ConflictError,
+    412: ConflictError,
+    429: RateLimitError
+};
+function _networkError(err) {
+    return err instanceof MartianError ? err : new NetworkError(err.message, { cause: err });
+}
+function _toMartianError(err, modelParsing = _modelParsing) {
+    // transport failures are already a NetworkError, and any other error, such as one from a bug in a middleware, is
+    // passed on as it is
+    if (err instanceof Error) {
+        return err;
+    }
+    if (err === null || typeof err !== 'object' || typeof err.status !== 'number') {
+        return new MartianError(String(err));
+    }
+
+    // an error response that does not match its model is reported instead of replacing the error of the request
+    const { mode, onReport } = modelParsing;
+    const parsed = modelParser.createParser(apiErrorModel, { mode: mode === 'strict' ? 'report' : mode, onReport })(
+        Object.assign({}, err)
+    );
+    const details = {
+        status: err.status,
+        info: parsed.info || null,
+        errorText: parsed.errorText || null,
+        responseText: typeof err.responseText === 'string' ? err.responseText : null,
+        retryAfter: _parseRetryAfter(err.retryAfter)
+    };
+    const message = (parsed.info && parsed.info.message) || err.message || `HTTP ${err.status}`;
+    const ErrorType = _statusErrors[err.status] || MartianError;
+    return new ErrorType(message, details);
+}
+
 /**
  * A class to manage individual Context IDs.
  */
@@ -1191,44 +3324,63 @@ class ContextDefinition {
      */
     constructor(id, settings = new Settings()) {
         if (!id) {
-            throw new Error('an ID must be supplied to create a new ContextDefinition');
+            throw new ValidationError('an ID must be supplied to create a new ContextDefinition');
         }
         this.id = id;
-        this.plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'contexts', id);
+        this.plug = settings.plug.at('@api', 'deki', 'contexts', id);
     }
 
     /**
      * Get the Context ID information from the API.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<contextIdModel>} A promise that, when resolved, yields a {@link contextIdModel} object.
      */
-    getInfo() {
+    getInfo(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this.plug
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(contextIdModel));
+            .then(modelParser.createParser(contextIdModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Set or overwrite the description of the Context ID
      * @param {String} description The new description to use for the Context ID.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<contextIdModel>} A promise that, when resolved, yields a contextIdModel object.
      */
-    updateDescription(description = '') {
-        const updateRequest = `<context><id>${this.id}</id><description>${description}</description></context>`;
+    updateDescription(description = '', requestOptions = {}) {
+        const updateRequest = new _XmlWriter()
+            .open('context')
+            .element('id', this.id)
+            .element('description', description)
+            .close()
+            .toString();
+        const rawResponse = _withRawResponse(requestOptions);
         return this.plug
-            .put(updateRequest, 'application/xml; charset=utf-8')
+            .withRequestOptions(rawResponse.requestOptions)
+            .put(updateRequest, utility.xmlRequestType)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(contextIdModel));
+            .then(modelParser.createParser(contextIdModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Remove this Context ID from the system.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} A Promise that, when resolved, indicates a successful deletion of the Context ID.
      */
-    delete() {
-        return this.plug.delete().catch(err => Promise.reject(err));
+    delete(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
+        return this.plug
+            .withRequestOptions(rawResponse.requestOptions)
+            .delete()
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 }
 
@@ -1244,52 +3396,68 @@ class ContextMap {
      */
     constructor(language, id, settings = new Settings()) {
         if (!id || !language) {
-            throw new Error('an ID and language must be supplied to create a new ContextMap');
+            throw new ValidationError('an ID and language must be supplied to create a new ContextMap');
         }
         this.id = id;
         this.language = language;
-        this.plug = new Plug(settings.host, settings.plugConfig)
-            .at('@api', 'deki', 'contextmaps', language, id)
-            .withParam('verbose', 'true');
+        this.plug = settings.plug.at('@api', 'deki', 'contextmaps', language, id).withParam('verbose', 'true');
     }
 
     /**
      * Gets the information for the Context Mapping.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<contextMapModel>} A promise that, when resolved, yields a {@link contextMapModel} object.
      */
-    getInfo() {
+    getInfo(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this.plug
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(contextMapModel));
+            .then(modelParser.createParser(contextMapModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Sets or changes the page ID for the Context ID mapping.
      * @param {Number} pageId The page ID to use for the Context ID mapping.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<contextMapModel>} A promise that, when resolved, yields a {@link contextMapModel} object.
      */
-    update(pageId) {
+    update(pageId, requestOptions = {}) {
         if (!pageId) {
-            return Promise.reject(new Error('a page ID must be supplied in order to update a mapping'));
-        }
-        const updateRequest = `<contextmap><id>${this.id}</id><pageid>${pageId}</pageid><language>${
-            this.language
-        }</language></contextmap>`;
+            return Promise.reject(new ValidationError('a page ID must be supplied in order to update a mapping'));
+        }
+        const updateRequest = new _XmlWriter()
+            .open('contextmap')
+            .element('id', this.id)
+            .element('pageid', pageId)
+            .element('language', this.language)
+            .close()
+            .toString();
+        const rawResponse = _withRawResponse(requestOptions);
         return this.plug
-            .put(updateRequest, 'application/xml; charset=utf-8')
+            .withRequestOptions(rawResponse.requestOptions)
+            .put(updateRequest, utility.xmlRequestType)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(contextMapModel));
+            .then(modelParser.createParser(contextMapModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Removes a mapping between a Context ID and an associated page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} A Promise that, when resolved, indicates a successful removal of the mapping.
      */
-    remove() {
-        return this.plug.delete().catch(err => Promise.reject(err));
+    remove(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
+        return this.plug
+            .withRequestOptions(rawResponse.requestOptions)
+            .delete()
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 }
 
@@ -1302,32 +3470,36 @@ class ContextIdManager {
      * @param {Settings} [settings] The {@link Settings} information to use in construction. If not supplied, the default settings are used.
      */
     constructor(settings = new Settings()) {
-        this.mapsPlug = new Plug(settings.host, settings.plugConfig)
-            .at('@api', 'deki', 'contextmaps')
-            .withParam('verbose', 'true');
-        this.definitionsPlug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'contexts');
+        this.mapsPlug = settings.plug.at('@api', 'deki', 'contextmaps').withParam('verbose', 'true');
+        this.definitionsPlug = settings.plug.at('@api', 'deki', 'contexts');
         this._settings = settings;
-        this._errorParser = modelParser.createParser(apiErrorModel);
     }
 
     /**
      * Get all of the Context ID Mappings that are defined.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<contextMapsModel>} A promise that, when resolved, yields a {@link contextMapsModel} object.
      */
-    getMaps() {
+    getMaps(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this.mapsPlug
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(contextMapsModel));
+            .then(modelParser.createParser(contextMapsModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Get all of the Context ID Definitions that are defined.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<contextIdsModel>} A promise that, when resolved, yields a {@link contextIdsModel} object.
      */
-    getDefinitions() {
+    getDefinitions(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this.definitionsPlug
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
@@ -1338,25 +3510,37 @@ class ContextIdManager {
                 }
                 return response;
             })
-            .then(modelParser.createParser(contextIdsModel));
+            .then(modelParser.createParser(contextIdsModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Add a new Context ID Definition to the system.
      * @param {String} id The ID to use for the new definition.
      * @param {String} [description=''] The initial description to set for the definition.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<contextIdModel>} A promise that, when resolved, yields a {@link contextIdModel} object.
      */
-    addDefinition(id, description = '') {
+    addDefinition(id, description = '', requestOptions = {}) {
         if (!id) {
-            return Promise.reject(new Error('an ID must be supplied to add a definition'));
-        }
-        const addRequest = `<contexts><context><id>${id}</id><description>${description}</description></context></contexts>`;
+            return Promise.reject(new ValidationError('an ID must be supplied to add a definition'));
+        }
+        const addRequest = new _XmlWriter()
+            .open('contexts')
+            .open('context')
+            .element('id', id)
+            .element('description', description)
+            .close()
+            .close()
+            .toString();
+        const rawResponse = _withRawResponse(requestOptions);
         return this.definitionsPlug
-            .post(addRequest, 'application/xml; charset=utf-8')
-            .catch(err => Promise.reject(this._errorParser(err)))
+            .withRequestOptions(rawResponse.requestOptions)
+            .post(addRequest, utility.xmlRequestType)
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(contextIdModel));
+            .then(modelParser.createParser(contextIdModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -1393,6 +3577,8 @@ const _htmlEscapeChars = {
     "'": '#39'
 };
 const _regexString = new RegExp(`${Object.keys(_htmlEscapeChars).reduce((prev, key) => `${prev}${key}`, '[')}]`, 'g');
+const _isoLocalDateTime = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+const _isoDateTime = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
 
 const utility = {
     xmlRequestType: 'application/xml; charset=utf-8',
@@ -1412,7 +3598,7 @@ const utility = {
     },
     getResourceId(id, defaultId) {
         if (!id && !defaultId) {
-            throw new Error('Unable to resolve the input ID to an API resource ID');
+            throw new ValidationError('Unable to resolve the input ID to an API resource ID');
         }
         let resourceId = defaultId;
         if (typeof id === 'string' && id !== defaultId) {
@@ -1433,13 +3619,13 @@ const utility = {
         } else if (typeof token === 'number') {
             resourceId = token;
         } else {
-            throw new Error('The user activity token must be a string or number');
+            throw new ValidationError('The user activity token must be a string or number');
         }
         return resourceId;
     },
     getFilenameId(filename) {
         if (typeof filename !== 'string') {
-            throw new Error('The filename must be a string');
+            throw new ValidationError('The filename must be a string');
         }
         let encodedName = encodeURIComponent(encodeURIComponent(filename));
         if (!filename.includes('.')) {
@@ -1449,14 +3635,30 @@ const utility = {
         }
         return encodedName;
     },
-    getApiDateString(date) {
+    toDate(value) {
+        let date = null;
+        if (value instanceof Date) {
+            date = new Date(value.getTime());
+        } else if (typeof value === 'number') {
+            date = new Date(value);
+        } else if (typeof value === 'string') {
+            // ISO 8601 date-times without an offset are UTC, as they are in the API, rather than local time
+            date = new Date(_isoLocalDateTime.test(value) ? `${value}Z` : value);
+        }
+        return date === null || isNaN(date.getTime()) ? null : date;
+    },
+    getApiDateString(value) {
+        const date = utility.toDate(value);
+        if (date === null) {
+            throw new ValidationError('The date must be a Date, an ISO 8601 string or an epoch number');
+        }
         const dateParts = {
-            year: date.getFullYear(),
-            month: `0${date.getMonth() + 1}`.slice(-2),
-            day: `0${date.getDate()}`.slice(-2),
-            hours: `0${date.getHours()}`.slice(-2),
-            minutes: `0${date.getMinutes()}`.slice(-2),
-            seconds: `0${date.getSeconds()}`.slice(-2)
+            year: date.getUTCFullYear(),
+            month: `0${date.getUTCMonth() + 1}`.slice(-2),
+            day: `0${date.getUTCDate()}`.slice(-2),
+            hours: `0${date.getUTCHours()}`.slice(-2),
+            minutes: `0${date.getUTCMinutes()}`.slice(-2),
+            seconds: `0${date.getUTCSeconds()}`.slice(-2)
         };
         return `${dateParts.year}${dateParts.month}${dateParts.day}${dateParts.hours}${dateParts.minutes}${
             dateParts.seconds
@@ -1470,7 +3672,121 @@ const utility = {
         });
         return params;
     }
-};
+};
+
+// characters that an XML 1.0 document cannot contain, even when they are escaped
+const _invalidXmlChars = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+const _xmlNamePattern = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+function _xmlName(name) {
+    if (typeof name !== 'string' || !_xmlNamePattern.test(name)) {
+        throw new ValidationError(`"${name}" is not a valid XML element or attribute name`);
+    }
+    return name;
+}
+function _escapeXml(value) {
+    return utility.escapeHTML(String(value).replace(_invalidXmlChars, ''));
+}
+
+/**
+ * A writer for XML request bodies. Element and attribute names are validated, and text and attribute values are escaped.
+ */
+class _XmlWriter {
+    constructor() {
+        this._xml = '';
+        this._openElements = [];
+    }
+
+    /**
+     * Write the start tag of an element, which is closed by a later call to {@see _XmlWriter#close}.
+     * @param {String} name The element name.
+     * @param {Object} [attributes] An object mapping attribute names with values. Attributes with a null or undefined value are left out.
+     * @returns {_XmlWriter} The writer, to chain more calls.
+     */
+    open(name, attributes = {}) {
+        const attributesXml = Object.keys(attributes)
+            .filter(key => attributes[key] !== null && typeof attributes[key] !== 'undefined')
+            .map(key => ` ${_xmlName(key)}="${_escapeXml(attributes[key])}"`)
+            .join('');
+        this._xml += `<${_xmlName(name)}${attributesXml}>`;
+        this._openElements.push(name);
+        return this;
+    }
+
+    /**
+     * Write the end tag of the element that was opened last.
+     * @returns {_XmlWriter} The writer, to chain more calls.
+     */
+    close() {
+        if (this._openElements.length === 0) {
+            throw new Error('There is no open XML element to close');
+        }
+        this._xml += `</${this._openElements.pop()}>`;
+        return this;
+    }
+
+    /**
+     * Write an element that only contains text.
+     * @param {String} name The element name.
+     * @param {*} [value] The text of the element. It is converted to a string, unless it is null or undefined, which leaves the element empty.
+     * @param {Object} [attributes] An object mapping attribute names with values.
+     * @returns {_XmlWriter} The writer, to chain more calls.
+     */
+    element(name, value, attributes = {}) {
+        return this.open(name, attributes)
+            .text(value)
+            .close();
+    }
+
+    /**
+     * Write text in the element that is open.
+     * @param {*} value The text. It is converted to a string, unless it is null or undefined, which writes nothing.
+     * @returns {_XmlWriter} The writer, to chain more calls.
+     */
+    text(value) {
+        if (value !== null && typeof value !== 'undefined') {
+            this._xml += _escapeXml(value);
+        }
+        return this;
+    }
+
+    /**
+     * Get the XML that is written. Every element must be closed.
+     * @returns {String} The XML.
+     */
+    toString() {
+        if (this._openElements.length > 0) {
+            throw new Error(`The <${this._openElements[this._openElements.length - 1]}> XML element is not closed`);
+        }
+        return this._xml;
+    }
+}
+
+function _writeXmlPayload(writer, name, value) {
+    if (Array.isArray(value)) {
+        value.forEach(item => _writeXmlPayload(writer, name, item));
+        return;
+    }
+    if (value === null || typeof value !== 'object') {
+        writer.element(name, value);
+        return;
+    }
+
+    // payload objects follow the API JSON format, where '@' keys are attributes and '#text' is the element text
+    const keys = Object.keys(value);
+    const attributes = {};
+    keys.filter(key => key[0] === '@').forEach(key => {
+        attributes[key.slice(1)] = value[key];
+    });
+    writer.open(name, attributes);
+    keys.filter(key => key[0] !== '@').forEach(key => {
+        if (key === '#text') {
+            writer.text(value[key]);
+        } else {
+            _writeXmlPayload(writer, key, value[key]);
+        }
+    });
+    writer.close();
+}
 
 const developerTokenModel = [
     { field: '@id', name: 'id', transform: 'number' },
@@ -1486,8 +3802,6 @@ const developerTokensModel = [
     { field: 'developer-token', name: 'developerTokens', isArray: true, transform: developerTokenModel }
 ];
 
-const _errorParser = modelParser.createParser(apiErrorModel);
-
 /**
  * A class for managing a site's developer tokens.
  */
@@ -1497,19 +3811,23 @@ class DeveloperTokenManager {
      * @param {Settings} settings The {@link Settings} information to use in construction. If not supplied, the default settings are used.
      */
     constructor(settings = new Settings()) {
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'site', 'developer-tokens');
+        this._plug = settings.plug.at('@api', 'deki', 'site', 'developer-tokens');
     }
 
     /**
      * Get a listing of all of the developer tokens currently defined on the site.
-     * @returns {Promise} A Promise that, when resolved, yields a developerTokensModel representing the listing of the site's developer tokens.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<developerTokensModel>} A Promise that, when resolved, yields a developerTokensModel representing the listing of the site's developer tokens.
      */
-    getTokens() {
+    getTokens(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(developerTokensModel));
+            .then(modelParser.createParser(developerTokensModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -1517,22 +3835,26 @@ class DeveloperTokenManager {
      * @param {Object} options Options to direct the creation of the token.
      * @param {String} name The name of the token to create.
      * @param {String} [host] The hostname to associate with a 'browser' developer token. If omitted, a 'server' token will be created.
-     * @returns {Promise} A Promise that, when resolved, yields a developerTokenModel contiaining the information about the new token.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<developerTokenModel>} A Promise that, when resolved, yields a developerTokenModel contiaining the information about the new token.
      */
-    addToken({ name, host } = {}) {
+    addToken({ name, host } = {}, requestOptions = {}) {
         if (!name) {
-            return Promise.reject(new Error('The name must be supplied when adding a new developer token'));
+            return Promise.reject(new ValidationError('The name must be supplied when adding a new developer token'));
         }
-        let requestXml = `<developer-token><name>${name}</name>`;
+        const writer = new _XmlWriter().open('developer-token').element('name', name);
         if (host) {
-            requestXml += `<host>${host}</host>`;
+            writer.element('host', host);
         }
-        requestXml += '</developer-token>';
+        const requestXml = writer.close().toString();
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
+            .withRequestOptions(rawResponse.requestOptions)
             .post(requestXml, utility.xmlRequestType)
-            .catch(err => Promise.reject(_errorParser(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(developerTokenModel));
+            .then(modelParser.createParser(developerTokenModel))
+            .then(rawResponse.result);
     }
 }
 
@@ -1544,17 +3866,92 @@ class DeveloperToken {
      */
     constructor(id, settings = new Settings()) {
         if (!id) {
-            throw new Error('The id must be supplied to create a new DeveloperToken instance');
+            throw new ValidationError('The id must be supplied to create a new DeveloperToken instance');
         }
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'site', 'developer-tokens', id);
+        this._plug = settings.plug.at('@api', 'deki', 'site', 'developer-tokens', id);
     }
 
     /**
      * Delete the token from the site.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} A Promise that, when resolved, indicates a successful deletion of the token.
      */
-    delete() {
-        return this._plug.delete().catch(err => Promise.reject(_errorParser(err)));
+    delete(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
+        return this._plug
+            .withRequestOptions(rawResponse.requestOptions)
+            .delete()
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
+    }
+}
+
+/**
+ * A class that signs server API tokens with the key and secret of a developer token, so that server-side API requests are sent as a user.
+ */
+class DeveloperTokenSigner {
+    /**
+     * Construct a new DeveloperTokenSigner instance.
+     * @param {Object} options The options for the signer.
+     * @param {String|function} options.key The developer token key. If a function is supplied, it should return the key as a string, or a Promise that yields it.
+     * @param {String|function} options.secret The developer token secret. If a function is supplied, it should return the secret as a string, or a Promise that yields it, such as from a secrets vault. It is called each time a token is signed.
+     * @param {String|Number} [options.user='admin'] The username or numeric ID of the user to send the API requests as.
+     */
+    constructor({ key, secret, user = 'admin' } = {}) {
+        if (!key || !secret) {
+            throw new ValidationError(
+                'The key and secret must be supplied to create a new DeveloperTokenSigner instance'
+            );
+        }
+        this._key = key;
+        this._secret = secret;
+        this._user = user;
+    }
+
+    /**
+     * Get a function that signs a new token each time it is called, to use as the `token` option of {@see Settings}.
+     */
+    get tokenProvider() {
+        return () => this.sign();
+    }
+
+    /**
+     * Get a signer with the same key and secret that signs tokens for another user.
+     * @param {String|Number} user The username or numeric ID of the user to send the API requests as.
+     * @returns {DeveloperTokenSigner} The new signer.
+     */
+    forUser(user) {
+        return new DeveloperTokenSigner({ key: this._key, secret: this._secret, user });
+    }
+
+    /**
+     * Sign a new server API token.
+     * @param {String|Number} [user] The username or numeric ID of the user to send the API requests as. If not supplied, the user of the signer is used.
+     * @returns {Promise.<String>} A Promise that, when resolved, yields the token, in the form `tkn_<key>_<epoch>_<user>_<hmac>`.
+     */
+    sign(user = this._user) {
+        const epoch = Math.floor(Date.now() / 1000);
+        const userId = typeof user === 'number' || user.startsWith('=') ? user : `=${user}`;
+        const resolve = value => Promise.resolve(typeof value === 'function' ? value() : value);
+        return Promise.all([resolve(this._key), resolve(this._secret)]).then(([key, secret]) => {
+            const message = `${key}_${epoch}_${userId}`;
+            return platform.hmacSha256(secret, message).then(hash => `tkn_${message}_${hash}`);
+        });
+    }
+
+    /**
+     * Get a representation of the signer for serialization, with the secret redacted.
+     * @returns {Object} The serializable signer.
+     */
+    toJSON() {
+        return {
+            key: typeof this._key === 'string' ? this._key : _redactedValue,
+            secret: _redactedValue,
+            user: this._user
+        };
+    }
+    [_inspectSymbol]() {
+        return Object.assign(Object.create({ constructor: DeveloperTokenSigner }), this.toJSON());
     }
 }
 
@@ -1682,8 +4079,6 @@ const recommendedTagsModelParser = [
     }
 ];
 
-const _errorParser$1 = modelParser.createParser(apiErrorModel);
-
 function _handleVirtualPage(error) {
     if (error.status === 404 && error.responseText) {
         let responseJson = JSON.parse(error.responseText);
@@ -1694,15 +4089,63 @@ function _handleVirtualPage(error) {
     }
     throw error;
 }
+
+/**
+ * Options that direct the HTTP request that a manager method sends.
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] A signal that, when aborted, cancels the HTTP request.
+ * @property {Object} [retry] A retry policy that replaces the one of the {@link Settings}. See {@see Plug} for the available policy options.
+ * @property {HttpCache|Boolean} [cache] A cache that replaces the one of the {@link Settings}, or `false` to bypass the cache.
+ * @property {Array} [middleware] Middleware for the HTTP request, which runs ahead of the middleware of the {@link Settings}. See {@see Plug} for the middleware format.
+ * @property {Boolean} [raw=false] Resolve with a {@link RawResult}, which adds the response and its unparsed body to the data that the method resolves with otherwise.
+ */
+
+/**
+ * The result of a manager method that is called with the `raw` request option.
+ * @template T
+ * @typedef {Object} RawResult
+ * @property {T} data The data that the method resolves with without the `raw` option.
+ * @property {Response} response The response of the last API request that the method sent.
+ * @property {?String} rawBody The unparsed body of the response. It is null for a streamed or binary response, such as a file download, so that its body is not read twice.
+ */
+
+// a manager method with the `raw` request option resolves with a RawResult, which reads the body of a text response
+// a second time, and leaves the body of a streamed or binary response to the method alone
+const _textContentType = /^(text\/|application\/([\w.-]+\+)?(json|xml|javascript)\b)/i;
+function _withRawResponse(requestOptions, { readBody = true } = {}) {
+    if (!requestOptions.raw) {
+        return { requestOptions, result: data => data };
+    }
+    let exchange = { response: null, rawBody: null };
+    const recorder = {
+        response(response) {
+            let body = Promise.resolve(null);
+            if (typeof response.clone !== 'function') {
+                body = Promise.resolve(response.responseText);
+            } else if (readBody && _textContentType.test(response.headers.get('Content-Type') || '')) {
+                body = response.clone().text();
+            }
+            return body.then(rawBody => {
+                exchange = { response, rawBody };
+                return response;
+            });
+        }
+    };
+    return {
+        requestOptions: Object.assign({}, requestOptions, {
+            middleware: [recorder, ...(requestOptions.middleware || [])]
+        }),
+        result: data => ({ data, response: exchange.response, rawBody: exchange.rawBody })
+    };
+}
 function _getSaveXML(data) {
-    let template = '';
+    const writer = new _XmlWriter().open('tags');
     if (Array.isArray(data)) {
         data.forEach(tag => {
-            template = `${template}<tag value="${utility.escapeHTML(tag)}" />`;
+            writer.element('tag', null, { value: tag });
         });
     }
-    template = `<tags>${template}</tags>`;
-    return template;
+    return writer.close().toString();
 }
 /**
  * The base class for managing a published page.
@@ -1718,30 +4161,37 @@ class PageBase {
     /**
      * Gets the full page information.
      * @param {Object} [params] - Additional parameters to direct the API request.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageModel>} - A Promise that, when resolved, yields a {@link pageModel} containing the full page information.
      */
-    getFullInfo(params = {}) {
+    getFullInfo(params = {}, requestOptions = {}) {
         let pageModelParser = modelParser.createParser(pageModel);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .then(r => r.json())
             .then(pageModelParser)
-            .catch(_handleVirtualPage);
+            .catch(_handleVirtualPage)
+            .then(rawResponse.result);
     }
-    getContents(params) {
+    getContents(params, requestOptions = {}) {
         let pageContentsModelParser = modelParser.createParser(pageContentsModel);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('contents')
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(pageContentsModelParser);
+            .then(pageContentsModelParser)
+            .then(rawResponse.result);
     }
-    setContents(contents, params = {}) {
+    setContents(contents, params = {}, requestOptions = {}) {
         if (typeof contents !== 'string') {
-            return Promise.reject(new Error('Contents should be string.'));
+            return Promise.reject(new ValidationError('Contents should be string.'));
         }
         let contentsParams = {
             edittime: 'now'
@@ -1750,93 +4200,135 @@ class PageBase {
             contentsParams[key] = params[key];
         });
         let pageEditModelParser = modelParser.createParser(pageEditModel);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('contents')
             .withParams(contentsParams)
+            .withRequestOptions(rawResponse.requestOptions)
             .post(contents, utility.textRequestType)
-            .catch(err => Promise.reject(_errorParser$1(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(pageEditModelParser);
+            .then(pageEditModelParser)
+            .then(rawResponse.result);
     }
-    getFiles(params = {}) {
+    getFiles(params = {}, requestOptions = {}) {
         let pageFilesModelParser = modelParser.createParser(pageFilesModel);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('files')
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(pageFilesModelParser);
+            .then(pageFilesModelParser)
+            .then(rawResponse.result);
     }
-    attachFile(file, { name = file.name, size = file.size, type = file.type, progress = null } = {}) {
+
+    /**
+     * Attach a file to the page.
+     * @param {Blob|Uint8Array|AsyncIterable.<(Uint8Array|String)>} file - The file object to upload. With a `progress` function in node, this may also be a Buffer, a readable stream or an async iterable of chunks, which is streamed to the API.
+     * @param {Object} [options] - The file information options, which are populated from the `file` parameter by default.
+     * @param {String} [options.name] - The filename of the attachment.
+     * @param {Number} [options.size] - The size of the file, in bytes.
+     * @param {String} [options.type] - The mime type of the file.
+     * @param {function} [options.progress] - A function that is called with the `loaded` and `total` number of bytes as the file is uploaded.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<fileModel>} - A Promise that, when resolved, yields the information of the attached file.
+     */
+    attachFile(
+        file,
+        { name = file.name, size = file.size, type = file.type, progress = null } = {},
+        requestOptions = {}
+    ) {
+        const rawResponse = _withRawResponse(requestOptions);
         if (progress !== null) {
-            const progressPlug = new ProgressPlug(this._plug.url, this._settings.plugConfig);
             const progressInfo = { callback: progress, size };
-            return progressPlug
+            return this._progressPlug
                 .at('files', encodeURIComponent(encodeURIComponent(name)))
+                .withRequestOptions(rawResponse.requestOptions)
                 .put(file, type, progressInfo)
                 .catch(err => Promise.reject(err))
-                .then(r => JSON.parse(r.responseText))
-                .then(modelParser.createParser(fileModel));
+                .then(_parseResponseText)
+                .then(modelParser.createParser(fileModel))
+                .then(rawResponse.result);
         }
         return this._plug
             .withHeader('Content-Length', size)
             .at('files', encodeURIComponent(name))
+            .withRequestOptions(rawResponse.requestOptions)
             .put(file, type)
             .catch(err => Promise.reject(err))
-            .then(r => r.json());
+            .then(r => r.json())
+            .then(rawResponse.result);
     }
-    getOverview() {
+    getOverview(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('overview')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageOverviewModel));
+            .then(modelParser.createParser(pageOverviewModel))
+            .then(rawResponse.result);
     }
-    setOverview(options = {}) {
+    setOverview(options = {}, requestOptions = {}) {
         if (!('body' in options)) {
-            return Promise.reject(new Error('No overview body was supplied'));
+            return Promise.reject(new ValidationError('No overview body was supplied'));
         }
-        let request = `<overview>${utility.escapeHTML(options.body)}</overview>`;
+        const request = new _XmlWriter().element('overview', options.body).toString();
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('overview')
+            .withRequestOptions(rawResponse.requestOptions)
             .put(request, utility.xmlRequestType)
-            .catch(err => Promise.reject(err));
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
-    getTags() {
+    getTags(requestOptions = {}) {
         let pageTagsModelParser = modelParser.createParser(pageTagsModel);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('tags')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(pageTagsModelParser);
+            .then(pageTagsModelParser)
+            .then(rawResponse.result);
     }
-    setTags(params = {}, queryParams = {}) {
+    setTags(params = {}, queryParams = {}, requestOptions = {}) {
         const XMLData = _getSaveXML(params);
         const pageTagsModelParser = modelParser.createParser(pageTagsModel);
 
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('tags')
             .withParams(queryParams)
-            .put(XMLData, 'application/xml')
+            .withRequestOptions(rawResponse.requestOptions)
+            .put(XMLData, utility.xmlRequestType)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(pageTagsModelParser);
+            .then(pageTagsModelParser)
+            .then(rawResponse.result);
     }
 
     /**
      * Get recommended tags for a page
-     * @returns {Promise} A Promise that, when resolved yields a list of recommended tags.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<recommendedTagsModelParser>} A Promise that, when resolved yields a list of recommended tags.
      */
-    getRecommendedTags() {
+    getRecommendedTags(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('tags', 'recommended')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
-            .catch(err => Promise.reject(_errorParser$1(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(recommendedTagsModelParser));
+            .then(modelParser.createParser(recommendedTagsModelParser))
+            .then(rawResponse.result);
     }
 
     /**
@@ -1846,40 +4338,49 @@ class PageBase {
      * @param {String|Number} [params.revision=head] Positive integer or a TimeUUID of the page revision to retrieve.
      * @param {String} [params.includeVersions=false] Specifies whether the returned diff will include only the combined diff, or if the previous and current revision changes will also be included.
      * @param {String} [params.format=html] The format of the resulting diff. Must be one of "html" or "xhtml".
-     * @returns {Promise} A Promise that, when resolved, yields a pageDiffModel containing the HTML representations of the diff.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageDiffModel>} A Promise that, when resolved, yields a pageDiffModel containing the HTML representations of the diff.
      */
-    getDiff({ previous, revision = 'head', includeVersions = false, format = 'html' } = {}) {
+    getDiff({ previous, revision = 'head', includeVersions = false, format = 'html' } = {}, requestOptions = {}) {
         if (!previous) {
-            return Promise.reject(new Error('The `previous` parameter must be supplied.'));
+            return Promise.reject(new ValidationError('The `previous` parameter must be supplied.'));
         }
         if (typeof previous !== 'string' && typeof previous !== 'number') {
-            return Promise.reject(new Error('The `previous` parameter must be a number or a string.'));
+            return Promise.reject(new ValidationError('The `previous` parameter must be a number or a string.'));
         }
         if (typeof revision !== 'string' && typeof revision !== 'number') {
-            return Promise.reject(new Error('The revision parameter must be a number or a string.'));
+            return Promise.reject(new ValidationError('The revision parameter must be a number or a string.'));
         }
         if (typeof includeVersions !== 'boolean') {
-            return Promise.reject(new Error('The `includeVersions` parameter must be a Boolean value.'));
+            return Promise.reject(new ValidationError('The `includeVersions` parameter must be a Boolean value.'));
         }
         if (format !== 'html' && format !== 'xhtml') {
-            return Promise.reject(new Error('The `format` parameter must be a string equal to "html" or "xhtml".'));
+            return Promise.reject(
+                new ValidationError('The `format` parameter must be a string equal to "html" or "xhtml".')
+            );
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('diff')
             .withParams({ previous, revision, diff: includeVersions ? 'all' : 'combined', format })
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
-            .catch(err => Promise.reject(_errorParser$1(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageDiffModel));
+            .then(modelParser.createParser(pageDiffModel))
+            .then(rawResponse.result);
     }
-    getRelated(params = {}) {
+    getRelated(params = {}, requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('related')
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(relatedPagesModel));
+            .then(modelParser.createParser(relatedPagesModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -1888,39 +4389,43 @@ class PageBase {
      * @param {String|Number} options.fromRevision - Revision number of page or a TimeUUID string that will become the new head revision.
      * @param {String} [options.abort=conflict] - The condition under which to prevent the revert operation. Must be one of 'never' or 'conflict'.
      * @param {Boolean} [options.verbose=false] - Specifies whether or not the conflicted elements will be returned in the response.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} - A Promise that will be resolved when the revert operation is complete, or rejected with an error specifying the reason for rejection.
      */
-    revert(options) {
+    revert(options, requestOptions = {}) {
         if (!options) {
-            return Promise.reject(new Error('The revert options must be specified.'));
+            return Promise.reject(new ValidationError('The revert options must be specified.'));
         }
         if (typeof options.fromRevision !== 'string' && typeof options.fromRevision !== 'number') {
             return Promise.reject(
-                new Error('The fromRevision parameter must be specified, and must be a string or a number.')
+                new ValidationError('The fromRevision parameter must be specified, and must be a string or a number.')
             );
         }
         const params = { fromrevision: options.fromRevision };
         if (options.abort) {
             if (typeof options.abort !== 'string' || (options.abort !== 'never' && options.abort !== 'conflict')) {
-                return Promise.reject(new Error('The `abort` parameter must be set to "conflict" or "never".'));
+                return Promise.reject(
+                    new ValidationError('The `abort` parameter must be set to "conflict" or "never".')
+                );
             }
             params.abort = options.abort;
         }
         if ('verbose' in options && options.verbose !== true && options.verbose !== false) {
-            return Promise.reject(new Error('The `verbose` parameter must be a Boolean value.'));
+            return Promise.reject(new ValidationError('The `verbose` parameter must be a Boolean value.'));
         }
         params.allow = options.allow;
         params.abort = options.abort;
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('revert')
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .post(null, utility.textRequestType)
-            .catch(err => Promise.reject(err));
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 }
 
-const _errorParser$2 = modelParser.createParser(apiErrorModel);
-
 /**
  * A class for managing a single unpublished draft page.
  * @augments PageBase
@@ -1935,64 +4440,81 @@ class Draft extends PageBase {
     constructor(id = 'home', settings = new Settings()) {
         super(id);
         this._settings = settings;
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'drafts', this._id);
+        this._plug = settings.plug.at('@api', 'deki', 'drafts', this._id);
+        this._progressPlug = settings.progressPlug.at('@api', 'deki', 'drafts', this._id);
     }
 
     /**
      * Deactivate the current draft and revert to the published page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageModel>} - A Promise that, when resolved, yields a {@link pageModel} for the deactivated page.
      */
-    deactivate() {
+    deactivate(requestOptions = {}) {
         let pageModelParser = modelParser.createParser(pageModel);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('deactivate')
+            .withRequestOptions(rawResponse.requestOptions)
             .post()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(pageModelParser);
+            .then(pageModelParser)
+            .then(rawResponse.result);
     }
 
     /**
      * Publish the draft.
      * @param {Object} [params] - the query params that will be used to publish the draft.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} - A Promise that, when resolved, indicates a successful publish operation.
      */
-    publish(params = {}) {
+    publish(params = {}, requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('publish')
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .post()
-            .catch(err => Promise.reject(err));
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 
     /**
      * Unpublish a live page and create a draft out of it.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageModel>} - A Promise that, when resolved, yields a {@link pageModel} for the unpublished page.
      */
-    unpublish() {
+    unpublish(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('unpublish')
+            .withRequestOptions(rawResponse.requestOptions)
             .post()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageModel));
+            .then(modelParser.createParser(pageModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Update display title for a draft
      * @param {String} title - The new title for the draft
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageModel|Error>} - A Promise that will be resolved with the page data for the draft that had its title changed, or rejected with an error specifying the reason for rejection.
      */
-    setTitle(title) {
+    setTitle(title, requestOptions = {}) {
         if (!title) {
-            return Promise.reject(new Error('A valid title must be supplied for the draft.'));
+            return Promise.reject(new ValidationError('A valid title must be supplied for the draft.'));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('title')
+            .withRequestOptions(rawResponse.requestOptions)
             .put(title, utility.textRequestType)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageModel));
+            .then(modelParser.createParser(pageModel))
+            .then(rawResponse.result);
     }
 }
 
@@ -2006,7 +4528,7 @@ class DraftManager {
      */
     constructor(settings = new Settings()) {
         this._settings = settings;
-        this._plug = new Plug(this._settings.host, this._settings.plugConfig).at('@api', 'deki', 'drafts');
+        this._plug = this._settings.plug.at('@api', 'deki', 'drafts');
     }
 
     /**
@@ -2015,29 +4537,33 @@ class DraftManager {
      * @param {Object} [options] - the options that will be used to create the draft
      * @param {Number} [options.redirect] - 0 or 1 to tell whether to follow redirects
      * @param {Boolean} [options.deleteRedirects] - A boolean value that allows the deletion of redirects
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageModel>} - A Promise that, when resolved, yields a {@link pageModel} for the newly-created draft.
      */
-    createDraft(newPath, options = {}) {
+    createDraft(newPath, options = {}, requestOptions = {}) {
         const params = {};
         if ('redirect' in options) {
             if (typeof options.redirect !== 'number') {
-                return Promise.reject(new Error('The redirect option must be a number.'));
+                return Promise.reject(new ValidationError('The redirect option must be a number.'));
             }
             params.redirect = options.redirect;
         }
         if ('deleteRedirects' in options) {
             if (typeof options.deleteRedirects !== 'boolean') {
-                return Promise.reject(new Error('The deleteredirects option must be a boolean.'));
+                return Promise.reject(new ValidationError('The deleteredirects option must be a boolean.'));
             }
             params.deleteRedirects = options.deleteRedirects;
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at(utility.getResourceId(newPath), 'create')
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .post()
-            .catch(err => Promise.reject(_errorParser$2(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageModel));
+            .then(modelParser.createParser(pageModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -2047,33 +4573,36 @@ class DraftManager {
      * @param {Array} [options.tags] - An array of tags to filter the pages by.
      * @param {Number} [options.limit=10] - The maximum number of pages to return (not to exceed 1000)
      * @param {Array} [options.include] - An array of elements to include. Currently, only 'tags' is allowed.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<Object|Error>} - A Promise that will be resolved with the drafts listing data, or rejected with an error specifying the reason for rejection.
      */
-    getDrafts(options = {}) {
+    getDrafts(options = {}, requestOptions = {}) {
         const params = {};
         if (options.parentId) {
             params.parentid = utility.getResourceId(options.parentId, 'home');
         }
         if (options.tags) {
             if (!Array.isArray(options.tags)) {
-                return Promise.reject(new Error('The `tags` parameter must be an array.'));
+                return Promise.reject(new ValidationError('The `tags` parameter must be an array.'));
             }
             params.tags = options.tags.join(',');
         }
         if ('limit' in options) {
             if (typeof options.limit !== 'number') {
-                return Promise.reject(new Error('The `limit` parameter must be an number.'));
+                return Promise.reject(new ValidationError('The `limit` parameter must be an number.'));
             }
             params.limit = options.limit;
         }
         if (options.include) {
             if (!Array.isArray(options.include)) {
-                return Promise.reject(new Error('The `include` parameter must be an array.'));
+                return Promise.reject(new ValidationError('The `include` parameter must be an array.'));
             }
             params.include = options.include.join(',');
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
@@ -2081,7 +4610,8 @@ class DraftManager {
                 modelParser.createParser([
                     { field: ['pages', 'page'], name: 'pages', isArray: true, transform: pageModel }
                 ])
-            );
+            )
+            .then(rawResponse.result);
     }
 
     /**
@@ -2094,6 +4624,70 @@ class DraftManager {
     }
 }
 
+function _downloadExtent(response) {
+    // a partial response counts toward the size of the whole file: Content-Range: bytes 4-9/10
+    const contentRange = response.headers.get('Content-Range');
+    if (contentRange !== null) {
+        const match = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(contentRange.trim());
+        if (match !== null) {
+            return { offset: parseInt(match[1], 10), total: match[2] === '*' ? null : parseInt(match[2], 10) };
+        }
+    }
+    const contentLength = response.headers.get('Content-Length');
+    return { offset: 0, total: contentLength === null ? null : parseInt(contentLength, 10) };
+}
+function _downloadFile(plug, { start = null, end = null, stream = false, progress = null }, requestOptions) {
+    if (start !== null && (typeof start !== 'number' || start < 0)) {
+        return Promise.reject(new ValidationError('The `start` parameter must be a non-negative number.'));
+    }
+    if (end !== null && (typeof end !== 'number' || start === null || end < start)) {
+        return Promise.reject(
+            new ValidationError('The `end` parameter must be a number that is not less than the `start` parameter.')
+        );
+    }
+    let downloadPlug = plug;
+    if (start !== null) {
+        downloadPlug = downloadPlug.withHeader('Range', `bytes=${start}-${end === null ? '' : end}`);
+    }
+
+    // the file contents are not kept in the response cache
+    return downloadPlug
+        .withRequestOptions(Object.assign({}, requestOptions, { cache: false }))
+        .get()
+        .catch(err => Promise.reject(err))
+        .then(r => {
+            // an API that ignores the Range header answers with the whole file, which cannot resume the download
+            if (start !== null && r.status !== 206) {
+                if (r.body !== null) {
+                    r.body.cancel();
+                }
+                return Promise.reject(
+                    new MartianError('The requested range of the file was not returned', { status: r.status })
+                );
+            }
+            const { offset, total } = _downloadExtent(r);
+            let body = r.body;
+            if (progress !== null && body !== null) {
+                let loaded = offset;
+                progress({ loaded, total });
+                body = body.pipeThrough(
+                    new TransformStream({
+                        transform(chunk, controller) {
+                            loaded += chunk.byteLength;
+                            progress({ loaded, total });
+                            controller.enqueue(chunk);
+                        }
+                    })
+                );
+            }
+            if (stream) {
+                return body;
+            }
+            const type = r.headers.get('Content-Type') || '';
+            return new Response(body, { headers: { 'Content-Type': type } }).blob();
+        });
+}
+
 /**
  * A base class for managing file attachments on both published pages and drafts.  This class can not be instantiated directly.
  */
@@ -2116,62 +4710,99 @@ class PageFileBase {
 
     /**
      * Gets the information for the file attachment.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<fileModel>} - A Promise that, when resolved, yields a {@link fileModel} containing the file information.
      */
-    getInfo() {
+    getInfo(requestOptions = {}) {
         let fileModelParser = modelParser.createParser(fileModel);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('info')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(fileModelParser);
+            .then(fileModelParser)
+            .then(rawResponse.result);
     }
 
     /**
      * Delete the file attachment from the page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} - A Promise that, when resolved, indicates a successful delete operation.
      */
-    delete() {
-        return this._plug.delete().catch(err => Promise.reject(err));
+    delete(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
+        return this._plug
+            .withRequestOptions(rawResponse.requestOptions)
+            .delete()
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 
     /**
      * Get the description of the file attachment.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<String>} - A Promise that, when resolved, yields the file description.
      */
-    getDescription() {
+    getDescription(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('description')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
-            .then(r => r.json());
+            .then(r => r.json())
+            .then(rawResponse.result);
     }
 
     /**
      * Remove the description from the file attachment.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} - A Promise that, when resolved, indicates a successful removal.
      */
-    clearDescription() {
+    clearDescription(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('description')
+            .withRequestOptions(rawResponse.requestOptions)
             .delete()
-            .catch(err => Promise.reject(err));
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 
     /**
      * Update the description of the file attachment.
      * @param {String} [description=''] - The new description to set.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<fileModel>} - A Promise that, when resolved, yields a {@link fileModel} containing the file information.
      */
-    updateDescription(description = '') {
+    updateDescription(description = '', requestOptions = {}) {
         let fileModelParser = modelParser.createParser(fileModel);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('description')
+            .withRequestOptions(rawResponse.requestOptions)
             .put(description, utility.textRequestType)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(fileModelParser);
+            .then(fileModelParser)
+            .then(rawResponse.result);
+    }
+
+    /**
+     * Download the contents of the file attachment. The request is sent with the configured token and cookies.
+     * @param {Object} [options] - Options to direct the download.
+     * @param {Number} [options.start] - The offset of the first byte to download, to resume a partial download with a `Range` request. The Promise is rejected if the API does not return the requested range.
+     * @param {Number} [options.end] - The offset of the last byte to download. If not supplied, the file is downloaded to the end.
+     * @param {Boolean} [options.stream=false] - Resolve with a ReadableStream of the contents, instead of reading them into a Blob.
+     * @param {function} [options.progress] - A function that is called with the `loaded` and `total` number of bytes as the contents are downloaded. A resumed download counts from the `start` offset toward the size of the whole file. The `total` is null if the size of the file is not known.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Blob|ReadableStream>} - A Promise that, when resolved, yields the file contents.
+     */
+    download(options = {}, requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions, { readBody: false });
+        return _downloadFile(this._plug, options, rawResponse.requestOptions).then(rawResponse.result);
     }
 }
 
@@ -2181,20 +4812,13 @@ class PageFileBase {
 class DraftFile extends PageFileBase {
     /**
      * Construct a new DraftFile
-     * @param {Number|String} [pageId='home'] - The ID of the unpublished page.
+     * @param {Number|String} pageId - The ID of the unpublished page. If `undefined`, the home page is used.
      * @param {String} filename - The filename of the file to manage.
      * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
      */
     constructor(pageId, filename, settings = new Settings()) {
         super(pageId, filename);
-        this._plug = new Plug(settings.host, settings.plugConfig).at(
-            '@api',
-            'deki',
-            'drafts',
-            this._pageId,
-            'files',
-            this._filename
-        );
+        this._plug = settings.plug.at('@api', 'deki', 'drafts', this._pageId, 'files', this._filename);
     }
 }
 
@@ -2232,55 +4856,69 @@ class PagePropertyBase {
     /**
      * Get all of the properties of the page.
      * @param {Array} [names=[]] - An array of names to fetch so that the results are filtered.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pagePropertiesModel>} - A Promise that, when resolved, yields a {@link pagePropertiesModel} object that contains the listing of properties.
      */
-    getProperties(names = []) {
+    getProperties(names = [], requestOptions = {}) {
         if (!Array.isArray(names)) {
-            return Promise.reject(new Error('The property names must be an array'));
+            return Promise.reject(new ValidationError('The property names must be an array'));
         }
         let plug = this._plug;
         if (names.length > 0) {
             plug = plug.withParams({ names: names.join(',') });
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return plug
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pagePropertiesModel));
+            .then(modelParser.createParser(pagePropertiesModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Get the contents of a page property.
      * @param {String} key - The key of the property to fetch.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} - A Promise that, when resolved, yields the property contents.  The property can be of any type allowed by the MindTouch property subsystem.
      */
-    getPropertyContents(key) {
+    getPropertyContents(key, requestOptions = {}) {
         if (!key) {
             return Promise.reject(
-                new Error('Attempting to fetch a page property contents without providing a property key')
+                new ValidationError('Attempting to fetch a page property contents without providing a property key')
             );
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at(encodeURIComponent(key))
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
-            .catch(err => Promise.reject(err));
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 
     /**
      * Gets a single page property by property key.
      * @param {String} key - The key of the property to fetch.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pagePropertyModel>} - A Promise that, when resolved, yields a {@link pagePropertyModel} object that contains the property information.
      */
-    getProperty(key) {
+    getProperty(key, requestOptions = {}) {
         if (!key) {
-            return Promise.reject(new Error('Attempting to fetch a page property without providing a property key'));
+            return Promise.reject(
+                new ValidationError('Attempting to fetch a page property without providing a property key')
+            );
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at(encodeURIComponent(key), 'info')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pagePropertyModel));
+            .then(modelParser.createParser(pagePropertyModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -2290,38 +4928,50 @@ class PagePropertyBase {
      * @param {String} value.text - The string value representing the property value to set.
      * @param {String} [value.type=@see utility.textRequestType] - The mime type of the value's text field.
      * @param {Object} params - An object that contains values that will direct the behavior of the operation.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} - A Promise that, when resolved, indicates the property was set successfully.
      */
-    setProperty(key, value = {}, params = { abort: 'modified' }) {
+    setProperty(key, value = {}, params = { abort: 'modified' }, requestOptions = {}) {
         if (!key) {
-            return Promise.reject(new Error('Attempting to set a property without providing a property key'));
+            return Promise.reject(new ValidationError('Attempting to set a property without providing a property key'));
         }
         if (typeof value.text !== 'string') {
-            return Promise.reject(new Error('Attempting to set a property without providing a property value'));
+            return Promise.reject(
+                new ValidationError('Attempting to set a property without providing a property value')
+            );
         }
         if (!value.type) {
             value.type = utility.textRequestType;
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at(encodeURIComponent(key))
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .put(value.text, value.type)
-            .catch(err => Promise.reject(err));
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 
     /**
      * Remove a page property
      * @param {String} key - The key of the property to remove
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} - A Promise that, when resolved, indicates the property was removed successfully.
      */
-    deleteProperty(key) {
+    deleteProperty(key, requestOptions = {}) {
         if (!key) {
-            return Promise.reject(new Error('Attempting to delete a property without providing a property key'));
+            return Promise.reject(
+                new ValidationError('Attempting to delete a property without providing a property key')
+            );
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at(encodeURIComponent(key))
+            .withRequestOptions(rawResponse.requestOptions)
             .delete()
-            .catch(err => Promise.reject(err));
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 }
 
@@ -2333,19 +4983,13 @@ class DraftProperty extends PagePropertyBase {
      */
     constructor(id, settings = new Settings()) {
         super(id);
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'drafts', this._id, 'properties');
+        this._plug = settings.plug.at('@api', 'deki', 'drafts', this._id, 'properties');
     }
 }
 
 function dateOrStringTransformer(value) {
-    const date = new Date(value);
-    const dateValue = date.getDate();
-
-    // eslint-disable-next-line no-self-compare
-    if (dateValue !== dateValue) {
-        return value;
-    }
-    return date;
+    const date = utility.toDate(value);
+    return date === null ? value : date;
 }
 
 const learningPathTransform = [
@@ -2509,8 +5153,6 @@ const reportLogsModel = [
 
 const logUrlModel = [{ field: 'url' }];
 
-const _errorParser$3 = modelParser.createParser(apiErrorModel);
-
 /**
  * A class for fetching and managing events.
  */
@@ -2520,37 +5162,45 @@ class Events {
      * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
      */
     constructor(settings = new Settings()) {
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'events');
+        this._plug = settings.plug.at('@api', 'deki', 'events');
     }
 
     /**
      * Get the available drafts history logs.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<reportLogsModel>} - A Promise that, when resolved, yields a {@link reportLogsModel} containing the available logs for drafts history.
      */
-    getSiteDraftsHistoryLogs() {
+    getSiteDraftsHistoryLogs(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('draft-hierarchy', 'logs')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(reportLogsModel));
+            .then(modelParser.createParser(reportLogsModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Get the draft history log url.
      * @param {String} logName - Name of log to retrive URL from.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<logUrlModel>} - A Promise that, when resolved, yields a {@link logUrlModel} containing log url.
      */
-    getSiteDraftsHistoryLogUrl(logName) {
+    getSiteDraftsHistoryLogUrl(logName, requestOptions = {}) {
         if (!logName) {
-            return Promise.reject(new Error('Attempting to get log url without required name'));
+            return Promise.reject(new ValidationError('Attempting to get log url without required name'));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('draft-hierarchy', 'logs', logName, 'url')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(logUrlModel));
+            .then(modelParser.createParser(logUrlModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -2560,35 +5210,41 @@ class Events {
      * @param {Number} [options.limit=25] - The maximum number results to retrieve. Regardless of what is passed in, no more than 1000 results will be returned.
      * @param {String} [options.upTo] - The history event ID to start fetching at.
      * @param {Array} [options.include] - An array of entity details to include. Valid entries are 'page', 'user', 'group', 'file', and 'request'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageHistoryModel|Error>} - A Promise that will be resolved with the page history data, or rejected with an error specifying the reason for rejection.
      */
-    getSiteDraftsHistory(options = {}) {
+    getSiteDraftsHistory(options = {}, requestOptions = {}) {
         const params = {};
         if (options.limit) {
             if (typeof options.limit !== 'number') {
-                return Promise.reject(new Error('The `limit` parameter must be a number less than or equal to 1000.'));
+                return Promise.reject(
+                    new ValidationError('The `limit` parameter must be a number less than or equal to 1000.')
+                );
             }
             params.limit = options.limit;
         }
         if (options.include) {
             if (!Array.isArray(options.include)) {
-                return Promise.reject(new Error('The `include` parameter must be an array.'));
+                return Promise.reject(new ValidationError('The `include` parameter must be an array.'));
             }
             params.include = options.include.join(',');
         }
         if (options.upTo) {
             if (typeof options.upTo !== 'string') {
-                return Promise.reject(new Error('The `upTo` parameter must be a string.'));
+                return Promise.reject(new ValidationError('The `upTo` parameter must be a string.'));
             }
             params.upto = options.upTo;
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('draft-hierarchy', utility.getResourceId(options.pageId, 'home'))
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageHistoryModel));
+            .then(modelParser.createParser(pageHistoryModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -2596,26 +5252,30 @@ class Events {
      * @param {String} detailId - The GUID specifying the detail to fetch.
      * @param {Object} [options] - Information about the detail to fetch
      * @param {Array} [options.include] - An array of entity details to include. Valid entries are 'page', 'user', 'group', 'file', and 'request'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageHistoryModel|Error>} - A Promise that will be resolved with the page history data, or rejected with an error specifying the reason for rejection.
      */
-    getSiteDraftsHistoryDetail(detailId, options = {}) {
+    getSiteDraftsHistoryDetail(detailId, options = {}, requestOptions = {}) {
         if (!detailId || typeof detailId !== 'string') {
-            return Promise.reject(new Error('The detail ID must be specified, and it must be a string.'));
+            return Promise.reject(new ValidationError('The detail ID must be specified, and it must be a string.'));
         }
         const params = {};
         if (options.include) {
             if (!Array.isArray(options.include)) {
-                return Promise.reject(new Error('The `include` option must be an array'));
+                return Promise.reject(new ValidationError('The `include` option must be an array'));
             }
             params.include = options.include.join(',');
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('draft-hierarchy', 'details', detailId)
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageHistoryModel));
+            .then(modelParser.createParser(pageHistoryModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -2625,35 +5285,39 @@ class Events {
      * @param {Number} [options.limit=25] - The maximum number results to retrieve. Regardless of what is passed in, no more than 1000 results will be returned.
      * @param {String} [options.upTo] - The history event ID to start fetching at.
      * @param {Array} [options.include] - An array of entity details to include. Valid entries are 'page', 'user', 'group', 'file', and 'request'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageHistoryModel>} - A Promise that, when resolved, yields a {@link pageHistoryModel} that contains the listing of the page events.
      */
-    getDraftHistory(pageId = 'home', options = {}) {
+    getDraftHistory(pageId = 'home', options = {}, requestOptions = {}) {
         const params = {};
         if (options.limit) {
             if (typeof options.limit !== 'number') {
-                return Promise.reject(new Error('The `limit` parameter must be a number.'));
+                return Promise.reject(new ValidationError('The `limit` parameter must be a number.'));
             }
             params.limit = options.limit;
         }
         if (options.upTo) {
             if (typeof options.upTo !== 'string') {
-                return Promise.reject(new Error('The `upTo` parameter must be a string.'));
+                return Promise.reject(new ValidationError('The `upTo` parameter must be a string.'));
             }
             params.upto = options.upTo;
         }
         if (options.include) {
             if (!Array.isArray(options.include)) {
-                return Promise.reject(new Error('The `include` parameter must be an array.'));
+                return Promise.reject(new ValidationError('The `include` parameter must be an array.'));
             }
             params.include = options.include.join(',');
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('draft', utility.getResourceId(pageId, 'home'))
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageHistoryModel));
+            .then(modelParser.createParser(pageHistoryModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -2662,29 +5326,33 @@ class Events {
      * @param {String} detailId - The detail ID.
      * @param {Object} [options] - Options to direct the fetching of the detail.
      * @param {Array} [options.include] - An array of strings identifying elements to expand in the result. Valid identifiers are: 'page', 'user', 'file', and 'request'.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageHistoryModel>} - A Promise that, when resolved, yields a {@link pageHistoryModel} that contains the listing of the page events.
      */
-    getDraftHistoryDetail(pageId, detailId, options = {}) {
+    getDraftHistoryDetail(pageId, detailId, options = {}, requestOptions = {}) {
         if (!pageId) {
-            return Promise.reject(new Error('The page ID is required to fetch a draft history detail.'));
+            return Promise.reject(new ValidationError('The page ID is required to fetch a draft history detail.'));
         }
         if (!detailId) {
-            return Promise.reject(new Error('The detail ID is required to fetch a draft history detail.'));
+            return Promise.reject(new ValidationError('The detail ID is required to fetch a draft history detail.'));
         }
         const params = {};
         if (options.include) {
             if (!Array.isArray(options.include)) {
-                return Promise.reject(new Error('The `include` parameter must be an array.'));
+                return Promise.reject(new ValidationError('The `include` parameter must be an array.'));
             }
             params.include = options.include.join(',');
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('draft', utility.getResourceId(pageId, 'home'), detailId)
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageHistoryDetailModel));
+            .then(modelParser.createParser(pageHistoryDetailModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -2694,69 +5362,81 @@ class Events {
      * @param {Number} [options.limit=25] - The maximum number of results to fetch.
      * @param {String} [options.upTo] - The GUID identifier to use for paging.
      * @param {Array} [options.include] - An array of strings identifying elements to expand in the result. Valid identifiers are: 'page', 'user', 'file', and 'request'.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<Object|Error>} - A Promise that will be resolved with the learning path history data, or rejected with an error specifying the reason for rejection.
      */
-    getLearningPathHistory(learningPathId, options = {}) {
+    getLearningPathHistory(learningPathId, options = {}, requestOptions = {}) {
         if (!learningPathId || typeof learningPathId !== 'string') {
-            return Promise.reject(new Error('The learning path ID must be supplied, and must be a string'));
+            return Promise.reject(new ValidationError('The learning path ID must be supplied, and must be a string'));
         }
         const params = {};
         if (options.limit) {
             if (typeof options.limit !== 'number') {
-                return Promise.reject(new Error('The `limit` parameter must be a number.'));
+                return Promise.reject(new ValidationError('The `limit` parameter must be a number.'));
             }
             params.limit = options.limit;
         }
         if (options.upTo) {
             if (typeof options.upTo !== 'string') {
-                return Promise.reject(new Error('The `upTo` parameter must be a string.'));
+                return Promise.reject(new ValidationError('The `upTo` parameter must be a string.'));
             }
             params.upto = options.upTo;
         }
         if (options.include) {
             if (!Array.isArray(options.include)) {
-                return Promise.reject(new Error('The `include` parameter must be an array.'));
+                return Promise.reject(new ValidationError('The `include` parameter must be an array.'));
             }
             params.include = options.include.join(',');
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('learningpath', utility.getResourceId(learningPathId))
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageHistoryModel));
+            .then(modelParser.createParser(pageHistoryModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Get the available site history logs.
      * @param {String} No params necessary.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<reportLogsModel>} - A Promise that, when resolved, yields a {@link reportLogsModel} containing the available logs for site history.
      */
-    getSiteHistoryLogs() {
+    getSiteHistoryLogs(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('page-hierarchy', 'logs')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(reportLogsModel));
+            .then(modelParser.createParser(reportLogsModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Get the site history log url.
      * @param {String} logName - Name of log to retrive URL from.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<logUrlModel>} - A Promise that, when resolved, yields a {@link logUrlModel} containing log url.
      */
-    getSiteHistoryLogUrl(logName) {
+    getSiteHistoryLogUrl(logName, requestOptions = {}) {
         if (!logName) {
-            return Promise.reject(new Error('Attempting to get log url without required name'));
+            return Promise.reject(new ValidationError('Attempting to get log url without required name'));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('page-hierarchy', 'logs', logName, 'url')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(logUrlModel));
+            .then(modelParser.createParser(logUrlModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -2766,35 +5446,41 @@ class Events {
      * @param {Number} [options.limit=25] - The maximum number results to retrieve. Regardless of what is passed in, no more than 1000 results will be returned.
      * @param {String} [options.upTo] - The history event ID to start fetching at.
      * @param {Array} [options.include] - An array of entity details to include. Valid entries are 'page', 'user', 'group', 'file', and 'request'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageHistoryModel|Error>} - A Promise that will be resolved with the site history data, or rejected with an error specifying the reason for rejection.
      */
-    getSiteHistory(options = {}) {
+    getSiteHistory(options = {}, requestOptions = {}) {
         const params = {};
         if (options.limit) {
             if (typeof options.limit !== 'number') {
-                return Promise.reject(new Error('The `limit` parameter must be a number less than or equal to 1000.'));
+                return Promise.reject(
+                    new ValidationError('The `limit` parameter must be a number less than or equal to 1000.')
+                );
             }
             params.limit = options.limit;
         }
         if (options.include) {
             if (!Array.isArray(options.include)) {
-                return Promise.reject(new Error('The `include` parameter must be an array.'));
+                return Promise.reject(new ValidationError('The `include` parameter must be an array.'));
             }
             params.include = options.include.join(',');
         }
         if (options.upTo) {
             if (typeof options.upTo !== 'string') {
-                return Promise.reject(new Error('The `upTo` parameter must be a string.'));
+                return Promise.reject(new ValidationError('The `upTo` parameter must be a string.'));
             }
             params.upto = options.upTo;
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('page-hierarchy', utility.getResourceId(options.pageId, 'home'))
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageHistoryModel));
+            .then(modelParser.createParser(pageHistoryModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -2802,39 +5488,47 @@ class Events {
      * @param {String} detailId - The GUID specifying the detail to fetch.
      * @param {Object} [options] - Information about the detail to fetch
      * @param {Array} [options.include] - An array of entity details to include. Valid entries are 'page', 'user', 'group', 'file', and 'request'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageHistoryModel|Error>} - A Promise that will be resolved with the site history detail data, or rejected with an error specifying the reason for rejection.
      */
-    getSiteHistoryDetail(detailId, options = {}) {
+    getSiteHistoryDetail(detailId, options = {}, requestOptions = {}) {
         if (!detailId || typeof detailId !== 'string') {
-            return Promise.reject(new Error('The detail ID must be specified, and it must be a string.'));
+            return Promise.reject(new ValidationError('The detail ID must be specified, and it must be a string.'));
         }
         const params = {};
         if (options.include) {
             if (!Array.isArray(options.include)) {
-                return Promise.reject(new Error('The `include` option must be an array'));
+                return Promise.reject(new ValidationError('The `include` option must be an array'));
             }
             params.include = options.include.join(',');
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('page-hierarchy', 'details', detailId)
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageHistoryModel));
+            .then(modelParser.createParser(pageHistoryModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Notify the system that a page was viewed by a user
      * @param {String|Number} pageId - The numeric ID or path of the page to log a view event for.
      * @param {Object} [eventData] - Specific data about the search that was performed.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageHistoryModel|Error>} - A Promise that will be resolved, or rejected with an error specifying the reason for rejection.
      */
-    logPageView(pageId, eventData = {}) {
+    logPageView(pageId, eventData = {}, requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('page-view', utility.getResourceId(pageId, 'home'))
+            .withRequestOptions(rawResponse.requestOptions)
             .post(JSON.stringify(eventData), utility.jsonRequestType)
-            .catch(err => Promise.reject(err));
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 
     /**
@@ -2844,35 +5538,41 @@ class Events {
      * @param {Number} [options.limit=25] - The maximum number results to retrieve. Regardless of what is passed in, no more than 1000 results will be returned.
      * @param {String} [options.upTo] - The history event ID to start fetching at.
      * @param {Array} [options.include] - An array of entity details to include. Valid entries are 'page', 'user', 'group', 'file', and 'request'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageHistoryModel>} - A Promise that, when resolved, yields a {@link pageHistoryModel} that contains the listing of the page events.
      */
-    getPageHistory(pageId = 'home', options = {}) {
+    getPageHistory(pageId = 'home', options = {}, requestOptions = {}) {
         const params = {};
         if (options.limit) {
             if (typeof options.limit !== 'number') {
-                return Promise.reject(new Error('The `limit` parameter must be a number less than or equal to 1000.'));
+                return Promise.reject(
+                    new ValidationError('The `limit` parameter must be a number less than or equal to 1000.')
+                );
             }
             params.limit = options.limit;
         }
         if (options.include) {
             if (!Array.isArray(options.include)) {
-                return Promise.reject(new Error('The `include` parameter must be an array.'));
+                return Promise.reject(new ValidationError('The `include` parameter must be an array.'));
             }
             params.include = options.include.join(',');
         }
         if (options.upTo) {
             if (typeof options.upTo !== 'string') {
-                return Promise.reject(new Error('The `upTo` parameter must be a string.'));
+                return Promise.reject(new ValidationError('The `upTo` parameter must be a string.'));
             }
             params.upto = options.upTo;
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('page', utility.getResourceId(pageId, 'home'))
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageHistoryModel));
+            .then(modelParser.createParser(pageHistoryModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -2881,72 +5581,88 @@ class Events {
      * @param {String} detailId - The detail ID.
      * @param {Object} [options] - Options to direct the fetching of the detail.
      * @param {Array} [options.include] - An array of strings identifying elements to expand in the result. Valid identifiers are: 'page', 'user', 'file', and 'request'.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageHistoryModel>} - A Promise that, when resolved, yields a {@link pageHistoryDetailModel} that contains the listing of the page events.
      */
-    getPageHistoryDetail(pageId, detailId, options = {}) {
+    getPageHistoryDetail(pageId, detailId, options = {}, requestOptions = {}) {
         if (!pageId) {
-            return Promise.reject(new Error('The page ID is required to fetch a page history detail.'));
+            return Promise.reject(new ValidationError('The page ID is required to fetch a page history detail.'));
         }
         if (!detailId) {
-            return Promise.reject(new Error('The detail ID is required to fetch a page history detail.'));
+            return Promise.reject(new ValidationError('The detail ID is required to fetch a page history detail.'));
         }
         const params = {};
         if (options.include) {
             if (!Array.isArray(options.include)) {
-                return Promise.reject(new Error('The `include` parameter must be an array.'));
+                return Promise.reject(new ValidationError('The `include` parameter must be an array.'));
             }
             params.include = options.include.join(',');
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('page', utility.getResourceId(pageId, 'home'), detailId)
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageHistoryDetailModel));
+            .then(modelParser.createParser(pageHistoryDetailModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Log a search event that is performed by a specific user.
      * @param {Number|String} [userId=current] - The user's numeric ID or username.
      * @param {Object} [eventData] - Specific data about the search that was performed.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} - A Promise that, when resolved, indicates a successful posting of the search event.
      */
-    logSearch(userId, eventData) {
+    logSearch(userId, eventData, requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('search', utility.getResourceId(userId, 'current'))
+            .withRequestOptions(rawResponse.requestOptions)
             .post(JSON.stringify(eventData), utility.jsonRequestType)
-            .catch(err => Promise.reject(err));
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 
     /**
      * Get the available user activity logs.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<reportLogsModel>} - A Promise that, when resolved, yields a {@link reportLogsModel} containing the available logs for user activity.
      */
-    getUserActivityLogs() {
+    getUserActivityLogs(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('support-agent', 'logs')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(reportLogsModel));
+            .then(modelParser.createParser(reportLogsModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Get the user activity log url.
      * @param {String} logName - Name of log to retrive URL from.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<logUrlModel>} - A Promise that, when resolved, yields a {@link logUrlModel} containing log url.
      */
-    getUserActivityLogUrl(logName) {
+    getUserActivityLogUrl(logName, requestOptions = {}) {
         if (!logName) {
-            return Promise.reject(new Error('Attempting to get log url without required name'));
+            return Promise.reject(new ValidationError('Attempting to get log url without required name'));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('support-agent', 'logs', logName, 'url')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(logUrlModel));
+            .then(modelParser.createParser(logUrlModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -2955,12 +5671,13 @@ class Events {
      * @param {Object} [options] - Additional information to direct the activity fetching.
      * @param {Number} [options.limit=10] - The maximum number results to retrieve.
      * @param {Array} [options.include] - An array of strings identifying elements to expand in the result. Valid identifiers are: 'user', 'page', and 'request'.
-     * @param {String|Date} [options.upTo] - The marker used to paginate.
+     * @param {String|Date|Number} [options.upTo] - The marker used to paginate, or the date, as a Date, an ISO 8601 string or an epoch number, to list the events up to.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<userActivityModel>} - A Promise that, when resolved, yields a {@link userActivityModel} containing the user's activity events.
      */
-    getUserActivity(userActivityToken, options = {}) {
+    getUserActivity(userActivityToken, options = {}, requestOptions = {}) {
         if (!userActivityToken) {
-            return Promise.reject(new Error('The user activity token must be supplied'));
+            return Promise.reject(new ValidationError('The user activity token must be supplied'));
         }
         let token;
         try {
@@ -2971,33 +5688,38 @@ class Events {
         const params = {};
         if (options.limit) {
             if (typeof options.limit !== 'number') {
-                return Promise.reject(new Error('The `limit` parameter must be a number.'));
+                return Promise.reject(new ValidationError('The `limit` parameter must be a number.'));
             }
             params.limit = options.limit;
         }
         if (options.include) {
             if (!Array.isArray(options.include)) {
-                return Promise.reject(new Error('The `include` parameter must be an array.'));
+                return Promise.reject(new ValidationError('The `include` parameter must be an array.'));
             }
             params.include = options.include.join(',');
         }
         if (options.upTo) {
-            if (typeof options.upTo !== 'string' && !(options.upTo instanceof Date)) {
-                return Promise.reject(new Error('The `upTo` parameter must be a string or a Date.'));
-            }
-            if (options.upTo instanceof Date) {
-                params.upto = utility.getApiDateString(options.upTo);
-            } else {
-                params.upto = options.upTo;
+            // a string that is not an ISO 8601 date is a pagination marker, which is sent as it is
+            const isMarker = typeof options.upTo === 'string' && !_isoDateTime.test(options.upTo);
+            if (!isMarker && utility.toDate(options.upTo) === null) {
+                return Promise.reject(
+                    new ValidationError(
+                        'The `upTo` parameter must be a marker string, a Date, an ISO 8601 string or an epoch number.'
+                    )
+                );
             }
+            params.upto = isMarker ? options.upTo : utility.getApiDateString(options.upTo);
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('support-agent', token)
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(userActivityModel));
+            .then(modelParser.createParser(userActivityModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -3006,40 +5728,46 @@ class Events {
      * @param {Object} [options] - Additional options to direct the history fetching.
      * @param {Number} [options.limit=10] - The maximum number results that we want to retrieve.
      * @param {Array} [options.include] - An array of elements you'd like to expand. If specified, valid entries are 'user', 'page', and 'request'.
-     * @param {String|Date} [options.upTo] - The marker used to paginate.
+     * @param {String|Date|Number} [options.upTo] - The marker used to paginate, or the date, as a Date, an ISO 8601 string or an epoch number, to list the events up to.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageHistoryModel>} - A Promise that, when resolved, yields a {@link pageHistoryModel} that contains the listing of the user's events.
      */
-    getUserHistory(userId = 'current', options = {}) {
+    getUserHistory(userId = 'current', options = {}, requestOptions = {}) {
         const params = {};
         if (options.limit) {
             if (typeof options.limit !== 'number') {
-                return Promise.reject(new Error('The `limit` parameter must be a number.'));
+                return Promise.reject(new ValidationError('The `limit` parameter must be a number.'));
             }
             params.limit = options.limit;
         }
         if (options.include) {
             if (!Array.isArray(options.include)) {
-                return Promise.reject(new Error('The `include` parameter must be an array.'));
+                return Promise.reject(new ValidationError('The `include` parameter must be an array.'));
             }
             params.include = options.include.join(',');
         }
         if (options.upTo) {
-            if (typeof options.upTo !== 'string' && !(options.upTo instanceof Date)) {
-                return Promise.reject(new Error('The `upTo` parameter must be a string or a Date.'));
-            }
-            if (options.upTo instanceof Date) {
-                params.upto = utility.getApiDateString(options.upTo);
-            } else {
-                params.upto = options.upTo;
+            // a string that is not an ISO 8601 date is a pagination marker, which is sent as it is
+            const isMarker = typeof options.upTo === 'string' && !_isoDateTime.test(options.upTo);
+            if (!isMarker && utility.toDate(options.upTo) === null) {
+                return Promise.reject(
+                    new ValidationError(
+                        'The `upTo` parameter must be a marker string, a Date, an ISO 8601 string or an epoch number.'
+                    )
+                );
             }
+            params.upto = isMarker ? options.upTo : utility.getApiDateString(options.upTo);
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('user-page', utility.getResourceId(userId, 'current'))
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
-            .catch(err => Promise.reject(_errorParser$3(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageHistoryModel));
+            .then(modelParser.createParser(pageHistoryModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -3047,37 +5775,45 @@ class Events {
      * @param {String} detailId - The detail ID of the event.
      * @param {Object} [options] - Information to direct the detail to fetch.
      * @param {Array} [options.include] - An array of strings identifying elements to expand in the result. Valid identifiers are: 'page', 'user', 'file', and 'request'.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageHistoryModel>} - A Promise that, when resolved, yields a {@link pageHistoryModel} that contains the event information.
      */
-    getUserHistoryDetail(detailId, options = {}) {
+    getUserHistoryDetail(detailId, options = {}, requestOptions = {}) {
         if (!detailId) {
-            return Promise.reject(new Error('The detail ID must be supplied'));
+            return Promise.reject(new ValidationError('The detail ID must be supplied'));
         }
         const params = {};
         if (options.include) {
             if (!Array.isArray(options.include)) {
-                return Promise.reject(new Error('The `include` parameter must be an array.'));
+                return Promise.reject(new ValidationError('The `include` parameter must be an array.'));
             }
             params.include = options.include.join(',');
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('user-page', 'current', detailId)
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageHistoryModel));
+            .then(modelParser.createParser(pageHistoryModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Log a web widget impression event. This request will fail if not called from a MindTouch web widget.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} - A Promise that, when resolved, contains the status of the web widget impression request.
      */
-    logWebWidgetImpression() {
+    logWebWidgetImpression(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('web-widget-impression')
+            .withRequestOptions(rawResponse.requestOptions)
             .post()
-            .catch(err => Promise.reject(err));
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 }
 
@@ -3182,109 +5918,133 @@ class ExternalReport {
      * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
      */
     constructor(settings = new Settings()) {
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'site', 'external-reports');
+        this._plug = settings.plug.at('@api', 'deki', 'site', 'external-reports');
     }
 
     /**
      * Return all external reports
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<Array>} - A Promise that will be resolved with an array of external reports, or rejected with an error specifying the reason for rejection.
      */
-    getExternalReports() {
+    getExternalReports(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(externalReportListModel));
+            .then(modelParser.createParser(externalReportListModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Return an external report
      * @param {Number} id External Report Id
-     * @returns {Promise.<Object>} - A Promise that will be resolved with an external report, or rejected with an error specifying the reason for rejection.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<externalReportModel>} - A Promise that will be resolved with an external report, or rejected with an error specifying the reason for rejection.
      */
-    getExternalReport(id) {
+    getExternalReport(id, requestOptions = {}) {
         if (!id || !Number.isInteger(id)) {
-            return Promise.reject(new Error('Must submit a numeric id of an external report.'));
+            return Promise.reject(new ValidationError('Must submit a numeric id of an external report.'));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
+            .withRequestOptions(rawResponse.requestOptions)
             .get(id)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(externalReportModel));
+            .then(modelParser.createParser(externalReportModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Return an external report external uri
      * @param {Number} id External Report Id
-     * @returns {Promise.<Object>} - A Promise that will be resolved with an external report uri, or rejected with an error specifying the reason for rejection.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<externalReportExternalUriModel>} - A Promise that will be resolved with an external report uri, or rejected with an error specifying the reason for rejection.
      */
-    getExternalReportExternalUri(id) {
+    getExternalReportExternalUri(id, requestOptions = {}) {
         if (!id || !Number.isInteger(id)) {
-            return Promise.reject(new Error('Must submit a numeric id of an external report.'));
+            return Promise.reject(new ValidationError('Must submit a numeric id of an external report.'));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at(id, 'external-uri')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(externalReportExternalUriModel));
+            .then(modelParser.createParser(externalReportExternalUriModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Create an external report
      * @param {Object} externalReport - an external report
-     * @returns {Promise.<Object>} - external report
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<externalReportModel>} - external report
      */
-    createExternalReport(externalReport) {
+    createExternalReport(externalReport, requestOptions = {}) {
         if (!externalReport) {
-            return Promise.reject(new Error('Unable to create an external report without data.'));
+            return Promise.reject(new ValidationError('Unable to create an external report without data.'));
         }
         const validationErrors = valid.object(externalReport, required('url', string()), required('name', string()));
         if (validationErrors.length > 0) {
-            return Promise.reject(new Error(validationErrors));
+            return Promise.reject(new ValidationError(validationErrors));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
+            .withRequestOptions(rawResponse.requestOptions)
             .post(externalReport)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(externalReportModel));
+            .then(modelParser.createParser(externalReportModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Update an external report
      * @param {Object} externalReport - an external report
-     * @returns {Promise.<Object>} - external report
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<externalReportModel>} - external report
      */
-    updateExternalReport(externalReport) {
+    updateExternalReport(externalReport, requestOptions = {}) {
         if (!externalReport) {
-            return Promise.reject(new Error('Unable to create an external report without data.'));
+            return Promise.reject(new ValidationError('Unable to create an external report without data.'));
         }
         const validationErrors = valid.object(externalReport, required('url', string()), required('name', string()));
         if (validationErrors.length > 0) {
-            return Promise.reject(new Error(validationErrors));
+            return Promise.reject(new ValidationError(validationErrors));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
+            .withRequestOptions(rawResponse.requestOptions)
             .put(externalReport.id, externalReport)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(externalReportModel));
+            .then(modelParser.createParser(externalReportModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Delete an external report
      * @param {Number} id - an id of an external report
-     * @returns {void}
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<externalReportModel>} - A Promise that, when resolved, yields the {@link externalReportModel} of the deleted report.
      */
-    deleteExternalReport(id) {
+    deleteExternalReport(id, requestOptions = {}) {
         if (!id || !Number.isInteger(id)) {
-            return Promise.reject(new Error('Must submit a numeric id of an external report.'));
+            return Promise.reject(new ValidationError('Must submit a numeric id of an external report.'));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at(id)
+            .withRequestOptions(rawResponse.requestOptions)
             .delete()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(externalReportModel));
+            .then(modelParser.createParser(externalReportModel))
+            .then(rawResponse.result);
     }
 }
 
@@ -3307,85 +6067,115 @@ class File {
     constructor(id, settings = new Settings()) {
         this._id = id;
         this._settings = settings;
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'files', id);
-        this._progressPlug = new ProgressPlug(settings.host, settings.plugConfig).at('@api', 'deki', 'files', id);
-        this._errorParser = modelParser.createParser(apiErrorModel);
+        this._plug = settings.plug.at('@api', 'deki', 'files', id);
+        this._progressPlug = settings.progressPlug.at('@api', 'deki', 'files', id);
     }
 
     /**
      * Get the file attachment information.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<fileModel>} - A Promise that, when resolved, yields a {@link fileModel} containing the attachment information.
      */
-    getInfo() {
+    getInfo(requestOptions = {}) {
         let fileModelParser = modelParser.createParser(fileModel);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('info')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(fileModelParser);
+            .then(fileModelParser)
+            .then(rawResponse.result);
     }
 
     /**
      * Get the revision list of the file attachment.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<fileRevisionsModel>} - A Promise that, when resolved, yields a {@link fileRevisionsModel} containing the revision listing.
      */
-    getRevisions() {
+    getRevisions(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('revisions')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(fileRevisionsModel));
+            .then(modelParser.createParser(fileRevisionsModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Set the description for the file.
      * @param {String} description - The new file description.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<fileModel>} - A Promise that, when resolved, yields a {@link fileModel} containing the file information.
      */
-    setDescription(description) {
+    setDescription(description, requestOptions = {}) {
         let fileModelParser = modelParser.createParser(fileModel);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('description')
+            .withRequestOptions(rawResponse.requestOptions)
             .put(description, utility.textRequestType)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(fileModelParser);
+            .then(fileModelParser)
+            .then(rawResponse.result);
     }
 
     /**
      * Delete the file from the MindTouch site.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} - A Promise that, when resolved, indicates a successful file deletion.
      */
-    delete() {
-        return this._plug.delete().catch(err => Promise.reject(err));
+    delete(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
+        return this._plug
+            .withRequestOptions(rawResponse.requestOptions)
+            .delete()
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 
     /**
      * Upload a new file to serve as a revision in place of the current file.
-     * @param {File} file - The file object to upload.
-     * @param {String} filename - The filename of the new revision.
-     * @param {function} progress - A function that is called to indicate upload progress before the upload is complete.
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the updated file data, or rejected with an error specifying the reason for rejection.
-     */
-    addRevision(file, { name = file.name, size = file.size, type = file.type, progress = null } = {}) {
+     * @param {File|Uint8Array|AsyncIterable.<(Uint8Array|String)>} file - The file object to upload. With a `progress` function in node, this may also be a Buffer, a readable stream or an async iterable of chunks, which is streamed to the API.
+     * @param {Object} [options] - The file information options that is, by default populated from the `file` parameter.
+     * @param {String} [options.name] - The filename of the new revision.
+     * @param {Number} [options.size] - The size of the file, in bytes.
+     * @param {String} [options.type] - The mime type of the file.
+     * @param {function} [options.progress] - A function that is called to indicate upload progress before the upload is complete.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<fileModel>} - A Promise that will be resolved with the updated file data, or rejected with an error specifying the reason for rejection.
+     */
+    addRevision(
+        file,
+        { name = file.name, size = file.size, type = file.type, progress = null } = {},
+        requestOptions = {}
+    ) {
+        const rawResponse = _withRawResponse(requestOptions);
         if (progress !== null) {
             const progressInfo = { callback: progress, size };
             return this._progressPlug
                 .at(utility.getResourceId(name))
+                .withRequestOptions(rawResponse.requestOptions)
                 .put(file, type, progressInfo)
                 .catch(err => Promise.reject(err))
-                .then(r => JSON.parse(r.responseText))
-                .then(modelParser.createParser(fileModel));
+                .then(_parseResponseText)
+                .then(modelParser.createParser(fileModel))
+                .then(rawResponse.result);
         }
         return this._plug
             .withHeader('Content-Length', size)
             .at(utility.getResourceId(name))
+            .withRequestOptions(rawResponse.requestOptions)
             .put(file, type)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(fileModel));
+            .then(modelParser.createParser(fileModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -3393,22 +6183,47 @@ class File {
      * @param {Object} params - The parameters that direct the API request.
      * @param {Number} params.to - The page ID of the page to move to.
      * @param {String} params.name - The name of the new, moved file.
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the updated file data, or rejected with an error specifying the reason for rejection.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<fileModel>} - A Promise that will be resolved with the updated file data, or rejected with an error specifying the reason for rejection.
      */
-    move(params = {}) {
+    move(params = {}, requestOptions = {}) {
         if (!params.to) {
-            return Promise.reject(new Error('The `to` parameter must be specified to move a file.'));
+            return Promise.reject(new ValidationError('The `to` parameter must be specified to move a file.'));
         }
         if (!params.name) {
-            return Promise.reject(new Error('The `name` parameter must be specified to move a file.'));
+            return Promise.reject(new ValidationError('The `name` parameter must be specified to move a file.'));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('move')
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .post(null, utility.textRequestType)
-            .catch(err => Promise.reject(this._errorParser(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(fileModel));
+            .then(modelParser.createParser(fileModel))
+            .then(rawResponse.result);
+    }
+
+    /**
+     * Download the contents of the file, or of one of its revisions. The request is sent with the configured token and cookies.
+     * @param {Object} [options] - Options to direct the download.
+     * @param {Number} [options.revision] - The revision of the file to download. If not supplied, the current revision is downloaded.
+     * @param {Number} [options.start] - The offset of the first byte to download, to resume a partial download with a `Range` request. The Promise is rejected if the API does not return the requested range.
+     * @param {Number} [options.end] - The offset of the last byte to download. If not supplied, the file is downloaded to the end.
+     * @param {Boolean} [options.stream=false] - Resolve with a ReadableStream of the contents, instead of reading them into a Blob.
+     * @param {function} [options.progress] - A function that is called with the `loaded` and `total` number of bytes as the contents are downloaded. A resumed download counts from the `start` offset toward the size of the whole file. The `total` is null if the size of the file is not known.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Blob|ReadableStream>} - A Promise that, when resolved, yields the file contents.
+     */
+    download(options = {}, requestOptions = {}) {
+        const { revision = null } = options;
+        if (revision !== null && typeof revision !== 'number') {
+            return Promise.reject(new ValidationError('The `revision` parameter must be a number.'));
+        }
+        const plug = revision === null ? this._plug : this._plug.withParam('revision', revision);
+        const rawResponse = _withRawResponse(requestOptions, { readBody: false });
+        return _downloadFile(plug, options, rawResponse.requestOptions).then(rawResponse.result);
     }
 }
 
@@ -3451,23 +6266,26 @@ class Group {
      */
     constructor(id, settings = new Settings()) {
         if (!id) {
-            throw new Error('A group ID must be supplied');
+            throw new ValidationError('A group ID must be supplied');
         }
         this._id = utility.getResourceId(id);
-        this._groupPlug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'groups', this._id);
-        this._errorParser = modelParser.createParser(apiErrorModel);
+        this._groupPlug = settings.plug.at('@api', 'deki', 'groups', this._id);
     }
 
     /**
      * Get the group information.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<groupModel>} - A Promise that, when resolved, yields a {@link groupModel} containing the group information.
      */
-    getInfo() {
+    getInfo(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._groupPlug
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(groupModel));
+            .then(modelParser.createParser(groupModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -3479,38 +6297,52 @@ class Group {
      * @param {Boolean} [options.activatedfilter] - Search for users by their active status.
      * @param {String} [options.rolefilter] - Search for users by a role name.
      * @param {String} [options.sortby] - Sort field. Prefix value with '-' to sort descending. Valid values are: `id`, `username`, `nick`, `email`, `fullname`, `date.lastlogin`, `status`, `role`, `service`
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<userListModel>} - A Promise that, when resolved, yields a {@link userListModel} with the users listing.
      */
-    getUsers(options) {
+    getUsers(options, requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._groupPlug
             .at('users')
             .withParams(options)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(userListModel));
+            .then(modelParser.createParser(userListModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Remove given member from a group
      * @param {Number|String} userId - either an integer user ID, "current", or the username of the user to remove from the group.
-     * @returns {Promise} A Promise that, when resolved, yields a groupModel containing information about the group that the user was removed from.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<groupModel>} A Promise that, when resolved, yields a groupModel containing information about the group that the user was removed from.
      */
-    removeUser(userId) {
+    removeUser(userId, requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._groupPlug
             .at('users', utility.getResourceId(userId, 'current'))
+            .withRequestOptions(rawResponse.requestOptions)
             .delete()
-            .catch(err => Promise.reject(this._errorParser(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(groupModel));
+            .then(modelParser.createParser(groupModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Remove the group from the site
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} A Promise that, when resolved, indicates the group was deleted successfully.
      */
-    delete() {
-        return this._groupPlug.delete().catch(err => Promise.reject(err));
+    delete(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
+        return this._groupPlug
+            .withRequestOptions(rawResponse.requestOptions)
+            .delete()
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 }
 
@@ -3523,7 +6355,7 @@ class GroupManager {
      * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
      */
     constructor(settings = new Settings()) {
-        this.plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'groups');
+        this.plug = settings.plug.at('@api', 'deki', 'groups');
         this.settings = settings;
     }
 
@@ -3535,13 +6367,14 @@ class GroupManager {
      * @param {Number|String} options.limit - Maximum number of items to retrieve. Must be a positive number or 'all' to retrieve all items. (default: 100)
      * @param {Number} options.offset - Number of items to skip. Must be a positive number or 0 to not skip any. (default: 0)
      * @param {String} options.sortBy - Sort field. Prefix value with '-' to sort descending. default: No sorting. Must be one of 'id', 'name', 'role', 'service'
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<groupListModel>} - A Promise that, when resolved, yields a {@link groupListModel} containing the group listing.
      */
-    getGroupList(options = {}) {
+    getGroupList(options = {}, requestOptions = {}) {
         const params = {};
         if ('nameFilter' in options) {
             if (typeof options.nameFilter !== 'string') {
-                return Promise.reject(new Error('The group name filter must be a string'));
+                return Promise.reject(new ValidationError('The group name filter must be a string'));
             }
             if (options.nameFilter !== '') {
                 params.groupnamefilter = options.nameFilter;
@@ -3549,38 +6382,43 @@ class GroupManager {
         }
         if ('authProvider' in options) {
             if (typeof options.authProvider !== 'number') {
-                return Promise.reject(new Error('The auth provider ID must be a number'));
+                return Promise.reject(new ValidationError('The auth provider ID must be a number'));
             }
             params.authprovider = options.authProvider;
         }
         if ('limit' in options) {
             if (typeof options.limit !== 'number' && options.limit !== 'all') {
-                return Promise.reject(new Error('The limit parameter must be a number or "all"'));
+                return Promise.reject(new ValidationError('The limit parameter must be a number or "all"'));
             }
             params.limit = options.limit;
         }
         if ('offset' in options) {
             if (typeof options.offset !== 'number') {
-                return Promise.reject(new Error('The offset parameter must be a number'));
+                return Promise.reject(new ValidationError('The offset parameter must be a number'));
             }
             params.offset = options.offset;
         }
         if ('sortBy' in options) {
             if (typeof options.sortBy !== 'string') {
-                return Promise.reject(new Error('The sortBy option must be a string'));
+                return Promise.reject(new ValidationError('The sortBy option must be a string'));
             }
             const validSortParams = ['id', 'name', 'role', 'service', '-id', '-name', '-role', '-service'];
             if (!validSortParams.includes(options.sortBy)) {
-                return Promise.reject(new Error(`The sortBy option must be one of ${validSortParams.join(', ')}`));
+                return Promise.reject(
+                    new ValidationError(`The sortBy option must be one of ${validSortParams.join(', ')}`)
+                );
             }
             params.sortby = options.sortBy;
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this.plug
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(groupListModel));
+            .then(modelParser.createParser(groupListModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -3598,11 +6436,11 @@ const learningPathModel = [
     { field: '@editable', name: 'editable', transform: 'boolean' },
     { field: '@revision', name: 'revision', transform: 'number' },
     { field: 'edittime', name: 'editTime' },
-    { field: 'title' },
-    { field: 'summary' },
-    { field: 'category' },
+    { field: 'title', writable: true },
+    { field: 'summary', writable: true },
+    { field: 'category', writable: true },
     { field: 'uri.learningpath', name: 'uri' },
-    { field: 'pages', isArray: true, transform: pageModel }
+    { field: 'pages', isArray: true, transform: pageModel, writable: true, serialize: page => page.id }
 ];
 
 const learningPathsModel = [
@@ -3619,25 +6457,29 @@ class LearningPath {
      */
     constructor(name, settings = new Settings()) {
         this._name = name;
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'learningpaths', `=${name}`);
+        this._plug = settings.plug.at('@api', 'deki', 'learningpaths', `=${name}`);
     }
 
     /**
      * Get the learning path data.
      * @param {String|Number} [revision] The positive integer or GUID that refers to a specific revision to fetch. If not supplied, the latest revision will be fetched.
-     * @returns {Promise} A promise that, when resolved, yields a learningPathModel representing the learning path.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathModel>} A promise that, when resolved, yields a learningPathModel representing the learning path.
      */
-    getInfo(revision) {
+    getInfo(revision, requestOptions = {}) {
         const params = {};
         if (revision) {
             params.revision = revision;
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(learningPathModel));
+            .then(modelParser.createParser(learningPathModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -3647,117 +6489,149 @@ class LearningPath {
      * @param {String} [content.summary] The new summary of the learning path. If not supplied, the summary is cleared.
      * @param {String} [content.category] The new category of the learning path. If not supplied, the category is cleared.
      * @param {Array} [content.pageIds] An array of page IDs that represents the new orderde set of pages in the learning path. If not supplied, the pages are cleared.
+     * @param {Array.<Object>} [content.pages] The pages of the learning path, such as the `pages` from {@see LearningPath#getInfo}, in place of the `pageIds`.
      * @param {Date|String} [editTime=now] Current learning path's edit timestamp, or the string 'now' bypass concurrent edit check.
-     * @returns {Promise} A promise that, when resolved, yields a learningPathModel representing the updated learning path.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathModel>} A promise that, when resolved, yields a learningPathModel representing the updated learning path.
      */
-    update(content, editTime = 'now') {
+    update(content, editTime = 'now', requestOptions = {}) {
         if (!content) {
-            return Promise.reject('The content parameter must be supplied to update a learning path');
+            return Promise.reject(
+                new ValidationError('The content parameter must be supplied to update a learning path')
+            );
         }
         if (!content.title || typeof content.title !== 'string' || content.title === '') {
-            return Promise.reject('The title parameter must be supplied, and must be a non-empty string.');
+            return Promise.reject(
+                new ValidationError('The title parameter must be supplied, and must be a non-empty string.')
+            );
         }
-        let xmlData = `<title>${utility.escapeHTML(content.title)}</title>`;
+        const learningPath = { title: content.title };
         if (content.summary) {
             if (typeof content.summary !== 'string') {
-                return Promise.reject('The summary parameter must be a string');
+                return Promise.reject(new ValidationError('The summary parameter must be a string'));
             }
-            xmlData += `<summary>${utility.escapeHTML(content.summary)}</summary>`;
+            learningPath.summary = content.summary;
         }
         if (content.category) {
             if (typeof content.category !== 'string') {
-                return Promise.reject('The category parameter must be a string');
+                return Promise.reject(new ValidationError('The category parameter must be a string'));
             }
-            xmlData += `<category>${utility.escapeHTML(content.category)}</category>`;
+            learningPath.category = content.category;
         }
-        if (content.pageIds) {
-            if (!Array.isArray(content.pageIds)) {
-                return Promise.reject('The pages parameter must be an array');
+        const pages = content.pageIds ? content.pageIds.map(id => ({ id })) : content.pages;
+        if (pages) {
+            if (!Array.isArray(pages)) {
+                return Promise.reject(new ValidationError('The pages parameter must be an array'));
             }
-            xmlData += content.pageIds.reduce((acc, id) => acc + `<pages>${id}</pages>`, xmlData);
+            learningPath.pages = pages;
         }
-        const reqBody = `<learningpath>${xmlData}</learningpath>`;
+        const reqBody = modelParser.createSerializer(learningPathModel, { root: 'learningpath' })(learningPath);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .withParam('edittime', editTime)
+            .withRequestOptions(rawResponse.requestOptions)
             .post(reqBody, utility.xmlRequestType)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(learningPathModel));
+            .then(modelParser.createParser(learningPathModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Remove the learning path.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} A promise that, when resolved, indicates successful removal of the learning path.
      */
-    remove() {
-        return this._plug.delete().catch(err => Promise.reject(err));
+    remove(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
+        return this._plug
+            .withRequestOptions(rawResponse.requestOptions)
+            .delete()
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 
     /**
      * Clone the learning path, and give it the specified name.
      * @param {String} newName The new name for the learning path clone.
-     * @returns {Promise} A promise that, when resolved, yields a learningPathModel containing the information about the cloned learning path.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathModel>} A promise that, when resolved, yields a learningPathModel containing the information about the cloned learning path.
      */
-    clone(newName) {
+    clone(newName, requestOptions = {}) {
         if (typeof newName !== 'string' || newName === '') {
-            return Promise.reject('The new name for the clone must be a non-empty string.');
+            return Promise.reject(new ValidationError('The new name for the clone must be a non-empty string.'));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('clone')
             .withParam('name', newName)
+            .withRequestOptions(rawResponse.requestOptions)
             .post(null, utility.textRequestType)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(learningPathModel));
+            .then(modelParser.createParser(learningPathModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Revert the Learning Path to a specific revision.
      * @param {String|Number} revision The positive integer or GUID that refers to a specific revision to revert to.
      * @param {Date|String} [editTime=now] The previous revision's edit timestamp. Defaults to "now" to bypass concurrent edit check.
-     * @returns {Promise} A Promise that, when resolved, yields a learningPathModel that represents the state of the learning path after the revert has completed.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathModel>} A Promise that, when resolved, yields a learningPathModel that represents the state of the learning path after the revert has completed.
      */
-    revertToRevision(revision, editTime = 'now') {
+    revertToRevision(revision, editTime = 'now', requestOptions = {}) {
         if (!revision) {
-            return Promise.reject(new Error('The revision parameter is required'));
+            return Promise.reject(new ValidationError('The revision parameter is required'));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('revert')
             .withParams({ torevision: revision, edittime: editTime })
+            .withRequestOptions(rawResponse.requestOptions)
             .post()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(learningPathModel));
+            .then(modelParser.createParser(learningPathModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Add a page to the learning path
      * @param {Number} pageId The numeric ID of the page to add to the Learning Path.
      * @param {Date|String} [editTime=now] The previous revision's edit timestamp. Defaults to "now" to bypass concurrent edit check.
-     * @returns {Promise} A Promise that, when resolved, returns a pageModel representing the page that was added.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageModel>} A Promise that, when resolved, returns a pageModel representing the page that was added.
      */
-    addPage(pageId, editTime = 'now') {
+    addPage(pageId, editTime = 'now', requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('pages', pageId)
             .withParam('edittime', editTime)
+            .withRequestOptions(rawResponse.requestOptions)
             .post()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageModel));
+            .then(modelParser.createParser(pageModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Remove a page from a learning path
      * @param {Number} pageId The numeric ID of the page to remove from the Learning Path.
      * @param {Date|String} [editTime=now] The previous revision's edit timestamp. Defaults to "now" to bypass concurrent edit check.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} A Promise that, when resolved, indicates that the page was successfully removed.
      */
-    removePage(pageId, editTime = 'now') {
+    removePage(pageId, editTime = 'now', requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('pages', pageId)
             .withParam('edittime', editTime)
+            .withRequestOptions(rawResponse.requestOptions)
             .delete()
-            .catch(err => Promise.reject(err));
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 
     /**
@@ -3765,16 +6639,20 @@ class LearningPath {
      * @param {Number} pageId The numeric ID of the page that is the target of the reorder operation.
      * @param {Number} [afterId=0] The page id after which this page should be placed. A value of 0 will place it at the beginning.
      * @param {Date|String} [editTime=now] The previous revision's edit timestamp. Defaults to "now" to bypass concurrent edit check.
-     * @returns {Promise} A Promise that, when resolved, yields a learningPathModel representing the learning path after a successful page reorder.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathModel>} A Promise that, when resolved, yields a learningPathModel representing the learning path after a successful page reorder.
      */
-    reorderPage(pageId, afterId = 0, editTime = 'now') {
+    reorderPage(pageId, afterId = 0, editTime = 'now', requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('pages', pageId, 'order')
             .withParams({ edittime: editTime, afterid: afterId })
+            .withRequestOptions(rawResponse.requestOptions)
             .post()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(learningPathModel));
+            .then(modelParser.createParser(learningPathModel))
+            .then(rawResponse.result);
     }
 }
 class LearningPathManager {
@@ -3784,19 +6662,23 @@ class LearningPathManager {
      */
     constructor(settings = new Settings()) {
         this.settings = settings;
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'learningpaths');
+        this._plug = settings.plug.at('@api', 'deki', 'learningpaths');
     }
 
     /**
      * Get information for all of the site learning paths.
-     * @returns {Promise} A Promise that, when resolved, yields a learningPathsModel containing the information of all of the learning paths.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathsModel>} A Promise that, when resolved, yields a learningPathsModel containing the information of all of the learning paths.
      */
-    getLearningPaths() {
+    getLearningPaths(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(learningPathsModel));
+            .then(modelParser.createParser(learningPathsModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -3806,47 +6688,59 @@ class LearningPathManager {
      * @param {String} data.title The title for the new Learning Path.
      * @param {String} [data.summary] A brief description for the new Learning Path.
      * @param {String} [data.category] The category to put the learning path in.
-     * @returns {Promise} A Promise that, when resolved, yields a learningPathModel containing the information for the new learning path.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathModel>} A Promise that, when resolved, yields a learningPathModel containing the information for the new learning path.
      */
-    createLearningPath(data) {
+    createLearningPath(data, requestOptions = {}) {
         if (!data) {
-            return Promise.reject(new Error('Unable to create a learning path without data.'));
+            return Promise.reject(new ValidationError('Unable to create a learning path without data.'));
         }
         if (!data.name || typeof data.name !== 'string' || data.name === '') {
-            return Promise.reject(new Error('The `name` parameter must be supplied, and must be a non-empty string.'));
+            return Promise.reject(
+                new ValidationError('The `name` parameter must be supplied, and must be a non-empty string.')
+            );
         }
         if (!data.title || typeof data.title !== 'string' || data.title === '') {
-            return Promise.reject(new Error('The `title` parameter must be supplied, and must be a non-empty string.'));
+            return Promise.reject(
+                new ValidationError('The `title` parameter must be supplied, and must be a non-empty string.')
+            );
         }
         if (data.summary) {
             if (typeof data.summary !== 'string') {
-                return Promise.reject(new Error('The `summary` parameter must be a string.'));
+                return Promise.reject(new ValidationError('The `summary` parameter must be a string.'));
             }
         }
         if (data.category) {
             if (typeof data.category !== 'string') {
-                return Promise.reject(new Error('The `category` parameter must be a string.'));
+                return Promise.reject(new ValidationError('The `category` parameter must be a string.'));
             }
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .withParams(data)
+            .withRequestOptions(rawResponse.requestOptions)
             .post()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(learningPathModel));
+            .then(modelParser.createParser(learningPathModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Get a list of all of the categories used amongst all learning paths.
-     * @returns {Promise} A Promise that, when resolved, yields an object containing the list of all of the learning path categories.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<learningPathCategoriesModel>} A Promise that, when resolved, yields an object containing the list of all of the learning path categories.
      */
-    getCategories() {
+    getCategories(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('categories')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(learningPathCategoriesModel));
+            .then(modelParser.createParser(learningPathCategoriesModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -3882,67 +6776,83 @@ class License {
      * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
      */
     constructor(settings = new Settings()) {
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'license');
+        this._plug = settings.plug.at('@api', 'deki', 'license');
     }
 
     /**
      * Retrieve license usage totals for the current license period
      * @param {Object} [options] - Parameters that will direct the usage information that is returned.
-     * @param {Date} [options.since] - Get license usage starting at this date.
-     * @param {Date} [options.upTo=Date.now()] - Get license usage ending at this date.
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the license usage data, or rejected with an error specifying the reason for rejection.
+     * @param {Date|String|Number} [options.since] - Get license usage starting at this date, as a Date, an ISO 8601 string or an epoch number.
+     * @param {Date|String|Number} [options.upTo=Date.now()] - Get license usage ending at this date, as a Date, an ISO 8601 string or an epoch number.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<licenseUsageModel>} - A Promise that will be resolved with the license usage data, or rejected with an error specifying the reason for rejection.
      */
-    getUsage(options = {}) {
+    getUsage(options = {}, requestOptions = {}) {
         const params = {};
         if (options.since) {
-            if (!(options.since instanceof Date)) {
-                return Promise.reject(new Error('The `since` parameter must be of type Date.'));
+            if (utility.toDate(options.since) === null) {
+                return Promise.reject(
+                    new ValidationError('The `since` parameter must be a Date, an ISO 8601 string or an epoch number.')
+                );
             }
             params.since = utility.getApiDateString(options.since);
         }
         if (options.upTo) {
-            if (!(options.upTo instanceof Date)) {
-                return Promise.reject(new Error('The `upTo` parameter must be of type Date.'));
+            if (utility.toDate(options.upTo) === null) {
+                return Promise.reject(
+                    new ValidationError('The `upTo` parameter must be a Date, an ISO 8601 string or an epoch number.')
+                );
             }
             params.upto = utility.getApiDateString(options.upTo);
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('usage')
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(licenseUsageModel));
+            .then(modelParser.createParser(licenseUsageModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Retrieve license usage totals for the current license period.
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the usage logs data, or rejected with an error specifying the reason for rejection.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<reportLogsModel>} - A Promise that will be resolved with the usage logs data, or rejected with an error specifying the reason for rejection.
      */
-    getUsageLogs() {
+    getUsageLogs(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('usage', 'logs')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(reportLogsModel));
+            .then(modelParser.createParser(reportLogsModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Retrieve the download URL for a license usage log.
      * @param {String} name - The name identifier for the usage log.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<Object>} - A Promise that will be resolved with the log URL data, or rejected with an error specifying the reason for rejection.
      */
-    getUsageLogUrl(name) {
+    getUsageLogUrl(name, requestOptions = {}) {
         if (!name) {
-            return Promise.reject(new Error('The log name must be supplied.'));
+            return Promise.reject(new ValidationError('The log name must be supplied.'));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('usage', 'logs', name, 'url')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser([{ field: 'url' }]));
+            .then(modelParser.createParser([{ field: 'url' }]))
+            .then(rawResponse.result);
     }
 }
 
@@ -4139,8 +7049,6 @@ const filesAndSubpagesModel = [
     { field: 'subpages', name: 'subpagesInfo', transform: subpagesModel }
 ];
 
-const _errorParser$4 = modelParser.createParser(apiErrorModel);
-
 /**
  * A class for managing a published page.
  * @augments PageBase
@@ -4155,121 +7063,145 @@ class Page extends PageBase {
     constructor(id = 'home', settings = new Settings()) {
         super(id);
         this._settings = settings;
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'pages', this._id);
+        this._plug = settings.plug.at('@api', 'deki', 'pages', this._id);
+        this._progressPlug = settings.progressPlug.at('@api', 'deki', 'pages', this._id);
     }
 
     /**
      * Gets the basic page information.
      * @param {Object} [params] - Additional parameters to direct the API request.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageModel>} - A Promise that, when resolved, yields a {@link pageModel} containing the basic page information.
      */
-    getInfo(params = {}) {
+    getInfo(params = {}, requestOptions = {}) {
         let infoParams = { exclude: 'revision' };
         Object.keys(params).forEach(key => {
             infoParams[key] = params[key];
         });
         let pageModelParser = modelParser.createParser(pageModel);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('info')
             .withParams(infoParams)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(pageModelParser);
+            .then(pageModelParser)
+            .then(rawResponse.result);
     }
 
     /**
      * Get the subpages of the page.
      * @param {Object} [params] - Additional parameters to direct the API request.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<subpagesModel>} - A Promise that, when resolved, yields a {@link subpagesModel} containing the basic page information.
      */
-    getSubpages(params) {
+    getSubpages(params, requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('subpages')
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(subpagesModel));
+            .then(modelParser.createParser(subpagesModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Fetch a combined response for the files and subpages of the current Page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<filesAndSubpagesModel>} - A promise that, when resolved, yields a {@link filesAndSubpagesModel} containing the consolidated response.
      */
-    getFilesAndSubpages() {
+    getFilesAndSubpages(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('files,subpages')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(filesAndSubpagesModel));
+            .then(modelParser.createParser(filesAndSubpagesModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Get a hierarchy tree based on the current page.
      * @param {Object} [params] - Additional parameters to direct the API request.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageTreeModel>} - A Promise that, when resolved, yields a {@link pageTreeModel} containing the basic page information.
      */
-    getTree(params) {
+    getTree(params, requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('tree')
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageTreeModel));
+            .then(modelParser.createParser(pageTreeModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Get the hierarchical list of pages IDs from the current page to the home page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<Array>} - The array of hierarchical page IDs.
      */
-    getTreeIds() {
+    getTreeIds(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('tree')
             .withParam('format', 'ids')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
-            .catch(e => {
-                return Promise.reject(new Error(e.message));
-            })
+            .catch(err => Promise.reject(err))
             .then(r => r.text())
             .then(idString => {
                 return idString.split(',').map(id => {
                     let numId = parseInt(id, 10);
                     if (isNaN(numId)) {
-                        throw new Error('Unable to parse the tree IDs.');
+                        throw new MartianError('Unable to parse the tree IDs.');
                     }
                     return numId;
                 });
-            });
+            })
+            .then(rawResponse.result);
     }
 
     /**
      * Gets the rating information for the page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageRatingModel>} - A Promise that, when resolved, yields a {@link pageRatingModel} containing the rating information.
      */
-    getRating() {
+    getRating(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('ratings')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageRatingModel));
+            .then(modelParser.createParser(pageRatingModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Set the rating for the page.
      * @param {Number|null} [rating=null] - The new rating for the page.
      * @param {Number|null} [oldRating=null] - The old rating for the page that is being replaced by {@see rating}.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageRatingModel>} - A Promise that, when resolved, yields a {@link pageRatingModel} containing the new rating information.
      */
-    rate(rating = null, oldRating = null) {
+    rate(rating = null, oldRating = null, requestOptions = {}) {
         if (rating !== 1 && rating !== 0 && rating !== null) {
-            throw new Error('Invalid rating supplied');
+            throw new ValidationError('Invalid rating supplied');
         }
         if (oldRating !== 1 && oldRating !== 0 && oldRating !== null) {
-            throw new Error('Invalid rating supplied for the old rating');
+            throw new ValidationError('Invalid rating supplied for the old rating');
         }
         if (rating === null) {
             rating = '';
@@ -4277,36 +7209,41 @@ class Page extends PageBase {
         if (oldRating === null) {
             oldRating = '';
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('ratings')
             .withParams({ score: rating, previousScore: oldRating })
+            .withRequestOptions(rawResponse.requestOptions)
             .post(null, utility.textRequestType)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageRatingModel));
+            .then(modelParser.createParser(pageRatingModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Gets a MindTouch template rendered in the context of the current page, as HTML.
      * @param {String} path - The template path.
      * @param {Object} [params] - Additional parameters to direct the API request.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageContentsModel>} - A Promise that, when resolved, yields the rendered HTML within a {@link pageContentsModel}.
      */
-    getHtmlTemplate(path, params = {}) {
+    getHtmlTemplate(path, params = {}, requestOptions = {}) {
         params.pageid = this._id;
 
         // Double-URL-encode the path and add '=' to the beginning.  This makes
         //  it a proper page ID to be used in a URI segment.
         let templatePath = '=' + encodeURIComponent(encodeURIComponent(path));
-        let contentsPlug = new Plug(this._settings.host, this._settings.plugConfig)
-            .at('@api', 'deki', 'pages', templatePath, 'contents')
-            .withParams(params);
+        let contentsPlug = this._settings.plug.at('@api', 'deki', 'pages', templatePath, 'contents').withParams(params);
         let pageContentsModelParser = modelParser.createParser(pageContentsModel);
+        const rawResponse = _withRawResponse(requestOptions);
         return contentsPlug
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(pageContentsModelParser);
+            .then(pageContentsModelParser)
+            .then(rawResponse.result);
     }
 
     /**
@@ -4319,179 +7256,220 @@ class Page extends PageBase {
      * @param {Boolean} [params.recursive=false] - Copy the child hierarchy of the original page.
      * @param {String} [params.abort='exists'] - Specifies condition under which to prevent the update. Allowed values are 'exists' and 'never'.
      * @param {String} [params.allow] - Specifies condition under which to allow the update when an error would normally be thrown.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageMoveModel>} - A Promise that, when resolved, yields a {@link pageMoveModel} containing information regarding the move operation.
      */
-    copy(params = {}) {
+    copy(params = {}, requestOptions = {}) {
         if (!params.to) {
-            return Promise.reject(new Error('The copy target location must be specified in the `to` parameter.'));
+            return Promise.reject(
+                new ValidationError('The copy target location must be specified in the `to` parameter.')
+            );
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('copy')
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .post(null, utility.textRequestType)
-            .catch(err => Promise.reject(_errorParser$4(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageMoveModel));
+            .then(modelParser.createParser(pageMoveModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Move a page to a new location in the hierarchy.
      * @param {Object} [params] - Additional parameters to direct the API request.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageMoveModel>} - A Promise that, when resolved, yields a {@link pageMoveModel} containing information regarding the move operation.
      */
-    move(params = {}) {
+    move(params = {}, requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('move')
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .post(null, utility.textRequestType)
-            .catch(err => Promise.reject(_errorParser$4(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageMoveModel));
+            .then(modelParser.createParser(pageMoveModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Delete a page
      * @param {Boolean} [recursive=false] - Indicates whether or not the delete operation will also delete all child pages.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageDeleteModel>} - A Promise that, when resolved, yields a {@link pageDeleteModel} containing information regearding pages that were deleted.
      */
-    delete(recursive = false) {
+    delete(recursive = false, requestOptions = {}) {
         const pageDeleteModelParser = modelParser.createParser(pageDeleteModel);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .withParam('recursive', recursive)
+            .withRequestOptions(rawResponse.requestOptions)
             .delete()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(pageDeleteModelParser);
+            .then(pageDeleteModelParser)
+            .then(rawResponse.result);
     }
 
     /**
      * Using the current page, activates a draft; copying the page's content and attachments.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageModel>} - A Promise that, when resolved, yields a {@link pageModel} containing the page information following the activation.
      */
-    activateDraft() {
+    activateDraft(requestOptions = {}) {
         let pageModelParser = modelParser.createParser(pageModel);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('activate-draft')
+            .withRequestOptions(rawResponse.requestOptions)
             .post()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(pageModelParser);
+            .then(pageModelParser)
+            .then(rawResponse.result);
     }
 
     /**
      * Import a MindTouch archive file as a child node of the page.
-     * @param {File} file - A File object that either represents the file to import, or contains information about the upload target.
+     * @param {File|Uint8Array|AsyncIterable.<(Uint8Array|String)>} file - A File object that either represents the file to import, or contains information about the upload target. With a `progress` function in node, this may also be a Buffer, a readable stream or an async iterable of chunks, which is streamed to the API.
      * @param {Object} [options] - The file information options that is, by default populated from the `file` parameter.
+     * @param {String} [options.name] - The filename of the archive.
+     * @param {Number} [options.size] - The size of the file, in bytes.
+     * @param {String} [options.type] - The mime type of the file.
+     * @param {function} [options.progress] - A function that is called to indicate upload progress before the upload is complete.
      * @param {Object} [params] - Additional API parameters to send along with the request.
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the import info data, or rejected with an error specifying the reason for rejection.
-     */
-    importArchive(file, { name = file.name, size = file.size, type = file.type, progress = null } = {}, params = {}) {
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<importArchiveModel>} - A Promise that will be resolved with the import info data, or rejected with an error specifying the reason for rejection.
+     */
+    importArchive(
+        file,
+        { name = file.name, size = file.size, type = file.type, progress = null } = {},
+        params = {},
+        requestOptions = {}
+    ) {
+        const rawResponse = _withRawResponse(requestOptions);
         const apiParams = Object.assign({ filename: name, behavior: 'async' }, params);
         if (progress !== null) {
-            const progressPlug = new ProgressPlug(this._settings.host, this._settings.plugConfig).at(
-                '@api',
-                'deki',
-                'pages',
-                this._id
-            );
             const progressInfo = { callback: progress, size };
-            return progressPlug
+            return this._progressPlug
                 .at('import')
                 .withParams(apiParams)
+                .withRequestOptions(rawResponse.requestOptions)
                 .put(file, type, progressInfo)
-                .catch(e => Promise.reject(JSON.parse(e.responseText)))
-                .then(r => JSON.parse(r.responseText))
-                .then(modelParser.createParser(importArchiveModel));
+                .catch(err => Promise.reject(err))
+                .then(_parseResponseText)
+                .then(modelParser.createParser(importArchiveModel))
+                .then(rawResponse.result);
         }
         return this._plug
             .withHeader('Content-Length', size)
             .withParams(apiParams)
             .at('import')
+            .withRequestOptions(rawResponse.requestOptions)
             .put(file, type)
-            .catch(e => Promise.reject(JSON.parse(e.responseText)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(importArchiveModel));
+            .then(modelParser.createParser(importArchiveModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Generates the information so that clients can stream down the exported page(s) in mtarc format.
-     * @returns {Promise.<Object>} - A Promise that will be resolved with data describing the exported file, or rejected with an error specifying the reason for rejection.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageExportModel>} - A Promise that will be resolved with data describing the exported file, or rejected with an error specifying the reason for rejection.
      */
-    getExportInformation() {
+    getExportInformation(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('export')
+            .withRequestOptions(rawResponse.requestOptions)
             .post(null, utility.textRequestType)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageExportModel));
+            .then(modelParser.createParser(pageExportModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Export the page as a PDF.
      * @param {Object} [options] Options to direct the fetching of the PDF.
-     * @param {String} [options.filename] The filename to save the PDF as.  If not supplied, uses the page's title.
+     * @param {String} [options.fileName] The filename to save the PDF as.  If not supplied, uses the page's title.
      * @param {String} [options.format=pdf] The format to export. Must be one of "pdf" or "html".
      * @param {String} [options.stylesheet] The name of a custom stylesheet to apply.
      * @param {Boolean} [options.deep=false] If true, exports the page and all of its subpages.
      * @param {Boolean} [options.showToc=false] If true, includes a table of contents in the exported document.
      * @param {Boolean} [options.dryRun=false] If true, perform a simulated export to verify if an actual, subsequent export will be successful.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} A Promise that when resolved, indicates that the export has completed successfully. If dryRun was set to false, the Promise resolution will provide a Blob containing the PDF contents.
      */
-    exportPdf({ fileName, format = 'pdf', stylesheet, deep = false, showToc = false, dryRun = false } = {}) {
+    exportPdf(
+        { fileName, format = 'pdf', stylesheet, deep = false, showToc = false, dryRun = false } = {},
+        requestOptions = {}
+    ) {
         const params = {};
         if (fileName) {
             if (typeof fileName !== 'string') {
-                return Promise.reject(new Error('The fileName parameter must be a non-empty string'));
+                return Promise.reject(new ValidationError('The fileName parameter must be a non-empty string'));
             }
             params.filename = fileName;
         }
         if (stylesheet) {
             if (typeof stylesheet !== 'string') {
-                return Promise.reject(new Error('The stylesheet parameter must be a non-empty string'));
+                return Promise.reject(new ValidationError('The stylesheet parameter must be a non-empty string'));
             }
             params.stylesheet = stylesheet;
         }
         if (format !== 'pdf' && format !== 'html') {
-            return Promise.reject(new Error('The `format` parameter must be either "pdf" or "html".'));
+            return Promise.reject(new ValidationError('The `format` parameter must be either "pdf" or "html".'));
         }
         params.format = format;
         if (typeof deep !== 'boolean') {
-            return Promise.reject(new Error('The `deep` parameter must be a Boolean value.'));
+            return Promise.reject(new ValidationError('The `deep` parameter must be a Boolean value.'));
         }
         params.deep = deep;
         if (typeof showToc !== 'boolean') {
-            return Promise.reject(new Error('The `showToc` parameter must be a Boolean value.'));
+            return Promise.reject(new ValidationError('The `showToc` parameter must be a Boolean value.'));
         }
         params.showtoc = showToc;
         if (typeof dryRun !== 'boolean') {
-            return Promise.reject(new Error('The `dryRun` parameter must be a Boolean value.'));
+            return Promise.reject(new ValidationError('The `dryRun` parameter must be a Boolean value.'));
         }
         params.dryrun = dryRun;
+        const rawResponse = _withRawResponse(requestOptions);
         const respPromise = this._plug
             .at('pdf')
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err));
         if (dryRun) {
-            return respPromise;
+            return respPromise.then(rawResponse.result);
         }
-        return respPromise.then(r => r.blob());
+        return respPromise.then(r => r.blob()).then(rawResponse.result);
     }
 
     /**
      * Set the order in which this page will occur in relation to its siblings.
      * @param {Number} afterId The page id after which this page should be placed. Defaults to 0 to place it at the beginning.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} A Promise that, when resolved, indicates that the reorder operation succeeded.
      */
-    setOrder(afterId = 0) {
+    setOrder(afterId = 0, requestOptions = {}) {
         if (typeof afterId !== 'number') {
-            return Promise.reject(new Error('The afterId must be a numeric page ID.'));
+            return Promise.reject(new ValidationError('The afterId must be a numeric page ID.'));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('order')
             .withParam('afterId', afterId)
+            .withRequestOptions(rawResponse.requestOptions)
             .put()
-            .catch(err => Promise.reject(err));
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 
     /**
@@ -4504,53 +7482,60 @@ class Page extends PageBase {
      * @param {Number} [options.limit] The maximum number of results to return.
      * @param {Number} [options.offset] The number of items to skip.
      * @param {String} [options.q] A search query string
-     * @returns {Promise} A Promise that, when resolved, returns a pageLinkDetailsModel with the list of link details that were fetched.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageLinkDetailsModel>} A Promise that, when resolved, returns a pageLinkDetailsModel with the list of link details that were fetched.
      */
-    getLinkDetails({ includeSubpages = false, linkTypes = [], broken, redirect, limit = 100, offset = 0, q } = {}) {
+    getLinkDetails(
+        { includeSubpages = false, linkTypes = [], broken, redirect, limit = 100, offset = 0, q } = {},
+        requestOptions = {}
+    ) {
         const params = {};
         if (typeof includeSubpages !== 'boolean') {
-            return Promise.reject(new Error('The `includeSubpages` parameter must be a Boolean value.'));
+            return Promise.reject(new ValidationError('The `includeSubpages` parameter must be a Boolean value.'));
         }
         params.subpages = includeSubpages;
         if (!Array.isArray(linkTypes)) {
-            return Promise.reject(new Error('The `linkTypes` parameter must be an array.'));
+            return Promise.reject(new ValidationError('The `linkTypes` parameter must be an array.'));
         }
         if (linkTypes.length > 0) {
             params.linktypes = linkTypes.join(',');
         }
         if (typeof broken !== 'undefined') {
             if (typeof broken !== 'boolean') {
-                return Promise.reject(new Error('The `broken` parameter must be a Boolean value.'));
+                return Promise.reject(new ValidationError('The `broken` parameter must be a Boolean value.'));
             }
             params.broken = broken;
         }
         if (typeof redirect !== 'undefined') {
             if (typeof redirect !== 'boolean') {
-                return Promise.reject(new Error('The `redirect` parameter must be a Boolean value.'));
+                return Promise.reject(new ValidationError('The `redirect` parameter must be a Boolean value.'));
             }
             params.redirect = redirect;
         }
         if (typeof limit !== 'number') {
-            return Promise.reject(new Error('The `limit` parameter must be a number.'));
+            return Promise.reject(new ValidationError('The `limit` parameter must be a number.'));
         }
         params.limit = limit;
         if (typeof offset !== 'number') {
-            return Promise.reject(new Error('The `offset` parameter must be a number.'));
+            return Promise.reject(new ValidationError('The `offset` parameter must be a number.'));
         }
         params.offset = offset;
         if (typeof q !== 'undefined') {
             if (typeof q !== 'string') {
-                return Promise.reject(new Error('The `q` parameter must be a string.'));
+                return Promise.reject(new ValidationError('The `q` parameter must be a string.'));
             }
             params.q = q;
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('linkdetails')
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
-            .catch(err => Promise.reject(_errorParser$4(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageLinkDetailsModel));
+            .then(modelParser.createParser(pageLinkDetailsModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -4561,103 +7546,127 @@ class Page extends PageBase {
      * @param {Array} [options.includeSubpages] Indicates whether or not to include the subpages in the report.
      * @param {Array} [options.limit] The maximum number of health reports to include.
      * @param {Array} [options.offset] The number of items to skip.
-     * @returns {Promise} A Promise that, when resolved, yields a healthReportModel with the listing of health inspections for the page.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<healthReportModel>} A Promise that, when resolved, yields a healthReportModel with the listing of health inspections for the page.
      */
-    getHealthInspections({ analyzers, severities, includeSubpages, limit, offset } = {}) {
+    getHealthInspections({ analyzers, severities, includeSubpages, limit, offset } = {}, requestOptions = {}) {
         const params = {};
         if (analyzers) {
             if (!Array.isArray(analyzers)) {
-                return Promise.reject(new Error('The `analyzers` parameter must be an array.'));
+                return Promise.reject(new ValidationError('The `analyzers` parameter must be an array.'));
             }
             params.analyzers = analyzers.join(',');
         }
         if (severities) {
             if (!Array.isArray(severities)) {
-                return Promise.reject(new Error('The `severities` parameter must be an array.'));
+                return Promise.reject(new ValidationError('The `severities` parameter must be an array.'));
             }
             params.severity = severities.join(',');
         }
         if (typeof includeSubpages !== 'undefined') {
             if (typeof includeSubpages !== 'boolean') {
-                return Promise.reject(new Error('The `includeSubpages` parameter must be a boolean value.'));
+                return Promise.reject(new ValidationError('The `includeSubpages` parameter must be a boolean value.'));
             }
             params.subpages = includeSubpages;
         }
         if (limit) {
             if (typeof limit !== 'number') {
-                return Promise.reject(new Error('The `limit` parameter must be a number.'));
+                return Promise.reject(new ValidationError('The `limit` parameter must be a number.'));
             }
             params.limit = limit;
         }
         if (offset) {
             if (typeof offset !== 'number') {
-                return Promise.reject(new Error('The `offset` parameter must be a number.'));
+                return Promise.reject(new ValidationError('The `offset` parameter must be a number.'));
             }
             params.offset = offset;
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('health')
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
-            .catch(err => Promise.reject(_errorParser$4(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(healthReportModel));
+            .then(modelParser.createParser(healthReportModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Retrieves the count of pages and attachments within a hierarchy
-     * @returns {Promise} A Promise that, when resolved, yields the heierachy count information.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageHierarchyInfoModel>} A Promise that, when resolved, yields the heierachy count information.
      */
-    getHierarchyInfo() {
+    getHierarchyInfo(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('hierarchyinfo')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageHierarchyInfoModel));
+            .then(modelParser.createParser(pageHierarchyInfoModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Link an arbitrary ID, usually corresponding to an external case management system, to this page
      * @param {String} caseId The ID of the case to link to this page
-     * @returns {Response} The fetch API Response.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Response>} A Promise that, when resolved, yields the fetch API Response.
      */
-    linkToCase(caseId) {
+    linkToCase(caseId, requestOptions = {}) {
         if (!caseId) {
-            return Promise.reject(new Error('The case ID must be supplied in order to link a case to the page.'));
+            return Promise.reject(
+                new ValidationError('The case ID must be supplied in order to link a case to the page.')
+            );
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('linktocase', caseId)
+            .withRequestOptions(rawResponse.requestOptions)
             .post()
-            .catch(err => Promise.reject(err));
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 
     /**
      * Remove a linked case ID from the linked cases for the page
      * @param {String} caseId The ID of the case to unlink
-     * @returns {Response} The fetch API Response.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<Response>} A Promise that, when resolved, yields the fetch API Response.
      */
-    unlinkCase(caseId) {
+    unlinkCase(caseId, requestOptions = {}) {
         if (!caseId) {
-            return Promise.reject(new Error('The case ID must be supplied in order to unlink a case from the page.'));
+            return Promise.reject(
+                new ValidationError('The case ID must be supplied in order to unlink a case from the page.')
+            );
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('linktocase', caseId)
+            .withRequestOptions(rawResponse.requestOptions)
             .delete()
-            .catch(err => Promise.reject(err));
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 
     /**
      * Get a list of cases that have been linked to this page.
-     * @returns {Promise} A Promise that, when resolved, yields the listing of the cases linked to the page
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<linkToCaseLinkList>} A Promise that, when resolved, yields the listing of the cases linked to the page
      */
-    getLinkedCases() {
+    getLinkedCases(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('linktocase', 'links')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(linkToCaseLinkList));
+            .then(modelParser.createParser(linkToCaseLinkList))
+            .then(rawResponse.result);
     }
 }
 
@@ -4666,21 +7675,25 @@ class Page extends PageBase {
  */
 class PageManager {
     constructor(settings = new Settings()) {
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'pages');
+        this._plug = settings.plug.at('@api', 'deki', 'pages');
     }
 
     /**
      * Get the ratings that have been set for a series of pages.
      * @param {Array} pageIds - The list of pages for which ratings data is fetched.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<pageRatingsModel>} - A Promise that, when resolved, yields a {@link pageRatingsModel} object with the ratings information.
      */
-    getRatings(pageIds) {
+    getRatings(pageIds, requestOptions = {}) {
         const ratingsPlug = this._plug.at('ratings').withParams({ pageids: pageIds.join(',') });
+        const rawResponse = _withRawResponse(requestOptions);
         return ratingsPlug
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageRatingsModel));
+            .then(modelParser.createParser(pageRatingsModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -4689,11 +7702,12 @@ class PageManager {
      * @param {Number|String} [options.parentId=home] - The parent ID of the hierarchy to search. Either a numeric page ID or a page path string.
      * @param {Array} [options.tags=[]] - An array of tags that the found pages must contain.
      * @param {Array} [options.missingClassifications=[]] - An array of classification prefixes that must not exist on the pages.
-     * @param {Date} [options.since] - Find pages last modified since this date.
-     * @param {Date} [options.upTo=Date.now()] - Find pages last modified up to this date.
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the results of the find request, or rejected with an error specifying the reason for rejection.
+     * @param {Date|String|Number} [options.since] - Find pages last modified since this date, as a Date, an ISO 8601 string or an epoch number.
+     * @param {Date|String|Number} [options.upTo=Date.now()] - Find pages last modified up to this date, as a Date, an ISO 8601 string or an epoch number.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageFindModel>} - A Promise that will be resolved with the results of the find request, or rejected with an error specifying the reason for rejection.
      */
-    findPages(options = {}) {
+    findPages(options = {}, requestOptions = {}) {
         let paramFound = false;
         const params = {};
         if (options.parentId) {
@@ -4702,7 +7716,7 @@ class PageManager {
         }
         if (options.tags) {
             if (!Array.isArray(options.tags)) {
-                return Promise.reject(new Error('The `tags` parameter must be an Array.'));
+                return Promise.reject(new ValidationError('The `tags` parameter must be an Array.'));
             }
             if (options.tags.length > 0) {
                 params.tags = options.tags.join(',');
@@ -4711,7 +7725,7 @@ class PageManager {
         }
         if (options.missingClassifications) {
             if (!Array.isArray(options.missingClassifications)) {
-                return Promise.reject(new Error('The `missingClassifications` parameter must be an Array.'));
+                return Promise.reject(new ValidationError('The `missingClassifications` parameter must be an Array.'));
             }
             if (options.missingClassifications.length > 0) {
                 params.missingclassifications = options.missingClassifications.join(',');
@@ -4719,29 +7733,36 @@ class PageManager {
             }
         }
         if (options.since) {
-            if (!(options.since instanceof Date)) {
-                return Promise.reject(new Error('The `since` parameter must be of type Date.'));
+            if (utility.toDate(options.since) === null) {
+                return Promise.reject(
+                    new ValidationError('The `since` parameter must be a Date, an ISO 8601 string or an epoch number.')
+                );
             }
             params.since = utility.getApiDateString(options.since);
             paramFound = true;
         }
         if (options.upTo) {
-            if (!(options.upTo instanceof Date)) {
-                return Promise.reject(new Error('The `upTo` parameter must be of type Date.'));
+            if (utility.toDate(options.upTo) === null) {
+                return Promise.reject(
+                    new ValidationError('The `upTo` parameter must be a Date, an ISO 8601 string or an epoch number.')
+                );
             }
             params.upto = utility.getApiDateString(options.upTo);
             paramFound = true;
         }
         if (paramFound === false) {
-            return Promise.reject(new Error('At least one constraint must be supplied to find pages.'));
+            return Promise.reject(new ValidationError('At least one constraint must be supplied to find pages.'));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('find')
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
-            .catch(err => Promise.reject(_errorParser$4(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageFindModel));
+            .then(modelParser.createParser(pageFindModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -4749,22 +7770,28 @@ class PageManager {
      * @param {Object} [options] Options to direct the templates that are returned.
      * @param {String} [options.type=page] The type of the templates to retrun. Must be one of either "page" or "content".
      * @param {Boolean} [options.includeDescription=true] Whether or not to include the template descriptions.
-     * @returns {Promise} A Promise that, when resolved returns a listing of the available templates.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<templateListModel>} A Promise that, when resolved returns a listing of the available templates.
      */
-    getTemplates({ type = 'page', includeDescription = true } = {}) {
+    getTemplates({ type = 'page', includeDescription = true } = {}, requestOptions = {}) {
         if (typeof type !== 'string' || (type !== 'page' && type !== 'content')) {
-            return Promise.reject(new Error('The `type` parameter must be set to either "page" or "content".'));
+            return Promise.reject(
+                new ValidationError('The `type` parameter must be set to either "page" or "content".')
+            );
         }
         if (typeof includeDescription !== 'boolean') {
-            return Promise.reject(new Error('The `includeDescription` parameter must be a Boolean value'));
+            return Promise.reject(new ValidationError('The `includeDescription` parameter must be a Boolean value'));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('templates')
             .withParams({ type, includeDescription })
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(templateListModel));
+            .then(modelParser.createParser(templateListModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -4772,24 +7799,28 @@ class PageManager {
      * @param {Object} [options] Options to direct the fetching of the popular pages.
      * @param {Number|String} [options.limit=50] The number of results to return. Can be set to the string "all" to return all results.
      * @param {Number} [options.offset=0] The number of results to skip.
-     * @returns {Promise} A Promise that, when resolved, yields a listing of popular pages.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<popularPagesModel>} A Promise that, when resolved, yields a listing of popular pages.
      */
-    getPopularPages({ limit = 50, offset = 0 } = {}) {
+    getPopularPages({ limit = 50, offset = 0 } = {}, requestOptions = {}) {
         const optionsErrors = valid.object(
             { limit, offset },
             required('limit', one(number(), equals('all'))),
             required('offset', number())
         );
         if (optionsErrors.length > 0) {
-            return Promise.reject(optionsErrors.join(', '));
+            return Promise.reject(new ValidationError(optionsErrors.join(', ')));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('popular')
             .withParams({ limit, offset })
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(popularPagesModel));
+            .then(modelParser.createParser(popularPagesModel))
+            .then(rawResponse.result);
     }
 }
 
@@ -4799,20 +7830,13 @@ class PageManager {
 class PageFile extends PageFileBase {
     /**
      * Construct a new PageFile.
-     * @param {Number|String} [pageId='home'] - The ID of the published page.
+     * @param {Number|String} pageId - The ID of the published page. If `undefined`, the home page is used.
      * @param {String} filename - The filename of the file to manage.
      * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
      */
     constructor(pageId, filename, settings = new Settings()) {
         super(pageId, filename);
-        this._plug = new Plug(settings.host, settings.plugConfig).at(
-            '@api',
-            'deki',
-            'pages',
-            this._pageId,
-            'files',
-            this._filename
-        );
+        this._plug = settings.plug.at('@api', 'deki', 'pages', this._pageId, 'files', this._filename);
     }
 }
 
@@ -4827,26 +7851,30 @@ class PageProperty extends PagePropertyBase {
      */
     constructor(id = 'home', settings = new Settings()) {
         super(id);
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'pages', this._id, 'properties');
+        this._plug = settings.plug.at('@api', 'deki', 'pages', this._id, 'properties');
     }
 
     /**
      * Get a listing of page properties for a hierarchy of pages.
      * @param {String} key - The key of the property to fetch.
      * @param {Number} [depth=1] - Between 0 and 2 levels deep in the search are allowed. If depth is 1 or 2, the names argument only can be a single property to be looked up, and no wildcards are allowed.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} - A Promise that, when resolved, yields the listing of the properties.
      */
-    getPropertyForChildren(key, depth = 1) {
+    getPropertyForChildren(key, depth = 1, requestOptions = {}) {
         if (!key) {
             return Promise.reject(
-                new Error('Attempting to fetch properties for children without providing a property key')
+                new ValidationError('Attempting to fetch properties for children without providing a property key')
             );
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .withParams({ depth, names: key })
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
-            .then(r => r.json());
+            .then(r => r.json())
+            .then(rawResponse.result);
     }
 }
 
@@ -4890,37 +7918,44 @@ function _validateGrantsArray(grants) {
     }
     return [true, 'success'];
 }
-function _getGrantsXml(grants, modifier) {
+function _writeGrants(writer, grants, modifier) {
     let tagName = 'grants';
     if (modifier) {
         tagName += `.${modifier}`;
     }
-    const grantsXml = grants
-        .map(grant => {
-            let userOrGroup;
-            if (grant.user) {
-                userOrGroup = 'user';
-            } else {
-                userOrGroup = 'group';
-            }
-            const idOrName = grant[userOrGroup];
-            let userOrGroupXml;
-            if (typeof idOrName === 'number') {
-                userOrGroupXml = `<${userOrGroup} id="${idOrName}"></${userOrGroup}>`;
-            } else {
-                userOrGroupXml = `<${userOrGroup}><${userOrGroup}name>${idOrName}</${userOrGroup}name></${userOrGroup}>`;
-            }
-            const roleXml = `<permissions><role>${grant.role}</role></permissions>`;
-            return `<grant>${userOrGroupXml}${roleXml}</grant>`;
-        })
-        .join('');
-    return `<${tagName}>${grantsXml}</${tagName}>`;
+    writer.open(tagName);
+    grants.forEach(grant => {
+        let userOrGroup;
+        if (grant.user) {
+            userOrGroup = 'user';
+        } else {
+            userOrGroup = 'group';
+        }
+        const idOrName = grant[userOrGroup];
+        writer.open('grant');
+        if (typeof idOrName === 'number') {
+            writer.element(userOrGroup, null, { id: idOrName });
+        } else {
+            writer
+                .open(userOrGroup)
+                .element(`${userOrGroup}name`, idOrName)
+                .close();
+        }
+        writer
+            .open('permissions')
+            .element('role', grant.role)
+            .close()
+            .close();
+    });
+    writer.close();
 }
-function _getPageRestrictionXml(restriction) {
-    if (!restriction) {
-        return '';
+function _writePageRestriction(writer, restriction) {
+    if (restriction) {
+        writer
+            .open('permissions.page')
+            .element('restriction', restriction)
+            .close();
     }
-    return `<permissions.page><restriction>${restriction}</restriction></permissions.page>`;
 }
 
 /**
@@ -4933,33 +7968,37 @@ class PageSecurity {
      * @param {Settings} [settings] The martian Settings used to direct the API requests for the PageSecurity instance.
      */
     constructor(id = 'home', settings = new Settings()) {
-        this._plug = new Plug(settings.host, settings.plugConfig).at(
-            '@api',
-            'deki',
-            'pages',
-            utility.getResourceId(id, 'home'),
-            'security'
-        );
+        this._plug = settings.plug.at('@api', 'deki', 'pages', utility.getResourceId(id, 'home'), 'security');
     }
 
     /**
      * Gets the page's security info.
-     * @returns {Promise} A Promise that, when resolved, yields a securityModel containing the page security information.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageSecurityModel>} A Promise that, when resolved, yields a securityModel containing the page security information.
      */
-    get() {
+    get(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageSecurityModel));
+            .then(modelParser.createParser(pageSecurityModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Resets the page's security.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} A Promise that, when resolved, indicates the page's security was successfully reset.
      */
-    reset() {
-        return this._plug.delete().catch(err => Promise.reject(err));
+    reset(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
+        return this._plug
+            .withRequestOptions(rawResponse.requestOptions)
+            .delete()
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 
     /**
@@ -4971,28 +8010,36 @@ class PageSecurity {
      * @param {String|Number} [options.grants.user] The username or numeric ID of the user receiving the grant.
      * @param {String|Number} [options.grants.group] The group name or numeric ID of the group receiving the grant.
      * @param {String} [options.grants.role] The name of the grant to set for specified user.
-     * @returns {Promise} A Promise that, when resolved, yields a pageSecurityModel containing the new security information.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageSecurityModel>} A Promise that, when resolved, yields a pageSecurityModel containing the new security information.
      */
-    set({ cascade = 'none', pageRestriction, grants } = {}) {
+    set({ cascade = 'none', pageRestriction, grants } = {}, requestOptions = {}) {
         if (typeof pageRestriction !== 'string') {
-            return Promise.reject(new Error('The pageRestriction parameter must be provided and must be a string.'));
+            return Promise.reject(
+                new ValidationError('The pageRestriction parameter must be provided and must be a string.')
+            );
         }
-        let grantsXml = '';
         if (grants) {
             const [validGrants, err] = _validateGrantsArray(grants);
             if (!validGrants) {
-                return Promise.reject(new Error(err));
+                return Promise.reject(new ValidationError(err));
             }
-            grantsXml = _getGrantsXml(grants);
         }
-        const restrictionXml = _getPageRestrictionXml(pageRestriction);
-        const securityRequest = `<security>${restrictionXml}${grantsXml}</security>`;
+        const writer = new _XmlWriter().open('security');
+        _writePageRestriction(writer, pageRestriction);
+        if (grants) {
+            _writeGrants(writer, grants);
+        }
+        const securityRequest = writer.close().toString();
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .withParams({ cascade })
+            .withRequestOptions(rawResponse.requestOptions)
             .put(securityRequest, utility.xmlRequestType)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageSecurityModel));
+            .then(modelParser.createParser(pageSecurityModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -5008,33 +8055,40 @@ class PageSecurity {
      * @param {String|Number} [options.grantsRemoved.user] The username or numeric ID of the user losing the grant.
      * @param {String|Number} [options.grantsRemoved.group] The group name or numeric ID of the group losing the grant.
      * @param {String} [options.grantsRemoved.role] The name of the grant to revoke for specified user or group.
-     * @returns {Promise} A Promise that, when resolved, yields a pageSecurityModel containing the new security information.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageSecurityModel>} A Promise that, when resolved, yields a pageSecurityModel containing the new security information.
      */
-    update({ cascade = 'none', pageRestriction, grantsAdded, grantsRemoved } = {}) {
-        let addedXml = '';
+    update({ cascade = 'none', pageRestriction, grantsAdded, grantsRemoved } = {}, requestOptions = {}) {
         if (grantsAdded) {
             const [valid, err] = _validateGrantsArray(grantsAdded);
             if (!valid) {
-                return Promise.reject(new Error(err));
+                return Promise.reject(new ValidationError(err));
             }
-            addedXml = _getGrantsXml(grantsAdded, 'added');
         }
-        let removedXml = '';
         if (grantsRemoved) {
             const [valid, err] = _validateGrantsArray(grantsRemoved);
             if (!valid) {
-                return Promise.reject(new Error(err));
+                return Promise.reject(new ValidationError(err));
             }
-            removedXml = _getGrantsXml(grantsRemoved, 'removed');
         }
-        const restrictionXml = _getPageRestrictionXml(pageRestriction);
-        const securityRequest = `<security>${restrictionXml}${addedXml}${removedXml}</security>`;
+        const writer = new _XmlWriter().open('security');
+        _writePageRestriction(writer, pageRestriction);
+        if (grantsAdded) {
+            _writeGrants(writer, grantsAdded, 'added');
+        }
+        if (grantsRemoved) {
+            _writeGrants(writer, grantsRemoved, 'removed');
+        }
+        const securityRequest = writer.close().toString();
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .withParams({ cascade })
+            .withRequestOptions(rawResponse.requestOptions)
             .post(securityRequest, utility.xmlRequestType)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageSecurityModel));
+            .then(modelParser.createParser(pageSecurityModel))
+            .then(rawResponse.result);
     }
 }
 
@@ -5064,9 +8118,9 @@ class PageSubscription {
     constructor(siteId, pageId = 'home', settings = new Settings()) {
         const error = valid.value(siteId, string());
         if (error.length > 0) {
-            throw new Error('The siteId parameter must be supplied, and must be a string.');
+            throw new ValidationError('The siteId parameter must be supplied, and must be a string.');
         }
-        this._plug = new Plug(settings.host, settings.plugConfig)
+        this._plug = settings.plug
             .at('@api', 'deki', 'pagesubservice', 'pages', utility.getResourceId(pageId, 'home'))
             .withParam('siteid', siteId);
     }
@@ -5076,38 +8130,48 @@ class PageSubscription {
      * @param {Object} options Options to direct the subscription request.
      * @param {String} [options.type=page] The type of the subscription. Must be either `page` or `draft`.
      * @param {Boolean} [options.recursive=false] Indicates whether or not the subscription is for grandchildren as well.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} A promise that, when resolved indicates the subscription request was successful.
      */
-    subscribe({ type = 'page', recursive = false } = {}) {
+    subscribe({ type = 'page', recursive = false } = {}, requestOptions = {}) {
         const optionsErrors = valid.object(
             { type, recursive },
             required('type', all(string(), one(equals('page'), equals('draft')))),
             required('recursive', bool())
         );
         if (optionsErrors.length > 0) {
-            return Promise.reject(new Error(optionsErrors.join(', ')));
+            return Promise.reject(new ValidationError(optionsErrors.join(', ')));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .withParams({ type, depth: recursive ? 'infinity' : '0' })
+            .withRequestOptions(rawResponse.requestOptions)
             .post('', utility.textRequestType)
-            .catch(err => Promise.reject(err));
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 
     /**
      * Remove an existing subscription for the current user.
      * @param {Object} options Options to direct the unsubscribe request.
      * @param {String} [options.type] The type of the subscription to unsubscribe from. Must be either `page` or `draft`.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} A promise that, when resolved indicates the unsubscribe request was successful.
      */
-    unsubscribe({ type = 'page' } = {}) {
+    unsubscribe({ type = 'page' } = {}, requestOptions = {}) {
         const error = valid.value(type, all(string(), one(equals('page'), equals('draft'))));
         if (error.length > 0) {
-            return Promise.reject('The type parameter must be a string set to either "page" or "draft".');
+            return Promise.reject(
+                new ValidationError('The type parameter must be a string set to either "page" or "draft".')
+            );
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .withParams({ type })
+            .withRequestOptions(rawResponse.requestOptions)
             .delete()
-            .catch(err => Promise.reject(err));
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 }
 
@@ -5123,23 +8187,25 @@ class PageSubscriptionManager {
     constructor(siteId, settings = new Settings()) {
         const error = valid.value(siteId, string());
         if (error.length > 0) {
-            throw new Error('The siteId parameter must be supplied, and must be a string.');
+            throw new ValidationError('The siteId parameter must be supplied, and must be a string.');
         }
-        this._plug = new Plug(settings.host, settings.plugConfig)
-            .at('@api', 'deki', 'pagesubservice', 'subscriptions')
-            .withParam('siteid', siteId);
+        this._plug = settings.plug.at('@api', 'deki', 'pagesubservice', 'subscriptions').withParam('siteid', siteId);
     }
 
     /**
      * Get all of the page subscriptions for the current user.
-     * @returns {Promise} A Promise that, when resolved, yields a {@see pageSubscriptionModel} containing the listing of subscriptions.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<pageSubscriptionsModel>} A Promise that, when resolved, yields a {@see pageSubscriptionModel} containing the listing of subscriptions.
      */
-    getSubscriptions() {
+    getSubscriptions(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(pageSubscriptionsModel));
+            .then(modelParser.createParser(pageSubscriptionsModel))
+            .then(rawResponse.result);
     }
 }
 
@@ -5403,30 +8469,19 @@ function _buildSearchConstraints(params) {
 }
 
 function _getBatchTagsTemplate(data) {
-    var postBatchTagsTemplate = '<?xml version="1.0"?><tags>';
-    if (Array.isArray(data.add) && data.add.length > 0) {
-        data.add.forEach(elm => {
-            let tagStr = `<tag.add value="${utility.escapeHTML(elm.name)}">`;
-            elm.pageids.forEach(id => {
-                tagStr += `<page id="${id}"></page>`;
-            });
-            tagStr += '</tag.add>';
-
-            postBatchTagsTemplate = postBatchTagsTemplate + tagStr;
-        });
-    }
-    if (Array.isArray(data.remove) && data.remove.length > 0) {
-        data.remove.forEach(elm => {
-            let tagStr = `<tag.remove value="${utility.escapeHTML(elm.name)}">`;
-            elm.pageids.forEach(id => {
-                tagStr += `<page id="${id}"></page>`;
+    const writer = new _XmlWriter().open('tags');
+    [['tag.add', data.add], ['tag.remove', data.remove]].forEach(([tagName, tags]) => {
+        if (Array.isArray(tags)) {
+            tags.forEach(elm => {
+                writer.open(tagName, { value: elm.name });
+                elm.pageids.forEach(id => {
+                    writer.element('page', null, { id });
+                });
+                writer.close();
             });
-            tagStr += '</tag.remove>';
-            postBatchTagsTemplate = postBatchTagsTemplate + tagStr;
-        });
-    }
-    postBatchTagsTemplate = `${postBatchTagsTemplate}</tags>`;
-    return postBatchTagsTemplate;
+        }
+    });
+    return `<?xml version="1.0"?>${writer.close().toString()}`;
 }
 
 /**
@@ -5438,33 +8493,41 @@ class Site {
      * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
      */
     constructor(settings = new Settings()) {
-        this.plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'site');
+        this.plug = settings.plug.at('@api', 'deki', 'site');
     }
 
     /**
      * Get the available site activity logs.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<reportLogsModel>} - A Promise that, when resolved, yields a {@link reportLogsModel} containing the available logs for site activity.
      */
-    getSiteActivityLogs() {
+    getSiteActivityLogs(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this.plug
             .at('activity', 'logs')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(reportLogsModel));
+            .then(modelParser.createParser(reportLogsModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Get the available search query logs.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<reportLogsModel>} - A Promise that, when resolved, yields a {@link reportLogsModel} containing the available logs for search query.
      */
-    getSearchQueryLogs() {
+    getSearchQueryLogs(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this.plug
             .at('query', 'logs')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(reportLogsModel));
+            .then(modelParser.createParser(reportLogsModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -5472,20 +8535,24 @@ class Site {
      * @param {Object} options - Options to direct the fetching of the localized string.
      * @param {String} options.key - The key that identifies the string to fetch.
      * @param {String} [options.lang] - A language code used to fetch the string in a specific language.  If not supplied, the current system language will be used.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<String>} - A Promise that, when resolved, yields the fetched string.
      */
-    getResourceString(options = {}) {
+    getResourceString(options = {}, requestOptions = {}) {
         if (!('key' in options)) {
-            return Promise.reject('No resource key was supplied');
+            return Promise.reject(new ValidationError('No resource key was supplied'));
         }
         let locPlug = this.plug.at('localization', options.key);
         if ('lang' in options) {
             locPlug = locPlug.withParam('lang', options.lang);
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return locPlug
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
-            .then(r => r.text());
+            .then(r => r.text())
+            .then(rawResponse.result);
     }
 
     /**
@@ -5493,76 +8560,92 @@ class Site {
      * @param {Object} options Options to direct the fetching of the translated strings.
      * @param {Array} options.keys An array of resource keys to fetch the translations for.
      * @param {String} [options.lang] Optional language code to use for resource localization.
-     * @returns {Promise} A promise that, when resolved, yields a localizationsModel containing the requested translations.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<localizationsModel>} A promise that, when resolved, yields a localizationsModel containing the requested translations.
      */
-    getResourceStrings({ keys, lang } = {}) {
+    getResourceStrings({ keys, lang } = {}, requestOptions = {}) {
         if (!keys || !Array.isArray(keys)) {
-            return Promise.reject(new Error('The keys parameter must be supplied, and it must be an array.'));
+            return Promise.reject(new ValidationError('The keys parameter must be supplied, and it must be an array.'));
         }
         const params = { resources: keys.join(',') };
         if (lang) {
             if (typeof lang !== 'string') {
-                return Promise.reject(new Error('The lang parameter must be a string'));
+                return Promise.reject(new ValidationError('The lang parameter must be a string'));
             }
             params.lang = lang;
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this.plug
             .at('localizations')
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(localizationsModel));
+            .then(modelParser.createParser(localizationsModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Get the available search query log url.
      * @param {String} logName - Name of log to retrive URL from.
-     * @returns {Promise.<availableLogsModel>} - A Promise that, when resolved, yields a {@link availableLogsModel} containing log url.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<logUrlModel>} - A Promise that, when resolved, yields a {@link logUrlModel} containing log url.
      */
-    getSearchQueryLogUrl(logName) {
+    getSearchQueryLogUrl(logName, requestOptions = {}) {
         if (typeof logName === 'undefined' || logName.length === 0) {
-            return Promise.reject(new Error('Attempting to get log url without required name'));
+            return Promise.reject(new ValidationError('Attempting to get log url without required name'));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this.plug
             .at('query', 'logs', logName, 'url')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(logUrlModel));
+            .then(modelParser.createParser(logUrlModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Get the available site activity log url.
      * @param {String} logName - Name of log to retrive URL from.
-     * @returns {Promise.<availableLogsModel>} - A Promise that, when resolved, yields a {@link logUrlModel} containing log url.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<logUrlModel>} - A Promise that, when resolved, yields a {@link logUrlModel} containing log url.
      */
-    getSiteActivityLogUrl(logName) {
+    getSiteActivityLogUrl(logName, requestOptions = {}) {
         if (typeof logName === 'undefined' || logName.length === 0) {
-            return Promise.reject(new Error('Attempting to get log url without required name'));
+            return Promise.reject(new ValidationError('Attempting to get log url without required name'));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this.plug
             .at('activity', 'logs', logName, 'url')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(logUrlModel));
+            .then(modelParser.createParser(logUrlModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Get tags list.
      * @param {String} [params] - Parameters to send along to the API.
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the tags data, or rejected with an error specifying the reason for rejection.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteTagsModelGet>} - A Promise that will be resolved with the tags data, or rejected with an error specifying the reason for rejection.
      */
-    getTags(params = {}) {
+    getTags(params = {}, requestOptions = {}) {
         const siteTagsModelParser = modelParser.createParser(siteTagsModelGet);
+        const rawResponse = _withRawResponse(requestOptions);
         return this.plug
             .at('tags')
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(siteTagsModelParser);
+            .then(siteTagsModelParser)
+            .then(rawResponse.result);
     }
 
     /**
@@ -5570,44 +8653,52 @@ class Site {
      * @param {Object} [params] - Options to direct the fetching of the localized tags.
      * @param {Array} [params.add] - A tag array containing all the pages containing this tag where they need to be added.
      * @param {Array} [params.remove] - A tag array containing all the pages containing this tag where they need to be removed.
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the tags data, or rejected with an error specifying the reason for rejection.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteTagsModelPost>} - A Promise that will be resolved with the tags data, or rejected with an error specifying the reason for rejection.
      */
-    setTags(params = {}) {
+    setTags(params = {}, requestOptions = {}) {
         const XMLBatchData = _getBatchTagsTemplate(params);
         const siteTagsModelParser = modelParser.createParser(siteTagsModelPost);
+        const rawResponse = _withRawResponse(requestOptions);
         return this.plug
             .at('tags')
-            .post(XMLBatchData, 'application/xml')
+            .withRequestOptions(rawResponse.requestOptions)
+            .post(XMLBatchData, utility.xmlRequestType)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(siteTagsModelParser);
+            .then(siteTagsModelParser)
+            .then(rawResponse.result);
     }
 
     /**
      * Perform a search across the site.
-     * This function takes a single parameter with the following options.
-     * @param {Number} [limit=10] - Limit search results to the specified number of items per paginated page.
-     * @param {Number} [offset=10] - The index in the total query results at which to begin the returned result set.
-     * @param {String|Array} [tags=''] - A comma-separated list or array of tags to constrain search results to items containing one of the tags.
-     * @param {String|Array} [type=''] - Type or types to filter the results in a comma delimited list or an array.  Valid types: `wiki`, `document`, `image`, `binary`
-     * @param {String} [q=''] - Search keywords or advanced search syntax.
-     * @param {String} [path=''] - A page path to constrain the search results to items located under the specified path.
-     * @param {String|Array} [namespace='main'] - A comma-separated list or array of namespaces to filter the results by. Valid namespaces: 'main', 'template', 'user'.
-     * @param {String} [sessionid=null] - An identifier to know that the query is grouped with the previous query.
-     * @param {Boolean} [recommendations=true] - `true` to include recommended search results based off site configuration. `false` to suppress them.
+     * @param {Object} [options] - The options to direct the search operation.
+     * @param {Number} [options.limit=10] - Limit search results to the specified number of items per paginated page.
+     * @param {Number} [options.offset=0] - The index in the total query results at which to begin the returned result set.
+     * @param {String|Array} [options.tags=''] - A comma-separated list or array of tags to constrain search results to items containing one of the tags.
+     * @param {String|Array} [options.type=''] - Type or types to filter the results in a comma delimited list or an array.  Valid types: `wiki`, `document`, `image`, `binary`
+     * @param {String} [options.q=''] - Search keywords or advanced search syntax.
+     * @param {String} [options.path=''] - A page path to constrain the search results to items located under the specified path.
+     * @param {String|Array} [options.namespaces='main'] - A comma-separated list or array of namespaces to filter the results by. Valid namespaces: 'main', 'template', 'user'.
+     * @param {String} [options.sessionid=null] - An identifier to know that the query is grouped with the previous query.
+     * @param {Boolean} [options.recommendations=true] - `true` to include recommended search results based off site configuration. `false` to suppress them.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<searchModel>} - A Promise that, when resolved, yields the results from the search in a {@link searchModel}.
      */
-    search({
-        limit = 10,
-        offset = 0,
-        q = '',
-        path = '',
-        recommendations = true,
-        tags = '',
-        type = '',
-        namespaces = 'main',
-        sessionid = null
-    } = {}) {
+    search(
+        {
+            limit = 10,
+            offset = 0,
+            q = '',
+            path = '',
+            recommendations = true,
+            tags = '',
+            type = '',
+            namespaces = 'main',
+            sessionid = null
+        } = {},
+        requestOptions = {}
+    ) {
         const constraint = {};
         if (path !== '' && path !== '/') {
             constraint.path = path;
@@ -5631,23 +8722,26 @@ class Site {
         if (sessionid) {
             searchParams.sessionid = sessionid;
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this.plug
             .at('query')
             .withParams(searchParams)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(searchModel));
+            .then(modelParser.createParser(searchModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Search the site index
      * @param {Object} options - The options to direct the search operation.
-     * @param {String} options.q The search string
+     * @param {String} [options.q=''] The search string
      * @param {Number|String} [options.limit=100] The maximum number of items to retrieve. Must be a positive number or 'all' to retrieve all items.
      * @param {Number} [options.offset=0] Number of items to skip. Must be a positive number or 0 to not skip any.
      * @param {String} [options.sortBy='-score'] Sort field. Prefix value with '-' to sort descending.
-     * @param {String} options.constraintString The pre-built constraint string to use. If not supplied, it will be built from the options.constraints object. If both options.constraintString and options.constraints are supplied, this parameter will take precedence.
+     * @param {String} [options.constraintString] The pre-built constraint string to use. If not supplied, it will be built from the options.constraints object. If both options.constraintString and options.constraints are supplied, this parameter will take precedence.
      * @param {Object} [options.constraints={}] Addidional search constraints
      * @param {String} options.constraints.type The article type to filter from the results.
      * @param {String} options.constraints.path The path to use for path.ancestor in the search constraint.
@@ -5655,22 +8749,27 @@ class Site {
      * @param {Array} options.constraints.namespaces An array of namespaces to limit the results by.
      * @param {Boolean} [options.verbose=true] Show verbose page xml
      * @param {String} [options.parser='bestguess'] - The parser to use for the query. Must be one of "bestguess", "term", "filename", "lucene"
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the search results, or rejected with an error specifying the reason for rejection.
-     */
-    searchIndex({
-        q = '',
-        limit = 100,
-        offset = 0,
-        sortBy = '-score',
-        constraintString = null,
-        constraints = {},
-        verbose = true,
-        parser = 'bestguess',
-        format = 'xml'
-    } = {}) {
+     * @param {String} [options.format='xml'] - The format of the search results.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<searchModel>} - A Promise that will be resolved with the search results, or rejected with an error specifying the reason for rejection.
+     */
+    searchIndex(
+        {
+            q = '',
+            limit = 100,
+            offset = 0,
+            sortBy = '-score',
+            constraintString = null,
+            constraints = {},
+            verbose = true,
+            parser = 'bestguess',
+            format = 'xml'
+        } = {},
+        requestOptions = {}
+    ) {
         if (typeof limit === 'string') {
             if (limit !== 'all') {
-                return Promise.reject(new Error('The limit for index searching must be a number or "all"'));
+                return Promise.reject(new ValidationError('The limit for index searching must be a number or "all"'));
             }
         }
         const searchParams = {
@@ -5683,13 +8782,16 @@ class Site {
             parser,
             format
         };
+        const rawResponse = _withRawResponse(requestOptions);
         return this.plug
             .at('search')
             .withParams(searchParams)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(searchModel));
+            .then(modelParser.createParser(searchModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -5706,21 +8808,25 @@ class Site {
      * @param {String} [options.sortBy] - Sort table data by this field (e.g. clicks, position) (default: clicks)
      * @param {String} [options.sortOrder] - Sort direction to be used with sortby (e.g. asc, desc) (default: desc)
      * @param {Number} [options.limit] - Number of clicked results to return results for (between 1 and 1000 inclusive) (default: 100)
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the search analytics data, or rejected with an error specifiying the reason for rejection.
-     */
-    getSearchAnalytics({
-        start = null,
-        end = null,
-        queryFilters = null,
-        userFilter = null,
-        groupIds = null,
-        bucket = null,
-        origin = null,
-        webWidgetEmbedId = null,
-        sortBy = null,
-        sortOrder = null,
-        limit = null
-    }) {
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<searchAnalyticsModel>} - A Promise that will be resolved with the search analytics data, or rejected with an error specifiying the reason for rejection.
+     */
+    getSearchAnalytics(
+        {
+            start = null,
+            end = null,
+            queryFilters = null,
+            userFilter = null,
+            groupIds = null,
+            bucket = null,
+            origin = null,
+            webWidgetEmbedId = null,
+            sortBy = null,
+            sortOrder = null,
+            limit = null
+        },
+        requestOptions = {}
+    ) {
         const searchParams = {
             start,
             end,
@@ -5734,13 +8840,16 @@ class Site {
             sortorder: sortOrder,
             limit
         };
+        const rawResponse = _withRawResponse(requestOptions);
         return this.plug
             .at('search', 'analytics')
             .withParams(utility.cleanParams(searchParams))
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(searchAnalyticsModel));
+            .then(modelParser.createParser(searchAnalyticsModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -5757,21 +8866,25 @@ class Site {
      * @param {String} [options.sortBy] - Sort table data by this field (e.g. clicks, position) (default: clicks)
      * @param {String} [options.sortOrder] - Sort direction to be used with sortby (e.g. asc, desc) (default: desc)
      * @param {Number} [options.limit] - Number of clicked results to return results for (between 1 and 1000 inclusive) (default: 100)
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the search analytics data, or rejected with an error specifiying the reason for rejection.
-     */
-    getSearchAnalyticsQuery({
-        query,
-        start = null,
-        end = null,
-        userFilter = null,
-        groupIds = null,
-        bucket = null,
-        origin = null,
-        webWidgetEmbedId = null,
-        sortBy = null,
-        sortOrder = null,
-        limit = null
-    }) {
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<searchAnalyticsQueryModel>} - A Promise that will be resolved with the search analytics data, or rejected with an error specifiying the reason for rejection.
+     */
+    getSearchAnalyticsQuery(
+        {
+            query,
+            start = null,
+            end = null,
+            userFilter = null,
+            groupIds = null,
+            bucket = null,
+            origin = null,
+            webWidgetEmbedId = null,
+            sortBy = null,
+            sortOrder = null,
+            limit = null
+        },
+        requestOptions = {}
+    ) {
         const searchParams = {
             query,
             start,
@@ -5785,49 +8898,62 @@ class Site {
             sortorder: sortOrder,
             limit
         };
+        const rawResponse = _withRawResponse(requestOptions);
         return this.plug
             .at('search', 'analytics', 'query')
             .withParams(utility.cleanParams(searchParams))
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(searchAnalyticsQueryModel));
+            .then(modelParser.createParser(searchAnalyticsQueryModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Get the activity stats for the site.
-     * @param {Date} [since] Start date for report.
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the activity data, or rejected with an error specifying the reason for rejection.
+     * @param {Date|String|Number} [since] Start date for report, as a Date, an ISO 8601 string or an epoch number.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteActivityModel>} - A Promise that will be resolved with the activity data, or rejected with an error specifying the reason for rejection.
      */
-    getActivity(since = null) {
+    getActivity(since = null, requestOptions = {}) {
         let activityPlug = this.plug.at('activity');
         if (since !== null) {
-            if (!(since instanceof Date)) {
-                return Promise.reject(new Error('The `since` parameter must be of type Date.'));
+            if (utility.toDate(since) === null) {
+                return Promise.reject(
+                    new ValidationError('The `since` parameter must be a Date, an ISO 8601 string or an epoch number.')
+                );
             }
 
             // Create a date string of the format `yyyyMMddHHmmss`
             const sinceString = utility.getApiDateString(since);
             activityPlug = activityPlug.withParam('since', sinceString);
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return activityPlug
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(siteActivityModel));
+            .then(modelParser.createParser(siteActivityModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Retrieve list of defined roles
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the roles info, or rejected with an error specifying the reason for rejection.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteRolesModel>} - A Promise that will be resolved with the roles info, or rejected with an error specifying the reason for rejection.
      */
-    getRoles() {
+    getRoles(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this.plug
             .at('roles')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(siteRolesModel));
+            .then(modelParser.createParser(siteRolesModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -5836,33 +8962,45 @@ class Site {
      * @param {String} feedbackData.comment The comment body.
      * @param {String} [feedbackData.title] The title/subject for the feedback.
      * @param {Object} [feedbackData.metadata] Additional data to accompany the feedback submission.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} A Promise that, when resolved, indicates a successful feedback submission.
      */
-    sendFeedback({ comment, title, metadata = {} } = {}) {
+    sendFeedback({ comment, title, metadata = {} } = {}, requestOptions = {}) {
         if (typeof comment !== 'string') {
-            return Promise.reject(new Error('The `comment` parameter must be supplied, and must be a string.'));
+            return Promise.reject(
+                new ValidationError('The `comment` parameter must be supplied, and must be a string.')
+            );
         }
-        let feedbackXml = '<feedback>';
-        feedbackXml += `<body>${comment}</body>`;
+        const writer = new _XmlWriter().open('feedback').element('body', comment);
         if (title) {
             if (typeof title !== 'string') {
-                return Promise.reject(new Error('The title parameter must be a string.'));
+                return Promise.reject(new ValidationError('The title parameter must be a string.'));
             }
-            feedbackXml += `<title>${title}</title>`;
+            writer.element('title', title);
         }
-        feedbackXml += '<metadata>';
         if (typeof metadata !== 'object') {
-            return Promise.reject(new Error('The `metadata` parameter must be an object.'));
+            return Promise.reject(new ValidationError('The `metadata` parameter must be an object.'));
         }
-        Object.keys(metadata).forEach(key => {
-            feedbackXml += `<${key}>${metadata[key].toString()}</${key}>`;
-        });
-        feedbackXml += '</metadata>';
-        feedbackXml += '</feedback>';
+        let feedbackXml;
+        try {
+            writer.open('metadata');
+            Object.keys(metadata).forEach(key => {
+                writer.element(key, metadata[key].toString());
+            });
+            feedbackXml = writer
+                .close()
+                .close()
+                .toString();
+        } catch (e) {
+            return Promise.reject(e);
+        }
+        const rawResponse = _withRawResponse(requestOptions);
         return this.plug
             .at('feedback')
+            .withRequestOptions(rawResponse.requestOptions)
             .post(feedbackXml, utility.xmlRequestType)
-            .catch(err => Promise.reject(err));
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 }
 
@@ -5879,8 +9017,6 @@ const siteJobModel = [
 ];
 const siteJobsModel = [{ field: 'job', name: 'jobs', isArray: true, transform: siteJobModel }];
 
-const _errorParser$5 = modelParser.createParser(apiErrorModel);
-
 class SiteJob {
     /**
      * Create a new SiteJob
@@ -5889,36 +9025,55 @@ class SiteJob {
      */
     constructor(jobId, settings = new Settings()) {
         if (!jobId || typeof jobId !== 'string') {
-            throw new Error('The job ID must be supplied as a GUID string.');
+            throw new ValidationError('The job ID must be supplied as a GUID string.');
         }
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'site', 'jobs', jobId);
+        this._plug = settings.plug.at('@api', 'deki', 'site', 'jobs', jobId);
     }
 
     /**
      * Get the status information for the job.
-     * @returns {Promise} A promise that, when resolved, contains the job's status information.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteJobModel>} A promise that, when resolved, contains the job's status information.
      */
-    getStatus() {
+    getStatus(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('status')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
-            .catch(err => Promise.reject(_errorParser$5(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(siteJobModel));
+            .then(modelParser.createParser(siteJobModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Cancel the site job.
-     * @returns {Promise} A promise that, when resolved, contains the job's status information.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteJobModel>} A promise that, when resolved, contains the job's status information.
      */
-    cancel() {
+    cancel(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('cancel')
+            .withRequestOptions(rawResponse.requestOptions)
             .post()
-            .catch(err => Promise.reject(_errorParser$5(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(siteJobModel));
+            .then(modelParser.createParser(siteJobModel))
+            .then(rawResponse.result);
+    }
+}
+
+function _writeJobNotification(writer, { email, url }) {
+    writer.open('notification');
+    if (email) {
+        writer.element('email', email);
+    }
+    if (url) {
+        writer.element('url', url);
     }
+    writer.close();
 }
 
 class SiteJobManager {
@@ -5927,7 +9082,7 @@ class SiteJobManager {
      * @param {Settings} [settings] - The martian settings that will direct the requests for this instance.
      */
     constructor(settings = new Settings()) {
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'site', 'jobs');
+        this._plug = settings.plug.at('@api', 'deki', 'site', 'jobs');
     }
 
     /**
@@ -5935,15 +9090,16 @@ class SiteJobManager {
      * @param {Object} options - Options to configure the export job.
      * @param {String} [options.email] - The email address to notify when the job completes. Required if a URL is not supplied.
      * @param {String} [options.url] - The URL to notify when the job completes. Required if an email address is not supplied.
-     * @param {Object[]} [options.pages] - An array of objects with information about the pages to export.
+     * @param {Array.<Object>} [options.pages] - An array of objects with information about the pages to export.
      * @param {Number} [options.pages[].id] - The ID of a page to export. Required if the path is not supplied.
      * @param {String} [options.pages[].path] - The path of a page to export. Required if the ID is not supplied.
      * @param {Boolean} [options.pages[].includeSubpages] - Idicates whether or not to export the subpages of the specified page.
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the scheduled job info, or rejected with an error specifying the reason for rejection.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteJobModel>} - A Promise that will be resolved with the scheduled job info, or rejected with an error specifying the reason for rejection.
      */
-    scheduleExport(options) {
+    scheduleExport(options, requestOptions = {}) {
         if (!options) {
-            return Promise.reject(new Error('The export options must be supplied'));
+            return Promise.reject(new ValidationError('The export options must be supplied'));
         }
         let notificationSupplied = false;
         if ('email' in options) {
@@ -5954,49 +9110,44 @@ class SiteJobManager {
         }
         if (notificationSupplied === false) {
             return Promise.reject(
-                new Error(
+                new ValidationError(
                     'Notification email and url are missing. Need an email or url to notify when the job completes.'
                 )
             );
         }
         if ('pages' in options) {
             if (!Array.isArray(options.pages)) {
-                return Promise.reject('The pages option must be an array.');
+                return Promise.reject(new ValidationError('The pages option must be an array.'));
             }
         } else {
-            return Promise.reject('One or more pages must be specified for export.');
-        }
-        const pagesElements = options.pages.reduce((acc, page) => {
-            let element = '<page';
-            if (page.id) {
-                element += ` id="${page.id}"`;
-            }
-            if ('includeSubpages' in page) {
-                element += ` includesubpages="${page.includeSubpages}"`;
-            }
-            element += '>';
+            return Promise.reject(new ValidationError('One or more pages must be specified for export.'));
+        }
+        const writer = new _XmlWriter().open('job');
+        _writeJobNotification(writer, options);
+        writer.open('pages');
+        options.pages.forEach(page => {
+            writer.open('page', {
+                id: page.id || null,
+                includesubpages: 'includeSubpages' in page ? page.includeSubpages : null
+            });
             if (page.path) {
-                element += `<path>${page.path}</path>`;
+                writer.element('path', page.path);
             }
-            element += '</page>';
-            return acc + element;
-        }, '');
-        let postData = '<job><notification>';
-        if (options.email) {
-            postData += `<email>${options.email}</email>`;
-        }
-        if (options.url) {
-            postData += `<url>${options.url}</url>`;
-        }
-        postData += '</notification>';
-        postData += `<pages>${pagesElements}</pages>`;
-        postData += '</job>';
+            writer.close();
+        });
+        const postData = writer
+            .close()
+            .close()
+            .toString();
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('export')
+            .withRequestOptions(rawResponse.requestOptions)
             .post(postData, utility.xmlRequestType)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(siteJobModel));
+            .then(modelParser.createParser(siteJobModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -6006,11 +9157,12 @@ class SiteJobManager {
      * @param {String} [options.email] - The email address to notify when the job completes. Required if a URL is not supplied.
      * @param {String} [options.url] - The URL to notify when the job completes. Required if an email address is not supplied.
      * @param {String} options.archiveUrl - The URL pointing to the archive to import.
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the scheduled job info, or rejected with an error specifying the reason for rejection.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteJobModel>} - A Promise that will be resolved with the scheduled job info, or rejected with an error specifying the reason for rejection.
      */
-    scheduleImport(options) {
+    scheduleImport(options, requestOptions = {}) {
         if (!options) {
-            return Promise.reject(new Error('The import options must be supplied'));
+            return Promise.reject(new ValidationError('The import options must be supplied'));
         }
         let notificationSupplied = false;
         if ('email' in options) {
@@ -6021,54 +9173,57 @@ class SiteJobManager {
         }
         if (notificationSupplied === false) {
             return Promise.reject(
-                new Error(
+                new ValidationError(
                     'Notification email and url are missing. Need an email or url to notify when the job completes.'
                 )
             );
         }
         if (typeof options.archiveUrl !== 'string' || options.archiveUrl === '') {
             return Promise.reject(
-                new Error('An archive url is required, and must be a non-empty string to perform an import.')
+                new ValidationError('An archive url is required, and must be a non-empty string to perform an import.')
             );
         }
-        let postData = '<job><notification>';
-        if (options.email) {
-            postData += `<email>${options.email}</email>`;
-        }
-        if (options.url) {
-            postData += `<url>${options.url}</url>`;
-        }
-        postData += '</notification>';
-        postData += `<archive><url>${options.archiveUrl}</url></archive>`;
-        postData += '</job>';
+        const writer = new _XmlWriter().open('job');
+        _writeJobNotification(writer, options);
+        const postData = writer
+            .open('archive')
+            .element('url', options.archiveUrl)
+            .close()
+            .close()
+            .toString();
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('import')
             .withParam('dryrun', Boolean(options.dryRun))
+            .withRequestOptions(rawResponse.requestOptions)
             .post(postData, utility.xmlRequestType)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(siteJobModel));
+            .then(modelParser.createParser(siteJobModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Gets the job statuses for a site.
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the jobs status info, or rejected with an error specifying the reason for rejection.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<siteJobsModel>} - A Promise that will be resolved with the jobs status info, or rejected with an error specifying the reason for rejection.
      */
-    getJobsStatuses() {
+    getJobsStatuses(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('status')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
-            .catch(err => Promise.reject(_errorParser$5(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(siteJobsModel));
+            .then(modelParser.createParser(siteJobsModel))
+            .then(rawResponse.result);
     }
 }
 
-const _errorParser$6 = modelParser.createParser(apiErrorModel);
-
 class SiteReports {
     constructor(settings = new Settings()) {
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'site', 'reports');
+        this._plug = settings.plug.at('@api', 'deki', 'site', 'reports');
     }
 
     /**
@@ -6076,32 +9231,45 @@ class SiteReports {
      * @param {Object} [options] - Optons to filter the results returned.
      * @param {Array} [options.analyzers] - An array of analyzers to include in the report (all analyzers included if none specified)
      * @param {Array} [options.severities] - An array of severity levels to include in the report (all error levels if none specified)
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the site health report data, or rejected with an error specifying the reason for rejection.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<healthReportModel>} - A Promise that will be resolved with the site health report data, or rejected with an error specifying the reason for rejection.
      */
-    getSiteHealth(options = {}) {
+    getSiteHealth(options = {}, requestOptions = {}) {
         const params = {};
         if (options.analyzers) {
             if (!Array.isArray(options.analyzers)) {
-                return Promise.reject(new Error('The `analyzers` option must be an array of analyzers'));
+                return Promise.reject(new ValidationError('The `analyzers` option must be an array of analyzers'));
             }
             params.analyzers = options.analyzers.join(',');
         }
         if (options.severities) {
             if (!Array.isArray(options.severities)) {
-                return Promise.reject(new Error('The `severities` option must be an array of severity levels'));
+                return Promise.reject(
+                    new ValidationError('The `severities` option must be an array of severity levels')
+                );
             }
             params.severity = options.severities.join(',');
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('sitehealth')
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
-            .catch(err => Promise.reject(_errorParser$6(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(healthReportModel));
+            .then(modelParser.createParser(healthReportModel))
+            .then(rawResponse.result);
     }
 }
 
+// the values that User#getInfo and User#update yielded, so that a user written back only sends the changed fields
+const _userInfoOriginals = new WeakMap();
+function _keepUserInfoOriginal(info) {
+    _userInfoOriginals.set(info, Object.assign({}, info));
+    return info;
+}
+
 /**
  * A class for managing a MindTouch user.
  */
@@ -6113,27 +9281,31 @@ class User {
      */
     constructor(id = 'current', settings = new Settings()) {
         this._id = utility.getResourceId(id, 'current');
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'users', this._id);
-        this._errorParser = modelParser.createParser(apiErrorModel);
+        this._plug = settings.plug.at('@api', 'deki', 'users', this._id);
     }
 
     /**
      * Get the user information.
      * @param {Object} options - The various options that provide context to the request
      * @param {Array} options.exclude - elements to exclude from response (ex: ['groups', 'properties'])
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<userModel>} - A Promise that, when resolved, returns a {@link userModel} containing the user information.
      */
-    getInfo({ exclude = [] } = {}) {
+    getInfo({ exclude = [] } = {}, requestOptions = {}) {
         const errors = valid.value(exclude, array());
         if (errors.length > 0) {
-            return Promise.reject(new Error(errors.join(', ')));
+            return Promise.reject(new ValidationError(errors.join(', ')));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .withParam('exclude', exclude.join(','))
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(userModel));
+            .then(modelParser.createParser(userModel))
+            .then(_keepUserInfoOriginal)
+            .then(rawResponse.result);
     }
 
     /**
@@ -6144,12 +9316,13 @@ class User {
      * @param {Array} [options.operations=[]] - An array of operations to verify.
      * @param {Boolean} [options.verbose=true] - Return verbose information on permitted pages.
      * @param {Boolean} [options.invert=false] - Return filtered instead of allowed pages. If set to `true`, forces the `verbose` parameter to `false`.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<Object>} - A Promise that will be resolved with result of the permission check, or rejected with an error specifying the reason for rejection.
      */
-    checkAllowed(pageIds, options = {}) {
+    checkAllowed(pageIds, options = {}, requestOptions = {}) {
         const pageIdsErrors = valid.value(pageIds, array());
         if (pageIdsErrors.length > 0) {
-            return Promise.reject(new Error(pageIdsErrors.join(', ')));
+            return Promise.reject(new ValidationError(pageIdsErrors.join(', ')));
         }
         const optionsErrors = valid.object(
             options,
@@ -6159,24 +9332,28 @@ class User {
             optional('invert', bool())
         );
         if (optionsErrors.length > 0) {
-            return Promise.reject(new Error(optionsErrors.join(', ')));
+            return Promise.reject(new ValidationError(optionsErrors.join(', ')));
         }
         if (options.operations) {
             options.operations = options.operations.join(',');
         }
-        let requestXml = pageIds.map(id => `<page id="${id}" />`).join('');
-        requestXml = `<pages>${requestXml}</pages>`;
+        const writer = new _XmlWriter().open('pages');
+        pageIds.forEach(id => writer.element('page', null, { id }));
+        const requestXml = writer.close().toString();
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('allowed')
             .withParams(options)
+            .withRequestOptions(rawResponse.requestOptions)
             .post(requestXml, utility.xmlRequestType)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser([{ field: 'page', name: 'pages', isArray: true, transform: pageModel }]));
+            .then(modelParser.createParser([{ field: 'page', name: 'pages', isArray: true, transform: pageModel }]))
+            .then(rawResponse.result);
     }
 
     /**
-     * Modify the user
+     * Modify the user. The options may also be a {@link userModel} object, such as one from {@see User#getInfo}, to write back its `fullname`, `status` and other writable fields. Only the fields that were changed in an object from {@see User#getInfo} or {@see User#update} are sent.
      * @param {Object} options - An object that contains the user parameters to modify
      * @param {Boolean} [options.active] - Sets the user's "status" to "active" or "inactive".
      * @param {Boolean} [options.seated] - Sets whether or not the user is seated.
@@ -6185,39 +9362,45 @@ class User {
      * @param {String} [options.email] - Sets the user's email address.
      * @param {String} [options.language] - Sets the user's language.
      * @param {String} [options.timeZone] - Sets the user's time zone.
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the updated user data, or rejected with an error specifying the reason for rejection.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<userModel>} - A Promise that will be resolved with the updated user data, or rejected with an error specifying the reason for rejection.
      */
-    update(options) {
+    update(options, requestOptions = {}) {
         const optionsErrors = valid.object(
             options,
             optional('active', bool()),
             optional('seated', bool()),
             optional('username', string()),
             optional('fullName', string()),
+            optional('fullname', string()),
             optional('email', string()),
             optional('language', string()),
-            optional('timeZone', string())
+            optional('timeZone', string()),
+            optional('status', string())
         );
         if (optionsErrors.length > 0) {
-            return Promise.reject(new Error(optionsErrors.join(', ')));
-        }
-        let postData = '<user>';
-        Object.entries(options).forEach(([key, value]) => {
-            if (key === 'active') {
-                postData += `<status>${value === true ? 'active' : 'inactive'}</status>`;
-            } else if (key === 'seated') {
-                postData += `<license.seat>${value}</license.seat>`;
-            } else {
-                const lowerKey = key.toLowerCase();
-                postData += `<${lowerKey}>${value}</${lowerKey}>`;
-            }
-        });
-        postData += '</user>';
+            return Promise.reject(new ValidationError(optionsErrors.join(', ')));
+        }
+        const user = Object.assign({}, options);
+        if ('active' in options) {
+            user.status = options.active === true ? 'active' : 'inactive';
+        }
+        if ('fullName' in options) {
+            user.fullname = options.fullName;
+        }
+        const postData = modelParser.createSerializer(userModel, { root: 'user' })(
+            user,
+            _userInfoOriginals.get(options) || null
+        );
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
+            .withRequestOptions(rawResponse.requestOptions)
             .put(postData, utility.xmlRequestType)
-            .catch(err => Promise.reject(this._errorParser(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(userModel));
+            .then(modelParser.createParser(userModel))
+            .then(_keepUserInfoOriginal)
+            .then(rawResponse.result);
     }
 
     /**
@@ -6225,28 +9408,32 @@ class User {
      * @param {Object} options An object that contains the password change information
      * @param {String} options.newPassword The new password that will be set for the user
      * @param {String} [options.currentpassword] The user's current password (needed when changing your own password without admin rights)
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} A Promise that, when resolved, indicates a successful password change
      */
-    setPassword(options) {
+    setPassword(options, requestOptions = {}) {
         const optionsErrors = valid.object(
             options,
             required('newPassword', string()),
             optional('currentPassword', string())
         );
         if (optionsErrors.length > 0) {
-            return Promise.reject(new Error(optionsErrors.join(', ')));
+            return Promise.reject(new ValidationError(optionsErrors.join(', ')));
         }
         const params = {};
         if (options.currentPassword) {
             params.currentpassword = options.currentPassword;
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('password')
             .withParams(params)
+            .withRequestOptions(rawResponse.requestOptions)
             .put(options.newPassword, utility.textRequestType)
-            .catch(err => Promise.reject(this._errorParser(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.text())
-            .then(resp => ({ authToken: resp }));
+            .then(resp => ({ authToken: resp }))
+            .then(rawResponse.result);
     }
 }
 
@@ -6260,37 +9447,44 @@ class UserManager {
      */
     constructor(settings = new Settings()) {
         this._settings = settings;
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'users');
+        this._plug = settings.plug.at('@api', 'deki', 'users');
     }
 
     /**
      * Get the currently signed-in user.
      * @param {Object} params - The various params that provide context to the request
      * @param {Array} params.exclude - elements to exclude from response (ex: ['groups', 'properties'])
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<userModel>} - A Promise that, when resolved, returns a {@link userModel} containing the current user's information.
      */
-    getCurrentUser({ exclude = [] } = {}) {
+    getCurrentUser({ exclude = [] } = {}, requestOptions = {}) {
         const errors = valid.value(exclude, array());
         if (errors.length > 0) {
-            return Promise.reject(new Error(errors.join(', ')));
+            return Promise.reject(new ValidationError(errors.join(', ')));
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('current')
             .withParam('exclude', exclude.join(','))
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(userModel));
+            .then(modelParser.createParser(userModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Get the currently signed-in user's activity id.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<String>} - A Promise that, when resolved, returns a string with the current user activity token.
      */
-    getCurrentUserActivityToken() {
+    getCurrentUserActivityToken(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('current')
             .withParam('exclude', ['groups', 'properties'])
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => {
@@ -6301,53 +9495,66 @@ class UserManager {
                         if (sessionId !== null) {
                             resolve(sessionId);
                         } else {
-                            reject(new Error('Could not fetch an X-Deki-Session HTTP header from the MindTouch API.'));
+                            reject(
+                                new MartianError(
+                                    'Could not fetch an X-Deki-Session HTTP header from the MindTouch API.'
+                                )
+                            );
                         }
                     })
                 ]);
             })
             .then(([user, sessionId]) => {
                 return `${user.id}:${sessionId}`;
-            });
+            })
+            .then(rawResponse.result);
     }
 
     /**
      * Get all of the users.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<userListModel>} - A Promise that, when resolved, returns a {@link userListModel} containing the list of users.
      */
-    getUsers() {
+    getUsers(requestOptions = {}) {
         let userListModelParser = modelParser.createParser(userListModel);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(userListModelParser);
+            .then(userListModelParser)
+            .then(rawResponse.result);
     }
 
     /**
      * Get a listing of users filtered by the supplied constraints
      * @param {Object} constraints - The various constraints that can be used to filter the user listing.
-     * @param {Number} constraints.groupid - Search for users in a specific group
-     * @param {String} constraints.fullname - Search for users full name starting with supplied text.
-     * @param {Boolean} constraints.active - Search for users by their active status
-     * @param {Number} constraints.authprovider - Return users belonging to given authentication service id
-     * @param {String} constraints.email - Search for users by name and email or part of a name and email
-     * @param {Boolean} constraints.seated - Search for users with or without seats
-     * @param {String} constraints.username - Search for users name starting with supplied text
-     * @param {Number} constraints.roleid - Search for users of a specific role ID.
-     * @param {Number} constraints.limit - Maximum number of items to retrieve. Actual maximum is capped by site setting
-     * @param {String} constraints.format - Output format. Must be one of "autocomplete", "default" , or "verbose"
+     * @param {Number} [constraints.groupid] - Search for users in a specific group
+     * @param {String} [constraints.fullname] - Search for users full name starting with supplied text.
+     * @param {Boolean} [constraints.active] - Search for users by their active status
+     * @param {Number} [constraints.authprovider] - Return users belonging to given authentication service id
+     * @param {String} [constraints.email] - Search for users by name and email or part of a name and email
+     * @param {Boolean} [constraints.seated] - Search for users with or without seats
+     * @param {String} [constraints.username] - Search for users name starting with supplied text
+     * @param {Number} [constraints.roleid] - Search for users of a specific role ID.
+     * @param {Number} [constraints.limit] - Maximum number of items to retrieve. Actual maximum is capped by site setting
+     * @param {String} [constraints.format] - Output format. Must be one of "autocomplete", "default" , or "verbose"
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise.<userListModel>} - A Promise that, when resolved, returns a {@link userListModel} containing the list of found users.
      */
-    searchUsers(constraints) {
+    searchUsers(constraints, requestOptions = {}) {
         let userListModelParser = modelParser.createParser(userListModel);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('search')
             .withParams(constraints)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(userListModelParser);
+            .then(userListModelParser)
+            .then(rawResponse.result);
     }
 
     /**
@@ -6356,17 +9563,43 @@ class UserManager {
      * @param {String} options.method - Either 'GET' or 'POST' to direct the use of those forms of the API call.
      * @param {String} options.username - The username of the user to authenticate.
      * @param {String} options.password - The password of the user to authenticate.
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the authentication result, or rejected with an error specifying the reason for rejection.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<String>} - A Promise that will be resolved with the auth token of the user, or rejected with an error specifying the reason for rejection.
      */
-    authenticate({ method = 'GET', username, password }) {
+    authenticate({ method = 'GET', username, password }, requestOptions = {}) {
         const lowerMethod = method.toLowerCase();
         const errors = valid.value(lowerMethod, one(equals('get'), equals('post')));
         if (errors.length > 0) {
-            return Promise.reject(new Error('GET and POST are the only valid methods for user authentication.'));
+            return Promise.reject(
+                new ValidationError('GET and POST are the only valid methods for user authentication.')
+            );
         }
         const encodedAuth = platform.base64.encode(`${username}:${password}`);
-        const authPlug = this._plug.at('authenticate').withHeader('Authorization', `Basic ${encodedAuth}`);
-        return authPlug[lowerMethod]().then(r => r.text());
+
+        // rejected credentials are not replayed with a refreshed token
+        const rawResponse = _withRawResponse(requestOptions);
+        const authPlug = this._plug
+            .at('authenticate')
+            .withHeader('Authorization', `Basic ${encodedAuth}`)
+            .withRequestOptions(Object.assign({}, rawResponse.requestOptions, { onUnauthorized: null }));
+        return authPlug[lowerMethod]()
+            .then(r => r.text())
+            .then(rawResponse.result);
+    }
+
+    /**
+     * Sign out the user whose auth token the request carries, so that the token is no longer accepted.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, indicates the user was signed out.
+     */
+    logout(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
+        return this._plug
+            .at('logout')
+            .withRequestOptions(rawResponse.requestOptions)
+            .post(null, utility.textRequestType)
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 
     /**
@@ -6383,17 +9616,18 @@ const webWidgetsModel = [
     { field: '@active', name: 'active', transform: 'boolean' },
     { field: '@date', name: 'date', transform: 'date' },
     { field: '@id', name: 'id', transform: 'number' },
-    { field: '@type', name: 'type' },
+    { field: '@type', name: 'type', writable: true, requestField: 'type' },
     { field: '@date.deleted', name: 'dateDeleted', transform: 'date' },
     {
         field: 'web-widget.parent',
         name: 'parent',
-        transform: [{ field: '@id', name: 'id', transform: 'number' }]
+        transform: [{ field: '@id', name: 'id', transform: 'number', writable: true }],
+        writable: true
     },
-    { field: 'host' },
-    { field: 'name' },
+    { field: 'host', writable: true },
+    { field: 'name', writable: true },
     { field: 'token' },
-    { field: 'arguments' },
+    { field: 'arguments', writable: true },
     {
         field: 'code',
         transform: [
@@ -6417,46 +9651,41 @@ const webWidgetsListModel = [
     { field: 'web-widget', name: 'webWidgets', isArray: true, transform: webWidgetsModel }
 ];
 
-const _errorParser$7 = modelParser.createParser(apiErrorModel);
 function isValidArgValue(value) {
     return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean';
 }
 function _makeXmlString(data) {
     if (!data || typeof data !== 'object') {
-        throw new Error('Web widget data must be an object');
+        throw new ValidationError('Web widget data must be an object');
     }
     if (
         !Array.isArray(data.arguments) ||
         data.arguments.some(arg => !arg || typeof arg.name !== 'string' || !isValidArgValue(arg.value))
     ) {
-        throw new Error(
+        throw new ValidationError(
             'Web widget arguments must be an array of objects with a `name` string and a `value` string|number|boolean'
         );
     }
     if (!Array.isArray(data.hosts) || data.hosts.some(host => typeof host !== 'string')) {
-        throw new Error('Web widget hosts must be an array of strings');
+        throw new ValidationError('Web widget hosts must be an array of strings');
     }
     if (typeof data.name !== 'string') {
-        throw new Error('Web widget name must be a string');
+        throw new ValidationError('Web widget name must be a string');
     }
     if (typeof data.type !== 'string') {
-        throw new Error('Web widget type must be a string');
+        throw new ValidationError('Web widget type must be a string');
     }
     if ('parentId' in data && typeof data.parentId !== 'number') {
-        throw new Error('Web widget parentId must be a number');
-    }
-    const argData = data.arguments.map(arg => {
-        return `<${arg.name}>${utility.escapeHTML(arg.value)}</${arg.name}>`;
-    });
-    return `
-        <web-widget>
-            <arguments>${argData.join('\n')}</arguments>
-            <host>${utility.escapeHTML(data.hosts.join(','))}</host>
-            <name>${utility.escapeHTML(data.name)}</name>
-            <type>${utility.escapeHTML(data.type)}</type>
-            <web-widget.parent id="${'parentId' in data ? data.parentId : ''}"></web-widget.parent>
-        </web-widget>
-    `;
+        throw new ValidationError('Web widget parentId must be a number');
+    }
+    const widget = {
+        arguments: data.arguments.reduce((args, arg) => Object.assign(args, { [arg.name]: arg.value }), {}),
+        host: data.hosts.join(','),
+        name: data.name,
+        type: data.type,
+        parent: { id: 'parentId' in data ? data.parentId : '' }
+    };
+    return modelParser.createSerializer(webWidgetsModel, { root: 'web-widget' })(widget);
 }
 
 /**
@@ -6468,47 +9697,59 @@ class WebWidgetsManager {
      * @param {Settings} [settings] The {@link Settings} information to use in construction. If not supplied, the default settings are used.
      */
     constructor(settings = new Settings()) {
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'web-widgets');
+        this._plug = settings.plug.at('@api', 'deki', 'web-widgets');
     }
 
     /**
      * Retrieve all active web widgets.
-     * @returns {Promise} A Promise, when resolved, provides a list of active web widgets.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsListModel>} A Promise, when resolved, provides a list of active web widgets.
      */
-    getActiveWidgets() {
+    getActiveWidgets(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
-            .catch(err => Promise.reject(_errorParser$7(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(webWidgetsListModel));
+            .then(modelParser.createParser(webWidgetsListModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Retrieve all inactive web widgets.
-     * @returns {Promise} A Promise, when resolved, provides a list of inactive web widgets.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsListModel>} A Promise, when resolved, provides a list of inactive web widgets.
      */
-    getInactiveWidgets() {
+    getInactiveWidgets(requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('inactive')
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
-            .catch(err => Promise.reject(_errorParser$7(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(webWidgetsListModel));
+            .then(modelParser.createParser(webWidgetsListModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Retrieve an individual web widget.
      * @param {Number|String} [id] The id of the web widget to retrieve.
-     * @returns {Promise} A Promise, when resolved, provides info of the retrieved web widget.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsModel>} A Promise, when resolved, provides info of the retrieved web widget.
      */
-    getWidget(id) {
+    getWidget(id, requestOptions = {}) {
         const widgetId = utility.getResourceId(id);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at(widgetId)
+            .withRequestOptions(rawResponse.requestOptions)
             .get()
-            .catch(err => Promise.reject(_errorParser$7(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(webWidgetsModel));
+            .then(modelParser.createParser(webWidgetsModel))
+            .then(rawResponse.result);
     }
 
     /**
@@ -6518,27 +9759,36 @@ class WebWidgetsManager {
      * @param {Array} [options.hosts] Hostnames to whitelist.
      * @param {String} [options.name] The name of the web widget.
      * @param {String} [options.type] The type of web widget.
-     * @returns {Promise} A Promise, when resolved, provides info of the newly created web widget.
+     * @param {Number} [options.parentId] The ID of the parent web widget.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsModel>} A Promise, when resolved, provides info of the newly created web widget.
      */
-    createWidget(options) {
+    createWidget(options, requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
+            .withRequestOptions(rawResponse.requestOptions)
             .post(_makeXmlString(options), utility.xmlRequestType)
-            .catch(err => Promise.reject(_errorParser$7(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(webWidgetsModel));
+            .then(modelParser.createParser(webWidgetsModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Delete a web widget.
      * @param {Number|String} [id] The id of the web widget to delete.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
      * @returns {Promise} A Promise, when resolved, indicates the web widget is deleted.
      */
-    deleteWidget(id) {
+    deleteWidget(id, requestOptions = {}) {
         const widgetId = utility.getResourceId(id);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at(widgetId)
+            .withRequestOptions(rawResponse.requestOptions)
             .delete()
-            .catch(err => Promise.reject(_errorParser$7(err)));
+            .catch(err => Promise.reject(err))
+            .then(rawResponse.result);
     }
 
     /**
@@ -6549,46 +9799,59 @@ class WebWidgetsManager {
      * @param {Array} [options.hosts] Hostnames to whitelist.
      * @param {String} [options.name] The name of the web widget.
      * @param {String} [options.type] The type of web widget.
-     * @returns {Promise} A Promise, when resolved, provides info of the updated web widget.
+     * @param {Number} [options.parentId] The ID of the parent web widget.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsModel>} A Promise, when resolved, provides info of the updated web widget.
      */
-    updateWidget(id, options) {
+    updateWidget(id, options, requestOptions = {}) {
         const widgetId = utility.getResourceId(id);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at(widgetId)
+            .withRequestOptions(rawResponse.requestOptions)
             .put(_makeXmlString(options), utility.xmlRequestType)
-            .catch(err => Promise.reject(_errorParser$7(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(webWidgetsModel));
+            .then(modelParser.createParser(webWidgetsModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Activate a web widget.
      * @param {Number|String} [id] The id of the web widget to activate.
-     * @returns {Promise} A Promise, when resolved, provides info of the activated web widget.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsModel>} A Promise, when resolved, provides info of the activated web widget.
      */
-    activateWidget(id) {
+    activateWidget(id, requestOptions = {}) {
         const widgetId = utility.getResourceId(id);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at(widgetId, 'activate')
+            .withRequestOptions(rawResponse.requestOptions)
             .put()
-            .catch(err => Promise.reject(_errorParser$7(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(webWidgetsModel));
+            .then(modelParser.createParser(webWidgetsModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Deactivate a web widget.
      * @param {Number|String} [id] The id of the web widget to deactivate.
-     * @returns {Promise} A Promise, when resolved, provides info of the deactivated web widget.
+     * @param {RequestOptions} [requestOptions] Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<webWidgetsModel>} A Promise, when resolved, provides info of the deactivated web widget.
      */
-    deactivateWidget(id) {
+    deactivateWidget(id, requestOptions = {}) {
         const widgetId = utility.getResourceId(id);
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at(widgetId, 'deactivate')
+            .withRequestOptions(rawResponse.requestOptions)
             .put()
-            .catch(err => Promise.reject(_errorParser$7(err)))
+            .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(webWidgetsModel));
+            .then(modelParser.createParser(webWidgetsModel))
+            .then(rawResponse.result);
     }
 }
 
@@ -6603,7 +9866,7 @@ class WorkflowManager {
      * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
      */
     constructor(settings = new Settings()) {
-        this._plug = new Plug(settings.host, settings.plugConfig).at('@api', 'deki', 'workflow');
+        this._plug = settings.plug.at('@api', 'deki', 'workflow');
     }
 
     /**
@@ -6614,12 +9877,13 @@ class WorkflowManager {
      * @param {String} options.siteUrl - The URL of the MindTouch site.
      * @param {String} options.content - The body text of the feedback message input by the user.
      * @param {Boolean} options.contactAllowed - Notifies the API whether or not the user grants permission to contact them.
-     * @returns {Promise} - A Promise that, when resolved, indicates a successful feedback submission.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<workflowsModel>} - A Promise that, when resolved, indicates a successful feedback submission.
      */
-    submitFeedback(options = {}) {
+    submitFeedback(options = {}, requestOptions = {}) {
         const workflowPath = 'submit-feedback';
         if (!('_path' in options)) {
-            return Promise.reject(new Error(`The _path field must be supplied for ${workflowPath}`));
+            return Promise.reject(new ValidationError(`The _path field must be supplied for ${workflowPath}`));
         }
         const request = JSON.stringify({
             _path: options._path,
@@ -6629,72 +9893,427 @@ class WorkflowManager {
             content: options.content,
             contactAllowed: options.contactAllowed
         });
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at(workflowPath)
+            .withRequestOptions(rawResponse.requestOptions)
             .post(request, utility.jsonRequestType)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(workflowsModel));
+            .then(modelParser.createParser(workflowsModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Send a message requesting an article be created on the site.
      * @param {Object} options - Parameters to send along with the request. These parameters are specific to the corresponding integration configuration on the MindTouch site.
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the result of the request, or rejected with an error specifying the reason for rejection.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<workflowsModel>} - A Promise that will be resolved with the result of the request, or rejected with an error specifying the reason for rejection.
      */
-    requestArticle(options = {}) {
+    requestArticle(options = {}, requestOptions = {}) {
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at('submit-article-request')
+            .withRequestOptions(rawResponse.requestOptions)
             .post(JSON.stringify(options), utility.jsonRequestType)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(workflowsModel));
+            .then(modelParser.createParser(workflowsModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Send a message that submits a support issue.
      * @param {Object} options - Parameters to send along with the request. These parameters are specific to the corresponding integration configuration on the MindTouch site.
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the result of the request, or rejected with an error specifying the reason for rejection.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<workflowsModel>} - A Promise that will be resolved with the result of the request, or rejected with an error specifying the reason for rejection.
      */
-    submitIssue(options = {}) {
+    submitIssue(options = {}, requestOptions = {}) {
         const workflowPath = 'submit-issue';
         if (!('_path' in options) || !('_search' in options)) {
-            return Promise.reject(new Error(`The _path and _search fields must be supplied for ${workflowPath}`));
+            return Promise.reject(
+                new ValidationError(`The _path and _search fields must be supplied for ${workflowPath}`)
+            );
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at(workflowPath)
+            .withRequestOptions(rawResponse.requestOptions)
             .post(JSON.stringify(options), utility.jsonRequestType)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(workflowsModel));
+            .then(modelParser.createParser(workflowsModel))
+            .then(rawResponse.result);
     }
 
     /**
      * Send a message to site support.
      * @param {Object} options - Parameters to send along with the request. These parameters are specific to the corresponding integration configuration on the MindTouch site.
-     * @returns {Promise.<Object>} - A Promise that will be resolved with the result of the request, or rejected with an error specifying the reason for rejection.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<workflowsModel>} - A Promise that will be resolved with the result of the request, or rejected with an error specifying the reason for rejection.
      */
-    contactSupport(options = {}) {
+    contactSupport(options = {}, requestOptions = {}) {
         const workflowPath = 'contact-support';
         if (!('_path' in options) || !('_search' in options)) {
-            return Promise.reject(new Error(`The _path and _search fields must be supplied for ${workflowPath}`));
+            return Promise.reject(
+                new ValidationError(`The _path and _search fields must be supplied for ${workflowPath}`)
+            );
         }
+        const rawResponse = _withRawResponse(requestOptions);
         return this._plug
             .at(workflowPath)
+            .withRequestOptions(rawResponse.requestOptions)
             .post(JSON.stringify(options), utility.jsonRequestType)
             .catch(err => Promise.reject(err))
             .then(r => r.json())
-            .then(modelParser.createParser(workflowsModel));
+            .then(modelParser.createParser(workflowsModel))
+            .then(rawResponse.result);
+    }
+}
+
+/**
+ * A client for a MindTouch site that exposes every API manager from one {@link Settings} object. The managers are created when they are first used, and they all share the transport, cache, limiter and middleware of the settings.
+ */
+class Martian {
+    /**
+     * Construct a Martian client.
+     * @param {Settings} [settings] - The {@link Settings} information to use in construction. If not supplied, the default settings are used.
+     */
+    constructor(settings = new Settings()) {
+        this._settings = settings;
+        this._managers = {};
+    }
+
+    /**
+     * Get the settings that the client sends API requests with.
+     */
+    get settings() {
+        return this._settings;
+    }
+
+    /**
+     * Get the {@link Api} object to validate HTTP requests with.
+     * @returns {Api} The shared Api object.
+     */
+    get api() {
+        return this._manager('api', Api);
+    }
+
+    /**
+     * Get the {@link ContextIdManager} to manage the context IDs of the site.
+     * @returns {ContextIdManager} The shared ContextIdManager.
+     */
+    get contextIds() {
+        return this._manager('contextIds', ContextIdManager);
+    }
+
+    /**
+     * Get the {@link DeveloperTokenManager} to manage the developer tokens of the site.
+     * @returns {DeveloperTokenManager} The shared DeveloperTokenManager.
+     */
+    get developerTokens() {
+        return this._manager('developerTokens', DeveloperTokenManager);
+    }
+
+    /**
+     * Get the {@link DraftManager} to manage the drafts of the site.
+     * @returns {DraftManager} The shared DraftManager.
+     */
+    get drafts() {
+        return this._manager('drafts', DraftManager);
+    }
+
+    /**
+     * Get the {@link Events} object to log and fetch site events.
+     * @returns {Events} The shared Events object.
+     */
+    get events() {
+        return this._manager('events', Events);
+    }
+
+    /**
+     * Get the {@link ExternalReport} object to manage external reports.
+     * @returns {ExternalReport} The shared ExternalReport object.
+     */
+    get externalReports() {
+        return this._manager('externalReports', ExternalReport);
+    }
+
+    /**
+     * Get the {@link GroupManager} to manage the groups of the site.
+     * @returns {GroupManager} The shared GroupManager.
+     */
+    get groups() {
+        return this._manager('groups', GroupManager);
+    }
+
+    /**
+     * Get the {@link LearningPathManager} to manage the learning paths of the site.
+     * @returns {LearningPathManager} The shared LearningPathManager.
+     */
+    get learningPaths() {
+        return this._manager('learningPaths', LearningPathManager);
+    }
+
+    /**
+     * Get the {@link License} object to fetch the license information of the site.
+     * @returns {License} The shared License object.
+     */
+    get license() {
+        return this._manager('license', License);
+    }
+
+    /**
+     * Get the {@link PageManager} to work with the pages of the site.
+     * @returns {PageManager} The shared PageManager.
+     */
+    get pages() {
+        return this._manager('pages', PageManager);
+    }
+
+    /**
+     * Get the {@link Site} object to work with site-wide resources, such as search.
+     * @returns {Site} The shared Site object.
+     */
+    get site() {
+        return this._manager('site', Site);
+    }
+
+    /**
+     * Get the {@link SiteJobManager} to schedule and fetch site jobs.
+     * @returns {SiteJobManager} The shared SiteJobManager.
+     */
+    get siteJobs() {
+        return this._manager('siteJobs', SiteJobManager);
+    }
+
+    /**
+     * Get the {@link SiteReports} object to fetch site reports.
+     * @returns {SiteReports} The shared SiteReports object.
+     */
+    get siteReports() {
+        return this._manager('siteReports', SiteReports);
+    }
+
+    /**
+     * Get the {@link UserManager} to manage the users of the site.
+     * @returns {UserManager} The shared UserManager.
+     */
+    get users() {
+        return this._manager('users', UserManager);
+    }
+
+    /**
+     * Get the {@link WebWidgetsManager} to manage the web widgets of the site.
+     * @returns {WebWidgetsManager} The shared WebWidgetsManager.
+     */
+    get webWidgets() {
+        return this._manager('webWidgets', WebWidgetsManager);
+    }
+
+    /**
+     * Get the {@link WorkflowManager} to submit site workflows.
+     * @returns {WorkflowManager} The shared WorkflowManager.
+     */
+    get workflows() {
+        return this._manager('workflows', WorkflowManager);
+    }
+
+    /**
+     * Get a {@link Page} object for a page of the site.
+     * @param {Number|String} [id=home] The numeric page ID or the page path.
+     * @returns {Page} The Page object.
+     */
+    page(id = 'home') {
+        return new Page(id, this._settings);
+    }
+
+    /**
+     * Get a {@link PageFile} object for a file that is attached to a page.
+     * @param {Number|String} pageId The numeric page ID or the page path.
+     * @param {String} filename The name of the file.
+     * @returns {PageFile} The PageFile object.
+     */
+    pageFile(pageId, filename) {
+        return new PageFile(pageId, filename, this._settings);
+    }
+
+    /**
+     * Get a {@link PageProperty} object for the properties of a page.
+     * @param {Number|String} [id=home] The numeric page ID or the page path.
+     * @returns {PageProperty} The PageProperty object.
+     */
+    pageProperty(id = 'home') {
+        return new PageProperty(id, this._settings);
+    }
+
+    /**
+     * Get a {@link PageSecurity} object for the security of a page.
+     * @param {Number|String} [id=home] The numeric page ID or the page path.
+     * @returns {PageSecurity} The PageSecurity object.
+     */
+    pageSecurity(id = 'home') {
+        return new PageSecurity(id, this._settings);
+    }
+
+    /**
+     * Get a {@link Draft} object for the draft of a page.
+     * @param {Number|String} [id=home] The numeric page ID or the page path.
+     * @returns {Draft} The Draft object.
+     */
+    draft(id = 'home') {
+        return new Draft(id, this._settings);
+    }
+
+    /**
+     * Get a {@link File} object for a file of the site.
+     * @param {Number} id The numeric file ID.
+     * @returns {File} The File object.
+     */
+    file(id) {
+        return new File(id, this._settings);
+    }
+
+    /**
+     * Get a {@link User} object for a user of the site.
+     * @param {Number|String} [id=current] The numeric user ID or the username.
+     * @returns {User} The User object.
+     */
+    user(id = 'current') {
+        return new User(id, this._settings);
+    }
+
+    /**
+     * Get a {@link Group} object for a group of the site.
+     * @param {Number|String} id The numeric group ID or the group name.
+     * @returns {Group} The Group object.
+     */
+    group(id) {
+        return new Group(id, this._settings);
+    }
+
+    /**
+     * Get a {@link SiteJob} object for a scheduled site job.
+     * @param {String} jobId The ID of the job.
+     * @returns {SiteJob} The SiteJob object.
+     */
+    siteJob(jobId) {
+        return new SiteJob(jobId, this._settings);
+    }
+
+    /**
+     * Get a {@link LearningPath} object for a learning path of the site.
+     * @param {String} name The name of the learning path.
+     * @returns {LearningPath} The LearningPath object.
+     */
+    learningPath(name) {
+        return new LearningPath(name, this._settings);
+    }
+
+    /**
+     * Get a {@link PageSubscriptionManager} for the page subscriptions of a site.
+     * @param {String} siteId The ID of the site.
+     * @returns {PageSubscriptionManager} The PageSubscriptionManager object.
+     */
+    pageSubscriptions(siteId) {
+        return new PageSubscriptionManager(siteId, this._settings);
+    }
+
+    /**
+     * Sign in a user. Later API requests from the managers of the client carry the user's auth token, until {@see Martian#logout} is called. The client derives new settings for the session, so that other holders of its previous settings, including the managers that were obtained from it before, are not signed in.
+     * @param {Object} options - The sign in options.
+     * @param {String} options.username - The username of the user to sign in.
+     * @param {String} options.password - The password of the user to sign in.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<String>} - A Promise that, when resolved, yields the auth token of the signed in user.
+     */
+    login({ username, password } = {}, requestOptions = {}) {
+        if (typeof username !== 'string' || username === '' || typeof password !== 'string') {
+            return Promise.reject(new ValidationError('A username and password must be supplied to sign in.'));
+        }
+
+        // the credentials are sent without the auth token of a signed in user, who stays signed in if they are rejected
+        const users = new UserManager(this._settings._derive({ authToken: null }));
+        return users.authenticate({ method: 'POST', username, password }, requestOptions).then(result => {
+            this._useSettings(this._settings._derive({ authToken: requestOptions.raw ? result.data : result }));
+            return result;
+        });
+    }
+
+    /**
+     * Sign out the user that is signed in with {@see Martian#login}, and remove the auth token cookie of the host from the cookie manager of the client settings. Later API requests carry the configured token again.
+     * @param {Object} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise} - A Promise that, when resolved, indicates the user is signed out.
+     */
+    logout(requestOptions = {}) {
+        const settings = this._settings;
+        const signOut = settings.authToken === null ? Promise.resolve() : this.users.logout(requestOptions);
+        return signOut.then(() => {
+            this._useSettings(settings._derive({ authToken: null }));
+            const cookieManager = settings.cookieManager;
+            if (cookieManager === null) {
+                return;
+            }
+
+            // a cookie manager without `removeCookies` can only be sent a Set-Cookie header that expires the cookie
+            if (typeof cookieManager.removeCookies === 'function') {
+                return cookieManager.removeCookies(settings.host, 'authtoken');
+            }
+            return cookieManager.storeCookies(settings.host, ['authtoken=""; Path=/; Max-Age=0']);
+        });
+    }
+
+    /**
+     * Get the user that API requests are sent as.
+     * @param {Object} [params] - The various params that provide context to the request, as {@see UserManager#getCurrentUser} accepts.
+     * @param {RequestOptions} [requestOptions] - Options that direct the HTTP request, such as a `signal` to cancel it.
+     * @returns {Promise.<userModel>} - A Promise that, when resolved, returns a {@link userModel} containing the current user's information.
+     */
+    whoami(params = {}, requestOptions = {}) {
+        return this.users.getCurrentUser(params, requestOptions);
+    }
+
+    /**
+     * Get a client that sends API requests as another user, to compare what that user is allowed to see with the view of this client. The settings must have a {@see DeveloperTokenSigner} to sign the user's tokens with.
+     * @param {String|Number} username The username or numeric ID of the user to send the API requests as.
+     * @returns {Martian} A new client, with settings derived by {@see Settings#withUser}.
+     */
+    withUser(username) {
+        return new Martian(this._settings.withUser(username));
+    }
+    _useSettings(settings) {
+        // the managers of the previous settings keep sending requests with them
+        this._settings = settings;
+        this._managers = {};
+    }
+    _manager(name, Manager) {
+        if (!(name in this._managers)) {
+            this._managers[name] = new Manager(this._settings);
+        }
+        return this._managers[name];
     }
 }
 
 exports.Settings = Settings;
+exports.Martian = Martian;
+exports.MartianError = MartianError;
+exports.ValidationError = ValidationError;
+exports.NotFoundError = NotFoundError;
+exports.ForbiddenError = ForbiddenError;
+exports.ConflictError = ConflictError;
+exports.RateLimitError = RateLimitError;
+exports.NetworkError = NetworkError;
+exports.TimeoutError = TimeoutError;
+exports.AbortError = AbortError;
+exports.ModelParseError = ModelParseError;
+exports.modelParser = modelParser;
 exports.Api = Api;
 exports.ContextDefinition = ContextDefinition;
 exports.ContextMap = ContextMap;
 exports.ContextIdManager = ContextIdManager;
 exports.DeveloperToken = DeveloperToken;
 exports.DeveloperTokenManager = DeveloperTokenManager;
+exports.DeveloperTokenSigner = DeveloperTokenSigner;
 exports.Draft = Draft;
 exports.DraftManager = DraftManager;
 exports.DraftFile = DraftFile;
@@ -6705,6 +10324,11 @@ exports.File = File;
 exports.FileDraft = FileDraft;
 exports.Group = Group;
 exports.GroupManager = GroupManager;
+exports.HarRecorder = HarRecorder;
+exports.HarReplay = HarReplay;
+exports.CookieJar = CookieJar;
+exports.HttpCache = HttpCache;
+exports.RequestLimiter = RequestLimiter;
 exports.LearningPath = LearningPath;
 exports.LearningPathManager = LearningPathManager;
 exports.License = License;
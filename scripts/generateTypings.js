@@ -0,0 +1,218 @@
+/* eslint-env node */
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const ts = require('typescript');
+
+const _sourceFile = path.join(__dirname, '..', 'martian.js');
+const _typingsFile = path.join(__dirname, '..', 'martian.d.ts');
+const _modelsFile = path.join(__dirname, '..', '__models.d.ts');
+const _transformTypes = { number: 'number', boolean: 'boolean', date: 'Date', apiDate: 'Date' };
+
+// the models are module-private, so they are read by loading the source with an extra export of each of them
+function _loadModels(source) {
+    const names = Array.from(source.matchAll(/^(?:const|let) ([A-Za-z]\w*) = /gm), match => match[1]);
+    const loaded = new Module(_sourceFile, null);
+    loaded.filename = _sourceFile;
+    loaded.paths = Module._nodeModulePaths(path.dirname(_sourceFile));
+    loaded._compile(`${source}\nexports.__values = { ${names.join(', ')} };`, _sourceFile);
+    const models = new Map();
+    names.forEach(name => {
+        const value = loaded.exports.__values[name];
+        const model = value && Array.isArray(value.model) ? value.model : value;
+        if (Array.isArray(model) && model.length > 0 && model.every(entry => entry && 'field' in entry)) {
+            models.set(name, value);
+        }
+    });
+    return models;
+}
+function _modelType(model, modelNames, indent) {
+    const entries = Array.isArray(model.model) ? model.model : model;
+    const pad = '    '.repeat(indent);
+    const properties = entries.map(({ field, name, isArray, transform, constructTransform }) => {
+        const fields = Array.isArray(field) ? field : [field];
+        const lastField = fields[fields.length - 1];
+        let type;
+        if (constructTransform || typeof transform === 'function') {
+            type = 'any';
+        } else if (typeof transform === 'string') {
+            type = _transformTypes[transform] || 'any';
+        } else if (transform) {
+            type = modelNames.get(transform) || _modelType(transform, modelNames, indent + 1);
+        } else {
+            // attributes and element text are strings in API responses, and other elements may have children
+            type = lastField[0] === '@' || lastField === '#text' ? 'string' : 'any';
+        }
+
+        // arrays are always set, even when the response omits the field
+        const key = name || fields[0];
+        const property = /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`;
+        return isArray ? `${pad}    ${property}: ${type}[];` : `${pad}    ${property}?: ${type};`;
+    });
+    return `{\n${properties.join('\n')}\n${pad}}`;
+}
+
+// the declaration emit leaves out the methods that override a base class method, so they are declared from the checker
+function _addOverridingMethods(declarations, program, sourceFile) {
+    const checker = program.getTypeChecker();
+    const printer = ts.createPrinter({ removeComments: true });
+    const sourceText = sourceFile.getFullText();
+    return sourceFile.statements
+        .filter(statement => ts.isClassDeclaration(statement) && statement.heritageClauses)
+        .reduce((result, declaration) => {
+            const classType = checker.getDeclaredTypeOfSymbol(checker.getSymbolAtLocation(declaration.name));
+            const [baseType] = checker.getBaseTypes(classType);
+            const methods = declaration.members
+                .filter(member => ts.isMethodDeclaration(member) && baseType.getProperty(member.name.getText()))
+                .map(member => {
+                    const [comment] = ts.getLeadingCommentRanges(sourceText, member.pos) || [];
+                    const signature = checker.signatureToSignatureDeclaration(
+                        checker.getSignatureFromDeclaration(member),
+                        ts.SyntaxKind.MethodDeclaration,
+                        declaration,
+                        ts.NodeBuilderFlags.NoTruncation
+                    );
+                    const text = printer.printNode(ts.EmitHint.Unspecified, signature, sourceFile).replace(/;?$/, ';');
+                    const doc = comment ? `${sourceText.slice(comment.pos, comment.end)}\n    ` : '';
+                    return `    ${doc}${member.name.getText()}${text.replace(/\n/g, '\n    ')}`;
+                });
+            if (methods.length === 0) {
+                return result;
+            }
+            const start = result.indexOf(`export class ${declaration.name.text} `);
+            const end = result.indexOf('\n}\n', start);
+            return `${result.slice(0, end)}\n${methods.join('\n')}${result.slice(end)}`;
+        }, declarations);
+}
+
+// the model arrays are module-private values, and they would clash with the interfaces that declare the models
+function _removeModelValues(declarations, models) {
+    const sourceFile = ts.createSourceFile('martian.d.ts', declarations, ts.ScriptTarget.Latest);
+    const isModelValue = statement =>
+        ts.isVariableStatement(statement)
+            ? statement.declarationList.declarations.every(declaration =>
+                  models.has(declaration.name.getText(sourceFile))
+              )
+            : ts.isModuleDeclaration(statement) && models.has(statement.name.text);
+    return sourceFile.statements
+        .filter(isModelValue)
+        .reverse()
+        .reduce(
+            (result, statement) => result.slice(0, statement.getFullStart()) + result.slice(statement.getEnd()),
+            declarations
+        );
+}
+
+// the `raw` request option changes what a method resolves with, so each method that takes it is overloaded for it
+function _addRawOverloads(declarations) {
+    const sourceFile = ts.createSourceFile('martian.d.ts', declarations, ts.ScriptTarget.Latest, true);
+    const overloads = [];
+    const visit = node => {
+        if (ts.isClassDeclaration(node)) {
+            node.members.filter(ts.isMethodDeclaration).forEach(method => {
+                const parameters = method.parameters;
+                const last = parameters[parameters.length - 1];
+                const returnType = method.type;
+                if (
+                    !last ||
+                    last.name.getText() !== 'requestOptions' ||
+                    !returnType ||
+                    !ts.isTypeReferenceNode(returnType) ||
+                    returnType.typeName.getText() !== 'Promise'
+                ) {
+                    return;
+                }
+
+                // the parameters ahead of the request options can no longer be left out, but they may be undefined
+                const leading = parameters.slice(0, -1).map(parameter => {
+                    const type = parameter.type ? parameter.type.getText() : 'any';
+                    if (!parameter.questionToken) {
+                        return `${parameter.name.getText()}: ${type}`;
+                    }
+                    const isFunction =
+                        ts.isFunctionTypeNode(parameter.type) || ts.isConstructorTypeNode(parameter.type);
+                    return `${parameter.name.getText()}: ${isFunction ? `(${type})` : type} | undefined`;
+                });
+                const [dataType] = returnType.typeArguments || [];
+                const modifiers = (method.modifiers || []).map(modifier => `${modifier.getText()} `).join('');
+                const signature = [...leading, 'requestOptions: RequestOptions & { raw: true }'].join(', ');
+                const [comment] = ts.getLeadingCommentRanges(declarations, method.pos) || [];
+                const doc = comment ? `${declarations.slice(comment.pos, comment.end)}\n    ` : '';
+                overloads.push({
+                    position: comment ? comment.pos : method.getStart(),
+                    text: `${doc}${modifiers}${method.name.getText()}(${signature}): Promise<RawResult<${
+                        dataType ? dataType.getText() : 'any'
+                    }>>;\n    `
+                });
+            });
+        }
+        ts.forEachChild(node, visit);
+    };
+    visit(sourceFile);
+    return overloads
+        .reverse()
+        .reduce(
+            (result, { position, text }) => result.slice(0, position) + text + result.slice(position),
+            declarations
+        );
+}
+
+/**
+ * Generate the TypeScript declarations of martian.js. The classes and methods are declared from their JSDoc, and
+ * the models that the JSDoc refers to, such as `pageModel`, are declared from the model arrays that parse API responses.
+ * @returns {String} The declarations.
+ */
+function generateTypings() {
+    const source = fs.readFileSync(_sourceFile, 'utf8');
+    const models = _loadModels(source);
+    const modelNames = new Map(Array.from(models.entries()).map(([name, model]) => [model, name]));
+    const modelDeclarations = Array.from(models.entries()).map(
+        ([name, model]) => `interface ${name} ${_modelType(model, modelNames, 0)}`
+    );
+
+    // while the models are declared as global interfaces, the JSDoc model names resolve to them instead of the arrays
+    const options = {
+        allowJs: true,
+        declaration: true,
+        emitDeclarationOnly: true,
+        skipLibCheck: true,
+        target: ts.ScriptTarget.ES2016,
+        module: ts.ModuleKind.CommonJS
+    };
+    const host = ts.createCompilerHost(options);
+    const readFile = host.readFile;
+    const getSourceFile = host.getSourceFile;
+    const modelsText = `${modelDeclarations.join('\n')}\n`;
+    host.fileExists = fileName => fileName === _modelsFile || fs.existsSync(fileName);
+    host.readFile = fileName => (fileName === _modelsFile ? modelsText : readFile(fileName));
+    host.getSourceFile = (fileName, languageVersion) =>
+        fileName === _modelsFile
+            ? ts.createSourceFile(fileName, modelsText, languageVersion)
+            : getSourceFile(fileName, languageVersion);
+    let declarations = null;
+    host.writeFile = (fileName, text) => {
+        if (path.basename(fileName) === 'martian.d.ts') {
+            declarations = text;
+        }
+    };
+    const program = ts.createProgram([_sourceFile, _modelsFile], Object.assign({ outDir: '/' }, options), host);
+    const sourceFile = program.getSourceFile(_sourceFile);
+    program.emit(sourceFile);
+    if (declarations === null) {
+        throw new Error('No declarations were emitted for martian.js');
+    }
+    const classDeclarations = _addRawOverloads(
+        _removeModelValues(_addOverridingMethods(declarations, program, sourceFile), models)
+    ).replace(/^\/\/\/ <reference path=".*__models\.d\.ts" \/>\n/m, '');
+    return [
+        '// This file is generated by scripts/generateTypings.js from martian.js. Do not edit it.',
+        ...modelDeclarations.map(declaration => `export ${declaration}`),
+        classDeclarations
+    ].join('\n');
+}
+
+if (require.main === module) {
+    fs.writeFileSync(_typingsFile, generateTypings());
+}
+
+module.exports = { generateTypings, typingsFile: _typingsFile };
@@ -0,0 +1,91 @@
+import * as martian from "../martian";
+import { test, expect } from "@playwright/test";
+
+const host = "https://example.mindtouch.us";
+const utcDate = new Date(Date.UTC(2020, 0, 2, 3, 4, 5));
+let localTimeZone: string | undefined;
+
+// the dates must not depend on the time zone of the machine that runs the client
+test.beforeAll(() => {
+  localTimeZone = process.env.TZ;
+  process.env.TZ = "America/Los_Angeles";
+});
+
+test.afterAll(() => {
+  if (localTimeZone === undefined) {
+    delete process.env.TZ;
+  } else {
+    process.env.TZ = localTimeZone;
+  }
+});
+
+// a fetch implementation that records the requested URLs and answers with the supplied JSON
+const jsonFetch = (body: object) => {
+  const urls: URL[] = [];
+  const fetchImpl = (request: Request) => {
+    urls.push(new URL(request.url));
+    return Promise.resolve(
+      new Response(JSON.stringify(body), { status: 200, headers: { "Content-Type": "application/json" } })
+    );
+  };
+  return { urls, fetchImpl };
+};
+
+test("sends UTC API dates from Dates, ISO strings and epoch numbers", async () => {
+  const { urls, fetchImpl } = jsonFetch({});
+  const settings = new martian.Settings({ host, fetchImpl });
+  const site = new martian.Site(settings);
+  await site.getActivity(utcDate);
+  await site.getActivity("2020-01-02T03:04:05");
+  await site.getActivity("2020-01-01T19:04:05-08:00");
+  await site.getActivity(utcDate.getTime());
+  await new martian.PageManager(settings).findPages({ since: "2020-01-02", upTo: utcDate });
+  await new martian.Events(settings).getUserHistory("current", { upTo: utcDate.getTime() });
+  await new martian.Events(settings).getUserHistory("current", { upTo: "marker" });
+  await new martian.Events(settings).getUserHistory("current", { upTo: "2020-01-02T03:04:05" });
+  await new martian.Events(settings).getUserActivity("token", { upTo: "2020-01-01T19:04:05-08:00" });
+  expect(urls.slice(0, 4).map((url) => url.searchParams.get("since"))).toEqual(Array(4).fill("20200102030405"));
+  expect(urls[4].searchParams.get("since")).toBe("20200102000000");
+  expect(urls[4].searchParams.get("upto")).toBe("20200102030405");
+  expect(urls[5].searchParams.get("upto")).toBe("20200102030405");
+  expect(urls[6].searchParams.get("upto")).toBe("marker");
+  expect(urls[7].searchParams.get("upto")).toBe("20200102030405");
+  expect(urls[8].searchParams.get("upto")).toBe("20200102030405");
+});
+
+test("rejects dates that cannot be read", async () => {
+  const { urls, fetchImpl } = jsonFetch({});
+  const settings = new martian.Settings({ host, fetchImpl });
+  const error = await new martian.Site(settings).getActivity("yesterday").catch((e) => e);
+  expect(error).toBeInstanceOf(martian.ValidationError);
+  const usageError = await new martian.License(settings).getUsage({ upTo: "not a date" }).catch((e) => e);
+  expect(usageError).toBeInstanceOf(martian.ValidationError);
+  const historyError = await new martian.Events(settings)
+    .getUserHistory("current", { upTo: "2020-13-45T00:00" })
+    .catch((e) => e);
+  expect(historyError).toBeInstanceOf(martian.ValidationError);
+  expect(urls).toEqual([]);
+});
+
+test("parses API dates as UTC", async () => {
+  const { fetchImpl } = jsonFetch({ "@date.start": "20200102030405", totals: { "@date": "20200102" } });
+  const usage = await new martian.License(new martian.Settings({ host, fetchImpl })).getUsage();
+  expect(usage.startDate).toEqual(utcDate);
+  expect(usage.totals[0].date).toEqual(new Date(Date.UTC(2020, 0, 2)));
+});
+
+test("formats dates for display in the site time zone", () => {
+  const format = {
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  };
+  const site = new martian.Settings({ host, timeZone: "Asia/Tokyo" });
+  expect(site.formatDate(utcDate, { format })).toBe("01/02/2020, 12:04");
+  expect(site.formatDate("2020-01-02T03:04:05", { format })).toBe("01/02/2020, 12:04");
+  expect(new martian.Settings({ host }).formatDate(utcDate.getTime(), { format })).toBe("01/02/2020, 03:04");
+  expect(() => new martian.Settings({ host, timeZone: "Mars/Olympus_Mons" })).toThrow(martian.ValidationError);
+});
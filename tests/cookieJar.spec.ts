@@ -0,0 +1,63 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import * as martian from "../martian";
+import { test, expect } from "@playwright/test";
+
+test("matches cookies by domain, path, expiry and scheme", async () => {
+  const jar = new martian.CookieJar();
+  await jar.storeCookies("https://example.mindtouch.us/@api/deki/users/authenticate", [
+    "authtoken=abc; Path=/; Secure; HttpOnly",
+    "shared=1; Domain=.mindtouch.us; Path=/",
+    "deki=2",
+    "stale=3; Max-Age=0",
+    "foreign=4; Domain=other.com",
+  ]);
+  expect(await jar.getCookieString("https://example.mindtouch.us/@api/deki/users/current")).toBe(
+    "deki=2; authtoken=abc; shared=1"
+  );
+  expect(await jar.getCookieString("http://example.mindtouch.us/")).toBe("shared=1");
+  expect(await jar.getCookieString("https://docs.mindtouch.us/")).toBe("shared=1");
+  expect(await jar.getCookieString("https://other.com/")).toBe("");
+
+  await jar.storeCookies("https://example.mindtouch.us/", ["authtoken=; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT"]);
+  expect(await jar.getCookieString("https://example.mindtouch.us/")).toBe("shared=1");
+});
+
+test("removes the cookies with a name that are sent to a host", async () => {
+  const jar = new martian.CookieJar();
+  await jar.storeCookies("https://example.mindtouch.us/@api/deki/users/authenticate", [
+    "authtoken=abc; Path=/@api",
+    "authtoken=def; Domain=.mindtouch.us; Path=/",
+    "session=xyz; Path=/",
+  ]);
+  await jar.storeCookies("https://other.com/", ["authtoken=ghi"]);
+  await jar.removeCookies("https://example.mindtouch.us", "authtoken");
+  expect(await jar.getCookieString("https://example.mindtouch.us/@api/deki/users/current")).toBe("session=xyz");
+  expect(await jar.getCookieString("https://other.com/")).toBe("authtoken=ghi");
+});
+
+test("keeps the cookies of combined Set-Cookie headers through a Plug", async () => {
+  const jar = new martian.CookieJar();
+  const requests: Request[] = [];
+  const fetchImpl = (request: Request) => {
+    requests.push(request);
+    const headers = new Headers();
+    headers.append("Set-Cookie", "authtoken=abc; Expires=Wed, 21 Oct 2099 07:28:00 GMT; Path=/");
+    headers.append("Set-Cookie", "session=xyz; Path=/");
+    return Promise.resolve(new Response("", { status: 200, headers }));
+  };
+  const plug = new martian.Plug("https://example.mindtouch.us/@api/deki", { fetchImpl, cookieManager: jar });
+  await plug.at("users", "authenticate").get();
+  await plug.at("users", "current").get();
+  expect(requests[1].headers.get("Cookie")).toBe("authtoken=abc; session=xyz");
+});
+
+test("persists cookies to a file", async () => {
+  const file = path.join(os.tmpdir(), `martian-cookies-${process.pid}.json`);
+  const jar = new martian.CookieJar({ file });
+  await jar.storeCookies("https://example.mindtouch.us/", ["authtoken=abc; Path=/"]);
+  const restored = new martian.CookieJar({ file });
+  expect(await restored.getCookieString("https://example.mindtouch.us/")).toBe("authtoken=abc");
+  await fs.promises.unlink(file);
+});
@@ -0,0 +1,70 @@
+import * as crypto from "crypto";
+import * as martian from "../martian";
+import { test, expect } from "@playwright/test";
+
+const key = "43da137f";
+const secret = "66bc44d4";
+
+test("signs server API tokens with the key and secret", async () => {
+  const signer = new martian.DeveloperTokenSigner({ key, secret, user: "editor" });
+  const token = await signer.sign();
+  const [, tokenKey, epoch, user, hash] = /^tkn_([^_]+)_(\d+)_(=editor)_([0-9a-f]{64})$/.exec(token)!;
+  expect(tokenKey).toBe(key);
+  expect(Math.abs(Number(epoch) - Date.now() / 1000)).toBeLessThan(5);
+  const expected = crypto.createHmac("sha256", secret).update(`${key}_${epoch}_${user}`).digest("hex");
+  expect(hash).toBe(expected);
+  expect(await signer.sign(12)).toMatch(new RegExp(`^tkn_${key}_\\d+_12_[0-9a-f]{64}$`));
+});
+
+test("signs a token for each request with an async secret provider", async () => {
+  let lookups = 0;
+  const signer = new martian.DeveloperTokenSigner({
+    key,
+    secret: () => (lookups++, Promise.resolve(secret)),
+  });
+  const tokens: string[] = [];
+  const fetchImpl = (request: Request) => {
+    tokens.push(request.headers.get("X-Deki-Token")!);
+    return Promise.resolve(new Response("{}", { status: 200 }));
+  };
+  const settings = new martian.Settings({
+    host: "https://example.mindtouch.us",
+    token: signer.tokenProvider,
+    fetchImpl,
+  });
+  const plug = new martian.Plug(settings.host, settings.plugConfig).at("@api", "deki", "pages", "1");
+  await plug.at("info").put("", "text/plain");
+  await plug.at("contents").put("", "text/plain");
+  expect(lookups).toBe(2);
+  expect(tokens.every((token) => /^tkn_43da137f_\d+_=admin_[0-9a-f]{64}$/.test(token))).toBe(true);
+  // @ts-expect-error the secret is required
+  expect(() => new martian.DeveloperTokenSigner({ key })).toThrow(martian.ValidationError);
+});
+
+test("derives clients that send requests as another user", async () => {
+  const tokens: string[] = [];
+  const fetchImpl = (request: Request) => {
+    tokens.push(request.headers.get("X-Deki-Token")!);
+    return Promise.resolve(new Response("{}", { status: 200, headers: { "Content-Type": "application/json" } }));
+  };
+  const cache = new martian.HttpCache();
+  const settings = new martian.Settings({
+    host: "https://example.mindtouch.us",
+    signer: new martian.DeveloperTokenSigner({ key, secret }),
+    cache,
+    fetchImpl,
+  });
+  const admin = new martian.Martian(settings);
+  const reader = admin.withUser("reader");
+  expect(reader.settings.cache).toBe(cache);
+  await admin.page(1).getInfo();
+  await reader.page(1).getInfo();
+  await reader.users.getCurrentUser({ exclude: [] });
+  expect(tokens.map((token) => token.split("_")[3])).toEqual(["=admin", "=reader", "=reader"]);
+
+  const signedIn = new martian.Settings({ host: settings.host, signer: settings.signer, authToken: "auth-token" });
+  expect(signedIn.withUser("reader").authToken).toBeNull();
+
+  const unsigned = new martian.Martian(new martian.Settings({ host: settings.host, token: "static" }));
+  expect(() => unsigned.withUser("reader")).toThrow(martian.ValidationError);
+});
@@ -0,0 +1,85 @@
+import * as martian from "../martian";
+import { FakeApi } from "../fakeApi";
+import { test, expect } from "@playwright/test";
+
+const api = new FakeApi();
+let settings: martian.Settings;
+
+test.beforeAll(async () => {
+  settings = new martian.Settings({ host: await api.start() });
+});
+
+test.afterAll(async () => {
+  await api.stop();
+});
+
+test.beforeEach(() => {
+  api.reset();
+});
+
+test("creates and reads pages, subpages and properties", async () => {
+  const page = new martian.Page("guides/setup", settings);
+  const edit = await page.setContents("<p>Install the client</p>", { title: "Setup" });
+  expect(edit.page.title).toBe("Setup");
+
+  const contents = await page.getContents({});
+  expect(contents.body).toBe("<p>Install the client</p>");
+  const subpages = await new martian.Page("home", settings).getSubpages({});
+  expect(subpages.subpages).toEqual([]);
+  api.addPage({ path: "guides" });
+  const guides = await new martian.Page("guides", settings).getSubpages({});
+  expect(guides.subpages.map((p) => p.title)).toEqual(["Setup"]);
+
+  const properties = new martian.PageProperty("guides/setup", settings);
+  await properties.setProperty("urn:custom.reviewed", { text: "yes" });
+  const property = await properties.getProperty("urn:custom.reviewed");
+  expect(property.contents?.text).toBe("yes");
+  const stored = Array.from(api.store.pages.values()).find((p) => p.path === "guides/setup");
+  expect(stored.properties.get("urn:custom.reviewed")!.text).toBe("yes");
+});
+
+test("reports virtual pages and missing resources", async () => {
+  const virtual = await new martian.Page("missing/page", settings).getFullInfo();
+  expect(virtual.virtual).toBe(true);
+  const error = await new martian.Page(999, settings).getInfo().catch((e) => e);
+  expect(error.status).toBe(404);
+});
+
+test("publishes drafts with their attachments", async () => {
+  const draft = await new martian.DraftManager(settings).createDraft("notes");
+  const draftPage = new martian.Draft(draft.id, settings);
+  await draftPage.setContents("draft text");
+  await draftPage.attachFile(new Blob(["hello"], { type: "text/plain" }), { name: "hello.txt" });
+  const files = await draftPage.getFiles();
+  expect(files.files.map((f: any) => f.filename)).toEqual(["hello.txt"]);
+  await draftPage.publish();
+
+  const page = new martian.Page(draft.id, settings);
+  expect((await page.getContents({})).body).toBe("draft text");
+  const info = await new martian.PageFile(draft.id!, "hello.txt", settings).getInfo();
+  expect(info.contents?.size).toBe(5);
+  expect(api.store.drafts.size).toBe(0);
+});
+
+test("serves users, groups, search and site jobs", async () => {
+  const author = api.addUser({ username: "author", fullname: "An Author" });
+  api.addGroup({ name: "Writers", users: [author] });
+  api.addPage({ path: "faq", title: "FAQ", contents: "Frequently asked questions" });
+
+  const current = await new martian.UserManager(settings).getCurrentUser();
+  expect(current.username).toBe("admin");
+  const found = await new martian.UserManager(settings).searchUsers({ username: "auth" });
+  expect(found.users.map((u) => u.fullname)).toEqual(["An Author"]);
+  const members = await new martian.GroupManager(settings).getGroup("Writers").getUsers({});
+  expect(members.users[0].groups[0].groupName).toBe("Writers");
+
+  const results = await new martian.Site(settings).search({ q: "asked" });
+  expect(results.results.map((r) => r.title)).toEqual(["FAQ"]);
+
+  const jobs = new martian.SiteJobManager(settings);
+  const job = await jobs.scheduleExport({ email: "admin@example.com", pages: [{ path: "faq" }] });
+  expect(job.status).toBe("pending");
+  await new martian.SiteJob(job.id!, settings).cancel();
+  expect(api.store.jobs.get(job.id)!.status).toBe("cancelled");
+  expect(api.requests.some((r) => r.method === "POST" && r.path.endsWith("/site/jobs/export"))).toBe(true);
+});
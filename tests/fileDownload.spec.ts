@@ -0,0 +1,66 @@
+import * as martian from "../martian";
+import { FakeApi } from "../fakeApi";
+import { test, expect } from "@playwright/test";
+
+const api = new FakeApi();
+let settings: martian.Settings;
+
+test.beforeAll(async () => {
+  settings = new martian.Settings({ host: await api.start(), token: "download-token" });
+});
+
+test.afterAll(async () => {
+  await api.stop();
+});
+
+test("downloads attachments as a Blob with progress", async () => {
+  const page = api.addPage({ path: "manuals" });
+  api.addFile(page, { name: "guide.txt", contents: "The quick brown fox" });
+  const events: { loaded: number; total: number | null }[] = [];
+  const blob = (await new martian.PageFile("manuals", "guide.txt", settings).download({
+    progress: (event: { loaded: number; total: number | null }) => events.push(event),
+  })) as Blob;
+  expect(await blob.text()).toBe("The quick brown fox");
+  expect(blob.type).toBe("text/plain");
+  expect(events[0]).toEqual({ loaded: 0, total: 19 });
+  expect(events[events.length - 1]).toEqual({ loaded: 19, total: 19 });
+  expect(api.requests[api.requests.length - 1].headers["x-deki-token"]).toBe("download-token");
+});
+
+test("resumes a download with a Range request", async () => {
+  const page = api.addPage({ path: "archives" });
+  const file = api.addFile(page, { name: "data.bin", contents: Buffer.from("0123456789") });
+  const pageFile = new martian.PageFile("archives", "data.bin", settings);
+  const stream = (await pageFile.download({ start: 4, stream: true })) as ReadableStream;
+  expect(await new Response(stream).text()).toBe("456789");
+  const middle = (await pageFile.download({ start: 2, end: 4 })) as Blob;
+  expect(await middle.text()).toBe("234");
+
+  const revision = (await new martian.File(file.id, settings).download({ revision: 1 })) as Blob;
+  expect(await revision.text()).toBe("0123456789");
+  expect(api.requests[api.requests.length - 1].query.revision).toBe("1");
+
+  const error = await pageFile.download({ end: 4 }).catch((e) => e);
+  expect(error).toBeInstanceOf(martian.ValidationError);
+});
+
+test("reports the progress of a resumed download toward the size of the whole file", async () => {
+  const page = api.addPage({ path: "resumed" });
+  api.addFile(page, { name: "data.bin", contents: Buffer.from("0123456789") });
+  const events: { loaded: number; total: number | null }[] = [];
+  const rest = (await new martian.PageFile("resumed", "data.bin", settings).download({
+    start: 4,
+    progress: (event: { loaded: number; total: number | null }) => events.push(event),
+  })) as Blob;
+  expect(await rest.text()).toBe("456789");
+  expect(events[0]).toEqual({ loaded: 4, total: 10 });
+  expect(events[events.length - 1]).toEqual({ loaded: 10, total: 10 });
+});
+
+test("rejects a resumed download when the whole file is returned", async () => {
+  const fetchImpl = (request: Request) => Promise.resolve(new Response("0123456789", { status: 200 }));
+  const ignoresRange = new martian.Settings({ host: "https://example.mindtouch.us", fetchImpl });
+  const error = await new martian.PageFile("resumed", "data.bin", ignoresRange).download({ start: 4 }).catch((e) => e);
+  expect(error).toBeInstanceOf(martian.MartianError);
+  expect(error.status).toBe(200);
+});
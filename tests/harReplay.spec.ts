@@ -0,0 +1,76 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import * as martian from "../martian";
+import { test, expect } from "@playwright/test";
+
+const host = "https://example.mindtouch.us";
+
+// a fetch implementation that stands in for the live API
+const liveFetch = (request: Request) => {
+  if (new URL(request.url).pathname.endsWith("/users/current")) {
+    const user = { "@id": "2", username: "admin", fullname: "Admin" };
+    return Promise.resolve(
+      new Response(JSON.stringify(user), { status: 200, headers: { "Content-Type": "application/json" } })
+    );
+  }
+  return Promise.resolve(new Response("", { status: 404, statusText: "Not Found" }));
+};
+
+test("replays recorded exchanges without the network", async () => {
+  const recorder = new martian.HarRecorder();
+  const recordSettings = new martian.Settings({
+    host,
+    token: "secret-token",
+    middleware: [recorder.middleware],
+    fetchImpl: liveFetch,
+  });
+  const recorded = await new martian.UserManager(recordSettings).getCurrentUser();
+  await new martian.UserManager(recordSettings)
+    .getUser(99)
+    .getInfo()
+    .catch(() => {});
+
+  const harPath = path.join(os.tmpdir(), `martian-${process.pid}.har`);
+  await recorder.save(harPath);
+  const entries = recorder.har.log.entries;
+  expect(entries.map((entry) => entry.response.status)).toEqual([200, 404]);
+  expect(JSON.stringify(entries)).not.toContain("secret-token");
+
+  const replay = await martian.HarReplay.fromFile(harPath);
+  await fs.promises.unlink(harPath);
+  const replaySettings = new martian.Settings({ host, fetchImpl: replay.fetchImpl });
+  const userManager = new martian.UserManager(replaySettings);
+  const replayed = await userManager.getCurrentUser();
+  expect(replayed).toEqual(recorded);
+  const error = await userManager
+    .getUser(99)
+    .getInfo()
+    .catch((e) => e);
+  expect(error.status).toBe(404);
+  const unmatched = await userManager
+    .getUser(100)
+    .getInfo()
+    .catch((e) => e);
+  expect(unmatched.message).toContain("No recorded HAR entry matches GET");
+});
+
+test("matches binary request bodies that were recorded as base64", async () => {
+  const recorder = new martian.HarRecorder();
+  const echoFetch = () => Promise.resolve(new Response("stored", { status: 200 }));
+  const recordPlug = new martian.Plug(host, { fetchImpl: echoFetch, middleware: [recorder.middleware] });
+  await recordPlug.at("files", "data.bin").put(new Blob([new Uint8Array([0, 1, 2, 255])]), "application/octet-stream");
+  const postData = recorder.har.log.entries[0].request.postData;
+  expect(postData).toEqual({ mimeType: "application/octet-stream", text: "AAEC/w==", encoding: "base64" });
+
+  const replayPlug = new martian.Plug(host, { fetchImpl: new martian.HarReplay(recorder.har).fetchImpl });
+  const response = (await replayPlug
+    .at("files", "data.bin")
+    .put(new Uint8Array([0, 1, 2, 255]), "application/octet-stream")) as Response;
+  expect(await response.text()).toBe("stored");
+  const unmatched = await replayPlug
+    .at("files", "data.bin")
+    .put(new Uint8Array([0]), "application/octet-stream")
+    .catch((e) => e);
+  expect(unmatched.message).toContain("No recorded HAR entry matches PUT");
+});
@@ -0,0 +1,93 @@
+import * as martian from "../martian";
+import { test, expect } from "@playwright/test";
+
+const roles = {
+  permissions: [{ "@id": "1", name: "Viewer", "@href": "https://example.mindtouch.us/@api/deki/site/roles/1" }],
+};
+
+// a fetch implementation that answers with an ETag, and with 304 when the request revalidates it
+const etagFetch = () => {
+  const requests: Request[] = [];
+  let version = 1;
+  const fetchImpl = (request: Request) => {
+    requests.push(request);
+    const etag = `"v${version}"`;
+    if (request.method !== "GET") {
+      version++;
+      return Promise.resolve(new Response("{}", { status: 200 }));
+    }
+    if (request.headers.get("If-None-Match") === etag) {
+      return Promise.resolve(new Response(null, { status: 304, headers: { ETag: etag } }));
+    }
+    return Promise.resolve(
+      new Response(JSON.stringify(roles), { status: 200, headers: { ETag: etag, "Content-Type": "application/json" } })
+    );
+  };
+  return { requests, fetchImpl };
+};
+
+test("revalidates cached responses and serves them on 304", async () => {
+  const { requests, fetchImpl } = etagFetch();
+  const settings = new martian.Settings({
+    host: "https://example.mindtouch.us",
+    fetchImpl,
+    cache: new martian.HttpCache(),
+  });
+  const site = new martian.Site(settings);
+  const first = await site.getRoles();
+  const second = await site.getRoles();
+  expect(second).toEqual(first);
+  expect(requests.map((request) => request.headers.get("If-None-Match"))).toEqual([null, '"v1"']);
+
+  await site.getRoles({ cache: false });
+  expect(requests[2].headers.get("If-None-Match")).toBeNull();
+});
+
+test("partitions cached responses by credentials", async () => {
+  const { requests, fetchImpl } = etagFetch();
+  const cache = new martian.HttpCache();
+  const host = "https://example.mindtouch.us";
+  await new martian.Site(new martian.Settings({ host, fetchImpl, cache, token: "first" })).getRoles();
+  await new martian.Site(new martian.Settings({ host, fetchImpl, cache, token: "second" })).getRoles();
+  expect(requests[1].headers.get("If-None-Match")).toBeNull();
+});
+
+test("partitions cached responses by the cookies of the cookie manager", async () => {
+  const { requests, fetchImpl } = etagFetch();
+  const cache = new martian.HttpCache();
+  const cookieManager = (cookie: string) => ({
+    getCookieString: () => Promise.resolve(cookie),
+    storeCookies: () => Promise.resolve(),
+  });
+  const plug = (cookie: string) =>
+    new martian.Plug("https://example.mindtouch.us/@api/deki/site/roles", {
+      fetchImpl: (request: Request) =>
+        fetchImpl(request).then((response: Response) => {
+          response.headers.set("Set-Cookie", "");
+          return response;
+        }),
+      cache,
+      cookieManager: cookieManager(cookie),
+    });
+  await plug("authtoken=first").get();
+  await plug("authtoken=second").get();
+  await plug("authtoken=first").get();
+  expect(requests.map((request) => request.headers.get("If-None-Match"))).toEqual([null, null, '"v1"']);
+});
+
+test("drops cached responses when a mutating request changes the resource", async () => {
+  const { requests, fetchImpl } = etagFetch();
+  const storage = new Map();
+  const cache = new martian.HttpCache({ storage });
+  const plug = new martian.Plug("https://example.mindtouch.us/@api/deki/pages/1", { fetchImpl, cache });
+  const pages = new martian.Plug("https://example.mindtouch.us/@api/deki/pages", { fetchImpl, cache });
+  await plug.at("info").get();
+  await plug.at("tags").get();
+  await pages.get();
+  await pages.at("2", "info").get();
+  expect(storage.size).toBe(4);
+  await plug.at("contents").post("<p>changed</p>", "text/plain");
+  expect(Array.from(storage.keys())).toEqual(["GET https://example.mindtouch.us/@api/deki/pages/2/info"]);
+  await plug.at("info").get();
+  expect(requests[5].headers.get("If-None-Match")).toBeNull();
+});
@@ -0,0 +1,126 @@
+import * as martian from "../martian";
+import { FakeApi } from "../fakeApi";
+import { test, expect } from "@playwright/test";
+
+const api = new FakeApi();
+let client: martian.Martian;
+
+test.beforeAll(async () => {
+  client = new martian.Martian(new martian.Settings({ host: await api.start() }));
+});
+
+test.afterAll(async () => {
+  await api.stop();
+});
+
+test.beforeEach(() => {
+  api.reset();
+});
+
+test("creates each manager once, when it is first used", () => {
+  expect(client.pages).toBeInstanceOf(martian.PageManager);
+  expect(client.pages).toBe(client.pages);
+  expect(client.users).toBe(client.users);
+  expect(client.site).toBeInstanceOf(martian.Site);
+  expect(client.page(1)).not.toBe(client.page(1));
+});
+
+test("sends requests for every manager and entity through the client settings", async () => {
+  api.addPage({ path: "faq", title: "FAQ", contents: "Frequently asked questions" });
+  const results = await client.site.search({ q: "asked" });
+  expect(results.results.map((r) => r.title)).toEqual(["FAQ"]);
+  const current = await client.users.getCurrentUser({ exclude: [] });
+  expect(current.username).toBe("admin");
+  const contents = await client.page("faq").getContents({});
+  expect(contents.body).toBe("Frequently asked questions");
+});
+
+test("shares one cache and middleware pipeline between managers", async () => {
+  const seen: string[] = [];
+  const revalidated: (string | null)[] = [];
+
+  // the fake API does not send validators, so an ETag is added to its responses
+  const fetchImpl = (request: Request) => {
+    revalidated.push(request.headers.get("If-None-Match"));
+    if (request.headers.get("If-None-Match") === '"v1"') {
+      return Promise.resolve(new Response(null, { status: 304, headers: { ETag: '"v1"' } }));
+    }
+    return fetch(request).then((response) => {
+      const headers = new Headers(response.headers);
+      headers.set("ETag", '"v1"');
+      return new Response(response.body, { status: response.status, headers });
+    });
+  };
+  const shared = new martian.Martian(
+    new martian.Settings({
+      host: client.settings.host,
+      cache: new martian.HttpCache(),
+      fetchImpl,
+      middleware: [{ request: (params: any) => (seen.push(params.url), params) }],
+    })
+  );
+  const fromManager = await shared.users.getCurrentUser({ exclude: [] });
+  const fromEntity = await shared.user().getInfo({ exclude: [] });
+  expect(fromEntity).toEqual(fromManager);
+  expect(revalidated).toEqual([null, '"v1"']);
+  expect(seen).toHaveLength(2);
+});
+
+test("signs users in and out for later requests", async () => {
+  api.addUser({ username: "editor", fullname: "An Editor", password: "secret" });
+  const settings = new martian.Settings({ host: client.settings.host, token: "server-token" });
+  const session = new martian.Martian(settings);
+  const users = session.users;
+  const token = await session.login({ username: "editor", password: "secret" });
+  expect(session.settings.authToken).toBe(token);
+  expect((await session.whoami({ exclude: [] })).username).toBe("editor");
+  const request = api.requests[api.requests.length - 1];
+  expect(request.headers["x-authtoken"]).toBe(token);
+  expect(request.headers["x-deki-token"]).toBe("server-token");
+  expect(JSON.stringify(session.settings)).not.toContain(token);
+
+  // the settings that the client was constructed with, and the managers that use them, are not signed in
+  expect(settings.authToken).toBeNull();
+  expect((await users.getCurrentUser({ exclude: [] })).username).toBe("admin");
+
+  await session.logout();
+  expect(session.settings.authToken).toBeNull();
+  expect(api.requests[api.requests.length - 1].path).toBe("/@api/deki/users/logout");
+  expect((await session.whoami({ exclude: [] })).username).toBe("admin");
+  const signedOut = new martian.UserManager(new martian.Settings({ host: client.settings.host, authToken: token }));
+  expect((await signedOut.getCurrentUser({ exclude: [] })).username).toBe("admin");
+});
+
+test("keeps the signed in user when signing in again fails", async () => {
+  api.addUser({ username: "editor", fullname: "An Editor", password: "secret" });
+  const session = new martian.Martian(new martian.Settings({ host: client.settings.host }));
+  const token = await session.login({ username: "editor", password: "secret" });
+  const error = await session.login({ username: "editor", password: "wrong" }).catch((e) => e);
+  expect(error).toBeInstanceOf(martian.ForbiddenError);
+  expect(session.settings.authToken).toBe(token);
+  expect((await session.whoami({ exclude: [] })).username).toBe("editor");
+});
+
+test("does not accept an auth token in place of an API token", async () => {
+  api.addUser({ username: "editor", fullname: "An Editor", password: "secret" });
+  const token = await new martian.UserManager(new martian.Settings({ host: client.settings.host })).authenticate({
+    method: "POST",
+    username: "editor",
+    password: "secret",
+  });
+  const misused = new martian.UserManager(new martian.Settings({ host: client.settings.host, token }));
+  const error = await misused.getCurrentUser({ exclude: [] }).catch((e) => e);
+  expect(error).toBeInstanceOf(martian.ForbiddenError);
+});
+
+test("removes the auth token cookie from the cookie manager of the client on sign out", async () => {
+  api.addUser({ username: "editor", fullname: "An Editor", password: "secret" });
+  const jar = new martian.CookieJar();
+  const session = new martian.Martian(new martian.Settings({ host: client.settings.host, cookieManager: jar }));
+  await jar.storeCookies(`${client.settings.host}/@api/deki/users/authenticate`, ["session=xyz; Path=/"]);
+  await session.login({ username: "editor", password: "secret" });
+  expect(await jar.getCookieString(`${client.settings.host}/@api/deki/users/current`)).toContain("authtoken=");
+  await session.logout();
+  expect(await jar.getCookieString(`${client.settings.host}/@api/deki/users/current`)).toBe("session=xyz");
+  expect(martian.Settings.cookieManager).toBeNull();
+});
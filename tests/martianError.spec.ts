@@ -0,0 +1,77 @@
+import * as martian from "../martian";
+import { FakeApi } from "../fakeApi";
+import { test, expect } from "@playwright/test";
+
+const api = new FakeApi();
+let settings: martian.Settings;
+
+test.beforeAll(async () => {
+  settings = new martian.Settings({ host: await api.start() });
+});
+
+test.afterAll(async () => {
+  await api.stop();
+});
+
+test("rejects API failures with typed errors carrying the parsed error info", async () => {
+  const error = await new martian.Page(999, settings).getInfo().catch((e) => e);
+  expect(error).toBeInstanceOf(martian.NotFoundError);
+  expect(error).toBeInstanceOf(martian.MartianError);
+  expect(error.name).toBe("NotFoundError");
+  expect(error.status).toBe(404);
+  expect(error.info).not.toBeNull();
+  expect(error.message).toBe(error.info.message);
+});
+
+test("rejects invalid arguments with a ValidationError", async () => {
+  // @ts-expect-error the revert options are required
+  const error = await new martian.Page("home", settings).revert(undefined).catch((e) => e);
+  expect(error).toBeInstanceOf(martian.ValidationError);
+  expect(error.message).toBe("The revert options must be specified.");
+  expect(() => new martian.DeveloperToken(0, settings)).toThrow(martian.ValidationError);
+});
+
+test("maps rate limiting and network failures", async () => {
+  const host = "https://example.mindtouch.us";
+  const limited = new martian.Settings({
+    host,
+    retry: { maxAttempts: 1 },
+    fetchImpl: () =>
+      Promise.resolve(new Response('{"message":"Slow down"}', { status: 429, headers: { "Retry-After": "2" } })),
+  });
+  const rateLimitError = await new martian.UserManager(limited).getCurrentUser().catch((e) => e);
+  expect(rateLimitError).toBeInstanceOf(martian.RateLimitError);
+  expect(rateLimitError.message).toBe("Slow down");
+  expect(rateLimitError.retryAfter).toBe(2000);
+
+  const cause = new TypeError("fetch failed");
+  const offline = new martian.Settings({
+    host,
+    retry: { maxAttempts: 1 },
+    fetchImpl: () => Promise.reject(cause),
+  });
+  const networkError = await new martian.UserManager(offline).getCurrentUser().catch((e) => e);
+  expect(networkError).toBeInstanceOf(martian.NetworkError);
+  expect(networkError.cause).toBe(cause);
+});
+
+test("passes on errors that are not transport failures without retrying them", async () => {
+  let requests = 0;
+  const bug = new TypeError("token is not a function");
+  const broken = new martian.Settings({
+    host: "https://example.mindtouch.us",
+    retry: { minDelay: 1 },
+    middleware: [
+      {
+        request: () => {
+          requests++;
+          throw bug;
+        },
+      },
+    ],
+    fetchImpl: () => Promise.resolve(new Response("{}", { status: 200 })),
+  });
+  const error = await new martian.UserManager(broken).getCurrentUser().catch((e) => e);
+  expect(error).toBe(bug);
+  expect(requests).toBe(1);
+});
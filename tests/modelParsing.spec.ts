@@ -0,0 +1,99 @@
+import * as martian from "../martian";
+import { FakeApi } from "../fakeApi";
+import { test, expect } from "@playwright/test";
+
+const host = "https://example.mindtouch.us";
+
+// a fetch implementation that answers with a user that the API has changed
+const changedUserFetch = () =>
+  Promise.resolve(
+    new Response(
+      JSON.stringify({
+        "@id": "",
+        username: "editor",
+        "date.created": "not a date",
+        "locale.preferred": "en-US",
+        groups: { group: [{ "@id": "3", groupname: "Writers", "@flagged": "true" }] },
+      }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    )
+  );
+
+// a fetch implementation that answers with a user without its ID
+const userWithoutIdFetch = () =>
+  Promise.resolve(
+    new Response(JSON.stringify({ username: "editor" }), {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+    })
+  );
+
+test.afterEach(() => {
+  martian.Settings.modelParsing = {};
+});
+
+test("reports fields that do not match the model", async () => {
+  const reports: any[] = [];
+  martian.Settings.modelParsing = { mode: "report", onReport: (report: any) => reports.push(report) };
+  const settings = new martian.Settings({ host, fetchImpl: changedUserFetch });
+  const user = await new martian.UserManager(settings).getCurrentUser({ exclude: [] });
+  expect(user.username).toBe("editor");
+  expect(user.id).toBeNull();
+  expect(user.dateCreated).toBeUndefined();
+  expect(reports).toHaveLength(1);
+  expect(reports[0].unmappedFields).toEqual(["groups.group[0].@flagged", "locale.preferred"]);
+  expect(reports[0].transformErrors.map((error: any) => error.path)).toEqual(["@id", "date.created"]);
+});
+
+test("rejects responses that do not match the model in strict mode", async () => {
+  martian.Settings.modelParsing = { mode: "strict" };
+  const settings = new martian.Settings({ host, fetchImpl: changedUserFetch });
+  const error = await new martian.UserManager(settings).getCurrentUser({ exclude: [] }).catch((e) => e);
+  expect(error).toBeInstanceOf(martian.ModelParseError);
+  expect(error.report.unmappedFields).toContain("locale.preferred");
+  expect(() => (martian.Settings.modelParsing = { mode: "loose" })).toThrow(martian.ValidationError);
+});
+
+test("parses the responses with the model parsing options of their settings", async () => {
+  const strict = new martian.Settings({ host, fetchImpl: userWithoutIdFetch, modelParsing: { mode: "strict" } });
+  const lenient = new martian.Settings({ host, fetchImpl: userWithoutIdFetch });
+  expect(strict.modelParsing.mode).toBe("strict");
+  expect(lenient.modelParsing.mode).toBe("lenient");
+  const error = await new martian.UserManager(strict).getCurrentUser({ exclude: [] }).catch((e) => e);
+  expect(error).toBeInstanceOf(martian.ModelParseError);
+  const user = await new martian.UserManager(lenient).getCurrentUser({ exclude: [] });
+  expect(user.username).toBe("editor");
+});
+
+test("requires a report function in the report mode", () => {
+  expect(() => (martian.Settings.modelParsing = { mode: "report" })).toThrow(martian.ValidationError);
+  expect(() => new martian.Settings({ host, modelParsing: { mode: "report" } })).toThrow(martian.ValidationError);
+  expect(martian.Settings.modelParsing.mode).toBe("lenient");
+});
+
+test("reports the missing required fields, and rejects them in strict mode", async () => {
+  const reports: any[] = [];
+  const modelParsing = { mode: "report", onReport: (report: any) => reports.push(report) };
+  const users = new martian.UserManager(new martian.Settings({ host, fetchImpl: userWithoutIdFetch, modelParsing }));
+  expect((await users.getCurrentUser({ exclude: [] })).username).toBe("editor");
+  expect(reports.map((report) => report.missingFields)).toEqual([["@id"]]);
+
+  const strict = new martian.Settings({ host, fetchImpl: userWithoutIdFetch, modelParsing: { mode: "strict" } });
+  const error = await new martian.UserManager(strict).getCurrentUser({ exclude: [] }).catch((e) => e);
+  expect(error).toBeInstanceOf(martian.ModelParseError);
+  expect(error.report.missingFields).toEqual(["@id"]);
+});
+
+test("parses fake server responses strictly", async () => {
+  const api = new FakeApi();
+  martian.Settings.modelParsing = { mode: "strict" };
+  try {
+    const settings = new martian.Settings({ host: await api.start() });
+    await new martian.UserManager(settings).getCurrentUser({ exclude: [] });
+    await new martian.Page("home", settings).getFullInfo();
+    const error = await new martian.Page(999, settings).getInfo().catch((e) => e);
+    expect(error).toBeInstanceOf(martian.NotFoundError);
+  } finally {
+    await api.stop();
+  }
+});
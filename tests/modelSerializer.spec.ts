@@ -0,0 +1,103 @@
+import * as martian from "../martian";
+import { FakeApi } from "../fakeApi";
+import { test, expect } from "@playwright/test";
+
+const api = new FakeApi();
+let settings: martian.Settings;
+
+test.beforeAll(async () => {
+  settings = new martian.Settings({ host: await api.start() });
+});
+
+test.afterAll(async () => {
+  await api.stop();
+});
+
+test.beforeEach(() => {
+  api.reset();
+});
+
+// a fetch implementation that records request bodies and answers with an empty object
+const recordingFetch = () => {
+  const bodies: string[] = [];
+  const fetchImpl = async (request: Request) => {
+    bodies.push(await request.text());
+    return new Response("{}", { status: 200, headers: { "Content-Type": "application/json" } });
+  };
+  return { bodies, fetchImpl };
+};
+
+test("writes a user from getInfo back with update", async () => {
+  const stored = api.addUser({ username: "writer", fullname: "A Writer", email: "writer@example.com" });
+  const user = new martian.User(stored.id, settings);
+  const info = await user.getInfo({ exclude: [] });
+  info.fullname = "Writer & Editor";
+  const updated = await user.update(info);
+  expect(updated).toEqual({ ...info, fullname: "Writer & Editor" });
+  expect(api.requests[api.requests.length - 1].body.toString()).toBe(
+    "<user><fullname>Writer &amp; Editor</fullname></user>"
+  );
+
+  updated.email = "editor@example.com";
+  await user.update(updated);
+  expect(api.requests[api.requests.length - 1].body.toString()).toBe("<user><email>editor@example.com</email></user>");
+
+  await user.update({ active: false, fullName: "Retired" });
+  expect(api.store.users.get(stored.id)).toMatchObject({ active: false, fullname: "Retired" });
+});
+
+test("serializes learning paths and web widgets from their models", async () => {
+  const { bodies, fetchImpl } = recordingFetch();
+  const recordSettings = new martian.Settings({ host: "https://example.mindtouch.us", fetchImpl });
+  const learningPath = new martian.LearningPath("onboarding", recordSettings);
+  await learningPath.update({ title: "Start here", pageIds: [4, 7] });
+  await learningPath.update({ title: "Start here", pages: [{ id: 4 }, { id: 7 }] });
+  expect(bodies[0]).toBe("<learningpath><title>Start here</title><pages>4</pages><pages>7</pages></learningpath>");
+  expect(bodies[1]).toBe(bodies[0]);
+
+  await new martian.WebWidgetsManager(recordSettings).createWidget({
+    arguments: [{ name: "theme", value: "dark" }],
+    hosts: ["example.com"],
+    name: "Search",
+    type: "search",
+    parentId: 3,
+  });
+  expect(bodies[2]).toBe(
+    '<web-widget><type>search</type><web-widget.parent id="3"></web-widget.parent><host>example.com</host><name>Search</name><arguments><theme>dark</theme></arguments></web-widget>'
+  );
+});
+
+test("writes models as JSON with the attribute and text keys of the API format mapped to plain keys", () => {
+  const model = [
+    { field: "@id", name: "id", transform: "number", writable: true },
+    { field: "fullname", writable: true },
+    { field: ["license.seat", "#text"], name: "seated", transform: "boolean", writable: true },
+    { field: "parent", transform: [{ field: "@id", name: "id", transform: "number", writable: true }], writable: true },
+    { field: "groups", isArray: true, writable: true },
+  ];
+  const data = {
+    "@id": "4",
+    fullname: "A Writer",
+    "license.seat": { "#text": "true" },
+    parent: { "@id": "3" },
+    groups: ["Writers", "Editors"],
+  };
+  const parsed = martian.modelParser.createParser(model)(data);
+  expect(parsed).toEqual({
+    id: 4,
+    fullname: "A Writer",
+    seated: true,
+    parent: { id: 3 },
+    groups: ["Writers", "Editors"],
+  });
+  expect(JSON.parse(martian.modelParser.createSerializer(model, { format: "json" })(parsed))).toEqual({
+    id: "4",
+    fullname: "A Writer",
+    "license.seat": "true",
+    parent: { id: "3" },
+    groups: ["Writers", "Editors"],
+  });
+  expect(martian.modelParser.createSerializer(model, { root: "user" })(parsed)).toBe(
+    '<user id="4"><fullname>A Writer</fullname><license.seat>true</license.seat><parent id="3"></parent><groups>Writers</groups><groups>Editors</groups></user>'
+  );
+});
@@ -0,0 +1,77 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import * as martian from "../martian";
+import { FakeApi } from "../fakeApi";
+import { test, expect } from "@playwright/test";
+
+const api = new FakeApi();
+let settings: martian.Settings;
+
+test.beforeAll(async () => {
+  settings = new martian.Settings({ host: await api.start() });
+});
+
+test.afterAll(async () => {
+  await api.stop();
+});
+
+test("streams a file from disk with progress events", async () => {
+  const filePath = path.join(os.tmpdir(), `martian-upload-${process.pid}.bin`);
+  const contents = Buffer.alloc(200 * 1024, "a");
+  await fs.promises.writeFile(filePath, contents);
+  api.addPage({ path: "uploads" });
+  const events: { loaded: number; total: number }[] = [];
+  const file = await new martian.Page("uploads", settings).attachFile(fs.createReadStream(filePath), {
+    name: "archive.bin",
+    size: contents.length,
+    type: "application/octet-stream",
+    progress: (event: { loaded: number; total: number }) => events.push(event),
+  });
+  await fs.promises.unlink(filePath);
+  expect(file.filename).toBe("archive.bin");
+  expect(file.contents?.size).toBe(contents.length);
+  expect(events[0]).toEqual({ loaded: 0, total: contents.length });
+  expect(events.length).toBeGreaterThan(3);
+  expect(events[events.length - 1]).toEqual({ loaded: contents.length, total: contents.length });
+  expect(events.map((event) => event.loaded)).toEqual(events.map((event) => event.loaded).sort((a, b) => a - b));
+});
+
+test("uploads Buffers and async iterables", async () => {
+  const page = api.addPage({ path: "chunks" });
+  const events: { loaded: number; total: number }[] = [];
+  const progress = (event: { loaded: number; total: number }) => events.push(event);
+  await new martian.Page("chunks", settings).attachFile(Buffer.from("hello"), {
+    name: "hello.txt",
+    size: 5,
+    type: "text/plain",
+    progress,
+  });
+  async function* chunks() {
+    yield "one ";
+    yield Buffer.from("two");
+  }
+  await new martian.Page("chunks", settings).attachFile(chunks(), { name: "count.txt", type: "text/plain", progress });
+  const stored = Array.from(api.store.files.values()).filter((file) => file.pageId === page.id);
+  expect(stored.map((file) => file.contents.toString())).toEqual(["hello", "one two"]);
+  expect(events[events.length - 1].loaded).toBe(7);
+});
+
+test("rejects with a NetworkError when the connection fails, and with the read error of an unreadable body", async () => {
+  const closed = new martian.Settings({ host: "http://127.0.0.1:1" });
+  const upload = new martian.Page("uploads", closed).attachFile(Buffer.from("hello"), {
+    name: "hello.txt",
+    size: 5,
+    type: "text/plain",
+    progress: () => {},
+  });
+  await expect(upload).rejects.toBeInstanceOf(martian.NetworkError);
+
+  api.addPage({ path: "unreadable" });
+  const missing = new martian.Page("unreadable", settings).attachFile(
+    fs.createReadStream(path.join(os.tmpdir(), `martian-missing-${process.pid}.bin`)),
+    { name: "missing.bin", size: 5, type: "application/octet-stream", progress: () => {} }
+  );
+  await expect(missing).rejects.toMatchObject({ code: "ENOENT" });
+  await expect(missing).rejects.not.toBeInstanceOf(martian.NetworkError);
+});
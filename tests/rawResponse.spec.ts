@@ -0,0 +1,67 @@
+import * as martian from "../martian";
+import { FakeApi } from "../fakeApi";
+import { test, expect } from "@playwright/test";
+
+const api = new FakeApi();
+let settings: martian.Settings;
+
+test.beforeAll(async () => {
+  settings = new martian.Settings({ host: await api.start() });
+});
+
+test.afterAll(async () => {
+  await api.stop();
+});
+
+test.beforeEach(() => {
+  api.reset();
+});
+
+test("resolves with the parsed data, the response and its unparsed body", async () => {
+  const users = new martian.UserManager(settings);
+  const user = await users.getCurrentUser({ exclude: [] });
+  const raw = await users.getCurrentUser({ exclude: [] }, { raw: true });
+  expect(Object.keys(raw)).toEqual(["data", "response", "rawBody"]);
+  expect(raw.data).toEqual(user);
+  expect(raw.response.status).toBe(200);
+  expect(raw.response.headers.get("Content-Type")).toContain("application/json");
+  expect(JSON.parse(raw.rawBody!).username).toBe("admin");
+});
+
+test("exposes the headers and the fields that the model does not map", async () => {
+  const roles = { permissions: [{ "@id": "1", name: "Viewer" }], "@unmapped": "kept" };
+  const fetchImpl = () =>
+    Promise.resolve(
+      new Response(JSON.stringify(roles), {
+        status: 200,
+        headers: { "Content-Type": "application/json", ETag: '"v1"', "X-RateLimit-Remaining": "41" },
+      })
+    );
+  const site = new martian.Site(new martian.Settings({ host: "https://example.mindtouch.us", fetchImpl }));
+  const { data, response, rawBody } = await site.getRoles({ raw: true });
+  expect(data).toEqual(await site.getRoles());
+  expect(response.headers.get("ETag")).toBe('"v1"');
+  expect(response.headers.get("X-RateLimit-Remaining")).toBe("41");
+  expect(JSON.parse(rawBody!)["@unmapped"]).toBe("kept");
+});
+
+test("keeps failures and the client sign in working", async () => {
+  const error = await new martian.Page(999, settings).getInfo({}, { raw: true }).catch((e) => e);
+  expect(error).toBeInstanceOf(martian.NotFoundError);
+
+  api.addUser({ username: "editor", fullname: "An Editor", password: "secret" });
+  const client = new martian.Martian(new martian.Settings({ host: settings.host }));
+  const { data } = await client.login({ username: "editor", password: "secret" }, { raw: true });
+  expect(client.settings.authToken).toBe(data);
+  expect((await client.whoami({ exclude: [] })).username).toBe("editor");
+});
+
+test("does not read the body of a file download a second time", async () => {
+  const page = api.addPage({ path: "manuals" });
+  api.addFile(page, { name: "guide.txt", contents: "The quick brown fox" });
+  const pageFile = new martian.PageFile("manuals", "guide.txt", settings);
+  const { data, response, rawBody } = await pageFile.download({ stream: true }, { raw: true });
+  expect(response.status).toBe(200);
+  expect(rawBody).toBeNull();
+  expect(await new Response(data as ReadableStream).text()).toBe("The quick brown fox");
+});
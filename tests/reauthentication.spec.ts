@@ -0,0 +1,98 @@
+import * as http from "http";
+import { AddressInfo } from "net";
+import * as martian from "../martian";
+import { test, expect } from "@playwright/test";
+
+const host = "https://example.mindtouch.us";
+
+// a fetch implementation that rejects requests without the accepted token
+const tokenFetch = (accepted: () => string) => {
+  const tokens: string[] = [];
+  const fetchImpl = (request: Request) => {
+    const token = request.headers.get("X-Deki-Token")!;
+    tokens.push(token);
+    const status = token === accepted() ? 200 : 401;
+    return Promise.resolve(new Response("{}", { status, headers: { "Content-Type": "application/json" } }));
+  };
+  return { tokens, fetchImpl };
+};
+
+test("reuses the token from an async provider for the token TTL", async () => {
+  let calls = 0;
+  const { tokens, fetchImpl } = tokenFetch(() => "token-1");
+  const settings = new martian.Settings({
+    host,
+    fetchImpl,
+    tokenTtl: 60000,
+    token: () => new Promise<string>((resolve) => setTimeout(() => resolve(`token-${++calls}`), 5)),
+  });
+  const plug = new martian.Plug(settings.host, settings.plugConfig);
+  await Promise.all([plug.at("a").put("", "text/plain"), plug.at("b").put("", "text/plain")]);
+  await plug.at("c").put("", "text/plain");
+  expect(calls).toBe(1);
+  expect(tokens).toEqual(["token-1", "token-1", "token-1"]);
+});
+
+test("refreshes the credentials and replays a request once on 401", async () => {
+  let accepted = "fresh";
+  let calls = 0;
+  const { tokens, fetchImpl } = tokenFetch(() => accepted);
+  const refreshed: martian.MartianError[] = [];
+  const settings = new martian.Settings({
+    host,
+    fetchImpl,
+    token: () => (calls++ === 0 ? "stale" : "fresh"),
+    onUnauthorized: (error: martian.MartianError) => refreshed.push(error),
+  });
+  await new martian.UserManager(settings).getCurrentUser();
+  expect(tokens).toEqual(["stale", "fresh"]);
+  expect(refreshed[0]).toBeInstanceOf(martian.ForbiddenError);
+
+  accepted = "revoked";
+  const error = await new martian.UserManager(settings).getCurrentUser().catch((e) => e);
+  expect(error.status).toBe(401);
+  expect(tokens).toEqual(["stale", "fresh", "fresh", "fresh"]);
+  expect(refreshed.length).toBe(2);
+});
+
+test("does not replay a rejected authentication", async () => {
+  const { tokens, fetchImpl } = tokenFetch(() => "valid");
+  const refreshed: martian.MartianError[] = [];
+  const settings = new martian.Settings({
+    host,
+    fetchImpl,
+    token: () => "expired",
+    onUnauthorized: (error: martian.MartianError) => refreshed.push(error),
+  });
+  const error = await new martian.UserManager(settings)
+    .authenticate({ method: "GET", username: "admin", password: "wrong" })
+    .catch((e) => e);
+  expect(error.status).toBe(401);
+  expect(tokens).toEqual(["expired"]);
+  expect(refreshed).toEqual([]);
+});
+
+test("replays a ProgressPlug upload once on 401", async () => {
+  const received: (string | undefined)[] = [];
+  const server = http.createServer((req, res) => {
+    received.push(req.headers["x-deki-token"] as string | undefined);
+    req.resume();
+    req.on("end", () => {
+      res.writeHead(req.headers["x-deki-token"] === "second" ? 200 : 401, { "Content-Type": "application/json" });
+      res.end("{}");
+    });
+  });
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const port = (server.address() as AddressInfo).port;
+  const tokens = ["first", "second"];
+  const settings = new martian.Settings({
+    host: `http://127.0.0.1:${port}`,
+    token: () => tokens.shift()!,
+    onUnauthorized: () => Promise.resolve(),
+  });
+  const plug = new martian.ProgressPlug(settings.host, settings.plugConfig);
+  const result = await plug.put("hello", "text/plain", { size: 5, callback: () => {} });
+  await new Promise((resolve) => server.close(resolve));
+  expect(result.status).toBe(200);
+  expect(received).toEqual(["first", "second"]);
+});
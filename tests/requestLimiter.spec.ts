@@ -0,0 +1,60 @@
+import * as martian from "../martian";
+import { test, expect } from "@playwright/test";
+
+const host = "https://example.mindtouch.us";
+
+// a fetch implementation whose responses are held until released
+const heldFetch = () => {
+  const pending: (() => void)[] = [];
+  const fetchImpl = () => new Promise((resolve) => pending.push(() => resolve(new Response("ok", { status: 200 }))));
+  return { pending, fetchImpl };
+};
+
+test("caps the number of concurrent requests to a host", async () => {
+  const { pending, fetchImpl } = heldFetch();
+  const limiter = new martian.RequestLimiter({ concurrency: 2 });
+  const plug = new martian.Plug(host, { fetchImpl, limiter });
+  const requests = ["1", "2", "3", "4"].map((id) => plug.at("pages", id).put("", "text/plain"));
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  expect(pending.length).toBe(2);
+  expect(limiter.getActiveCount()).toBe(2);
+  expect(limiter.getQueueDepth("example.mindtouch.us")).toBe(2);
+  expect(limiter.getQueueDepth("other.mindtouch.us")).toBe(0);
+
+  pending.shift()!();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  expect(pending.length).toBe(2);
+  expect(limiter.getQueueDepth()).toBe(1);
+  while (pending.length > 0 || limiter.getQueueDepth() > 0) {
+    pending.splice(0).forEach((release) => release());
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  await Promise.all(requests);
+  expect(limiter.getActiveCount()).toBe(0);
+});
+
+test("spaces requests to the configured rate", async () => {
+  const fetchImpl = () => Promise.resolve(new Response("ok", { status: 200 }));
+  const limiter = new martian.RequestLimiter({ rate: 20, burst: 1 });
+  const settings = new martian.Settings({ host, fetchImpl, limiter });
+  const plug = new martian.Plug(settings.host, settings.plugConfig);
+  const started = Date.now();
+  await Promise.all(["1", "2", "3"].map((id) => plug.at("pages", id).put("", "text/plain")));
+  expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+});
+
+test("rejects a queued request when it is aborted", async () => {
+  const { pending, fetchImpl } = heldFetch();
+  const limiter = new martian.RequestLimiter({ concurrency: 1 });
+  const plug = new martian.Plug(host, { fetchImpl, limiter });
+  const first = plug.at("pages", "1").put("", "text/plain");
+  const controller = new AbortController();
+  const second = plug.at("pages", "2").withRequestOptions({ signal: controller.signal }).put("", "text/plain");
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  controller.abort();
+  const error = await second.catch((e) => e);
+  expect(error.name).toBe("AbortError");
+  expect(limiter.getQueueDepth()).toBe(0);
+  pending.shift()!();
+  await first;
+});
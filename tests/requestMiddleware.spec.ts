@@ -0,0 +1,59 @@
+import * as martian from "../martian";
+import { test, expect } from "@playwright/test";
+
+// a fetch implementation that records its requests and answers with the given status
+const recordingFetch = (status = 200) => {
+  const requests: Request[] = [];
+  const fetchImpl = (request: Request) => {
+    requests.push(request);
+    return Promise.resolve(new Response("", { status }));
+  };
+  return { requests, fetchImpl };
+};
+
+test("runs request handlers in order and unwinds response handlers", async () => {
+  const { requests, fetchImpl } = recordingFetch();
+  const calls: string[] = [];
+  const middleware = (name: string) => ({
+    request: async (params: any) => {
+      calls.push(`request ${name}`);
+      params.headers["X-Middleware"] = name;
+      return params;
+    },
+    response: (response: any) => {
+      calls.push(`response ${name}`);
+      return response;
+    },
+  });
+  const plug = new martian.Plug("https://example.mindtouch.us", {
+    fetchImpl,
+    middleware: [middleware("first")],
+  })
+    .at("@api", "deki")
+    .withMiddleware(middleware("second"));
+  await plug.get();
+  expect(calls).toEqual(["request first", "request second", "response second", "response first"]);
+  expect(requests[0].headers.get("X-Middleware")).toBe("second");
+});
+
+test("lets an error handler recover from a failed request", async () => {
+  const { fetchImpl } = recordingFetch(404);
+  const plug = new martian.Plug("https://example.mindtouch.us", { fetchImpl }).withMiddleware({
+    error: (error: any) => (error.status === 404 ? "recovered" : Promise.reject(error)),
+  });
+  expect(await plug.get()).toBe("recovered");
+});
+
+test("sets the token header from the settings ahead of other middleware", async () => {
+  const { requests, fetchImpl } = recordingFetch();
+  const seen: string[] = [];
+  const settings = new martian.Settings({
+    host: "https://example.mindtouch.us",
+    token: () => Promise.resolve("abc123"),
+    middleware: [{ request: (params: any) => (seen.push(params.headers["X-Deki-Token"]), params) }],
+  });
+  const plug = new martian.Plug(settings.host, Object.assign({}, settings.plugConfig, { fetchImpl }));
+  await plug.at("users", "current").get();
+  expect(seen).toEqual(["abc123"]);
+  expect(requests[0].headers.get("X-Deki-Token")).toBe("abc123");
+});
@@ -0,0 +1,75 @@
+import * as martian from "../martian";
+import { test, expect } from "@playwright/test";
+
+// a fetch implementation that answers with the queued responses, in order
+const queuedFetch = (responses: Response[]) => {
+  const requests: Request[] = [];
+  const fetchImpl = (request: Request) => {
+    requests.push(request);
+    return Promise.resolve(responses.shift());
+  };
+  return { requests, fetchImpl };
+};
+
+test("retries transient failures until a request succeeds", async () => {
+  const { requests, fetchImpl } = queuedFetch([
+    new Response("", { status: 503 }),
+    new Response("", { status: 502 }),
+    new Response("ok", { status: 200 }),
+  ]);
+  const retries: any[] = [];
+  const plug = new martian.Plug("https://example.mindtouch.us", {
+    fetchImpl,
+    retry: { minDelay: 1, onRetry: (retry: any) => retries.push(retry) },
+  });
+  const response = (await plug.get()) as Response;
+  expect(await response.text()).toBe("ok");
+  expect(requests.length).toBe(3);
+  expect(retries.map((retry) => [retry.attempt, retry.error.status])).toEqual([
+    [2, 503],
+    [3, 502],
+  ]);
+});
+
+test("waits for the duration of a Retry-After header", async () => {
+  const { fetchImpl } = queuedFetch([
+    new Response("", { status: 429, headers: { "Retry-After": "1" } }),
+    new Response("", { status: 200 }),
+  ]);
+  const delays: number[] = [];
+  const plug = new martian.Plug("https://example.mindtouch.us", {
+    fetchImpl,
+    retry: { onRetry: ({ delay }: { delay: number }) => delays.push(delay) },
+  });
+  await plug.get();
+  expect(delays).toEqual([1000]);
+});
+
+test("does not retry when Retry-After asks for a longer wait than the maximum delay", async () => {
+  const { requests, fetchImpl } = queuedFetch([
+    new Response("", { status: 429, headers: { "Retry-After": "86400" } }),
+    new Response("", { status: 200 }),
+  ]);
+  const plug = new martian.Plug("https://example.mindtouch.us", { fetchImpl, retry: { maxDelay: 5000 } });
+  const error = await plug.get().catch((e) => e);
+  expect(error.status).toBe(429);
+  expect(requests.length).toBe(1);
+});
+
+test("does not retry non-idempotent methods or exhausted attempts", async () => {
+  const { requests, fetchImpl } = queuedFetch([
+    new Response("", { status: 503 }),
+    new Response("", { status: 503 }),
+    new Response("", { status: 503 }),
+  ]);
+  const plug = new martian.Plug("https://example.mindtouch.us", {
+    fetchImpl,
+    retry: { maxAttempts: 2, minDelay: 1 },
+  });
+  const postError = await plug.post("", "text/plain").catch((e) => e);
+  expect(postError.status).toBe(503);
+  expect(requests.length).toBe(1);
+  const getError = await plug.get().catch((e) => e);
+  expect(getError.status).toBe(503);
+  expect(requests.length).toBe(3);
+});
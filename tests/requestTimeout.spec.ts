@@ -0,0 +1,26 @@
+import * as martian from "../martian";
+import { test, expect } from "@playwright/test";
+
+// a fetch implementation that never settles, and ignores abort signals
+const hangingFetch = () => new Promise(() => {});
+
+test("rejects with a TimeoutError once the timeout elapses", async () => {
+  const plug = new martian.Plug("https://example.mindtouch.us", {
+    timeout: 50,
+    fetchImpl: hangingFetch,
+  });
+  const error = await plug.get().catch((e) => e);
+  expect(error.name).toBe("TimeoutError");
+  expect(error.timeout).toBe(50);
+});
+
+test("rejects with an AbortError when the signal is aborted", async () => {
+  const controller = new AbortController();
+  const plug = new martian.Plug("https://example.mindtouch.us", {
+    fetchImpl: hangingFetch,
+  }).withRequestOptions({ signal: controller.signal });
+  const request = plug.get().catch((e) => e);
+  controller.abort();
+  const error = await request;
+  expect(error.name).toBe("AbortError");
+});
@@ -0,0 +1,84 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import * as util from "util";
+import * as martian from "../martian";
+import { test, expect } from "@playwright/test";
+
+const profiles = {
+  staging: { host: "https://staging.mindtouch.us", token: "staging-token", headers: { "X-Tenant": "staging" } },
+  production: { host: "https://example.mindtouch.us", key: "prod-key", secret: "prod-secret", user: "=automation" },
+};
+
+// a fetch implementation that records the requests sent to it
+const recordingFetch = () => {
+  const requests: Request[] = [];
+  const fetchImpl = (request: Request) => {
+    requests.push(request);
+    return Promise.resolve(new Response("{}", { status: 200, headers: { "Content-Type": "application/json" } }));
+  };
+  return { requests, fetchImpl };
+};
+
+const sendRequest = async (settings: martian.Settings) => {
+  const { requests, fetchImpl } = recordingFetch();
+  const config = settings.plugConfig;
+  await new martian.Plug(settings.host, { ...config, fetchImpl }).get();
+  return requests[0];
+};
+
+test("loads named profiles from a config file", async () => {
+  const file = path.join(os.tmpdir(), `martianrc-${process.pid}.json`);
+  await fs.promises.writeFile(file, JSON.stringify(profiles));
+  try {
+    const staging = await martian.Settings.fromProfile("staging", { file });
+    expect(staging.host).toBe("https://staging.mindtouch.us");
+    const request = await sendRequest(staging);
+    expect(request.headers.get("X-Tenant")).toBe("staging");
+    expect(request.headers.get("X-Deki-Token")).toBe("staging-token");
+
+    const production = await martian.Settings.fromProfile("production", { file });
+    expect((await sendRequest(production)).headers.get("X-Deki-Token")).toMatch(
+      /^tkn_prod-key_\d+_=automation_[0-9a-f]{64}$/
+    );
+
+    const error = await martian.Settings.fromProfile("missing", { file }).catch((e) => e);
+    expect(error).toBeInstanceOf(martian.ValidationError);
+    const missingFile = path.join(os.tmpdir(), `martianrc-missing-${process.pid}.json`);
+    const fileError = await martian.Settings.fromProfile("staging", { file: missingFile }).catch((e) => e);
+    expect(fileError).toBeInstanceOf(martian.ValidationError);
+  } finally {
+    await fs.promises.unlink(file);
+  }
+});
+
+test("reads settings from environment variables", async () => {
+  const settings = martian.Settings.fromEnv({ MARTIAN_HOST: "https://env.mindtouch.us", MARTIAN_TOKEN: "env-token" });
+  expect(settings.host).toBe("https://env.mindtouch.us");
+  expect((await sendRequest(settings)).headers.get("X-Deki-Token")).toBe("env-token");
+  expect(martian.Settings.fromEnv({}).host).toBe(martian.Settings.default.host);
+});
+
+test("redacts tokens when logged or serialized", () => {
+  const settings = new martian.Settings({
+    host: "https://example.mindtouch.us",
+    token: "secret-token",
+    headers: { "X-Deki-Token": "header-token" },
+  });
+  const serialized = JSON.stringify(settings);
+  expect(serialized).not.toContain("secret-token");
+  expect(serialized).not.toContain("header-token");
+  expect(JSON.parse(serialized).host).toBe("https://example.mindtouch.us");
+  const logged = util.inspect(settings);
+  expect(logged).not.toContain("secret-token");
+  expect(logged).not.toContain("header-token");
+  expect(logged).toContain("[redacted]");
+});
+
+test("redacts the secret of a token signer when logged or serialized", () => {
+  const signer = new martian.DeveloperTokenSigner({ key: "signer-key", secret: "signer-secret", user: "=automation" });
+  expect(JSON.parse(JSON.stringify(signer))).toEqual({ key: "signer-key", secret: "[redacted]", user: "=automation" });
+  const logged = util.inspect(signer);
+  expect(logged).not.toContain("signer-secret");
+  expect(logged).toContain("[redacted]");
+});
@@ -0,0 +1,64 @@
+import * as martian from "../martian";
+import { test, expect } from "@playwright/test";
+
+const host = "https://example.mindtouch.us";
+
+// a fetch implementation that answers every request with the current user, after a short wait
+const slowFetch = () => {
+  const requests: Request[] = [];
+  const fetchImpl = (request: Request) => {
+    requests.push(request);
+    const user = { "@id": "2", username: "admin", fullname: "Admin" };
+    const response = new Response(JSON.stringify(user), {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+    });
+    return new Promise<Response>((resolve) => setTimeout(() => resolve(response), 10));
+  };
+  return { requests, fetchImpl };
+};
+
+test("shares one request between identical concurrent GETs", async () => {
+  const { requests, fetchImpl } = slowFetch();
+  const userManager = new martian.UserManager(new martian.Settings({ host, fetchImpl }));
+  const users = await Promise.all([
+    userManager.getCurrentUser(),
+    userManager.getCurrentUser(),
+    userManager.getCurrentUser(),
+  ]);
+  expect(requests.length).toBe(1);
+  expect(users[1]).toEqual(users[0]);
+  expect(users[1]).not.toBe(users[0]);
+
+  await userManager.getCurrentUser();
+  expect(requests.length).toBe(2);
+});
+
+test("does not share requests across credentials or cancellable requests", async () => {
+  const { requests, fetchImpl } = slowFetch();
+  const first = new martian.UserManager(new martian.Settings({ host, fetchImpl, token: "first" }));
+  const second = new martian.UserManager(new martian.Settings({ host, fetchImpl, token: "second" }));
+  const { signal } = new AbortController();
+  await Promise.all([
+    first.getCurrentUser(),
+    second.getCurrentUser(),
+    first.getCurrentUser({ exclude: [] }, { signal }),
+  ]);
+  expect(requests.length).toBe(3);
+});
+
+test("does not share requests across the cookies of the cookie manager", async () => {
+  const { requests, fetchImpl } = slowFetch();
+  const cookieFetch = (request: Request) =>
+    fetchImpl(request).then((response: Response) => {
+      response.headers.set("Set-Cookie", "");
+      return response;
+    });
+  const plug = (cookie: string) =>
+    new martian.Plug(`${host}/@api/deki/users/current`, {
+      fetchImpl: cookieFetch,
+      cookieManager: { getCookieString: () => Promise.resolve(cookie), storeCookies: () => Promise.resolve() },
+    });
+  await Promise.all([plug("authtoken=first").get(), plug("authtoken=first").get(), plug("authtoken=second").get()]);
+  expect(requests.length).toBe(2);
+});
@@ -0,0 +1,21 @@
+import * as fs from "fs";
+import * as martian from "../martian";
+import { FakeApi } from "../fakeApi";
+import { generateTypings, typingsFile } from "../scripts/generateTypings";
+import { test, expect } from "@playwright/test";
+
+test("the committed declarations are generated from martian.js", async () => {
+  test.slow();
+  expect(generateTypings()).toBe(fs.readFileSync(typingsFile, "utf8"));
+});
+
+test("declares the parsed results with the models", async () => {
+  const api = new FakeApi();
+  const settings = new martian.Settings({ host: await api.start() });
+  const user: martian.userModel = await new martian.UserManager(settings).getCurrentUser();
+  const groups: martian.groupModel[] = user.groups;
+  await api.stop();
+  expect(typeof user.id).toBe("number");
+  expect(typeof user.username).toBe("string");
+  expect(Array.isArray(groups)).toBe(true);
+});
@@ -0,0 +1,44 @@
+import * as martian from "../martian";
+import { FakeApi } from "../fakeApi";
+import { test, expect } from "@playwright/test";
+
+const api = new FakeApi();
+let settings: martian.Settings;
+
+test.beforeAll(async () => {
+  settings = new martian.Settings({ host: await api.start() });
+});
+
+test.afterAll(async () => {
+  await api.stop();
+});
+
+test.beforeEach(() => {
+  api.reset();
+});
+
+test("escapes user input in XML request bodies", async () => {
+  const user = api.addUser({ username: "ops" });
+  const updated = await new martian.User(user.id, settings).update({
+    fullName: "Ben & Jerry <Ops></fullname><email>x</email>",
+  });
+  expect(updated.fullname).toBe("Ben & Jerry <Ops></fullname><email>x</email>");
+  expect(api.store.users.get(user.id)!.email).toBe("");
+
+  await new martian.SiteJobManager(settings).scheduleExport({
+    email: 'ops@example.com"<',
+    pages: [{ path: "a&b", includeSubpages: true }],
+  });
+  const body = api.requests[api.requests.length - 1].body.toString();
+  expect(body).toBe(
+    '<job><notification><email>ops@example.com&quot;&lt;</email></notification><pages><page includesubpages="true"><path>a&amp;b</path></page></pages></job>'
+  );
+});
+
+test("rejects element names that are not valid XML", async () => {
+  const error = await new martian.Site(settings)
+    .sendFeedback({ comment: "hi", metadata: { "bad key><x": "1" } })
+    .catch((e) => e);
+  expect(error).toBeInstanceOf(martian.ValidationError);
+  expect(api.requests.some((r) => r.path.endsWith("/site/feedback"))).toBe(false);
+});